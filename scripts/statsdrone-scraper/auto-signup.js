@@ -0,0 +1,234 @@
+/**
+ * Non-interactive auto-signup for every supported affiliate software
+ *
+ * This script:
+ * - Reads signup details from the database (SignupProfile)
+ * - Finds pending programs with resolved URLs, for each software that has a form adapter
+ *   (CellXpert, MyAffiliates, Affilka, Income Access, NetRefer - see signup/adapters)
+ * - Fills and submits each signup form without stopping for input
+ * - Marks confirmed (or already existing) signups as signed_up, with signupDate and the login used
+ * - Saves a screenshot of every attempt to signup-screenshots/
+ *
+ * Failed attempts and ones that need a person (CAPTCHA, no clear answer) stay pending -
+ * finish those with auto-signup-cellxpert.js, which pauses on each form.
+ *
+ * Usage:
+ *   npm run signup:auto
+ *   npm run signup:auto -- --software "Affilka" --limit 10
+ *   npm run signup:auto -- --all --dry-run --show
+ */
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { PrismaClient } = require('../../node_modules/@prisma/client');
+const {
+  loadSignupProfile,
+  detailsForProgram,
+  getOrGeneratePassword,
+  checkJoinUrl,
+  markSignedUp,
+  markClosed,
+} = require('./signup/programs');
+const { ADAPTERS, getAdapter } = require('./signup/adapters');
+const { OUTCOMES, signUp } = require('./signup/runner');
+const prisma = new PrismaClient();
+
+const SCREENSHOT_DIR = path.join(__dirname, 'signup-screenshots');
+
+// Parse command line args
+const args = process.argv.slice(2);
+let softwareFilter = null; // Default: every software with an adapter
+let limitCount = 1; // Default to 1 at a time
+let customPath = null; // Custom registration path to try first
+const dryRun = args.includes('--dry-run');
+const showBrowser = args.includes('--show');
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--software' && args[i + 1]) {
+    softwareFilter = args[i + 1];
+  }
+  if (args[i] === '--limit' && args[i + 1]) {
+    limitCount = parseInt(args[i + 1]) || 1;
+  }
+  if (args[i] === '--all') {
+    limitCount = 9999;
+  }
+  if (args[i] === '--path' && args[i + 1]) {
+    customPath = args[i + 1].startsWith('/') ? args[i + 1] : '/' + args[i + 1];
+  }
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Candidate signup pages: the custom path first if given, then the adapter's
+function candidateUrls(adapter, joinUrl) {
+  const urls = adapter.signupUrls(joinUrl);
+  if (customPath) {
+    urls.unshift(new URL(joinUrl).origin + customPath);
+  }
+  return [...new Set(urls)];
+}
+
+function screenshotPath(program) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(SCREENSHOT_DIR, `${program.slug || program.id}-${stamp}.png`);
+}
+
+async function main() {
+  console.log('🤖 Affiliate Auto-Signup (non-interactive)');
+  console.log('=' .repeat(50));
+  console.log(`Software: ${softwareFilter || ADAPTERS.map(adapter => adapter.name).join(', ')}`);
+  console.log(`Limit: ${limitCount}${dryRun ? ' (dry run - forms are filled, not submitted)' : ''}`);
+  console.log();
+
+  const profile = await loadSignupProfile(prisma);
+  if (!profile) {
+    console.log('❌ No default signup profile found!');
+    console.log('   Go to Admin → Signup Profiles to create one.');
+    console.log('   URL: https://statsfetch.com/admin/signup-profiles');
+    await prisma.$disconnect();
+    process.exit(1);
+  }
+  console.log(`✓ Using profile for: ${profile.firstName} ${profile.lastName} (${profile.email})\n`);
+
+  const candidates = await prisma.statsDrone_Program.findMany({
+    where: {
+      status: 'pending',
+      finalJoinUrl: { not: null },
+      ...(softwareFilter && { software: { contains: softwareFilter, mode: 'insensitive' } }),
+    },
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+      software: true,
+      finalJoinUrl: true,
+      signupEmail: true,
+      signupUsername: true,
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  // Without a filter, only software we have an adapter for
+  const programs = (softwareFilter
+    ? candidates
+    : candidates.filter(program => ADAPTERS.some(adapter => adapter.software.test(program.software || '')))
+  ).slice(0, limitCount);
+
+  console.log(`Found ${candidates.length} pending programs with resolved URLs, processing ${programs.length}\n`);
+  if (programs.length === 0) {
+    console.log('No programs to process!');
+    await prisma.$disconnect();
+    return;
+  }
+
+  fs.mkdirSync(SCREENSHOT_DIR, { recursive: true });
+
+  const browser = await puppeteer.launch({
+    headless: showBrowser ? false : 'new',
+    defaultViewport: { width: 1280, height: 800 },
+  });
+
+  const counts = { signedUp: 0, closed: 0, failed: 0, review: 0, dryRun: 0 };
+  const attention = []; // Failed and needs-review programs, for the summary
+
+  for (let i = 0; i < programs.length; i++) {
+    const program = programs[i];
+    const adapter = getAdapter(program.software);
+
+    console.log(`\n[${i + 1}/${programs.length}] ${program.name} (${adapter.name})`);
+    console.log(`  URL: ${program.finalJoinUrl}`);
+
+    const unusable = checkJoinUrl(program.finalJoinUrl);
+    if (unusable) {
+      console.log(`  🚫 ${unusable.reason} - marking as closed`);
+      if (!dryRun) {
+        await markClosed(prisma, program.id, { clearUrl: unusable.clearUrl });
+      }
+      counts.closed++;
+      continue;
+    }
+
+    const password = dryRun ? profile.password : await getOrGeneratePassword(prisma, program.id);
+    const details = detailsForProgram(profile, program, password);
+    console.log(`  Password: ${(password || '').substring(0, 4)}****`);
+
+    const page = await browser.newPage();
+    let result;
+    try {
+      result = await signUp(page, {
+        urls: candidateUrls(adapter, program.finalJoinUrl),
+        details,
+        adapter,
+        screenshotPath: screenshotPath(program),
+        submit: !dryRun,
+      });
+    } catch (error) {
+      result = { outcome: OUTCOMES.FAILED, message: error.message, errors: [], screenshot: null };
+    }
+
+    switch (result.outcome) {
+      case OUTCOMES.SIGNED_UP:
+      case OUTCOMES.ALREADY_REGISTERED:
+        await markSignedUp(prisma, program.id, details);
+        console.log(`  ✅ ${result.message} - marked as signed up`);
+        counts.signedUp++;
+        break;
+      case OUTCOMES.DRY_RUN:
+        console.log(`  📝 ${result.message}`);
+        counts.dryRun++;
+        break;
+      case OUTCOMES.NEEDS_REVIEW:
+        console.log(`  ⏸️  ${result.message} - left pending`);
+        counts.review++;
+        attention.push({ program, result });
+        break;
+      default:
+        console.log(`  ❌ ${result.message} - left pending`);
+        for (const error of result.errors || []) {
+          console.log(`     - ${error}`);
+        }
+        counts.failed++;
+        attention.push({ program, result });
+    }
+    if (result.screenshot) {
+      console.log(`  📸 ${path.relative(__dirname, result.screenshot)}`);
+    }
+
+    try {
+      await page.close();
+    } catch (e) {
+      // Page might already be closed
+    }
+
+    await delay(1000); // Brief delay between signups
+  }
+
+  await browser.close();
+
+  console.log('\n' + '=' .repeat(50));
+  console.log('✅ Auto-signup complete!');
+  console.log(`   Signed up: ${counts.signedUp}`);
+  console.log(`   Closed: ${counts.closed}`);
+  console.log(`   Failed: ${counts.failed}`);
+  console.log(`   Needs review: ${counts.review}`);
+  if (dryRun) console.log(`   Dry run: ${counts.dryRun}`);
+
+  if (attention.length > 0) {
+    console.log('\nStill pending - check the screenshots:');
+    for (const { program, result } of attention) {
+      console.log(`  - ${program.name}: ${result.message}`);
+      if (result.screenshot) console.log(`    ${path.relative(__dirname, result.screenshot)}`);
+    }
+  }
+  console.log('=' .repeat(50));
+
+  await prisma.$disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Fatal error:', error);
+  await prisma.$disconnect();
+  process.exit(1);
+});
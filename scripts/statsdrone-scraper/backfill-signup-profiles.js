@@ -0,0 +1,41 @@
+/**
+ * Record the signup profile on signups from before it was stored
+ *
+ * Only signups with a profile are handed off to a desktop client (/api/client/signups), so older
+ * signups with a null signupProfileId wait until this assigns them the default profile - the
+ * one the signup scripts used back then. Run once after deploying; --dry-run only counts them.
+ */
+
+const { PrismaClient } = require('../../node_modules/@prisma/client');
+const prisma = new PrismaClient();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const defaultProfile = await prisma.signupProfile.findFirst({
+    where: { isDefault: true },
+    select: { id: true, name: true, userId: true },
+  });
+  if (!defaultProfile) {
+    console.log('No default signup profile - nothing to assign');
+    return;
+  }
+
+  const where = { signupProfileId: null, signupDate: { not: null } };
+  const count = await prisma.statsDrone_Program.count({ where });
+
+  if (dryRun) {
+    console.log(`${count} signups without a profile would go to "${defaultProfile.name}" (user ${defaultProfile.userId})`);
+    return;
+  }
+
+  const result = await prisma.statsDrone_Program.updateMany({
+    where,
+    data: { signupProfileId: defaultProfile.id },
+  });
+  console.log(`✅ Assigned ${result.count} signups to the "${defaultProfile.name}" profile`);
+}
+
+main()
+  .catch(console.error)
+  .finally(() => prisma.$disconnect());
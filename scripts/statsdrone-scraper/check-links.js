@@ -0,0 +1,99 @@
+/**
+ * Referral link health checker
+ *
+ * This script:
+ * - Follows every template referral / login link and StatsDrone join URL (HTTP, meta refresh
+ *   and JavaScript redirects)
+ * - Flags 404s, errors, unreachable sites, redirect loops, parked domains and affiliate links
+ *   that lose their tracking parameters
+ * - Stores each result in LinkHealthCheck and reports the broken links
+ *
+ * Usage:
+ *   npm run links:check                              - Check every link
+ *   npm run links:check -- --stale 24                - Only links not checked in the last 24h (for cron)
+ *   npm run links:check -- --source template_referral --limit 50
+ *   npm run links:report                             - Broken links from the last 7 days of checks
+ *
+ * Options:
+ *   --source <list>  Comma-separated: template_referral, template_login, statsdrone_join (default all)
+ *   --stale <hours>  Skip links checked within this many hours
+ *   --limit <n>      Check at most N links
+ *   --report         Only print the broken link report
+ *   --days <n>       Check history the report covers (default 7)
+ */
+
+const { PrismaClient } = require('../../node_modules/@prisma/client');
+const { LINK_STATUS, SOURCES, runHealthCheck, loadBrokenLinks } = require('./links/health');
+const prisma = new PrismaClient();
+
+// Parse command line args
+const args = process.argv.slice(2);
+let sources = Object.values(SOURCES);
+let staleHours = null;
+let limit = null;
+let days = 7;
+const reportOnly = args.includes('--report');
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--source' && args[i + 1]) {
+    sources = args[i + 1].split(',').map(source => source.trim());
+  }
+  if (args[i] === '--stale' && args[i + 1]) {
+    staleHours = parseFloat(args[i + 1]) || null;
+  }
+  if (args[i] === '--limit' && args[i + 1]) {
+    limit = parseInt(args[i + 1]) || null;
+  }
+  if (args[i] === '--days' && args[i + 1]) {
+    days = parseInt(args[i + 1]) || 7;
+  }
+}
+
+async function printBrokenLinks() {
+  const broken = await loadBrokenLinks(prisma, { days });
+
+  console.log(`\n🩺 Broken links (latest check failed, last ${days} days): ${broken.length}`);
+  let currentStatus = null;
+  for (const link of broken) {
+    if (link.status !== currentStatus) {
+      currentStatus = link.status;
+      console.log(`\n   ${currentStatus}:`);
+    }
+    const since = link.failedChecks > 1
+      ? ` - failing ${link.failedChecks} checks since ${link.failingSince.toLocaleDateString()}`
+      : '';
+    console.log(`   ${link.newlyBroken ? '🆕 ' : ''}${link.name} (${link.source})${link.detail ? ` - ${link.detail}` : ''}${since}`);
+    console.log(`      ${link.url}${link.finalUrl && link.finalUrl !== link.url ? ` → ${link.finalUrl}` : ''}`);
+  }
+}
+
+async function main() {
+  console.log('🩺 Referral Link Health Check');
+  console.log('=' .repeat(50));
+
+  const unknown = sources.filter(source => !Object.values(SOURCES).includes(source));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source: ${unknown.join(', ')} (use ${Object.values(SOURCES).join(', ')})`);
+  }
+
+  if (!reportOnly) {
+    const counts = await runHealthCheck(prisma, { sources, staleHours, limit });
+
+    console.log('\n' + '=' .repeat(50));
+    console.log('✅ Link check complete!');
+    console.log(`   Checked: ${counts.checked}${counts.skipped ? ` (${counts.skipped} skipped - checked recently)` : ''}`);
+    for (const status of Object.values(LINK_STATUS)) {
+      if (counts[status] > 0) console.log(`   ${status}: ${counts[status]}`);
+    }
+    console.log('=' .repeat(50));
+  }
+
+  await printBrokenLinks();
+  await prisma.$disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Fatal error:', error.message);
+  await prisma.$disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+/**
+ * Check the signup mailbox for program emails
+ *
+ * This script:
+ * - Reads the mailbox the signup profile's email goes to (IMAP, Maildir or mbox)
+ * - Matches each email to a StatsDrone program by domain
+ * - Opens verification links
+ * - Marks programs approved or rejected from their approval / rejection emails
+ *
+ * Usage:
+ *   SIGNUP_MAILBOX=imaps://signups%40example.com@imap.example.com/INBOX SIGNUP_MAIL_PASSWORD=... npm run signup:mail
+ *   npm run signup:mail -- --mailbox ~/Maildir
+ *   npm run signup:mail -- --mailbox mbox:/var/mail/signups --dry-run
+ *
+ * Options:
+ *   --mailbox <spec>  Mailbox to read (default: SIGNUP_MAILBOX) - see signup/mail/mailbox.js
+ *   --since <days>    Only mail from the last N days (default 30)
+ *   --no-follow       Don't open verification links
+ *   --dry-run         Only report what would happen
+ */
+
+const path = require('path');
+const { PrismaClient } = require('../../node_modules/@prisma/client');
+const { openMailbox } = require('./signup/mail/mailbox');
+const { checkSignupMail } = require('./signup/mail/check');
+const prisma = new PrismaClient();
+
+const STATE_PATH = path.join(__dirname, 'signup-mail-state.json');
+
+// Parse command line args
+const args = process.argv.slice(2);
+let mailboxSpec = process.env.SIGNUP_MAILBOX || null;
+let sinceDays = 30;
+const follow = !args.includes('--no-follow');
+const dryRun = args.includes('--dry-run');
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--mailbox' && args[i + 1]) {
+    mailboxSpec = args[i + 1];
+  }
+  if (args[i] === '--since' && args[i + 1]) {
+    sinceDays = parseInt(args[i + 1]) || 30;
+  }
+}
+
+async function main() {
+  console.log('📬 Signup Mail Check');
+  console.log('=' .repeat(50));
+
+  const source = openMailbox(mailboxSpec, { password: process.env.SIGNUP_MAIL_PASSWORD });
+  const since = new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000);
+  console.log(`Mailbox: ${source.label}`);
+  console.log(`Since: ${since.toISOString().split('T')[0]}${dryRun ? ' (dry run)' : ''}`);
+
+  const counts = await checkSignupMail(prisma, source, { statePath: STATE_PATH, since, follow, dryRun });
+
+  console.log('\n' + '=' .repeat(50));
+  console.log('✅ Mail check complete!');
+  console.log(`   Messages: ${counts.messages} (${counts.skipped} handled before, ${counts.ignored} not signup mail)`);
+  console.log(`   Verified: ${counts.verified}`);
+  console.log(`   Approved: ${counts.approved}`);
+  console.log(`   Rejected: ${counts.rejected}`);
+  console.log(`   No matching program: ${counts.unmatched}`);
+  if (counts.failed > 0) console.log(`   Failed (retried next run): ${counts.failed}`);
+  console.log('=' .repeat(50));
+
+  await prisma.$disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Fatal error:', error.message);
+  await prisma.$disconnect();
+  process.exit(1);
+});
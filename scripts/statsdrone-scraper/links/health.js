@@ -0,0 +1,296 @@
+/**
+ * Referral link health checks
+ *
+ * Every ProgramTemplate referralUrl / loginUrl and StatsDrone_Program finalJoinUrl is followed
+ * to where it ends up and classified - dead (404/410, errors, unreachable, redirect loops),
+ * parked domains, and affiliate links whose tracking parameters are dropped on the way.
+ * Each check is a LinkHealthCheck row, so a link's history shows when it broke.
+ */
+
+const { followLink } = require('./resolve');
+
+const LINK_STATUS = {
+  OK: 'ok',
+  NOT_FOUND: 'not_found', // 404 / 410
+  HTTP_ERROR: 'http_error', // Other 4xx / 5xx
+  UNREACHABLE: 'unreachable', // DNS, TLS, timeout
+  REDIRECT_LOOP: 'redirect_loop',
+  PARKED: 'parked',
+  TRACKING_LOST: 'tracking_lost',
+};
+
+const SOURCES = {
+  TEMPLATE_REFERRAL: 'template_referral',
+  TEMPLATE_LOGIN: 'template_login',
+  STATSDRONE_JOIN: 'statsdrone_join',
+};
+
+// Domain parking and domain-sale services a dead brand's domain ends up on
+const PARKING_HOSTS = [
+  'sedoparking.com', 'sedo.com', 'parkingcrew.net', 'bodis.com', 'above.com', 'dan.com',
+  'afternic.com', 'hugedomains.com', 'undeveloped.com', 'parklogic.com', 'domainmarket.com',
+  'buydomains.com', 'namebright.com', 'uniregistry.com', 'skenzo.com', 'voodoo.com',
+];
+
+const PARKED_TEXT = [
+  /this domain (name )?(is|may be) for sale/i,
+  /\bbuy this domain\b/i,
+  /\bdomain (is )?parked\b/i,
+  /\bparked (free|domain)\b/i,
+  /\bthe domain [^.<]{1,80} (is|has) (expired|not been configured)/i,
+  /\b(sedoparking|parkingcrew|bodis)\b/i,
+];
+
+// Query parameters affiliate platforms track the referral with
+const TRACKING_PARAMS = [
+  'btag', 'tag', 'affid', 'aff_id', 'affiliate', 'affiliate_id', 'affiliateid', 'a_aid', 'a_bid',
+  'aid', 'pid', 'ref', 'refid', 'ref_id', 'referrer', 'tracking', 'trackingcode', 'clickid',
+  'click_id', 'subid', 'sub_id', 'payload', 'mid', 'sid', 'zone_id', 'stag', 'cxd', 'campaign_id',
+];
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// The link's affiliate tracking values (name=value)
+function trackingParams(url) {
+  try {
+    return [...new URL(url).searchParams.entries()]
+      .filter(([name, value]) => value && TRACKING_PARAMS.includes(name.toLowerCase()));
+  } catch {
+    return [];
+  }
+}
+
+function safeDecode(url) {
+  try {
+    return decodeURIComponent(url);
+  } catch {
+    return url;
+  }
+}
+
+function parkedBy(result) {
+  const host = hostOf(result.finalUrl);
+  const service = PARKING_HOSTS.find(parking => host === parking || host.endsWith(`.${parking}`));
+  if (service) return service;
+  if (result.html && PARKED_TEXT.some(pattern => pattern.test(result.html))) return hostOf(result.finalUrl) || 'page text';
+  return null;
+}
+
+/**
+ * Follow a link and classify where it ends up
+ * @param {string} url
+ * @returns {Promise<{ status, httpStatus, finalUrl, redirects, detail }>}
+ */
+async function checkLink(url) {
+  const result = await followLink(url);
+  const base = { httpStatus: result.status, finalUrl: result.finalUrl, redirects: result.redirects, detail: null };
+
+  if (result.error && result.status === null) {
+    return { ...base, status: LINK_STATUS.UNREACHABLE, detail: result.error };
+  }
+  if (result.loop) {
+    return { ...base, status: LINK_STATUS.REDIRECT_LOOP, detail: `Stopped after ${result.redirects} redirect${result.redirects === 1 ? '' : 's'}` };
+  }
+  if (result.error) {
+    // Failed part-way - the earlier hops answered, the destination didn't
+    return { ...base, status: LINK_STATUS.UNREACHABLE, detail: `${hostOf(result.finalUrl)}: ${result.error}` };
+  }
+  if (result.status === 404 || result.status === 410) {
+    return { ...base, status: LINK_STATUS.NOT_FOUND };
+  }
+  // 403/429 are usually bot protection in front of a working site, not a dead link
+  if (result.status >= 400 && result.status !== 403 && result.status !== 429) {
+    return { ...base, status: LINK_STATUS.HTTP_ERROR, detail: `HTTP ${result.status}` };
+  }
+
+  const parking = parkedBy(result);
+  if (parking) {
+    return { ...base, status: LINK_STATUS.PARKED, detail: `Parked: ${parking}` };
+  }
+
+  // Tracking survives when its value is carried to the landing page or a cookie was set on the
+  // way (the usual tracker -> brand handover); otherwise the referral isn't credited
+  const tracked = trackingParams(url);
+  if (tracked.length > 0 && !result.setCookie) {
+    const landing = safeDecode(result.finalUrl);
+    const lost = tracked.filter(([, value]) => !landing.includes(value));
+    if (lost.length === tracked.length) {
+      return { ...base, status: LINK_STATUS.TRACKING_LOST, detail: `Tracking lost: ${lost.map(([name]) => name).join(', ')}` };
+    }
+  }
+
+  return { ...base, status: LINK_STATUS.OK };
+}
+
+// Same link, same owner
+function linkKey(link) {
+  return `${link.source}|${link.templateId || ''}|${link.statsDroneProgramId || ''}|${link.url}`;
+}
+
+/**
+ * Every link to check
+ * @param {PrismaClient} prisma
+ * @param {string[]} sources - SOURCES values
+ * @returns {Promise<Array<{ source, name, url, templateId?, statsDroneProgramId? }>>}
+ */
+async function collectLinks(prisma, sources = Object.values(SOURCES)) {
+  const links = [];
+
+  if (sources.includes(SOURCES.TEMPLATE_REFERRAL) || sources.includes(SOURCES.TEMPLATE_LOGIN)) {
+    const templates = await prisma.programTemplate.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, referralUrl: true, loginUrl: true },
+      orderBy: { name: 'asc' },
+    });
+    for (const template of templates) {
+      if (template.referralUrl && sources.includes(SOURCES.TEMPLATE_REFERRAL)) {
+        links.push({ source: SOURCES.TEMPLATE_REFERRAL, name: template.name, url: template.referralUrl, templateId: template.id });
+      }
+      if (template.loginUrl && sources.includes(SOURCES.TEMPLATE_LOGIN)) {
+        links.push({ source: SOURCES.TEMPLATE_LOGIN, name: template.name, url: template.loginUrl, templateId: template.id });
+      }
+    }
+  }
+
+  if (sources.includes(SOURCES.STATSDRONE_JOIN)) {
+    const programs = await prisma.statsDrone_Program.findMany({
+      where: { finalJoinUrl: { not: null }, status: { not: 'closed' } },
+      select: { id: true, name: true, finalJoinUrl: true },
+      orderBy: { name: 'asc' },
+    });
+    for (const program of programs) {
+      links.push({ source: SOURCES.STATSDRONE_JOIN, name: program.name, url: program.finalJoinUrl, statsDroneProgramId: program.id });
+    }
+  }
+
+  return links.filter(link => /^https?:\/\//i.test(link.url));
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check links and store the results
+ * @param {PrismaClient} prisma
+ * @param {Object} options
+ * @param {string[]} options.sources
+ * @param {number|null} options.staleHours - only links not checked within this many hours
+ *   (for scheduled runs - a crashed or limited run picks up where it stopped)
+ * @param {number|null} options.limit
+ * @param {number} options.delayMs - pause between requests
+ * @returns {Promise<Object>} counts per status plus checked / skipped
+ */
+async function runHealthCheck(prisma, { sources, staleHours = null, limit = null, delayMs = 2000 } = {}) {
+  let links = await collectLinks(prisma, sources);
+  const counts = { checked: 0, skipped: 0, ...Object.fromEntries(Object.values(LINK_STATUS).map(status => [status, 0])) };
+
+  if (staleHours) {
+    const recent = await prisma.linkHealthCheck.findMany({
+      where: { checkedAt: { gte: new Date(Date.now() - staleHours * 60 * 60 * 1000) } },
+      select: { source: true, templateId: true, statsDroneProgramId: true, url: true },
+    });
+    const fresh = new Set(recent.map(linkKey));
+    const due = links.filter(link => !fresh.has(linkKey(link)));
+    counts.skipped = links.length - due.length;
+    links = due;
+  }
+  if (limit) links = links.slice(0, limit);
+
+  console.log(`Checking ${links.length} links${counts.skipped ? ` (${counts.skipped} checked recently)` : ''}\n`);
+
+  // A template's referral link is often also a StatsDrone join URL - fetch it once
+  const byUrl = new Map();
+
+  for (let i = 0; i < links.length; i++) {
+    const link = links[i];
+    const cached = byUrl.has(link.url);
+    if (!cached) {
+      byUrl.set(link.url, await checkLink(link.url));
+    }
+    const result = byUrl.get(link.url);
+
+    await prisma.linkHealthCheck.create({
+      data: {
+        source: link.source,
+        templateId: link.templateId || null,
+        statsDroneProgramId: link.statsDroneProgramId || null,
+        url: link.url,
+        ...result,
+      },
+    });
+
+    counts.checked++;
+    counts[result.status]++;
+    const icon = result.status === LINK_STATUS.OK ? '✅' : '❌';
+    console.log(`[${i + 1}/${links.length}] ${icon} ${link.name} (${link.source}) ${result.status}${result.detail ? ` - ${result.detail}` : ''}`);
+
+    if (!cached && i < links.length - 1) {
+      await delay(delayMs);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Links whose latest check failed, with how long they've been failing
+ * @param {PrismaClient} prisma
+ * @param {Object} options
+ * @param {number} options.days - history to look at
+ * @returns {Promise<Array<{ source, name, url, status, detail, finalUrl, checkedAt, failingSince, failedChecks, newlyBroken }>>}
+ */
+async function loadBrokenLinks(prisma, { days = 7 } = {}) {
+  const checks = await prisma.linkHealthCheck.findMany({
+    where: { checkedAt: { gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } },
+    include: {
+      template: { select: { name: true } },
+      statsDroneProgram: { select: { name: true } },
+    },
+    orderBy: { checkedAt: 'desc' },
+  });
+
+  // Newest first - group each link's history
+  const history = new Map();
+  for (const check of checks) {
+    const key = linkKey(check);
+    if (!history.has(key)) history.set(key, []);
+    history.get(key).push(check);
+  }
+
+  const broken = [];
+  for (const link of history.values()) {
+    const [latest] = link;
+    if (latest.status === LINK_STATUS.OK) continue;
+
+    const streak = link.findIndex(check => check.status === LINK_STATUS.OK);
+    const failing = streak === -1 ? link : link.slice(0, streak);
+    broken.push({
+      source: latest.source,
+      name: latest.template?.name || latest.statsDroneProgram?.name || latest.url,
+      url: latest.url,
+      status: latest.status,
+      detail: latest.detail,
+      finalUrl: latest.finalUrl,
+      checkedAt: latest.checkedAt,
+      failingSince: failing[failing.length - 1].checkedAt,
+      failedChecks: failing.length,
+      newlyBroken: streak === 1, // Worked the check before
+    });
+  }
+
+  return broken.sort((a, b) => a.status.localeCompare(b.status) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  LINK_STATUS,
+  SOURCES,
+  checkLink,
+  collectLinks,
+  runHealthCheck,
+  loadBrokenLinks,
+};
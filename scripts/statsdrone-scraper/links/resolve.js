@@ -0,0 +1,112 @@
+/**
+ * Follow a link the way a browser would: HTTP redirects, then meta refresh and
+ * window.location redirects in the page
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const META_REFRESH = /<meta[^>]*http-equiv=["']refresh["'][^>]*content=["'][^"']*url=([^"'\s>]+)/i;
+const JS_REDIRECT = /(?:window|document)\.location(?:\.href)?\s*=\s*["']([^"']+)["']|\blocation\.replace\(\s*["']([^"']+)["']\s*\)/i;
+
+// Clean URL - keep path, remove only query parameters (?x=y)
+function cleanUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.origin + urlObj.pathname; // e.g., https://example.com/register
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Follow every redirect layer of a link
+ * @param {string} url
+ * @param {Object} options
+ * @param {number} options.maxRedirects
+ * @param {number} options.timeout - per request, ms
+ * @returns {Promise<Object>} {
+ *   finalUrl, status (HTTP status of the last response, null if none), redirects,
+ *   chain (every URL visited), setCookie (any response in the chain set a cookie),
+ *   html (final page, text/html only), loop, error (message if a request failed)
+ * }
+ */
+async function followLink(url, { maxRedirects = 10, timeout = 20000 } = {}) {
+  const result = { finalUrl: url, status: null, redirects: 0, chain: [url], setCookie: false, html: null, loop: false, error: null };
+  let currentUrl = url;
+
+  while (true) {
+    let response;
+    try {
+      response = await fetch(currentUrl, {
+        method: 'GET',
+        redirect: 'manual', // Don't auto-follow, we'll do it manually
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        },
+        signal: AbortSignal.timeout(timeout),
+      });
+    } catch (error) {
+      result.error = error.cause?.message || error.message;
+      break;
+    }
+
+    result.status = response.status;
+    if (response.headers.get('set-cookie')) result.setCookie = true;
+
+    let next = null;
+    if (response.status >= 300 && response.status < 400) {
+      next = response.headers.get('location');
+    } else if (response.headers.get('content-type')?.includes('text/html')) {
+      result.html = await response.text().catch(() => null);
+      if (result.html) {
+        const refresh = result.html.match(META_REFRESH);
+        const script = result.html.match(JS_REDIRECT);
+        next = refresh ? refresh[1].replace(/['"]/g, '') : script ? (script[1] || script[2]) : null;
+      }
+    }
+
+    if (!next) break;
+
+    let nextUrl;
+    try {
+      nextUrl = new URL(next, currentUrl).href; // Relative to the page it came from
+    } catch {
+      break;
+    }
+    if (result.chain.includes(nextUrl)) {
+      result.loop = true;
+      break;
+    }
+    if (result.redirects >= maxRedirects) {
+      result.loop = true; // Treated like a loop - it never settles
+      break;
+    }
+
+    currentUrl = nextUrl;
+    result.chain.push(nextUrl);
+    result.redirects++;
+    result.html = null;
+  }
+
+  result.finalUrl = currentUrl;
+  return result;
+}
+
+/**
+ * Final destination of a link (the link itself when it can't be followed)
+ */
+async function resolveRedirect(url, maxRedirects = 10) {
+  const result = await followLink(url, { maxRedirects });
+  if (result.error) {
+    console.error(`Error at redirect ${result.redirects}: ${result.error}`);
+  }
+  return result.finalUrl;
+}
+
+module.exports = {
+  USER_AGENT,
+  cleanUrl,
+  followLink,
+  resolveRedirect,
+};
@@ -12,6 +12,8 @@
 
 const puppeteer = require('puppeteer');
 const { PrismaClient } = require('../../node_modules/@prisma/client');
+const { saveScrape } = require('./tracking/changes');
+const { loadRunReport, printReport } = require('./tracking/report');
 
 const prisma = new PrismaClient();
 
@@ -89,6 +91,7 @@ async function scrapePrograms(browser, software = null) {
     // Click "Load More" button repeatedly until all programs are loaded
     let loadMoreClicks = 0;
     let previousRowCount = 0;
+    let fullyLoaded = true; // Programs can only be marked missing from a full listing
 
     while (true) {
       // Count current rows
@@ -134,6 +137,7 @@ async function scrapePrograms(browser, software = null) {
       // Safety limit to prevent infinite loops
       if (loadMoreClicks > 200) {
         console.log(`   ⚠️  Reached safety limit of 200 clicks`);
+        fullyLoaded = false;
         break;
       }
     }
@@ -203,25 +207,9 @@ async function scrapePrograms(browser, software = null) {
 
     console.log(`✅ Found ${programs.length} programs`);
 
-    // Save to database
-    let savedCount = 0;
-    for (const program of programs) {
-      try {
-        await prisma.statsDrone_Program.upsert({
-          where: { slug: program.slug },
-          update: {
-            ...program,
-            lastCheckedAt: new Date(),
-          },
-          create: {
-            ...program,
-          },
-        });
-        savedCount++;
-      } catch (error) {
-        console.error(`❌ Error saving ${program.name}:`, error.message);
-      }
-    }
+    // Save to database, recording what changed since the last scrape
+    const counts = await saveScrape(prisma, logEntry.id, programs, { software, complete: fullyLoaded });
+    const savedCount = counts.saved;
 
     console.log(`💾 Saved ${savedCount} programs to database`);
 
@@ -231,12 +219,14 @@ async function scrapePrograms(browser, software = null) {
     await prisma.statsDrone_ScrapingLog.update({
       where: { id: logEntry.id },
       data: {
-        status: 'success',
+        status: counts.failed > 0 ? 'partial' : 'success',
         programsFound: savedCount,
         completedAt: new Date(),
       },
     });
 
+    printReport(await loadRunReport(prisma, logEntry.id));
+
     return savedCount;
   } catch (error) {
     console.error('❌ Scraping error:', error.message);
@@ -0,0 +1,31 @@
+/**
+ * Affilka signup forms (Rails - fields named partner[...])
+ */
+
+module.exports = {
+  name: 'Affilka',
+  software: /affilka/i,
+
+  selectors: {
+    firstName: ['input[name="partner[first_name]"]'],
+    lastName: ['input[name="partner[last_name]"]'],
+    email: ['input[name="partner[email]"]'],
+    phone: ['input[name="partner[phone]"]'],
+    companyName: ['input[name="partner[company_name]"]'],
+    website: ['input[name="partner[website]"]', 'input[name="partner[site_url]"]'],
+    username: ['input[name="partner[login]"]'],
+    skype: ['input[name="partner[skype]"]'],
+    telegram: ['input[name="partner[telegram]"]'],
+    comments: ['textarea[name="partner[comment]"]'],
+  },
+  countrySelectors: ['select[name="partner[country]"]'],
+  termsSelectors: ['input[name="partner[terms_accepted]"]', 'input[name="partner[agree]"]'],
+
+  signupUrls(joinUrl) {
+    const { origin } = new URL(joinUrl);
+    return [joinUrl, `${origin}/partner/sign_up`, `${origin}/partners/sign_up`];
+  },
+
+  success: [/confirm(ation)? (link|email) (has been|was) sent/i, /check your (e-?mail|inbox)/i],
+  alreadyRegistered: [/has already been taken/i],
+};
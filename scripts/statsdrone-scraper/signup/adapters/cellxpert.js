@@ -0,0 +1,30 @@
+/**
+ * CellXpert signup forms (Angular - fields are identified by formcontrolname)
+ */
+
+module.exports = {
+  name: 'CellXpert',
+  software: /cellxpert/i,
+
+  selectors: {
+    firstName: ['input[formcontrolname="firstName"]', 'input[formcontrolname="first_name"]'],
+    lastName: ['input[formcontrolname="lastName"]', 'input[formcontrolname="last_name"]'],
+    email: ['input[formcontrolname="email"]'],
+    phone: ['input[formcontrolname="phone"]', 'input[formcontrolname="mobile"]'],
+    companyName: ['input[formcontrolname="company"]', 'input[formcontrolname="companyName"]'],
+    website: ['input[formcontrolname="website"]', 'input[formcontrolname="url"]'],
+    username: ['input[formcontrolname="username"]', 'input[formcontrolname="userName"]'],
+    skype: ['input[formcontrolname="skype"]'],
+  },
+  countrySelectors: ['select[formcontrolname="country"]'],
+  termsSelectors: ['input[formcontrolname="terms"]', 'input[formcontrolname="agree"]'],
+
+  // The join link usually is the registration page; the hash route is the fallback
+  signupUrls(joinUrl) {
+    const { origin } = new URL(joinUrl);
+    return [joinUrl, `${origin}/registration`, `${origin}/#/registration`];
+  },
+
+  success: [/registration (was )?successful/i, /thank you for (registering|signing up)/i, /pending (approval|review)/i],
+  alreadyRegistered: [/user(name)? already exists/i],
+};
@@ -0,0 +1,33 @@
+/**
+ * Income Access signup forms (classic ASP pages - registration.asp on the program's domain)
+ */
+
+module.exports = {
+  name: 'Income Access',
+  software: /income\s*access/i,
+
+  selectors: {
+    firstName: ['input[name="txtFirstName"]', '#txtFirstName'],
+    lastName: ['input[name="txtLastName"]', '#txtLastName'],
+    email: ['input[name="txtEmail"]', '#txtEmail'],
+    phone: ['input[name="txtPhone"]', '#txtPhone'],
+    companyName: ['input[name="txtCompany"]', '#txtCompany'],
+    website: ['input[name="txtWebsite"]', 'input[name="txtURL"]'],
+    username: ['input[name="txtUsername"]', 'input[name="txtLogin"]'],
+    address: ['input[name="txtAddress"]', 'input[name="txtAddress1"]'],
+    city: ['input[name="txtCity"]'],
+    state: ['input[name="txtState"]'],
+    zipCode: ['input[name="txtZip"]', 'input[name="txtPostalCode"]'],
+  },
+  countrySelectors: ['select[name="ddlCountry"]', 'select[name="cboCountry"]'],
+  submitSelectors: ['input[name="btnSubmit"]', '#btnSubmit'],
+
+  // The join link lands on the marketing site; the form lives at /registration.asp
+  signupUrls(joinUrl) {
+    const { origin } = new URL(joinUrl);
+    return [`${origin}/registration.asp`, joinUrl];
+  },
+
+  success: [/registration (is )?complete/i, /application (is|has been) (received|under review)/i],
+  alreadyRegistered: [/username (is )?(already|not available)/i],
+};
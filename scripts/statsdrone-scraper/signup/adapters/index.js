@@ -0,0 +1,35 @@
+/**
+ * Signup form adapters, one per affiliate software
+ *
+ * An adapter describes what is specific to one platform's signup form:
+ * - name, software: display name and the pattern matched against StatsDrone's software field
+ * - selectors: profile field -> selectors tried before the generic ones (signup/form.js)
+ * - countrySelectors, termsSelectors, submitSelectors: tried before the generic ones
+ * - fill(page, details, log): optional, fills fields the profile doesn't map to; returns the count
+ * - signupUrls(joinUrl): candidate signup pages, in the order to try them
+ * - success, alreadyRegistered: page text patterns added to the generic ones (signup/runner.js)
+ */
+
+const ADAPTERS = [
+  require('./cellxpert'),
+  require('./myaffiliates'),
+  require('./affilka'),
+  require('./income-access'),
+  require('./netrefer'),
+];
+
+// Anything else: generic selectors and the join link itself
+const GENERIC = {
+  name: 'Generic',
+  software: /.*/,
+  selectors: {},
+  signupUrls: (joinUrl) => [joinUrl],
+  success: [],
+  alreadyRegistered: [],
+};
+
+function getAdapter(software) {
+  return ADAPTERS.find(adapter => adapter.software.test(software || '')) || GENERIC;
+}
+
+module.exports = { ADAPTERS, GENERIC, getAdapter };
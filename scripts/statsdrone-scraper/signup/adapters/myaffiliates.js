@@ -0,0 +1,70 @@
+/**
+ * MyAffiliates signup forms (#fld_* field ids, business type and marketing fields)
+ */
+
+module.exports = {
+  name: 'MyAffiliates',
+  software: /myaffiliates/i,
+
+  selectors: {
+    firstName: ['#fld_first_name'],
+    lastName: ['#fld_last_name'],
+    email: ['#fld_email'],
+    phone: ['#fld_mobile_number'],
+    companyName: ['#fld_business_name'],
+    website: ['#fld_business_website', '#fld_primary_url'],
+    username: ['#fld_signup_username'],
+    address: ['#fld_business_address'],
+    city: ['#fld_business_city'],
+    state: ['#fld_business_state'],
+    zipCode: ['#fld_business_postcode'],
+    skype: ['#fld_skype'],
+  },
+  countrySelectors: ['#fld_country', '#fld_business_country'],
+  termsSelectors: ['input[name="termsagreement[]"]'],
+
+  // Business type, marketing method and registration number have no profile field
+  async fill(page, details, log) {
+    let filled = 0;
+
+    try {
+      const corporateRadio = await page.$('input[name="business_type"][value="corporate"]');
+      if (corporateRadio) {
+        await corporateRadio.click();
+        log('    ✓ Selected business type: corporate');
+        filled++;
+      }
+    } catch (e) {
+      // Field not present
+    }
+
+    try {
+      if (await page.$('#fld_marketing, select[name="marketing"]')) {
+        await page.select('#fld_marketing, select[name="marketing"]', 'website');
+        log('    ✓ Selected marketing: website');
+        filled++;
+      }
+    } catch (e) {
+      // Field not present
+    }
+
+    if (details.companyName) {
+      const regNumber = await page.$('#fld_business_reg_number, input[name="business_reg_number"]');
+      if (regNumber) {
+        await regNumber.type('N/A', { delay: 30 });
+        log('    ✓ Business Reg: N/A');
+        filled++;
+      }
+    }
+
+    return filled;
+  },
+
+  signupUrls(joinUrl) {
+    const { origin } = new URL(joinUrl);
+    return [joinUrl, `${origin}/signup`, `${origin}/affiliates/signup`];
+  },
+
+  success: [/application has been (received|submitted)/i, /thank you for (your application|signing up)/i],
+  alreadyRegistered: [/username is (already )?taken/i],
+};
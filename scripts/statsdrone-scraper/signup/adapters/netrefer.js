@@ -0,0 +1,32 @@
+/**
+ * NetRefer signup forms (ASP.NET - PascalCase field ids)
+ */
+
+module.exports = {
+  name: 'NetRefer',
+  software: /netrefer/i,
+
+  selectors: {
+    firstName: ['#FirstName', 'input[name="FirstName"]'],
+    lastName: ['#LastName', 'input[name="LastName"]'],
+    email: ['#Email', 'input[name="Email"]'],
+    phone: ['#Phone', '#MobilePhone', 'input[name="Phone"]'],
+    companyName: ['#CompanyName', 'input[name="CompanyName"]'],
+    website: ['#WebsiteUrl', '#Website', 'input[name="WebsiteUrl"]'],
+    username: ['#UserName', '#Username', 'input[name="UserName"]'],
+    address: ['#Address1', '#Address', 'input[name="Address1"]'],
+    city: ['#City', 'input[name="City"]'],
+    state: ['#State', '#County', 'input[name="State"]'],
+    zipCode: ['#PostCode', '#ZipCode', 'input[name="PostCode"]'],
+  },
+  countrySelectors: ['#CountryId', '#Country', 'select[name="CountryId"]'],
+  termsSelectors: ['#AcceptTerms', 'input[name="AcceptTerms"]', '#TermsAndConditions'],
+
+  signupUrls(joinUrl) {
+    const { origin } = new URL(joinUrl);
+    return [joinUrl, `${origin}/Registration`, `${origin}/registration/affiliate`];
+  },
+
+  success: [/registration (was )?successful/i, /account (is|will be) (reviewed|activated)/i],
+  alreadyRegistered: [/user ?name (is )?(already|in use)/i],
+};
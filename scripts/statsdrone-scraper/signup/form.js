@@ -0,0 +1,422 @@
+/**
+ * Signup form filling
+ *
+ * Generic heuristics that work on most affiliate signup forms: each profile field has a list
+ * of selectors to try, then email confirmation, passwords, country dropdowns and terms
+ * checkboxes. A form adapter (signup/adapters) adds its platform's selectors in front of the
+ * generic ones and can fill platform-only fields itself.
+ */
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Profile field -> generic selectors, most specific first
+const FIELDS = [
+  { key: 'firstName', name: 'First Name', selectors: [
+    '#firstName', '#first_name', '#firstname', '#fname', '#first',
+    '#given_name', '#givenName', '#givenname',
+    'input[name="first_name"]', 'input[name="firstName"]', 'input[name="firstname"]',
+    'input[name="fname"]', 'input[name="first"]', 'input[name="given_name"]',
+    'input[name="givenName"]', 'input[name="name_first"]',
+    'input[placeholder*="First Name"]', 'input[placeholder*="First name"]',
+    'input[placeholder*="first name"]', 'input[placeholder="First"]',
+    'input[id*="first"]', 'input[name*="first"]'
+  ]},
+  { key: 'lastName', name: 'Last Name', selectors: [
+    '#lastName', '#last_name', '#lastname', '#lname', '#last',
+    '#family_name', '#familyName', '#familyname', '#surname',
+    'input[name="last_name"]', 'input[name="lastName"]', 'input[name="lastname"]',
+    'input[name="lname"]', 'input[name="last"]', 'input[name="family_name"]',
+    'input[name="familyName"]', 'input[name="surname"]', 'input[name="name_last"]',
+    'input[placeholder*="Last Name"]', 'input[placeholder*="Last name"]',
+    'input[placeholder*="last name"]', 'input[placeholder="Last"]',
+    'input[placeholder*="Surname"]', 'input[placeholder*="Family"]',
+    'input[id*="last"]', 'input[name*="last"]', 'input[name*="surname"]'
+  ]},
+  { key: 'email', name: 'Email', selectors: [
+    '#email', 'input[name="email"]', 'input[type="email"]', 'input[placeholder*="Email"]'
+  ]},
+  { key: 'phone', name: 'Phone', selectors: [
+    '#phone', '#telephone', '#mobile', '#cell', '#mobile_number',
+    'input[name="mobile_number"]', 'input[name="phone"]', 'input[name="telephone"]',
+    'input[name="mobile"]', 'input[type="tel"]'
+  ]},
+  { key: 'companyName', name: 'Company', selectors: [
+    '#company', '#companyName', '#business_name',
+    'input[name="business_name"]', 'input[name="company"]', 'input[name="companyName"]',
+    'input[placeholder*="Company"]', 'input[placeholder*="Business"]'
+  ]},
+  { key: 'website', name: 'Website', selectors: [
+    '#website', '#url', '#business_website', '#primary_url',
+    'input[name="business_website"]', 'input[name="primary_url"]',
+    'input[name="website"]', 'input[name="url"]',
+    'input[placeholder*="Website"]', 'input[placeholder*="URL"]'
+  ]},
+  { key: 'username', name: 'Username', selectors: [
+    '#username', '#signup_username',
+    'input[name="signup_username"]', 'input[name="username"]',
+    'input[placeholder*="Username"]', 'input[placeholder*="Login"]'
+  ]},
+  { key: 'address', name: 'Address', selectors: [
+    '#address', '#business_address',
+    'input[name="business_address"]', 'input[name="address"]',
+    'input[placeholder*="Address"]'
+  ]},
+  { key: 'city', name: 'City', selectors: [
+    '#city', '#business_city',
+    'input[name="business_city"]', 'input[name="city"]',
+    'input[placeholder*="City"]', 'input[placeholder*="Town"]'
+  ]},
+  { key: 'state', name: 'State', selectors: [
+    '#state', '#business_state',
+    'input[name="business_state"]', 'input[name="state"]',
+    'input[placeholder*="State"]'
+  ]},
+  { key: 'zipCode', name: 'Zip', selectors: [
+    '#zip', '#zipCode', '#postalCode', '#postcode', '#business_postcode',
+    'input[name="business_postcode"]', 'input[name="zip"]',
+    'input[name="zipCode"]', 'input[name="postalCode"]'
+  ]},
+  { key: 'skype', name: 'Skype', selectors: [
+    '#skype', '#im',
+    'input[name="skype"]', 'input[name="im"]', 'input[placeholder*="Skype"]'
+  ]},
+  { key: 'telegram', name: 'Telegram', selectors: [
+    '#telegram', 'input[name="telegram"]', 'input[placeholder*="Telegram"]'
+  ]},
+  { key: 'discord', name: 'Discord', selectors: [
+    '#discord', 'input[name="discord"]', 'input[placeholder*="Discord"]'
+  ]},
+  { key: 'trafficSources', name: 'Traffic', selectors: [
+    '#trafficSources', '#traffic',
+    'input[name="trafficSources"]', 'input[name="traffic"]', 'input[placeholder*="traffic"]'
+  ]},
+  { key: 'monthlyVisitors', name: 'Visitors', selectors: [
+    '#visitors', '#monthlyVisitors',
+    'input[name="visitors"]', 'input[name="monthlyVisitors"]'
+  ]},
+  { key: 'promotionMethods', name: 'Promotion', selectors: [
+    '#promotion', '#promotionMethods',
+    'input[name="promotion"]', 'textarea[name="promotionMethods"]'
+  ]},
+  { key: 'comments', name: 'Comments', selectors: [
+    '#comments', '#message', '#notes',
+    'textarea[name="comments"]', 'textarea[name="message"]', 'textarea[name="notes"]', 'textarea'
+  ]},
+];
+
+const CONFIRM_EMAIL_SELECTORS = [
+  '#confirmEmail', '#confirm_email', '#emailConfirm', '#email_confirm',
+  '#reenterEmail', '#re_enter_email', '#verifyEmail', '#verify_email',
+  'input[name="confirmEmail"]', 'input[name="confirm_email"]',
+  'input[name="emailConfirm"]', 'input[name="email_confirm"]',
+  'input[name="reenterEmail"]', 'input[name="verifyEmail"]',
+  'input[name="email2"]', 'input[name="cemail"]',
+  'input[placeholder*="Confirm"]', 'input[placeholder*="Re-enter"]',
+  'input[placeholder*="Verify"]', 'input[placeholder*="Retype"]'
+];
+
+const COUNTRY_SELECTORS = [
+  '#country', 'select[name="country"]', 'select[name="business_country"]',
+  'select[name="countryCode"]', 'select[name="country_id"]',
+  'select[id*="country"]', 'select[name*="country"]'
+];
+
+const TERMS_SELECTORS = [
+  'input[name="terms"]',
+  'input[name="agree"]',
+  'input[name="tos"]',
+  'input[name="accept"]',
+  'input[name="terms_and_conditions"]',
+  'input[type="checkbox"][id*="term"]',
+  'input[type="checkbox"][id*="agree"]',
+  'input[type="checkbox"][name*="term"]',
+  'input[type="checkbox"][name*="agree"]',
+];
+
+const SUBMIT_SELECTORS = [
+  'button[type="submit"]',
+  'input[type="submit"]',
+  '.submit-btn',
+  '.register-btn',
+  '#submit',
+  '#register',
+];
+
+// Digits only (CellXpert pattern is [0-9]*), without the US country code
+function formatPhone(phone) {
+  let digits = (phone || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.substring(1);
+  }
+  return digits;
+}
+
+// Values as forms accept them - company names without spaces, some sites reject them
+function formValues(details) {
+  return {
+    ...details,
+    phone: formatPhone(details.phone),
+    companyName: details.companyName ? details.companyName.replace(/\s+/g, '') : '',
+  };
+}
+
+// Type into the first selector that exists - returns the selector used, or null
+async function typeInto(page, selectors, value) {
+  for (const selector of selectors) {
+    try {
+      const element = await page.$(selector);
+      if (element) {
+        await element.click({ clickCount: 3 }); // Select all existing text
+        await element.type(value, { delay: 30 });
+        return selector;
+      }
+    } catch (e) {
+      // Try next selector
+    }
+  }
+  return null;
+}
+
+async function fillConfirmEmail(page, email, log) {
+  const selector = await typeInto(page, CONFIRM_EMAIL_SELECTORS, email);
+  if (selector) {
+    log(`    ✓ Confirm Email: ${selector}`);
+    return 1;
+  }
+
+  // Otherwise every email input after the first is a confirmation
+  let filled = 0;
+  const emailInputs = await page.$$('input[type="email"]');
+  for (let i = 1; i < emailInputs.length; i++) {
+    try {
+      await emailInputs[i].click({ clickCount: 3 });
+      await emailInputs[i].type(email, { delay: 30 });
+      log(`    ✓ Email input ${i + 1} filled (likely confirm)`);
+      filled++;
+    } catch (e) {
+      log(`    ✗ Email input ${i + 1} failed`);
+    }
+  }
+  return filled;
+}
+
+async function fillPasswords(page, password, log) {
+  let filled = 0;
+  const passwordFields = await page.$$('input[type="password"]');
+
+  for (let i = 0; i < passwordFields.length; i++) {
+    try {
+      await passwordFields[i].click();
+      await passwordFields[i].evaluate(el => el.value = '');
+      await delay(100);
+      await passwordFields[i].type(password, { delay: 50 });
+      await delay(200);
+
+      const value = await passwordFields[i].evaluate(el => el.value);
+      if (value.length > 0) {
+        log(`    ✓ Password field ${i + 1} filled (${value.length} chars)`);
+        filled++;
+      } else {
+        log(`    ⚠️ Password field ${i + 1} appears empty after fill`);
+      }
+    } catch (e) {
+      log(`    ✗ Password field ${i + 1} failed: ${e.message}`);
+    }
+  }
+  return filled;
+}
+
+// Select the profile's country in every country dropdown (some forms have a business country too)
+async function selectCountry(page, country, selectors, log) {
+  const code = (country || 'US').toLowerCase();
+  const names = code === 'us' ? ['usa', 'united states', 'united states of america'] : [];
+  let selected = 0;
+
+  for (const selector of selectors) {
+    const selectEl = await page.$(selector);
+    if (!selectEl) continue;
+
+    try {
+      const value = await page.evaluate((sel, code, names) => {
+        const options = Array.from(document.querySelector(sel)?.querySelectorAll('option') || []);
+        const exact = options.find(opt => {
+          const text = opt.textContent?.trim().toLowerCase() || '';
+          const val = opt.value?.toLowerCase() || '';
+          return val === code || names.includes(text) || names.includes(val);
+        });
+        const partial = names.length > 0 && options.find(opt => (opt.textContent || '').toLowerCase().includes(names[1]));
+        return (exact || partial || null)?.value ?? null;
+      }, selector, code, names);
+
+      if (value === null) continue;
+
+      await selectEl.click();
+      await delay(100);
+      await page.select(selector, value);
+      await delay(200);
+
+      // Some custom dropdowns ignore select() - set the value directly
+      const current = await page.$eval(selector, el => el.value);
+      if (current !== value) {
+        await page.$eval(selector, (el, val) => {
+          el.value = val;
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+        }, value);
+      }
+      log(`    ✓ Selected country (${selector}): "${value}"`);
+      selected++;
+    } catch (e) {
+      log(`    ⚠️ Country selection error (${selector}): ${e.message}`);
+    }
+  }
+  return selected;
+}
+
+// Tick terms/agreement checkboxes - by name, or by the text next to them
+async function checkTerms(page, selectors, log) {
+  let checked = 0;
+  for (const selector of selectors) {
+    try {
+      for (const checkbox of await page.$$(selector)) {
+        if (!(await checkbox.evaluate(el => el.checked))) {
+          await checkbox.click();
+          checked++;
+          log(`    ✓ Checked: ${selector}`);
+        }
+      }
+    } catch (e) {
+      // Continue
+    }
+  }
+
+  try {
+    for (const checkbox of await page.$$('input[type="checkbox"]')) {
+      const nearTerms = await checkbox.evaluate(el => {
+        const style = window.getComputedStyle(el);
+        if (el.checked || style.display === 'none' || style.visibility === 'hidden') return false;
+        const text = el.closest('label, li, dd, div')?.textContent?.toLowerCase() || '';
+        return text.includes('agree') || text.includes('terms') || text.includes('condition');
+      });
+      if (nearTerms) {
+        await checkbox.click();
+        checked++;
+        log('    ✓ Checked terms-related checkbox');
+      }
+    }
+  } catch (e) {
+    // Continue
+  }
+  return checked;
+}
+
+/**
+ * Fill a signup form from profile details
+ * @param {Object} page - puppeteer page
+ * @param {Object} details - loadSignupProfile() / detailsForProgram()
+ * @param {Object} adapter - form adapter (signup/adapters)
+ * @returns {Promise<{ filled: number, missing: string[] }>}
+ */
+async function fillSignupForm(page, details, adapter, log = console.log) {
+  const values = formValues(details);
+  const adapterSelectors = adapter.selectors || {};
+  const missing = [];
+  let filled = 0;
+
+  log(`  Filling form fields (${adapter.name})...`);
+  for (const field of FIELDS) {
+    const value = values[field.key];
+    if (!value) continue;
+
+    const selector = await typeInto(page, [...(adapterSelectors[field.key] || []), ...field.selectors], value);
+    if (selector) {
+      log(`    ✓ ${field.name}: ${selector}`);
+      filled++;
+    } else {
+      log(`    ✗ ${field.name}: NOT FOUND`);
+      missing.push(field.name);
+    }
+  }
+
+  if (values.email) {
+    filled += await fillConfirmEmail(page, values.email, log);
+  }
+  if (values.password) {
+    filled += await fillPasswords(page, values.password, log);
+  }
+
+  // Platform-only fields (business type, marketing dropdowns...)
+  if (adapter.fill) {
+    filled += (await adapter.fill(page, values, log)) || 0;
+  }
+
+  await selectCountry(page, values.country, [...(adapter.countrySelectors || []), ...COUNTRY_SELECTORS], log);
+  await checkTerms(page, [...(adapter.termsSelectors || []), ...TERMS_SELECTORS], log);
+
+  log(`  Filled ${filled} fields`);
+  return { filled, missing };
+}
+
+// Whether the page shows a signup form (a password field plus an email or username field)
+async function hasSignupForm(page) {
+  return page.evaluate(() => {
+    const visible = (el) => el.offsetParent !== null;
+    const passwords = Array.from(document.querySelectorAll('input[type="password"]')).filter(visible);
+    const logins = Array.from(document.querySelectorAll('input[type="email"], input[name*="email" i], input[name*="user" i]')).filter(visible);
+    return passwords.length > 0 && logins.length > 0;
+  });
+}
+
+// Submit button: the adapter's, a submit input, or a button labelled like one
+async function findSubmitButton(page, adapter) {
+  for (const selector of [...(adapter.submitSelectors || []), ...SUBMIT_SELECTORS]) {
+    try {
+      const button = await page.$(selector);
+      if (button) return button;
+    } catch (e) {
+      // Try next
+    }
+  }
+
+  const handle = await page.evaluateHandle(() => {
+    const pattern = /sign\s*up|register|submit|create account|join|apply/i;
+    return Array.from(document.querySelectorAll('button, a.btn, [role="button"]'))
+      .find(el => el.offsetParent !== null && pattern.test(el.textContent || '')) || null;
+  });
+  return handle.asElement();
+}
+
+// Validation problems the form shows: invalid fields and visible error messages
+async function readFormErrors(page) {
+  return page.evaluate(() => {
+    const errors = [];
+
+    document.querySelectorAll('input, select, textarea').forEach(input => {
+      if (input.offsetParent !== null && input.checkValidity && !input.checkValidity()) {
+        errors.push(`${input.name || input.id || input.type}: ${input.validationMessage}`);
+      }
+    });
+
+    const errorSelectors = [
+      '.error', '.error-message', '.validation-error', '.field-error',
+      '.invalid-feedback', '.help-block', '[class*="error"]',
+      '.form-error', '.input-error', '.text-danger', '.alert-danger', '.has-error'
+    ];
+    document.querySelectorAll(errorSelectors.join(', ')).forEach(el => {
+      const text = el.textContent?.trim();
+      if (el.offsetParent !== null && text && text.length < 200) {
+        errors.push(text);
+      }
+    });
+
+    return [...new Set(errors)].slice(0, 10);
+  });
+}
+
+module.exports = {
+  FIELDS,
+  formatPhone,
+  fillSignupForm,
+  hasSignupForm,
+  findSubmitButton,
+  readFormErrors,
+};
@@ -0,0 +1,140 @@
+/**
+ * Read a signup mailbox and act on what the programs sent
+ *
+ * - Verification email: open its link; a program still pending is marked signed_up
+ *   (the email proves the signup went through)
+ * - Approval email: status -> approved
+ * - Rejection email: status -> rejected
+ *
+ * Handled messages are remembered by Message-ID in a state file, so each run only acts on
+ * new mail. Messages that failed (link didn't open) or matched no program are retried.
+ */
+
+const fs = require('fs');
+const { parseMessage } = require('./message');
+const { KINDS, classifyMessage, matchProgram, followVerificationLink } = require('./confirmations');
+const { markSignedUp, markApproved, markRejected } = require('../programs');
+
+// Programs an email can still change (and approved ones, so repeats are recognised)
+const OPEN_STATUSES = ['pending', 'signed_up', 'approved'];
+
+function loadState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (e) {
+    return { handled: {} };
+  }
+}
+
+function saveState(statePath, state) {
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * @param {Object} prisma
+ * @param {Object} source - openMailbox() result
+ * @param {Object} options
+ * @param {string} options.statePath - handled Message-IDs
+ * @param {Date} [options.since] - ignore older mail
+ * @param {boolean} [options.follow=true] - open verification links
+ * @param {boolean} [options.dryRun=false] - report only: no links, no status changes, no state
+ * @returns {Promise<Object>} counts per outcome
+ */
+async function checkSignupMail(prisma, source, { statePath, since, follow = true, dryRun = false }, log = console.log) {
+  const state = loadState(statePath);
+  const counts = { messages: 0, skipped: 0, ignored: 0, unmatched: 0, verified: 0, approved: 0, rejected: 0, failed: 0 };
+
+  const programs = await prisma.statsDrone_Program.findMany({
+    where: { status: { in: OPEN_STATUSES } },
+    select: { id: true, name: true, status: true, finalJoinUrl: true, signupEmail: true, signupUsername: true },
+  });
+
+  const remember = (message, entry) => {
+    if (!dryRun) {
+      state.handled[message.messageId] = { ...entry, at: new Date().toISOString() };
+    }
+  };
+
+  try {
+    for (const { raw } of await source.messages({ since })) {
+      const message = parseMessage(raw);
+      counts.messages++;
+      if (state.handled[message.messageId]) {
+        counts.skipped++;
+        continue;
+      }
+
+      const result = classifyMessage(message);
+      if (!result) {
+        remember(message, { kind: null });
+        counts.ignored++;
+        continue;
+      }
+
+      const { program, ambiguous } = matchProgram(message, programs);
+      if (!program) {
+        const candidates = ambiguous.length > 0 ? ` (could be: ${ambiguous.map(p => p.name).join(', ')})` : '';
+        log(`  ❓ ${result.kind} email from ${message.from} matches no program${candidates}: "${message.subject}"`);
+        counts.unmatched++;
+        continue;
+      }
+
+      log(`\n  ${program.name} - ${result.kind} email from ${message.from}`);
+      log(`    "${message.subject}"`);
+
+      if (result.kind === KINDS.VERIFICATION) {
+        if (!follow || dryRun) {
+          log(`    🔗 Verification link (not opened): ${result.link}`);
+          continue;
+        }
+        try {
+          const response = await followVerificationLink(result.link);
+          if (!response.ok) {
+            log(`    ❌ Verification link returned ${response.status} - will retry`);
+            counts.failed++;
+            continue;
+          }
+          log(`    ✅ Verified (${response.finalUrl})`);
+        } catch (error) {
+          log(`    ❌ Verification link failed: ${error.message} - will retry`);
+          counts.failed++;
+          continue;
+        }
+        if (program.status === 'pending') {
+          await markSignedUp(prisma, program.id, {
+            email: message.to || program.signupEmail,
+            username: program.signupUsername,
+          });
+          program.status = 'signed_up';
+          log('    Marked as signed up');
+        }
+        counts.verified++;
+      } else {
+        const status = result.kind === KINDS.APPROVED ? 'approved' : 'rejected';
+        if (dryRun) {
+          log(`    Would mark as ${status} (now ${program.status})`);
+          continue;
+        }
+        const changed = result.kind === KINDS.APPROVED
+          ? await markApproved(prisma, program.id)
+          : await markRejected(prisma, program.id);
+        if (changed) {
+          program.status = status;
+          log(`    ${status === 'approved' ? '🎉' : '🚫'} Marked as ${status}`);
+        } else {
+          log(`    Already ${program.status} - unchanged`);
+        }
+        counts[status]++;
+      }
+
+      remember(message, { kind: result.kind, programId: program.id });
+    }
+  } finally {
+    await source.close();
+    if (!dryRun) saveState(statePath, state);
+  }
+
+  return counts;
+}
+
+module.exports = { checkSignupMail };
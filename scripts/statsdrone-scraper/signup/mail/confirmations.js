@@ -0,0 +1,144 @@
+/**
+ * Signup emails -> programs and what they mean
+ *
+ * - classifyMessage: verification (with the link to follow), approved or rejected
+ * - matchProgram: which StatsDrone program sent it - sender / reply-to domain against the
+ *   program's join URL, then the domains of the links; the brand name only picks between
+ *   programs sharing a domain
+ * - followVerificationLink: open the link the way a click would
+ */
+
+const KINDS = {
+  VERIFICATION: 'verification',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+const REJECTED_PATTERNS = [
+  /(application|account|registration|request)[^.!\n]{0,40}\b(rejected|declined|denied|unsuccessful|not (been )?(approved|accepted))/i,
+  /\b(unable|not able) to (approve|accept)/i,
+  /\bregret to inform/i,
+  /\bdecided not to (approve|accept|proceed)/i,
+];
+
+const APPROVED_PATTERNS = [
+  /(application|account|registration)[^.!\n]{0,40}\b(has been|was|is now|is) (approved|accepted|activated)/i,
+  /\bwelcome to (the )?[^.!\n]{0,40}(affiliate|partner)s? (program|programme|team|network)/i,
+  /\byour (affiliate )?account is (now )?(active|live)/i,
+];
+
+const VERIFICATION_TEXT = /\b(verify|confirm|activate|validate)\b[^.!\n]{0,40}\b(e-?mail|account|registration|address)/i;
+const VERIFICATION_LINK = /verif|confirm|activat|validat/i;
+const SKIP_LINK = /unsubscribe|preferences|privacy|terms|mailto:/i;
+
+// Second-level labels under country TLDs (example.co.uk, example.com.au)
+const SECOND_LEVEL = new Set(['co', 'com', 'net', 'org', 'gov', 'ac', 'ltd', 'plc']);
+
+// aff.brand.co.uk -> brand.co.uk
+function baseDomain(hostname) {
+  const labels = (hostname || '').toLowerCase().replace(/^www\./, '').split('.').filter(Boolean);
+  if (labels.length <= 2) return labels.join('.');
+  const keep = labels[labels.length - 1].length === 2 && SECOND_LEVEL.has(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+function urlDomain(url) {
+  try {
+    return baseDomain(new URL(url).hostname);
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * What a signup email is about
+ * @param {Object} message - parseMessage() result
+ * @returns {{ kind: string, link?: string } | null} null when it's none of these
+ */
+function classifyMessage(message) {
+  const content = `${message.subject}\n${message.text}`;
+
+  if (REJECTED_PATTERNS.some(pattern => pattern.test(content))) {
+    return { kind: KINDS.REJECTED };
+  }
+
+  // Verification before approval: "accepted - please confirm your email" still needs the click
+  if (VERIFICATION_TEXT.test(content)) {
+    const candidates = message.links.filter(({ url }) => !SKIP_LINK.test(url));
+    // The link says what it does, or it's the only one in the email
+    const link = candidates.find(({ url, text }) => VERIFICATION_LINK.test(text) || VERIFICATION_LINK.test(url))
+      || (candidates.length === 1 ? candidates[0] : null);
+    if (link) {
+      return { kind: KINDS.VERIFICATION, link: link.url };
+    }
+  }
+
+  if (APPROVED_PATTERNS.some(pattern => pattern.test(content))) {
+    return { kind: KINDS.APPROVED };
+  }
+  return null;
+}
+
+/**
+ * The program an email came from
+ * @param {Object} message - parseMessage() result
+ * @param {Array<{ id: string, name: string, finalJoinUrl: string|null }>} programs
+ * @returns {{ program: Object|null, ambiguous: Object[] }} ambiguous lists the candidates when
+ *   several programs share the domain and the subject doesn't name one
+ */
+function matchProgram(message, programs) {
+  const byDomain = new Map();
+  for (const program of programs) {
+    const domain = urlDomain(program.finalJoinUrl);
+    if (!domain) continue;
+    if (!byDomain.has(domain)) byDomain.set(domain, []);
+    byDomain.get(domain).push(program);
+  }
+
+  // Several brands of one operator share a domain - the subject or text usually names the brand
+  const pick = (candidates) => {
+    if (candidates.length === 1) return { program: candidates[0], ambiguous: [] };
+    const content = `${message.subject}\n${message.text}`.toLowerCase();
+    const named = candidates.filter(program => content.includes(program.name.toLowerCase()));
+    return named.length === 1 ? { program: named[0], ambiguous: [] } : { program: null, ambiguous: candidates };
+  };
+
+  for (const address of [message.from, message.replyTo]) {
+    const domain = baseDomain(address.slice(address.lastIndexOf('@') + 1));
+    if (domain && byDomain.has(domain)) return pick(byDomain.get(domain));
+  }
+
+  // Mail sent through a platform or mailing service still links to the program's site
+  const linkDomains = [...new Set(message.links.map(link => urlDomain(link.url)))];
+  const linked = linkDomains.filter(domain => byDomain.has(domain));
+  if (linked.length === 1) return pick(byDomain.get(linked[0]));
+
+  // A name in the subject alone isn't enough - any newsletter can mention a brand
+  return { program: null, ambiguous: [] };
+}
+
+/**
+ * Open a verification link (following redirects)
+ * @returns {Promise<{ ok: boolean, status: number, finalUrl: string }>}
+ */
+async function followVerificationLink(url) {
+  const response = await fetch(url, {
+    method: 'GET',
+    redirect: 'follow',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    },
+    signal: AbortSignal.timeout(30000),
+  });
+  await response.arrayBuffer(); // Some sites only confirm once the page is read
+  return { ok: response.ok, status: response.status, finalUrl: response.url };
+}
+
+module.exports = {
+  KINDS,
+  baseDomain,
+  classifyMessage,
+  matchProgram,
+  followVerificationLink,
+};
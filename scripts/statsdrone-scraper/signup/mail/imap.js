@@ -0,0 +1,178 @@
+/**
+ * Minimal IMAP4rev1 client (RFC 3501) - read-only
+ *
+ * Only what the signup mail check needs: LOGIN, EXAMINE, UID SEARCH SINCE and
+ * UID FETCH BODY.PEEK[] (which leaves messages unread). Implicit TLS (imaps, port 993)
+ * or plain TCP for a local test server; no STARTTLS.
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+const TIMEOUT_MS = 30000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// IMAP quoted string
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Date as IMAP SEARCH wants it: 1-Jan-2026
+function imapDate(date) {
+  return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+}
+
+class ImapClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.host
+   * @param {number} [options.port] - 993 with TLS, 143 without
+   * @param {boolean} [options.secure=true]
+   */
+  constructor({ host, port, secure = true }) {
+    this.host = host;
+    this.secure = secure;
+    this.port = port || (secure ? 993 : 143);
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.response = null; // Response being read: { text, literals }
+    this.literalBytes = null; // Bytes still expected for the current literal
+    this.tag = 0;
+    this.pending = null; // { tag, untagged, resolve, reject }
+    this.greeting = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.greeting = { resolve, reject }; // Connection errors reject it too (fail)
+
+      this.socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+
+      this.socket.setTimeout(TIMEOUT_MS, () => {
+        this.socket.destroy(new Error(`IMAP server ${this.host} timed out`));
+      });
+      this.socket.on('data', (chunk) => this.onData(chunk));
+      this.socket.on('error', (error) => this.fail(error));
+      this.socket.on('close', () => this.fail(new Error('IMAP connection closed')));
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (true) {
+      if (!this.response) this.response = { text: '', literals: [] };
+
+      if (this.literalBytes !== null) {
+        if (this.buffer.length < this.literalBytes) return;
+        this.response.literals.push(this.buffer.subarray(0, this.literalBytes));
+        this.buffer = this.buffer.subarray(this.literalBytes);
+        this.literalBytes = null;
+        continue;
+      }
+
+      const end = this.buffer.indexOf('\r\n');
+      if (end < 0) return;
+      const line = this.buffer.subarray(0, end).toString('utf8');
+      this.buffer = this.buffer.subarray(end + 2);
+      this.response.text += line;
+
+      // A line ending in {n} continues after n bytes of literal data
+      const literal = line.match(/\{(\d+)\}$/);
+      if (literal) {
+        this.literalBytes = parseInt(literal[1], 10);
+        continue;
+      }
+
+      const response = this.response;
+      this.response = null;
+      this.onResponse(response);
+    }
+  }
+
+  onResponse(response) {
+    if (this.greeting) {
+      const { resolve, reject } = this.greeting;
+      this.greeting = null;
+      if (/^\* (OK|PREAUTH)/i.test(response.text)) resolve();
+      else reject(new Error(`IMAP server refused the connection: ${response.text}`));
+      return;
+    }
+
+    if (!this.pending) return;
+    if (response.text.startsWith(`${this.pending.tag} `)) {
+      const { resolve, reject, untagged } = this.pending;
+      this.pending = null;
+      const [, status, text] = response.text.match(/^\S+ (\S+) ?(.*)$/) || [];
+      if (status && status.toUpperCase() === 'OK') resolve(untagged);
+      else reject(new Error(`IMAP ${status || 'error'}: ${text || response.text}`));
+    } else {
+      this.pending.untagged.push(response);
+    }
+  }
+
+  fail(error) {
+    if (this.greeting) {
+      this.greeting.reject(error);
+      this.greeting = null;
+    }
+    if (this.pending) {
+      this.pending.reject(error);
+      this.pending = null;
+    }
+  }
+
+  // Send a command and wait for its tagged response; resolves with the untagged responses
+  command(text) {
+    if (this.pending) {
+      return Promise.reject(new Error('IMAP command already in progress'));
+    }
+    return new Promise((resolve, reject) => {
+      const tag = `A${++this.tag}`;
+      this.pending = { tag, untagged: [], resolve, reject };
+      this.socket.write(`${tag} ${text}\r\n`);
+    });
+  }
+
+  login(user, password) {
+    return this.command(`LOGIN ${quote(user)} ${quote(password)}`);
+  }
+
+  // Open a mailbox read-only
+  examine(mailbox = 'INBOX') {
+    return this.command(`EXAMINE ${quote(mailbox)}`);
+  }
+
+  // UIDs of messages received on or after `since` (all if not given)
+  async search(since) {
+    const untagged = await this.command(since ? `UID SEARCH SINCE ${imapDate(since)}` : 'UID SEARCH ALL');
+    const uids = [];
+    for (const response of untagged) {
+      const match = response.text.match(/^\* SEARCH\b(.*)$/i);
+      if (match) {
+        uids.push(...match[1].trim().split(/\s+/).filter(Boolean).map(Number));
+      }
+    }
+    return uids;
+  }
+
+  // Full raw message, without setting \Seen
+  async fetch(uid) {
+    const untagged = await this.command(`UID FETCH ${uid} BODY.PEEK[]`);
+    const response = untagged.find(item => /^\* \d+ FETCH/i.test(item.text) && item.literals.length > 0);
+    return response ? response.literals[0] : null;
+  }
+
+  async logout() {
+    try {
+      await this.command('LOGOUT');
+    } catch (e) {
+      // Server closing first is fine
+    }
+    this.socket.destroy();
+  }
+}
+
+module.exports = { ImapClient, imapDate };
@@ -0,0 +1,143 @@
+/**
+ * Mailbox sources for the signup mail check
+ *
+ * A mailbox spec picks the source:
+ *   imaps://user@imap.example.com/INBOX   IMAP over TLS (port 993 unless given)
+ *   imap://user@127.0.0.1:1143/INBOX      plain IMAP - local test servers only
+ *   maildir:/home/me/Maildir              Maildir (new/ and cur/)
+ *   mbox:/var/mail/signups                mbox file
+ *   /path/to/something                    Maildir if it's a directory, mbox if it's a file
+ *
+ * Every source is read-only: messages are never deleted, moved or flagged.
+ * Each message comes back as { raw: Buffer, receivedAt: Date|null }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ImapClient } = require('./imap');
+
+class MaildirSource {
+  constructor(dir) {
+    this.dir = dir;
+    this.label = `Maildir ${dir}`;
+  }
+
+  async messages({ since } = {}) {
+    const messages = [];
+    for (const folder of ['new', 'cur']) {
+      const folderPath = path.join(this.dir, folder);
+      if (!fs.existsSync(folderPath)) continue;
+
+      for (const name of fs.readdirSync(folderPath).sort()) {
+        const filePath = path.join(folderPath, name);
+        const stat = fs.statSync(filePath);
+        if (!stat.isFile() || (since && stat.mtime < since)) continue;
+        messages.push({ raw: fs.readFileSync(filePath), receivedAt: stat.mtime });
+      }
+    }
+    return messages;
+  }
+
+  async close() {}
+}
+
+class MboxSource {
+  constructor(file) {
+    this.file = file;
+    this.label = `mbox ${file}`;
+  }
+
+  // Split on "From " separator lines; ">From " escapes inside messages are undone (mboxrd)
+  async messages({ since } = {}) {
+    const content = fs.readFileSync(this.file).toString('latin1');
+    const messages = [];
+
+    for (const entry of content.split(/^From (?=\S)/m).slice(1)) {
+      const newline = entry.indexOf('\n');
+      const separator = entry.slice(0, newline);
+      const body = entry.slice(newline + 1).replace(/^>(>*From )/gm, '$1');
+
+      // "From sender@example.com Mon Oct 12 09:30:00 2026"
+      const date = new Date(separator.replace(/^\S+\s+/, ''));
+      const receivedAt = isNaN(date) ? null : date;
+      if (since && receivedAt && receivedAt < since) continue;
+
+      messages.push({ raw: Buffer.from(body, 'latin1'), receivedAt });
+    }
+    return messages;
+  }
+
+  async close() {}
+}
+
+class ImapSource {
+  constructor({ host, port, secure, user, password, mailbox }) {
+    this.options = { host, port, secure };
+    this.user = user;
+    this.password = password;
+    this.mailbox = mailbox;
+    this.client = null;
+    this.label = `IMAP ${user}@${host}/${mailbox}`;
+  }
+
+  async messages({ since } = {}) {
+    if (!this.password) {
+      throw new Error('No IMAP password - put it in the mailbox URL or SIGNUP_MAIL_PASSWORD');
+    }
+
+    this.client = new ImapClient(this.options);
+    await this.client.connect();
+    await this.client.login(this.user, this.password);
+    await this.client.examine(this.mailbox);
+
+    const messages = [];
+    for (const uid of await this.client.search(since)) {
+      const raw = await this.client.fetch(uid);
+      if (raw) messages.push({ raw, receivedAt: null });
+    }
+    return messages;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.logout();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Open a mailbox from its spec (see the top of this file)
+ * @param {string} spec
+ * @param {Object} [options]
+ * @param {string} [options.password] - IMAP password when the URL has none
+ */
+function openMailbox(spec, { password } = {}) {
+  if (!spec) {
+    throw new Error('No mailbox given - use --mailbox or SIGNUP_MAILBOX');
+  }
+
+  if (/^imaps?:\/\//i.test(spec)) {
+    const url = new URL(spec);
+    const secure = url.protocol === 'imaps:';
+    return new ImapSource({
+      host: url.hostname,
+      port: url.port ? parseInt(url.port, 10) : undefined,
+      secure,
+      user: decodeURIComponent(url.username),
+      password: url.password ? decodeURIComponent(url.password) : password,
+      mailbox: decodeURIComponent(url.pathname.replace(/^\//, '')) || 'INBOX',
+    });
+  }
+
+  const typed = spec.match(/^(maildir|mbox):(.*)$/i);
+  const target = typed ? typed[2] : spec;
+  if (!fs.existsSync(target)) {
+    throw new Error(`Mailbox not found: ${target}`);
+  }
+
+  const type = typed ? typed[1].toLowerCase() : (fs.statSync(target).isDirectory() ? 'maildir' : 'mbox');
+  return type === 'maildir' ? new MaildirSource(target) : new MboxSource(target);
+}
+
+module.exports = { openMailbox, MaildirSource, MboxSource, ImapSource };
@@ -0,0 +1,201 @@
+/**
+ * Email message parsing (RFC 5322 / MIME)
+ *
+ * Just enough to read signup emails: headers (with encoded words), multipart bodies,
+ * base64 / quoted-printable parts, and the links in the text and HTML parts.
+ * Attachments are skipped.
+ */
+
+const crypto = require('crypto');
+
+// Charsets Node decodes itself; anything else is read as UTF-8
+function bufferToString(buffer, charset) {
+  const name = (charset || 'utf-8').toLowerCase();
+  if (['iso-8859-1', 'latin1', 'us-ascii', 'ascii', 'windows-1252'].includes(name)) {
+    return buffer.toString('latin1');
+  }
+  if (name === 'utf-16le') return buffer.toString('utf16le');
+  return buffer.toString('utf8');
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, ''); // Soft line breaks
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.substr(i + 1, 2))) {
+      bytes.push(parseInt(source.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// =?charset?B|Q?text?= words in headers
+function decodeHeader(value) {
+  return (value || '')
+    .replace(/\?=\s+=\?/g, '?==?') // Whitespace between encoded words isn't part of the text
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const buffer = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return bufferToString(buffer, charset);
+    });
+}
+
+// Header block -> { lowercase name: value } (first occurrence wins)
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = line.slice(colon + 1).trim();
+    }
+  }
+  return headers;
+}
+
+// 'text/html; charset="utf-8"' -> { type: 'text/html', params: { charset: 'utf-8' } }
+function parseContentType(value) {
+  const [type, ...rest] = (value || 'text/plain').split(';');
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq <= 0) continue;
+    params[param.slice(0, eq).trim().toLowerCase()] = param.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function splitEntity(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) return { headerBlock: raw, body: '' };
+  return { headerBlock: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+}
+
+// Collect the text/plain and text/html parts of an entity (raw is a latin1 string of the bytes)
+function collectParts(raw, parts) {
+  const { headerBlock, body } = splitEntity(raw);
+  const headers = parseHeaders(headerBlock);
+  const { type, params } = parseContentType(headers['content-type']);
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const delimiter = `--${params.boundary}`;
+    const sections = body.split(delimiter);
+    sections.shift(); // Preamble
+    for (const section of sections) {
+      if (section.startsWith('--')) break; // Closing delimiter
+      collectParts(section.replace(/^[ \t]*\r?\n/, ''), parts);
+    }
+    return;
+  }
+
+  if (/^attachment/i.test(headers['content-disposition'] || '')) return;
+  if (type !== 'text/plain' && type !== 'text/html') return;
+
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  let buffer;
+  if (encoding === 'base64') {
+    buffer = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    buffer = decodeQuotedPrintable(body);
+  } else {
+    buffer = Buffer.from(body, 'latin1');
+  }
+  parts.push({ type, content: bufferToString(buffer, params.charset) });
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/gi, '&');
+}
+
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+}
+
+// Links with their text - anchors in the HTML, then bare URLs in the text
+function extractLinks(html, text) {
+  const links = [];
+  const seen = new Set();
+  const add = (url, label) => {
+    const clean = decodeEntities(url.trim()).replace(/[.,;]+$/, '');
+    if (!/^https?:\/\//i.test(clean) || seen.has(clean)) return;
+    seen.add(clean);
+    links.push({ url: clean, text: label });
+  };
+
+  const anchor = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = anchor.exec(html)) !== null) {
+    add(match[1], htmlToText(match[2]));
+  }
+  for (const url of text.match(/https?:\/\/[^\s<>"')\]]+/g) || []) {
+    add(url, '');
+  }
+  return links;
+}
+
+// 'Name <user@example.com>' -> 'user@example.com'
+function parseAddress(value) {
+  const decoded = decodeHeader(value);
+  const match = decoded.match(/<([^>]+)>/) || decoded.match(/[^\s<>"',;:]+@[^\s<>"',;:]+/);
+  return match ? (match[1] || match[0]).trim().toLowerCase() : '';
+}
+
+function addressDomain(address) {
+  const at = address.lastIndexOf('@');
+  return at >= 0 ? address.slice(at + 1) : '';
+}
+
+/**
+ * Parse a raw message
+ * @param {Buffer|string} raw - the message as stored (Maildir file, mbox entry, IMAP BODY[])
+ * @returns {{ messageId: string, from: string, fromDomain: string, replyTo: string, to: string,
+ *   subject: string, date: Date|null, text: string, html: string, links: Array<{url: string, text: string}> }}
+ */
+function parseMessage(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+  const headers = parseHeaders(Buffer.from(splitEntity(source).headerBlock, 'latin1').toString('utf8')); // Raw 8-bit headers are UTF-8
+
+  const parts = [];
+  collectParts(source, parts);
+  const html = parts.filter(part => part.type === 'text/html').map(part => part.content).join('\n');
+  const plain = parts.filter(part => part.type === 'text/plain').map(part => part.content).join('\n');
+  const text = plain || htmlToText(html);
+
+  const from = parseAddress(headers.from);
+  const date = headers.date ? new Date(headers.date) : null;
+
+  return {
+    // Messages without a Message-ID are identified by their content
+    messageId: (headers['message-id'] || '').replace(/[<>]/g, '').trim()
+      || crypto.createHash('sha1').update(source).digest('hex'),
+    from,
+    fromDomain: addressDomain(from),
+    replyTo: parseAddress(headers['reply-to']),
+    to: parseAddress(headers.to),
+    subject: decodeHeader(headers.subject),
+    date: date && !isNaN(date) ? date : null,
+    text,
+    html,
+    links: extractLinks(html, text),
+  };
+}
+
+module.exports = { parseMessage, parseAddress, addressDomain, decodeHeader };
@@ -0,0 +1,159 @@
+/**
+ * Signup bookkeeping shared by the signup scripts
+ *
+ * - The default SignupProfile, turned into the details a form adapter fills in
+ * - Per-program passwords (generated once, kept in signupPassword)
+ * - Status updates, so every script records a signup the same way:
+ *   signed_up always comes with signupDate and the email/username that were used;
+ *   approved / rejected (from the program's emails) only replace pending or signed_up
+ */
+
+const crypto = require('crypto');
+
+// Details filled into signup forms, from the default SignupProfile (null if there is none)
+async function loadSignupProfile(prisma) {
+  const profile = await prisma.signupProfile.findFirst({
+    where: { isDefault: true },
+  });
+
+  if (!profile) return null;
+
+  return {
+    profileId: profile.id, // Recorded on signups - the profile's account gets their logins
+    firstName: profile.firstName || '',
+    lastName: profile.lastName || '',
+    email: profile.email || '',
+    phone: profile.phone || '',
+    companyName: profile.companyName || '',
+    website: profile.website || '',
+    address: profile.address || '',
+    city: profile.city || '',
+    state: profile.state || '',
+    country: profile.country || 'US',
+    zipCode: profile.zipCode || '',
+    username: profile.username || '',
+    password: profile.password || '',
+    confirmPassword: profile.password || '',
+    skype: profile.skype || '',
+    telegram: profile.telegram || '',
+    discord: profile.discord || '',
+    trafficSources: profile.trafficSources || '',
+    monthlyVisitors: profile.monthlyVisitors || '',
+    promotionMethods: profile.promotionMethods || '',
+    comments: profile.comments || '',
+  };
+}
+
+// Profile details for one program: its own password, and its own email/username if set
+function detailsForProgram(profile, program, password) {
+  return {
+    ...profile,
+    email: program.signupEmail || profile.email,
+    username: program.signupUsername || profile.username,
+    password,
+    confirmPassword: password,
+  };
+}
+
+// Generate a simple password like "TomTest12" - CellXpert compatible
+function generatePassword() {
+  const words = [
+    'Alpha', 'Beta', 'Gamma', 'Delta', 'Echo', 'Foxtrot',
+    'Golf', 'Hotel', 'India', 'Juliet', 'Kilo', 'Lima',
+    'Mike', 'November', 'Oscar', 'Papa', 'Quebec', 'Romeo',
+    'Sierra', 'Tango', 'Uniform', 'Victor', 'Whiskey', 'Xray',
+    'Blue', 'Green', 'Red', 'Gold', 'Silver', 'Iron',
+    'Star', 'Moon', 'Sun', 'Sky', 'Cloud', 'Rain'
+  ];
+
+  const word1 = words[crypto.randomInt(words.length)];
+  const word2 = words[crypto.randomInt(words.length)];
+  const num = crypto.randomInt(10, 99); // Two digit number
+
+  return word1 + word2 + num;
+}
+
+// Generate and save password for a program
+async function getOrGeneratePassword(prisma, programId) {
+  const program = await prisma.statsDrone_Program.findUnique({
+    where: { id: programId },
+    select: { signupPassword: true },
+  });
+
+  if (program?.signupPassword) {
+    return program.signupPassword;
+  }
+
+  const password = generatePassword();
+  await prisma.statsDrone_Program.update({
+    where: { id: programId },
+    data: { signupPassword: password },
+  });
+
+  return password;
+}
+
+/**
+ * Why a program's join URL can't be used, or null if it can
+ * @returns {{ reason: string, clearUrl: boolean } | null}
+ */
+function checkJoinUrl(url) {
+  if (!url || url.trim() === '') {
+    return { reason: 'No URL', clearUrl: false };
+  }
+  try {
+    new URL(url);
+  } catch (e) {
+    return { reason: 'Invalid URL format', clearUrl: true };
+  }
+  if (url.includes('statsdrone.com')) {
+    // Redirect didn't resolve
+    return { reason: 'URL still contains statsdrone.com', clearUrl: true };
+  }
+  return null;
+}
+
+// Signed up (or the account already existed) - with the date, the login and the profile used
+async function markSignedUp(prisma, programId, details) {
+  await prisma.statsDrone_Program.update({
+    where: { id: programId },
+    data: {
+      status: 'signed_up',
+      signupDate: new Date(),
+      signupEmail: details.email || null,
+      signupUsername: details.username || null,
+      ...(details.profileId && { signupProfileId: details.profileId }),
+    },
+  });
+}
+
+async function markClosed(prisma, programId, { clearUrl = false } = {}) {
+  await prisma.statsDrone_Program.update({
+    where: { id: programId },
+    data: clearUrl ? { status: 'closed', finalJoinUrl: null } : { status: 'closed' },
+  });
+}
+
+// The program's answer to a signup - a template or closed program stays as it is
+async function markReviewed(prisma, programId, status) {
+  const result = await prisma.statsDrone_Program.updateMany({
+    where: { id: programId, status: { in: ['pending', 'signed_up'] } },
+    data: { status },
+  });
+  return result.count > 0;
+}
+
+const markApproved = (prisma, programId) => markReviewed(prisma, programId, 'approved');
+const markRejected = (prisma, programId) => markReviewed(prisma, programId, 'rejected');
+
+module.exports = {
+  loadSignupProfile,
+  detailsForProgram,
+  generatePassword,
+  getOrGeneratePassword,
+  checkJoinUrl,
+  markSignedUp,
+  markClosed,
+  markApproved,
+  markRejected,
+};
@@ -0,0 +1,163 @@
+/**
+ * Non-interactive signup for one program
+ *
+ * Opens the adapter's candidate signup pages until one shows a form, fills it from the profile,
+ * submits and reads the result off the page. Every attempt ends with a full-page screenshot, so
+ * failed and unclear signups can be checked by hand afterwards.
+ */
+
+const { fillSignupForm, hasSignupForm, findSubmitButton, readFormErrors } = require('./form');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const OUTCOMES = {
+  SIGNED_UP: 'signed_up',
+  ALREADY_REGISTERED: 'already_registered',
+  FAILED: 'failed',
+  NEEDS_REVIEW: 'needs_review', // CAPTCHA, no submit button, or no clear answer after submitting
+  DRY_RUN: 'dry_run',
+};
+
+const SUCCESS_PATTERNS = [
+  /thank you for (registering|signing up|your (application|registration))/i,
+  /(registration|signup|sign-up) (was |is )?(complete|successful)/i,
+  /successfully (registered|submitted|created)/i,
+  /application (has been |was )?(received|submitted)/i,
+  /(verify|confirm) your e-?mail/i,
+  /pending (approval|review)/i,
+];
+
+const ALREADY_REGISTERED_PATTERNS = [
+  /email.*(already|exists|registered|in use)/i,
+  /already.*registered/i,
+  /account.*exists/i,
+];
+
+const CAPTCHA_SELECTORS = [
+  'iframe[src*="recaptcha"]',
+  '.g-recaptcha',
+  'iframe[src*="hcaptcha"]',
+  '.h-captcha',
+  '.cf-turnstile',
+];
+
+async function pageText(page) {
+  return page.evaluate(() => document.body?.innerText || '');
+}
+
+async function hasCaptcha(page) {
+  for (const selector of CAPTCHA_SELECTORS) {
+    if (await page.$(selector)) return true;
+  }
+  return false;
+}
+
+// Open the candidate pages in order until one has a signup form
+async function openSignupForm(page, urls, log) {
+  for (const url of urls) {
+    try {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+      await delay(2000); // Let client-side forms render
+      if (await hasSignupForm(page)) return url;
+      log(`  No signup form at ${url}`);
+    } catch (error) {
+      log(`  Could not open ${url}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+async function saveScreenshot(page, screenshotPath, log) {
+  if (!screenshotPath) return null;
+  try {
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    return screenshotPath;
+  } catch (error) {
+    log(`  ⚠️ Screenshot failed: ${error.message}`);
+    return null;
+  }
+}
+
+// What the page says after submitting
+async function detectOutcome(page, adapter, formUrl) {
+  const text = await pageText(page);
+
+  if ([...(adapter.success || []), ...SUCCESS_PATTERNS].some(pattern => pattern.test(text))) {
+    return { outcome: OUTCOMES.SIGNED_UP, message: 'Signup confirmed' };
+  }
+  // Forms often say "Already registered? Log in" - only errors, or a page that replaced the form, count
+  const alreadyRegistered = (value) => [...(adapter.alreadyRegistered || []), ...ALREADY_REGISTERED_PATTERNS]
+    .some(pattern => pattern.test(value));
+  const errors = await readFormErrors(page);
+  if (errors.some(alreadyRegistered)) {
+    return { outcome: OUTCOMES.ALREADY_REGISTERED, message: 'Already registered', errors };
+  }
+  if (errors.length > 0) {
+    return { outcome: OUTCOMES.FAILED, message: 'Form rejected the signup', errors };
+  }
+  if (page.url() !== formUrl && !(await hasSignupForm(page))) {
+    if (alreadyRegistered(text)) {
+      return { outcome: OUTCOMES.ALREADY_REGISTERED, message: 'Already registered' };
+    }
+    return { outcome: OUTCOMES.NEEDS_REVIEW, message: `Left the form for ${page.url()} without a confirmation` };
+  }
+  return { outcome: OUTCOMES.NEEDS_REVIEW, message: 'No confirmation or error after submitting' };
+}
+
+/**
+ * Sign up on one program's site
+ * @param {Object} page - puppeteer page
+ * @param {Object} options
+ * @param {string[]} options.urls - candidate signup pages (adapter.signupUrls)
+ * @param {Object} options.details - profile details for this program
+ * @param {Object} options.adapter - form adapter
+ * @param {string} [options.screenshotPath] - where to save the final screenshot
+ * @param {boolean} [options.submit=true] - false fills the form without submitting (dry run)
+ * @returns {Promise<{ outcome: string, message: string, url: string|null, errors: string[], screenshot: string|null }>}
+ */
+async function signUp(page, { urls, details, adapter, screenshotPath, submit = true }, log = console.log) {
+  const finish = async (result) => ({
+    errors: [],
+    ...result,
+    screenshot: await saveScreenshot(page, screenshotPath, log),
+  });
+
+  const url = await openSignupForm(page, urls, log);
+  if (!url) {
+    // Some sites show "already registered" instead of a form to a known visitor
+    const text = await pageText(page).catch(() => '');
+    if (ALREADY_REGISTERED_PATTERNS.some(pattern => pattern.test(text))) {
+      return finish({ outcome: OUTCOMES.ALREADY_REGISTERED, message: 'Already registered', url: null });
+    }
+    return finish({ outcome: OUTCOMES.FAILED, message: 'No signup form found', url: null });
+  }
+  log(`  Signup form: ${url}`);
+
+  const { filled, missing } = await fillSignupForm(page, details, adapter, log);
+  if (filled === 0) {
+    return finish({ outcome: OUTCOMES.FAILED, message: 'No form fields could be filled', url });
+  }
+
+  if (await hasCaptcha(page)) {
+    return finish({ outcome: OUTCOMES.NEEDS_REVIEW, message: 'CAPTCHA on the form - finish this one by hand', url });
+  }
+  if (!submit) {
+    const note = missing.length > 0 ? ` (not found: ${missing.join(', ')})` : '';
+    return finish({ outcome: OUTCOMES.DRY_RUN, message: `Filled ${filled} fields${note}`, url });
+  }
+
+  const button = await findSubmitButton(page, adapter);
+  if (!button) {
+    return finish({ outcome: OUTCOMES.NEEDS_REVIEW, message: 'No submit button found', url });
+  }
+
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 }).catch(() => null), // Ajax forms don't navigate
+    button.click(),
+  ]);
+  await delay(3000);
+
+  return finish({ ...(await detectOutcome(page, adapter, url)), url });
+}
+
+module.exports = { OUTCOMES, signUp };
@@ -0,0 +1,190 @@
+/**
+ * Change tracking for scraped StatsDrone programs
+ *
+ * Each scrape is compared with what's stored before it's saved:
+ * - added: a slug we haven't seen before
+ * - changed: one row per tracked field that differs (old and new value kept)
+ * - missing: listed last time but not in this scrape - possibly closed, so it's set inactive
+ * - returned: listed again after going missing
+ *
+ * Rows go to StatsDrone_ProgramChange against the run's StatsDrone_ScrapingLog.
+ */
+
+const CHANGE_TYPES = {
+  ADDED: 'added',
+  CHANGED: 'changed',
+  MISSING: 'missing',
+  RETURNED: 'returned',
+};
+
+// Fields whose history is kept - the rest (logo, review URL) is presentation
+const TRACKED_FIELDS = [
+  'name',
+  'software',
+  'commission',
+  'apiSupport',
+  'availableInSD',
+  'category',
+  'exclusiveOffer',
+  'joinUrl',
+];
+
+// A listing this much smaller than the last one is a broken page load, not closures
+const MIN_LISTED_RATIO = 0.5;
+
+function toValue(value) {
+  return value === null || value === undefined || value === '' ? null : String(value);
+}
+
+/**
+ * Tracked fields that differ between the stored program and the scraped one
+ * @returns {Array<{ field: string, oldValue: string|null, newValue: string|null }>}
+ */
+function diffProgram(stored, scraped) {
+  const diffs = [];
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in scraped)) continue; // Not read from this page
+    const oldValue = toValue(stored[field]);
+    const newValue = toValue(scraped[field]);
+    if (oldValue !== newValue) {
+      diffs.push({ field, oldValue, newValue });
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Save one scrape, recording what changed since the last one
+ * @param {PrismaClient} prisma
+ * @param {string} logId - StatsDrone_ScrapingLog of this run
+ * @param {Array<Object>} programs - scraped programs (slug + StatsDrone_Program fields)
+ * @param {Object} options
+ * @param {string|null} options.software - software filter of the run; only programs with that
+ *   software can go missing from it
+ * @param {boolean} options.complete - the whole listing was loaded; missing programs are only
+ *   marked after a complete scrape
+ * @returns {Promise<{ saved, failed, added, changed, missing, returned, missingSkipped }>}
+ */
+async function saveScrape(prisma, logId, programs, { software = null, complete = true } = {}) {
+  const counts = { saved: 0, failed: 0, added: 0, changed: 0, missing: 0, returned: 0, missingSkipped: false };
+  const now = new Date();
+
+  // The listing can repeat a program - the first row wins
+  const bySlug = new Map();
+  for (const program of programs) {
+    if (program.slug && !bySlug.has(program.slug)) bySlug.set(program.slug, program);
+  }
+  const slugs = [...bySlug.keys()];
+
+  const stored = await prisma.statsDrone_Program.findMany({
+    where: { slug: { in: slugs } },
+    select: { id: true, slug: true, isActive: true, missingSince: true, ...Object.fromEntries(TRACKED_FIELDS.map(field => [field, true])) },
+  });
+  const storedBySlug = new Map(stored.map(program => [program.slug, program]));
+
+  for (const program of bySlug.values()) {
+    const previous = storedBySlug.get(program.slug);
+    const diffs = previous ? diffProgram(previous, program) : [];
+    const returned = previous && previous.missingSince !== null;
+
+    try {
+      // Program and its change rows together, so a failed save doesn't leave a half-recorded diff
+      await prisma.$transaction(async (tx) => {
+        const saved = await tx.statsDrone_Program.upsert({
+          where: { slug: program.slug },
+          update: {
+            ...program,
+            lastCheckedAt: now,
+            isActive: true,
+            missingSince: null,
+          },
+          create: {
+            ...program,
+          },
+          select: { id: true },
+        });
+
+        const changes = [];
+        if (!previous) {
+          changes.push({ type: CHANGE_TYPES.ADDED });
+        }
+        if (returned) {
+          changes.push({ type: CHANGE_TYPES.RETURNED, oldValue: previous.missingSince.toISOString() });
+        }
+        for (const diff of diffs) {
+          changes.push({ type: CHANGE_TYPES.CHANGED, ...diff });
+        }
+
+        if (changes.length > 0) {
+          await tx.statsDrone_ProgramChange.createMany({
+            data: changes.map(change => ({ ...change, programId: saved.id, scrapingLogId: logId, detectedAt: now })),
+          });
+        }
+      });
+
+      counts.saved++;
+      if (!previous) counts.added++;
+      if (returned) counts.returned++;
+      if (diffs.length > 0) counts.changed++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Error saving ${program.name}:`, error.message);
+    }
+  }
+
+  if (complete) {
+    await markMissing(prisma, logId, slugs, software, now, counts);
+  }
+
+  await prisma.statsDrone_ScrapingLog.update({
+    where: { id: logId },
+    data: {
+      programsAdded: counts.added,
+      programsChanged: counts.changed,
+      programsMissing: counts.missing,
+      programsReturned: counts.returned,
+    },
+  });
+
+  return counts;
+}
+
+// Programs listed before (in this run's scope) that this scrape didn't find
+async function markMissing(prisma, logId, slugs, software, now, counts) {
+  const scope = {
+    isActive: true,
+    ...(software && { software: { equals: software, mode: 'insensitive' } }),
+  };
+
+  const listedBefore = await prisma.statsDrone_Program.count({ where: scope });
+  if (slugs.length < listedBefore * MIN_LISTED_RATIO) {
+    console.log(`   ⚠️  Only ${slugs.length} of ${listedBefore} known programs listed - not marking any as missing`);
+    counts.missingSkipped = true;
+    return;
+  }
+
+  const missing = await prisma.statsDrone_Program.findMany({
+    where: { ...scope, slug: { notIn: slugs } },
+    select: { id: true },
+  });
+  if (missing.length === 0) return;
+
+  const ids = missing.map(program => program.id);
+  await prisma.$transaction([
+    prisma.statsDrone_Program.updateMany({
+      where: { id: { in: ids } },
+      data: { isActive: false, missingSince: now },
+    }),
+    prisma.statsDrone_ProgramChange.createMany({
+      data: ids.map(programId => ({ programId, scrapingLogId: logId, type: CHANGE_TYPES.MISSING, detectedAt: now })),
+    }),
+  ]);
+  counts.missing = ids.length;
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  TRACKED_FIELDS,
+  diffProgram,
+  saveScrape,
+};
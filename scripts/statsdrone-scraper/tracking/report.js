@@ -0,0 +1,108 @@
+/**
+ * Diff report of a scrape, built from its stored StatsDrone_ProgramChange rows
+ * Used right after a scrape and by view-changes.js for earlier runs.
+ */
+
+const { CHANGE_TYPES } = require('./changes');
+
+/**
+ * @param {PrismaClient} prisma
+ * @param {string} logId - StatsDrone_ScrapingLog ID
+ * @returns {Promise<Object|null>} { log, added, returned, missing, changed: [{ program, fields }] }
+ */
+async function loadRunReport(prisma, logId) {
+  const log = await prisma.statsDrone_ScrapingLog.findUnique({ where: { id: logId } });
+  if (!log) return null;
+
+  const changes = await prisma.statsDrone_ProgramChange.findMany({
+    where: { scrapingLogId: logId },
+    include: {
+      program: {
+        select: { id: true, name: true, slug: true, software: true, commission: true, apiSupport: true, status: true },
+      },
+    },
+    orderBy: [{ program: { name: 'asc' } }, { field: 'asc' }],
+  });
+
+  const report = { log, added: [], returned: [], missing: [], changed: [] };
+  const changedById = new Map();
+
+  for (const change of changes) {
+    if (change.type === CHANGE_TYPES.ADDED) report.added.push(change.program);
+    else if (change.type === CHANGE_TYPES.RETURNED) report.returned.push(change.program);
+    else if (change.type === CHANGE_TYPES.MISSING) report.missing.push(change.program);
+    else if (change.type === CHANGE_TYPES.CHANGED) {
+      if (!changedById.has(change.program.id)) {
+        const entry = { program: change.program, fields: [] };
+        changedById.set(change.program.id, entry);
+        report.changed.push(entry);
+      }
+      changedById.get(change.program.id).fields.push({
+        field: change.field,
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+      });
+    }
+  }
+
+  return report;
+}
+
+function describeProgram(program) {
+  const details = [program.software, program.commission].filter(Boolean).join(' • ');
+  return `${program.name}${details ? ` (${details})` : ''}${program.apiSupport ? ' [API]' : ''}`;
+}
+
+function printSection(title, lines, limit, logId) {
+  if (lines.length === 0) return;
+  console.log(`\n${title} (${lines.length}):`);
+  const shown = limit ? lines.slice(0, limit) : lines;
+  shown.forEach(line => console.log(`   ${line}`));
+  if (shown.length < lines.length) {
+    console.log(`   ... and ${lines.length - shown.length} more (npm run changes -- --run ${logId} --all)`);
+  }
+}
+
+/**
+ * Print a run's diff - opportunities (new programs, API support gained, commission changes) first
+ * @param {Object} report - loadRunReport() result
+ * @param {Object} options
+ * @param {number|null} options.limit - max lines per section (null for all)
+ */
+function printReport(report, { limit = 25 } = {}) {
+  const { log } = report;
+
+  console.log(`\n📋 Changes in scrape ${log.id} (${log.software || 'all'}, ${log.startedAt.toLocaleString()})`);
+  console.log(`   ${log.programsAdded} new • ${log.programsChanged} changed • ${log.programsMissing} possibly closed • ${log.programsReturned} back`);
+
+  const fieldChanges = (field) => report.changed
+    .map(({ program, fields }) => ({ program, change: fields.find(f => f.field === field) }))
+    .filter(({ change }) => change);
+
+  // Sections of their own - everything else is listed under other changes
+  const highlighted = (f) => f.field === 'commission' || (f.field === 'apiSupport' && f.newValue === 'true');
+  const gainedApi = fieldChanges('apiSupport').filter(({ change }) => change.newValue === 'true');
+  const commission = fieldChanges('commission');
+  const other = report.changed
+    .map(({ program, fields }) => ({ program, fields: fields.filter(f => !highlighted(f)) }))
+    .filter(({ fields }) => fields.length > 0);
+
+  printSection('🆕 New programs', report.added.map(describeProgram), limit, log.id);
+  printSection('🔌 Gained API support', gainedApi.map(({ program }) => describeProgram(program)), limit, log.id);
+  printSection('💰 Commission changes', commission.map(({ program, change }) =>
+    `${program.name}: ${change.oldValue || '-'} → ${change.newValue || '-'}`), limit, log.id);
+  printSection('✏️  Other changes', other.map(({ program, fields }) =>
+    `${program.name}: ${fields.map(f => `${f.field} ${f.oldValue ?? '-'} → ${f.newValue ?? '-'}`).join(', ')}`), limit, log.id);
+  printSection('❓ Possibly closed (missing from the listing)', report.missing.map(program =>
+    `${program.name}${program.status !== 'pending' ? ` [${program.status}]` : ''}`), limit, log.id);
+  printSection('↩️  Listed again', report.returned.map(describeProgram), limit, log.id);
+
+  if (report.added.length + report.changed.length + report.missing.length + report.returned.length === 0) {
+    console.log('\n   No changes since the last scrape');
+  }
+}
+
+module.exports = {
+  loadRunReport,
+  printReport,
+};
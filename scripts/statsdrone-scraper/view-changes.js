@@ -0,0 +1,101 @@
+/**
+ * View what changed between StatsDrone scrapes
+ *
+ * Usage:
+ *   npm run changes                          - Diff report of the latest finished scrape
+ *   npm run changes -- --run <logId> --all   - A given scrape, every line
+ *   npm run changes -- --program <slug>      - Field history of one program
+ *   npm run changes -- --missing             - Programs currently missing (possibly closed)
+ */
+
+const { PrismaClient } = require('../../node_modules/@prisma/client');
+const { loadRunReport, printReport } = require('./tracking/report');
+const prisma = new PrismaClient();
+
+// Parse command line args
+const args = process.argv.slice(2);
+let runId = null;
+let programSlug = null;
+const showAll = args.includes('--all');
+const showMissing = args.includes('--missing');
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--run' && args[i + 1]) {
+    runId = args[i + 1];
+  }
+  if (args[i] === '--program' && args[i + 1]) {
+    programSlug = args[i + 1];
+  }
+}
+
+async function showRun() {
+  if (!runId) {
+    const latest = await prisma.statsDrone_ScrapingLog.findFirst({
+      where: { status: { in: ['success', 'partial'] } },
+      orderBy: { startedAt: 'desc' },
+    });
+    if (!latest) {
+      console.log('No finished scrapes yet - run: npm run scrape');
+      return;
+    }
+    runId = latest.id;
+  }
+
+  const report = await loadRunReport(prisma, runId);
+  if (!report) {
+    console.log(`❌ Scrape ${runId} not found`);
+    return;
+  }
+  printReport(report, { limit: showAll ? null : 25 });
+}
+
+async function showProgram() {
+  const program = await prisma.statsDrone_Program.findUnique({
+    where: { slug: programSlug },
+    include: { changes: { orderBy: { detectedAt: 'asc' } } },
+  });
+  if (!program) {
+    console.log(`❌ No program with slug "${programSlug}"`);
+    return;
+  }
+
+  console.log(`\n📜 ${program.name} (${program.slug})`);
+  console.log(`   Status: ${program.status}${program.missingSince ? ` • missing since ${program.missingSince.toLocaleDateString()}` : ''}`);
+  for (const change of program.changes) {
+    const detail = change.field ? ` ${change.field}: ${change.oldValue ?? '-'} → ${change.newValue ?? '-'}` : '';
+    console.log(`   ${change.detectedAt.toLocaleString()}  ${change.type}${detail}`);
+  }
+  if (program.changes.length === 0) {
+    console.log('   No recorded changes');
+  }
+}
+
+async function showMissingPrograms() {
+  const programs = await prisma.statsDrone_Program.findMany({
+    where: { missingSince: { not: null } },
+    orderBy: { missingSince: 'asc' },
+    select: { name: true, software: true, status: true, missingSince: true },
+  });
+
+  console.log(`\n❓ Missing from the StatsDrone listing (${programs.length}):`);
+  programs.forEach(p => {
+    console.log(`   ${p.name} (${p.software || '-'}) - since ${p.missingSince.toLocaleDateString()}${p.status !== 'pending' ? ` [${p.status}]` : ''}`);
+  });
+}
+
+async function main() {
+  if (programSlug) {
+    await showProgram();
+  } else if (showMissing) {
+    await showMissingPrograms();
+  } else {
+    await showRun();
+  }
+  await prisma.$disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Fatal error:', error.message);
+  await prisma.$disconnect();
+  process.exit(1);
+});
@@ -27,6 +27,8 @@ interface SignupProfile {
   monthlyVisitors: string | null;
   promotionMethods: string | null;
   comments: string | null;
+  user?: { email: string } | null; // Account whose desktop client receives the logins
+  ownerEmail?: string; // Edited as an email, resolved to the account by the API
 }
 
 const emptyProfile: Partial<SignupProfile> = {
@@ -52,6 +54,7 @@ const emptyProfile: Partial<SignupProfile> = {
   monthlyVisitors: '',
   promotionMethods: '',
   comments: '',
+  ownerEmail: '',
 };
 
 export default function SignupProfilesPage() {
@@ -91,6 +94,9 @@ export default function SignupProfilesPage() {
       if (res.ok) {
         await loadProfiles();
         setEditingProfile(null);
+      } else {
+        const data = await res.json();
+        alert(data.error || 'Failed to save profile');
       }
     } catch (error) {
       console.error('Failed to save profile:', error);
@@ -172,6 +178,7 @@ export default function SignupProfilesPage() {
                         <p><strong>Company:</strong> {profile.companyName}</p>
                         <p><strong>Website:</strong> {profile.website}</p>
                         <p><strong>Location:</strong> {profile.city}, {profile.state} {profile.country}</p>
+                        <p><strong>Logins go to:</strong> {profile.user?.email || '—'}</p>
                       </div>
                     </div>
                     <div className="flex gap-2">
@@ -184,7 +191,7 @@ export default function SignupProfilesPage() {
                         </button>
                       )}
                       <button
-                        onClick={() => setEditingProfile(profile)}
+                        onClick={() => setEditingProfile({ ...profile, ownerEmail: profile.user?.email || '' })}
                         className="btn-ghost text-sm"
                       >
                         Edit
@@ -388,6 +395,24 @@ export default function SignupProfilesPage() {
               </div>
             </div>
 
+            {/* Desktop Hand-off */}
+            <div>
+              <h3 className="text-lg font-medium mb-3 text-primary-400">Desktop Hand-off</h3>
+              <div>
+                <label className="block text-sm font-medium mb-2">Account Email</label>
+                <input
+                  type="email"
+                  value={editingProfile.ownerEmail || ''}
+                  onChange={(e) => setEditingProfile({ ...editingProfile, ownerEmail: e.target.value })}
+                  className="w-full px-3 py-2 bg-dark-800 border border-dark-700 rounded"
+                  placeholder="Leave empty to keep logins here"
+                />
+                <p className="text-xs text-dark-400 mt-1">
+                  Approved programs signed up with this profile are added to this account&apos;s desktop client with their login. The password is removed from here once the client has it.
+                </p>
+              </div>
+            </div>
+
             {/* Messaging */}
             <div>
               <h3 className="text-lg font-medium mb-3 text-primary-400">Messaging</h3>
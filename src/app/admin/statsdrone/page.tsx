@@ -373,6 +373,14 @@ export default function StatsDroneAdmin() {
                   {log.programsFound} programs • {new Date(log.startedAt).toLocaleString()}
                 </div>
               </div>
+              {(log.programsAdded > 0 || log.programsChanged > 0 || log.programsMissing > 0 || log.programsReturned > 0) && (
+                <div className="mt-2 text-sm text-dark-400">
+                  <span className="text-green-400">{log.programsAdded} new</span>
+                  {' • '}{log.programsChanged} changed
+                  {' • '}<span className="text-yellow-400">{log.programsMissing} possibly closed</span>
+                  {log.programsReturned > 0 && <>{' • '}{log.programsReturned} back</>}
+                </div>
+              )}
               {log.currentProgress && log.status === 'running' && (
                 <div className="mt-2 text-sm text-blue-400">
                   {log.currentProgress}
@@ -20,6 +20,7 @@ interface StatsDroneProgram {
   signupUsername: string | null;
   signupEmail: string | null;
   signupDate: string | null;
+  handedOffAt: string | null;
   mappedToTemplate: boolean;
   templateId: string | null;
   scrapedAt: string;
@@ -84,7 +85,7 @@ export default function StatsDroneProgramsPage() {
   const [sortDirection, setSortDirection] = useState<SortDirection>('asc');
   const [searchQuery, setSearchQuery] = useState('');
   const [softwareFilter, setSoftwareFilter] = useState<string>('');
-  const [statusFilter, setStatusFilter] = useState<string>('active'); // 'all', 'active', 'pending', 'signed_up', 'added_as_template', 'closed'
+  const [statusFilter, setStatusFilter] = useState<string>('active'); // 'all', 'active', 'pending', 'signed_up', 'approved', 'rejected', 'added_as_template', 'closed'
   const [showMappedOnly, setShowMappedOnly] = useState(false);
   const [showUnmappedOnly, setShowUnmappedOnly] = useState(false);
   const [resolvingId, setResolvingId] = useState<string | null>(null);
@@ -137,9 +138,9 @@ export default function StatsDroneProgramsPage() {
   const filterAndSortPrograms = () => {
     let filtered = [...programs];
 
-    // Status filter (default to 'active' which excludes closed)
+    // Status filter (default to 'active' which excludes closed and rejected)
     if (statusFilter === 'active') {
-      filtered = filtered.filter(p => p.status !== 'closed');
+      filtered = filtered.filter(p => p.status !== 'closed' && p.status !== 'rejected');
     } else if (statusFilter !== 'all') {
       filtered = filtered.filter(p => p.status === statusFilter);
     }
@@ -473,7 +474,7 @@ export default function StatsDroneProgramsPage() {
               onClick={() => setStatusFilter('active')}
               className={`px-4 py-2 rounded ${statusFilter === 'active' ? 'bg-primary-500 text-white' : 'bg-dark-800'}`}
             >
-              🔵 Active (Not Closed)
+              🔵 Active (Not Closed/Rejected)
             </button>
             <button
               onClick={() => setStatusFilter('pending')}
@@ -487,6 +488,18 @@ export default function StatsDroneProgramsPage() {
             >
               ✅ Signed Up
             </button>
+            <button
+              onClick={() => setStatusFilter('approved')}
+              className={`px-4 py-2 rounded ${statusFilter === 'approved' ? 'bg-emerald-500 text-white' : 'bg-dark-800'}`}
+            >
+              🎉 Approved
+            </button>
+            <button
+              onClick={() => setStatusFilter('rejected')}
+              className={`px-4 py-2 rounded ${statusFilter === 'rejected' ? 'bg-orange-500 text-white' : 'bg-dark-800'}`}
+            >
+              ⛔ Rejected
+            </button>
             <button
               onClick={() => setStatusFilter('added_as_template')}
               className={`px-4 py-2 rounded ${statusFilter === 'added_as_template' ? 'bg-blue-500 text-white' : 'bg-dark-800'}`}
@@ -594,6 +607,8 @@ export default function StatsDroneProgramsPage() {
                   key={program.id}
                   className={`border-t border-dark-800 hover:bg-dark-800/50 ${
                     program.status === 'signed_up' ? 'bg-green-500/5' :
+                    program.status === 'approved' ? 'bg-emerald-500/5' :
+                    program.status === 'rejected' ? 'bg-orange-500/5' :
                     program.status === 'added_as_template' ? 'bg-blue-500/5' :
                     program.status === 'closed' ? 'bg-red-500/5' : ''
                   }`}
@@ -627,6 +642,8 @@ export default function StatsDroneProgramsPage() {
                       className={`px-2 py-1 rounded text-sm border ${
                         program.status === 'pending' ? 'bg-yellow-500/20 border-yellow-500/50 text-yellow-400' :
                         program.status === 'signed_up' ? 'bg-green-500/20 border-green-500/50 text-green-400' :
+                        program.status === 'approved' ? 'bg-emerald-500/20 border-emerald-500/50 text-emerald-400' :
+                        program.status === 'rejected' ? 'bg-orange-500/20 border-orange-500/50 text-orange-400' :
                         program.status === 'added_as_template' ? 'bg-blue-500/20 border-blue-500/50 text-blue-400' :
                         program.status === 'closed' ? 'bg-red-500/20 border-red-500/50 text-red-400' :
                         'bg-dark-800 border-dark-700'
@@ -634,6 +651,8 @@ export default function StatsDroneProgramsPage() {
                     >
                       <option value="pending">⏳ Pending</option>
                       <option value="signed_up">✅ Signed Up</option>
+                      <option value="approved">🎉 Approved</option>
+                      <option value="rejected">⛔ Rejected</option>
                       <option value="added_as_template">📝 Added as Template</option>
                       <option value="closed">🚫 Closed</option>
                     </select>
@@ -659,6 +678,13 @@ export default function StatsDroneProgramsPage() {
                           🔄
                         </button>
                       </div>
+                    ) : program.handedOffAt ? (
+                      <span
+                        className="text-xs text-emerald-400"
+                        title={`Handed off ${new Date(program.handedOffAt).toLocaleString()}`}
+                      >
+                        🔐 In desktop client
+                      </span>
                     ) : (
                       <button
                         onClick={() => generatePassword(program.id)}
@@ -2,6 +2,21 @@ import { NextResponse } from 'next/server';
 import { auth } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
 
+// Account email -> user id for the profile's owner ('' clears it); undefined when not given
+async function resolveOwner(ownerEmail: unknown): Promise<string | null | undefined> {
+  if (typeof ownerEmail !== 'string') return undefined;
+  if (ownerEmail.trim() === '') return null;
+
+  const user = await prisma.user.findFirst({
+    where: { email: { equals: ownerEmail.trim(), mode: 'insensitive' } },
+    select: { id: true },
+  });
+  if (!user) {
+    throw new Error(`No account with email ${ownerEmail.trim()}`);
+  }
+  return user.id;
+}
+
 // GET all signup profiles or the default one
 export async function GET(request: Request) {
   try {
@@ -17,12 +32,14 @@ export async function GET(request: Request) {
     if (defaultOnly) {
       const profile = await prisma.signupProfile.findFirst({
         where: { isDefault: true },
+        include: { user: { select: { email: true } } },
       });
       return NextResponse.json({ profile });
     }
 
     const profiles = await prisma.signupProfile.findMany({
       orderBy: [{ isDefault: 'desc' }, { name: 'asc' }],
+      include: { user: { select: { email: true } } },
     });
 
     return NextResponse.json({ profiles });
@@ -44,6 +61,13 @@ export async function POST(request: Request) {
 
     const data = await request.json();
 
+    let userId: string | null | undefined;
+    try {
+      userId = await resolveOwner(data.ownerEmail);
+    } catch (error: any) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
     // If this is set as default, unset other defaults
     if (data.isDefault) {
       await prisma.signupProfile.updateMany({
@@ -76,6 +100,7 @@ export async function POST(request: Request) {
         monthlyVisitors: data.monthlyVisitors,
         promotionMethods: data.promotionMethods,
         comments: data.comments,
+        userId: userId ?? null,
       },
     });
 
@@ -97,12 +122,20 @@ export async function PATCH(request: Request) {
     }
 
     const data = await request.json();
-    const { id, ...updateData } = data;
+    const { id, ownerEmail, ...updateData } = data;
+    delete updateData.user; // Owner as returned by GET - set through ownerEmail
 
     if (!id) {
       return NextResponse.json({ error: 'Profile ID required' }, { status: 400 });
     }
 
+    try {
+      const userId = await resolveOwner(ownerEmail);
+      if (userId !== undefined) updateData.userId = userId;
+    } catch (error: any) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
     // If setting as default, unset other defaults
     if (updateData.isDefault) {
       await prisma.signupProfile.updateMany({
@@ -49,6 +49,7 @@ export async function GET(request: Request) {
         signupUsername: true,
         signupEmail: true,
         signupDate: true,
+        handedOffAt: true,
         mappedToTemplate: true,
         templateId: true,
         scrapedAt: true,
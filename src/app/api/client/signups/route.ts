@@ -0,0 +1,156 @@
+import { NextRequest, NextResponse } from "next/server";
+import { prisma } from "@/lib/prisma";
+
+// Hand-off of StatsDrone signups to the desktop client
+// Programs we signed up to with a signup profile owned by this user, once approved and
+// mapped to a template, go to the user's client with their login. The client confirms what
+// it stored and the password is then cleared here - it only ever leaves through this route.
+
+async function authenticate(request: NextRequest) {
+  const apiKey = request.headers.get("x-api-key");
+  if (!apiKey) {
+    return { error: NextResponse.json({ error: "API key required" }, { status: 401 }) };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { apiKey },
+    select: { id: true },
+  });
+
+  if (!user) {
+    return { error: NextResponse.json({ error: "Invalid API key" }, { status: 401 }) };
+  }
+
+  return { user };
+}
+
+// Signups this user receives: only those made with one of their own profiles. Older signups
+// without a profile are assigned one by scripts/statsdrone-scraper/backfill-signup-profiles.js
+async function ownedSignupsWhere(userId: string) {
+  const profiles = await prisma.signupProfile.findMany({
+    where: { userId },
+    select: { id: true },
+  });
+  if (profiles.length === 0) return null;
+
+  return { signupProfileId: { in: profiles.map((p) => p.id) } };
+}
+
+// GET - Approved signups waiting for this user's client (logins included)
+export async function GET(request: NextRequest) {
+  try {
+    const authResult = await authenticate(request);
+    if ("error" in authResult) return authResult.error;
+    const { user } = authResult;
+
+    const owned = await ownedSignupsWhere(user.id);
+    if (!owned) {
+      return NextResponse.json({ signups: [] }, { headers: { "Cache-Control": "no-store" } });
+    }
+
+    const programs = await prisma.statsDrone_Program.findMany({
+      where: {
+        ...owned,
+        // Mapping a program to a template moves it from approved to added_as_template
+        status: { in: ["approved", "added_as_template"] },
+        signupDate: { not: null },
+        signupPassword: { not: null },
+        handedOffAt: null,
+        template: { isActive: true },
+      },
+      select: {
+        id: true,
+        name: true,
+        signupUsername: true,
+        signupEmail: true,
+        signupPassword: true,
+        template: {
+          select: {
+            id: true,
+            name: true,
+            softwareType: true,
+            authType: true,
+            baseUrl: true,
+            loginUrl: true,
+            description: true,
+            icon: true,
+            referralUrl: true,
+            apiKeyLabel: true,
+            apiSecretLabel: true,
+            usernameLabel: true,
+            passwordLabel: true,
+            baseUrlLabel: true,
+            requiresBaseUrl: true,
+            supportsOAuth: true,
+          },
+        },
+      },
+      orderBy: { name: "asc" },
+    });
+
+    // The scripts fall back to the profile's email/username when the program has none
+    const defaultProfile = await prisma.signupProfile.findFirst({
+      where: { isDefault: true },
+      select: { email: true, username: true },
+    });
+
+    const signups = programs.map((program) => ({
+      id: program.id,
+      name: program.name,
+      username: program.signupUsername || defaultProfile?.username || null,
+      email: program.signupEmail || defaultProfile?.email || null,
+      password: program.signupPassword,
+      template: program.template,
+    }));
+
+    return NextResponse.json({ signups }, { headers: { "Cache-Control": "no-store" } });
+  } catch (error) {
+    console.error("Error fetching signups for hand-off:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch signups" },
+      { status: 500 }
+    );
+  }
+}
+
+// POST - Confirm the client stored these logins: { programIds: string[] }
+export async function POST(request: NextRequest) {
+  try {
+    const authResult = await authenticate(request);
+    if ("error" in authResult) return authResult.error;
+    const { user } = authResult;
+
+    const { programIds } = await request.json();
+    if (!Array.isArray(programIds) || programIds.length === 0) {
+      return NextResponse.json(
+        { error: "programIds is required" },
+        { status: 400 }
+      );
+    }
+
+    const owned = await ownedSignupsWhere(user.id);
+    if (!owned) {
+      return NextResponse.json({ success: true, handedOff: 0 });
+    }
+
+    const result = await prisma.statsDrone_Program.updateMany({
+      where: {
+        ...owned,
+        id: { in: programIds.filter((id: unknown) => typeof id === "string") },
+        handedOffAt: null,
+      },
+      data: {
+        handedOffAt: new Date(),
+        signupPassword: null,
+      },
+    });
+
+    return NextResponse.json({ success: true, handedOff: result.count });
+  } catch (error) {
+    console.error("Error confirming signup hand-off:", error);
+    return NextResponse.json(
+      { error: "Failed to confirm hand-off" },
+      { status: 500 }
+    );
+  }
+}
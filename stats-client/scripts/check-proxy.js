@@ -0,0 +1,184 @@
+/**
+ * Proxy Check
+ * Starts a local web server plus an HTTP (CONNECT) and a SOCKS5 proxy, both with a password, and
+ * checks requests go through them the way syncs and the browser relay send them - no network.
+ * Pass a proxy and a URL to test a real proxy instead.
+ *
+ *   node scripts/check-proxy.js [proxy-url target-url]
+ */
+
+const http = require('http');
+const net = require('net');
+const { parseProxyUrl, resolveProxy, connectThrough, openTunnel, startRelay, testProxy } = require('../src/proxy');
+
+const HOST = '127.0.0.1';
+const USER = 'stats';
+const PASS = 'p@ss:word';
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, HOST, () => resolve(server.address().port)));
+}
+
+// Answers every request with the path it got
+function startTarget() {
+  return http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ path: req.url }));
+  });
+}
+
+// CONNECT-only HTTP proxy with Basic auth
+function startHttpProxy(stats) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(405);
+    res.end();
+  });
+  server.on('connect', (req, client) => {
+    const auth = Buffer.from(`${USER}:${PASS}`).toString('base64');
+    if (req.headers['proxy-authorization'] !== `Basic ${auth}`) {
+      client.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+      return;
+    }
+    stats.http++;
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(Number(port), host, () => {
+      client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.pipe(client);
+      client.pipe(upstream);
+    });
+    upstream.on('error', () => client.destroy());
+  });
+  return server;
+}
+
+// SOCKS5 proxy with username/password auth (RFC 1929), domain and IPv4 targets
+function startSocksProxy(stats) {
+  return net.createServer((client) => {
+    let stage = 'greeting';
+    client.on('data', function onData(data) {
+      if (stage === 'greeting') {
+        stage = 'auth';
+        client.write(Buffer.from([0x05, 0x02]));
+      } else if (stage === 'auth') {
+        const user = data.subarray(2, 2 + data[1]).toString();
+        const pass = data.subarray(3 + data[1], 3 + data[1] + data[2 + data[1]]).toString();
+        const ok = user === USER && pass === PASS;
+        client.write(Buffer.from([0x01, ok ? 0x00 : 0x01]));
+        if (!ok) client.end();
+        stage = 'request';
+      } else if (stage === 'request') {
+        client.removeListener('data', onData);
+        const host = data[3] === 0x03 ? data.subarray(5, 5 + data[4]).toString() : Array.from(data.subarray(4, 8)).join('.');
+        const port = data.readUInt16BE(data.length - 2);
+        stats.socks++;
+        const upstream = net.connect(port, host === 'localhost' ? HOST : host, () => {
+          client.write(Buffer.from([0x05, 0x00, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+          upstream.pipe(client);
+          client.pipe(upstream);
+        });
+        upstream.on('error', () => client.end(Buffer.from([0x05, 0x05, 0x00, 0x01, 0, 0, 0, 0, 0, 0])));
+      }
+    });
+    client.on('error', () => {});
+  });
+}
+
+// GET through an already connected socket
+function get(url, socket) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { createConnection: () => socket }, (response) => {
+      let body = '';
+      response.on('data', chunk => body += chunk);
+      response.on('end', () => resolve({ status: response.statusCode, body }));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+// GET via a plain HTTP proxy (absolute URL in the request line)
+function getViaProxy(proxyUrl, url) {
+  const proxy = new URL(proxyUrl);
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: proxy.hostname, port: proxy.port, path: url }, (response) => {
+      let body = '';
+      response.on('data', chunk => body += chunk);
+      response.on('end', () => resolve({ status: response.statusCode, body }));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+async function main() {
+  const [proxyArg, urlArg] = process.argv.slice(2);
+  if (proxyArg) {
+    const result = await testProxy(parseProxyUrl(proxyArg), urlArg || 'https://www.google.com/');
+    console.log(result.success ? `✓ HTTP ${result.status} in ${result.ms} ms via ${result.via}` : `✗ ${result.error}`);
+    return result.success ? 0 : 1;
+  }
+
+  const stats = { http: 0, socks: 0 };
+  const servers = [startTarget(), startHttpProxy(stats), startSocksProxy(stats)];
+  const [targetPort, httpPort, socksPort] = await Promise.all(servers.map(listen));
+  const target = `http://${HOST}:${targetPort}`;
+  const auth = `${encodeURIComponent(USER)}:${encodeURIComponent(PASS)}`;
+  const httpProxy = parseProxyUrl(`http://${auth}@${HOST}:${httpPort}`);
+  const socksProxy = parseProxyUrl(`socks5://${auth}@${HOST}:${socksPort}`);
+
+  const failures = [];
+  const check = (ok, label) => {
+    console.log(`${ok ? '✓' : '✗'} ${label}`);
+    if (!ok) failures.push(label);
+  };
+  const rejection = promise => promise.then(() => null, error => error.message);
+
+  try {
+    check(socksProxy.password === PASS && socksProxy.port === socksPort, 'credentials and port parsed from the URL');
+    check(parseProxyUrl('socks5://proxy.example').port === 1080, 'SOCKS5 defaults to port 1080');
+    check(await rejection(Promise.resolve().then(() => parseProxyUrl('ftp://x'))) !== null, 'unsupported proxy types are refused');
+
+    const settings = { default: 'http://default:8080', providers: { RTG: 'socks5://rtg:1080', SCALEO: 'direct' } };
+    check(resolveProxy(settings, 'CELLXPERT').host === 'default', 'default proxy applies to other providers');
+    check(resolveProxy(settings, 'rtg').host === 'rtg', 'provider proxy overrides the default');
+    check(resolveProxy(settings, 'SCALEO') === null, '"direct" provider skips the default');
+    check(resolveProxy(settings, 'RTG', 'http://program:3128').host === 'program', 'program proxy overrides the provider');
+    check(resolveProxy(settings, 'RTG', 'direct') === null, '"direct" program skips every proxy');
+
+    let response = await get(`${target}/via-http`, await connectThrough(httpProxy, `${target}/via-http`));
+    check(response.status === 200 && JSON.parse(response.body).path === '/via-http' && stats.http === 1, 'request tunnels through the HTTP proxy');
+
+    response = await get(`${target}/via-socks`, await connectThrough(socksProxy, `${target}/via-socks`));
+    check(response.status === 200 && JSON.parse(response.body).path === '/via-socks' && stats.socks === 1, 'request tunnels through the SOCKS5 proxy');
+
+    const badPassword = { ...socksProxy, password: 'wrong' };
+    check(/authentication failed/.test(await rejection(openTunnel(badPassword, HOST, targetPort))), 'wrong SOCKS5 password is reported');
+    check(/authentication failed/.test(await rejection(openTunnel({ ...httpProxy, password: 'wrong' }, HOST, targetPort))), 'wrong HTTP proxy password is reported');
+
+    // What Chromium does with --proxy-server pointing at the relay
+    const relay = await startRelay(socksProxy);
+    response = await getViaProxy(relay.url, `${target}/relay-plain`);
+    check(response.status === 200 && JSON.parse(response.body).path === '/relay-plain', 'relay forwards plain http:// requests');
+
+    response = await get(`${target}/relay-connect`, await connectThrough(parseProxyUrl(relay.url), `${target}/relay-connect`));
+    check(response.status === 200 && JSON.parse(response.body).path === '/relay-connect', 'relay forwards CONNECT tunnels (https:// pages)');
+    relay.close();
+
+    const result = await testProxy(httpProxy, `${target}/login`);
+    check(result.success && result.status === 200 && !result.via.includes(PASS), 'connectivity test reports the status without the password');
+    const failed = await testProxy(badPassword, `${target}/login`);
+    check(!failed.success && /authentication/.test(failed.error), 'connectivity test reports proxy errors');
+  } finally {
+    servers.forEach(server => server.close());
+  }
+
+  console.log(`\n${failures.length === 0 ? 'All checks passed' : `${failures.length} failed`}`);
+  return failures.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,283 @@
+/**
+ * Scraper Fixture Checks
+ * Runs the scraper parsing code against recorded pages in fixtures/scrapers/ and compares
+ * the result with the checked-in expected.json - no network, no accounts.
+ *
+ *   node scripts/check-scrapers.js [filter] [--verbose]
+ *
+ *   filter      Only fixtures whose path contains this text (e.g. "netrefer")
+ *   --verbose   Show scraper/sync-engine logs
+ *
+ * expected.json is written by hand from the figures the page shows, never from the parser's
+ * output - otherwise the check only proves the parser still agrees with itself. A fixture
+ * without one prints the parser's output to compare against the page.
+ *
+ * Each fixture is a folder fixtures/scrapers/<provider>/<case>/ with a fixture.json:
+ *
+ *   {
+ *     "parser": "parseNetReferTable",   // See PARSERS below
+ *     "page": "stats.html",             // Recorded page (scripts/record-fixture.js), or
+ *     "input": "input.json",            // raw data for parsers that don't read a page
+ *     "frame": "stats.frame1.html",     // Optional - frame the parser reads (RTG)
+ *     "now": "2025-06-15T12:00:00Z",    // Clock during the run, for parsers that use today's date
+ *     "args": {},                       // Extra parser arguments (see PARSERS)
+ *     "source": "..."                   // Optional - where the page came from when it wasn't
+ *   }                                   // recorded from a live dashboard
+ *
+ * Pages are served from a local static server to headless Chromium (CHROME_PATH to override);
+ * requests to anything but that server are blocked.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+const puppeteer = require('puppeteer-core');
+const SyncEngine = require('../src/sync-engine');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'scrapers');
+const HOST = '127.0.0.1';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+// How each parser is called: `target` is the page, the frame, or the parsed input.json
+const PARSERS = {
+  parseCellxpertStats: { input: true, run: ({ scraper }, target, fixture) => scraper.parseCellxpertStats(target, fixture.args?.startDate, fixture.args?.endDate) },
+  // Its `debug` trail describes how the page was scanned, not what it shows
+  extractPageStats: { run: async ({ scraper }, target) => {
+    const { debug, ...stats } = await scraper.extractPageStats(target);
+    return stats;
+  } },
+  extractRTGStats: { run: ({ scraper }, target, fixture) => scraper.extractRTGStats(target, fixture.args?.revenue || 0, fixture.args?.dwcConfig || {}) },
+  extractRivalMonthStatsByDate: { run: ({ scraper }, target, fixture) => scraper.extractRivalMonthStatsByDate(target, fixture.args.year, fixture.args.month, true) },
+  parseNetReferTable: { run: ({ engine }, target) => engine.parseNetReferTable(target) },
+  parseEgoTable: { run: ({ engine }, target, fixture) => engine.parseEgoTable(target, fixture.args?.dateOverride ? new Date(fixture.args.dateOverride) : null) }
+};
+
+function parseArgs(argv) {
+  const flags = { verbose: false, filter: null };
+  for (const arg of argv) {
+    if (arg === '--verbose') flags.verbose = true;
+    else flags.filter = arg;
+  }
+  return flags;
+}
+
+// Every <provider>/<case> folder with a fixture.json
+function findFixtures(filter) {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+
+  const fixtures = [];
+  for (const provider of fs.readdirSync(FIXTURES_DIR).sort()) {
+    const providerDir = path.join(FIXTURES_DIR, provider);
+    if (!fs.statSync(providerDir).isDirectory()) continue;
+
+    for (const name of fs.readdirSync(providerDir).sort()) {
+      const dir = path.join(providerDir, name);
+      const file = path.join(dir, 'fixture.json');
+      if (!fs.existsSync(file)) continue;
+
+      const id = `${provider}/${name}`;
+      if (filter && !id.toLowerCase().includes(filter.toLowerCase())) continue;
+      fixtures.push({ id, dir, ...JSON.parse(fs.readFileSync(file, 'utf8')) });
+    }
+  }
+  return fixtures;
+}
+
+// Static file server over the fixtures folder - any method, so recorded forms can "submit"
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const pathname = decodeURIComponent(new URL(req.url, `http://${HOST}`).pathname);
+    const file = path.normalize(path.join(FIXTURES_DIR, pathname));
+
+    if (!file.startsWith(FIXTURES_DIR) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, HOST, () => resolve(server));
+  });
+}
+
+// Pin Date to the fixture's clock in Node (the parsers) - returns a restore function
+function freezeTime(now) {
+  const RealDate = Date;
+  const fixed = new RealDate(now).getTime();
+
+  class FixedDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(fixed);
+      else super(...args);
+    }
+
+    static now() {
+      return fixed;
+    }
+  }
+
+  global.Date = FixedDate;
+  return () => { global.Date = RealDate; };
+}
+
+// Same clock inside the page, before any of its code runs
+function freezePageTime(fixed) {
+  const RealDate = Date;
+  class FixedDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(fixed);
+      else super(...args);
+    }
+
+    static now() {
+      return fixed;
+    }
+  }
+  window.Date = FixedDate;
+}
+
+async function openFixturePage(browser, baseUrl, fixture) {
+  const page = await browser.newPage();
+
+  // Recorded pages still reference the live site's stylesheets, fonts and trackers
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.url().startsWith(baseUrl) || request.url().startsWith('data:')) {
+      request.continue();
+    } else {
+      request.abort();
+    }
+  });
+
+  if (fixture.now) {
+    await page.evaluateOnNewDocument(freezePageTime, new Date(fixture.now).getTime());
+  }
+
+  const relative = path.relative(FIXTURES_DIR, path.join(fixture.dir, fixture.page)).split(path.sep).join('/');
+  await page.goto(`${baseUrl}/${relative}`, { waitUntil: 'load', timeout: 15000 });
+  return page;
+}
+
+async function runFixture(fixture, { engine, getBrowser, baseUrl }) {
+  const parser = PARSERS[fixture.parser];
+  if (!parser) {
+    throw new Error(`Unknown parser "${fixture.parser}" (use ${Object.keys(PARSERS).join(', ')})`);
+  }
+
+  const restoreTime = fixture.now ? freezeTime(fixture.now) : () => {};
+  let page = null;
+  try {
+    let target;
+    if (parser.input) {
+      target = JSON.parse(fs.readFileSync(path.join(fixture.dir, fixture.input || 'input.json'), 'utf8'));
+    } else {
+      if (!fixture.page) throw new Error('fixture.json needs a "page"');
+      page = await openFixturePage(await getBrowser(), baseUrl, fixture);
+      target = page;
+
+      if (fixture.frame) {
+        target = page.frames().find(frame => frame.url().endsWith(`/${fixture.frame}`));
+        if (!target) throw new Error(`Frame ${fixture.frame} is not on ${fixture.page}`);
+      }
+    }
+
+    const result = await parser.run({ engine, scraper: engine.scraper }, target, fixture);
+    // Round-trip through JSON so the comparison matches what expected.json can hold
+    return JSON.parse(JSON.stringify(result === undefined ? null : result));
+  } finally {
+    restoreTime();
+    if (page) await page.close().catch(() => {});
+  }
+}
+
+async function main() {
+  const flags = parseArgs(process.argv.slice(2));
+  const fixtures = findFixtures(flags.filter);
+  if (fixtures.length === 0) {
+    console.error(flags.filter ? `No fixtures match "${flags.filter}"` : `No fixtures in ${FIXTURES_DIR}`);
+    return 1;
+  }
+
+  // Parsers only need the scraper/engine helpers - no database, and no waiting on live sites
+  const engine = new SyncEngine(null);
+  engine.setLogCallback(null, { echo: flags.verbose ? console.error : null });
+  engine.delay = async () => {};
+  engine.scraper.delay = async () => {};
+  engine.scraper.humanDelay = async () => {};
+
+  const server = await startServer();
+  const baseUrl = `http://${HOST}:${server.address().port}`;
+
+  // Chromium is only started when a fixture needs a page
+  let browser = null;
+  const getBrowser = async () => {
+    if (!browser) {
+      const executablePath = engine.scraper.getChromiumPath();
+      if (!executablePath || !fs.existsSync(executablePath)) {
+        throw new Error('Chrome/Chromium not found - set CHROME_PATH');
+      }
+      browser = await puppeteer.launch({
+        executablePath,
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+      });
+    }
+    return browser;
+  };
+
+  const log = console.info;
+  let failed = 0;
+  try {
+    for (const fixture of fixtures) {
+      const expectedFile = path.join(fixture.dir, 'expected.json');
+      try {
+        const actual = await runFixture(fixture, { engine, getBrowser, baseUrl });
+
+        if (!fs.existsSync(expectedFile)) {
+          failed++;
+          log(`✗ ${fixture.id}: no expected.json - write it from the figures on the page (parser output below)`);
+          log(util.inspect(actual, { depth: null, colors: false }));
+          continue;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+        if (util.isDeepStrictEqual(actual, expected)) {
+          log(`✓ ${fixture.id}`);
+        } else {
+          failed++;
+          log(`✗ ${fixture.id}: output changed`);
+          log(`  expected: ${JSON.stringify(expected)}`);
+          log(`  actual:   ${JSON.stringify(actual)}`);
+        }
+      } catch (error) {
+        failed++;
+        log(`✗ ${fixture.id}: ${error.message}`);
+      }
+    }
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+    server.close();
+  }
+
+  log(`\n${fixtures.length - failed} passed, ${failed} failed`);
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
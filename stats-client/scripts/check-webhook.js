@@ -0,0 +1,111 @@
+/**
+ * Alert Webhook Check
+ * Sends sample alerts through the same sender the app uses to a local HTTP listener and checks
+ * what arrives - no accounts, no network. Pass a URL to send one test alert there instead
+ * (e.g. a Slack or Discord incoming webhook).
+ *
+ *   node scripts/check-webhook.js [url]
+ */
+
+const http = require('http');
+const { formatPayload, sendWebhook } = require('../src/alerts');
+
+const HOST = '127.0.0.1';
+
+const SAMPLE_ALERTS = [
+  {
+    type: 'sync_failures',
+    title: 'Sync failing',
+    message: 'Example Casino failed 3 syncs in a row: Navigation timeout of 30000 ms exceeded',
+    programId: 'example-1',
+    programName: 'Example Casino',
+    createdAt: new Date().toISOString()
+  },
+  {
+    type: 'daily_ftds',
+    title: 'FTD milestone',
+    message: 'Example Poker has 12 FTDs today',
+    programId: 'example-2',
+    programName: 'Example Poker',
+    createdAt: new Date().toISOString()
+  }
+];
+
+// Listener that records each request and answers with the status the path asks for (/status/500)
+function startListener(received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      received.push({ method: req.method, headers: req.headers, body });
+      const status = parseInt((req.url.match(/^\/status\/(\d{3})/) || [])[1], 10) || 200;
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'failed');
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, HOST, () => resolve(server));
+  });
+}
+
+async function main() {
+  const [url] = process.argv.slice(2);
+  if (url) {
+    await sendWebhook(url, formatPayload([{ ...SAMPLE_ALERTS[0], title: 'Test alert', message: 'Test alert from scripts/check-webhook.js' }]));
+    console.log(`✓ Sent a test alert to ${url}`);
+    return 0;
+  }
+
+  const received = [];
+  const server = await startListener(received);
+  const baseUrl = `http://${HOST}:${server.address().port}`;
+  const failures = [];
+  const check = (ok, label) => {
+    console.log(`${ok ? '✓' : '✗'} ${label}`);
+    if (!ok) failures.push(label);
+  };
+
+  try {
+    const payload = formatPayload(SAMPLE_ALERTS);
+    const response = await sendWebhook(`${baseUrl}/hook`, payload);
+    const request = received[0] || { headers: {}, body: '' };
+    let body = null;
+    try {
+      body = JSON.parse(request.body);
+    } catch (e) {
+      // Checked below
+    }
+
+    check(response.status === 200, 'listener answered 200');
+    check(request.method === 'POST', 'sent as POST');
+    check((request.headers['content-type'] || '').startsWith('application/json'), 'sent as application/json');
+    check(body !== null, 'body is valid JSON');
+    check(body && body.text === payload.text && body.content === payload.text, 'has Slack "text" and Discord "content"');
+    check(body && body.text.startsWith('Stats Fetch: 2 alerts'), 'text summarises the batch');
+    check(body && body.alerts.length === 2 && body.alerts[0].programName === 'Example Casino', 'has the structured alerts');
+
+    const long = formatPayload(Array.from({ length: 100 }, () => SAMPLE_ALERTS[0]));
+    check(long.text.length <= 2000, 'long batches are cut to 2000 characters');
+
+    let rejected = null;
+    await sendWebhook(`${baseUrl}/status/500`, payload).catch(error => { rejected = error; });
+    check(rejected && /HTTP 500/.test(rejected.message), 'HTTP errors are reported');
+
+    rejected = null;
+    await sendWebhook('ftp://example.com/hook', payload).catch(error => { rejected = error; });
+    check(rejected && /http/.test(rejected.message), 'non-HTTP URLs are refused');
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n${failures.length === 0 ? 'All checks passed' : `${failures.length} failed`}`);
+  return failures.length > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,153 @@
+/**
+ * Scraper Fixture Recorder
+ * Opens a visible Chromium, lets you log in and click through a provider's dashboard by hand,
+ * and saves snapshots of the pages into fixtures/scrapers/<provider>/<case>/ for check-scrapers.js.
+ *
+ *   node scripts/record-fixture.js <provider> <case> <url>
+ *
+ * At each page you want to keep, type a snapshot name (e.g. "login", "stats") and press Enter;
+ * "q" finishes. Scripts are stripped and frames are saved next to the page as <name>.frame<N>.html.
+ * Snapshots contain whatever the dashboard shows - replace account names, emails and affiliate IDs
+ * before committing them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const puppeteer = require('puppeteer-core');
+const Scraper = require('../src/scraper');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'scrapers');
+
+// Runs in the page: the DOM as HTML, with live form state kept and frames pointed at local files
+function serializeDocument(frameFiles) {
+  const clone = document.documentElement.cloneNode(true);
+
+  // Typed/selected values are properties, not attributes - copy them over (never passwords)
+  const liveFields = document.querySelectorAll('input, select, textarea');
+  const clonedFields = clone.querySelectorAll('input, select, textarea');
+  liveFields.forEach((field, i) => {
+    const copy = clonedFields[i];
+    if (!copy) return;
+    if (field.tagName === 'SELECT') {
+      Array.from(copy.options).forEach((option, j) => {
+        if (field.options[j] && field.options[j].selected) option.setAttribute('selected', 'selected');
+        else option.removeAttribute('selected');
+      });
+    } else if (field.type === 'checkbox' || field.type === 'radio') {
+      if (field.checked) copy.setAttribute('checked', 'checked');
+      else copy.removeAttribute('checked');
+    } else if (field.type === 'password') {
+      copy.removeAttribute('value');
+    } else if (field.tagName === 'TEXTAREA') {
+      copy.textContent = field.value;
+    } else {
+      copy.setAttribute('value', field.value);
+    }
+  });
+
+  const liveFrames = Array.from(document.querySelectorAll('iframe, frame'));
+  const clonedFrames = Array.from(clone.querySelectorAll('iframe, frame'));
+  liveFrames.forEach((frame, i) => {
+    const file = frameFiles.find(f => f.url === frame.src) || frameFiles[i];
+    if (file && clonedFrames[i]) clonedFrames[i].setAttribute('src', file.name);
+  });
+
+  clone.querySelectorAll('script, noscript').forEach(el => el.remove());
+  return '<!DOCTYPE html>\n' + clone.outerHTML;
+}
+
+async function snapshot(page, dir, name) {
+  const frames = page.mainFrame().childFrames().filter(frame => !frame.isDetached());
+  const frameFiles = frames.map((frame, i) => ({ url: frame.url(), name: `${name}.frame${i + 1}.html` }));
+
+  const saved = [];
+  for (let i = 0; i < frames.length; i++) {
+    try {
+      fs.writeFileSync(path.join(dir, frameFiles[i].name), await frames[i].evaluate(serializeDocument, []));
+      saved.push(frameFiles[i].name);
+    } catch (e) {
+      // Cross-origin frames we can't read (ads, captchas) are left out
+      console.warn(`  Skipped frame ${frameFiles[i].url}: ${e.message}`);
+    }
+  }
+
+  fs.writeFileSync(path.join(dir, `${name}.html`), await page.evaluate(serializeDocument, frameFiles));
+  saved.unshift(`${name}.html`);
+  return saved;
+}
+
+async function main() {
+  const [provider, name, url] = process.argv.slice(2);
+  if (!provider || !name || !url) {
+    console.error('Usage: node scripts/record-fixture.js <provider> <case> <url>');
+    return 2;
+  }
+
+  const dir = path.join(FIXTURES_DIR, provider.toLowerCase(), name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const executablePath = new Scraper().getChromiumPath();
+  if (!executablePath || !fs.existsSync(executablePath)) {
+    console.error('Chrome/Chromium not found - set CHROME_PATH');
+    return 2;
+  }
+
+  // Throwaway profile, so recording never touches the app's saved sessions
+  const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'statsfetch-record-'));
+  const browser = await puppeteer.launch({
+    executablePath,
+    headless: false,
+    userDataDir: profileDir,
+    defaultViewport: null,
+    args: ['--window-size=1400,900']
+  });
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = (question) => new Promise(resolve => rl.question(question, resolve));
+
+  try {
+    const [page] = await browser.pages();
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 }).catch(e => console.warn(e.message));
+
+    const recorded = [];
+    for (;;) {
+      const answer = (await ask('Snapshot name (Enter for a numbered one, q to finish): ')).trim();
+      if (answer === 'q') break;
+
+      // The active tab, in case the dashboard opened the report in a new one
+      const pages = await browser.pages();
+      const current = pages[pages.length - 1];
+      const snapshotName = (answer || `page${recorded.length + 1}`).replace(/[^\w-]/g, '-');
+      const files = await snapshot(current, dir, snapshotName);
+      recorded.push(snapshotName);
+      console.info(`  Saved ${files.join(', ')} from ${current.url()}`);
+    }
+
+    // Starting point - pick the parser, then write expected.json from the figures on the page
+    const fixtureFile = path.join(dir, 'fixture.json');
+    if (recorded.length > 0 && !fs.existsSync(fixtureFile)) {
+      fs.writeFileSync(fixtureFile, JSON.stringify({
+        parser: '',
+        page: `${recorded[recorded.length - 1]}.html`,
+        now: new Date().toISOString(),
+        args: {}
+      }, null, 2) + '\n');
+      console.info(`Wrote ${path.relative(process.cwd(), fixtureFile)} - set "parser", write expected.json from the page's figures, then run:`);
+      console.info(`  node scripts/check-scrapers.js ${provider.toLowerCase()}/${name}`);
+    }
+    return 0;
+  } finally {
+    rl.close();
+    await browser.close().catch(() => {});
+    fs.rmSync(profileDir, { recursive: true, force: true });
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,375 @@
+/**
+ * Alerts
+ * Rules checked after every sync run - a program failing several syncs in a row, a login that
+ * stops working, a busy day for FTDs, revenue going down - delivered as desktop notifications
+ * and/or a JSON POST to a webhook URL (Slack and Discord incoming webhooks both accept it).
+ *
+ * Rules are stored in the alertRules setting:
+ *
+ *   { id, type: 'sync_failures', enabled: true, programId: null, threshold: 3 }
+ *
+ * programId null applies the rule to every program. threshold is the number of failed syncs,
+ * the FTDs for the day, or the percent revenue fell - auth_failure doesn't use one.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { ERROR_CATEGORIES } = require('./sync-errors');
+
+const ALERT_TYPES = {
+  SYNC_FAILURES: 'sync_failures',   // N failed syncs in a row
+  AUTH_FAILURE: 'auth_failure',     // Login rejected - once per failing streak
+  DAILY_FTDS: 'daily_ftds',         // FTDs since the first sync of the day reach the threshold
+  REVENUE_DROP: 'revenue_drop'      // This month's revenue fell by threshold % since the last sync
+};
+
+const ALERT_TITLES = {
+  [ALERT_TYPES.SYNC_FAILURES]: 'Sync failing',
+  [ALERT_TYPES.AUTH_FAILURE]: 'Login failed',
+  [ALERT_TYPES.DAILY_FTDS]: 'FTD milestone',
+  [ALERT_TYPES.REVENUE_DROP]: 'Revenue drop'
+};
+
+const DEFAULT_RULES = [
+  { id: 'default-failures', type: ALERT_TYPES.SYNC_FAILURES, enabled: true, programId: null, threshold: 3 },
+  { id: 'default-auth', type: ALERT_TYPES.AUTH_FAILURE, enabled: true, programId: null, threshold: null }
+];
+
+// Discord rejects messages over 2000 characters
+const MAX_MESSAGE_LENGTH = 2000;
+
+const WEBHOOK_TIMEOUT = 10000;
+
+const formatMoney = (cents, currency) => `${(cents / 100).toFixed(2)} ${currency || 'USD'}`;
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Check a rule and fill in defaults
+ * @returns {Object} normalized rule
+ */
+function normalizeRule(rule) {
+  if (!rule || !Object.values(ALERT_TYPES).includes(rule.type)) {
+    throw new Error(`Alert type must be ${Object.values(ALERT_TYPES).join(', ')}`);
+  }
+
+  let threshold = null;
+  if (rule.type !== ALERT_TYPES.AUTH_FAILURE) {
+    threshold = Number(rule.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new Error(`${ALERT_TITLES[rule.type]} alerts need a threshold above 0`);
+    }
+    if (rule.type === ALERT_TYPES.REVENUE_DROP && threshold > 100) {
+      throw new Error('Revenue drop must be a percentage of 100 or less');
+    }
+    if (rule.type !== ALERT_TYPES.REVENUE_DROP) threshold = Math.ceil(threshold);
+  }
+
+  return {
+    id: rule.id || crypto.randomUUID(),
+    type: rule.type,
+    enabled: rule.enabled !== false,
+    programId: rule.programId || null,
+    threshold
+  };
+}
+
+function validateWebhookUrl(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (e) {
+    throw new Error('Webhook URL is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw new Error('Webhook URL must start with http:// or https://');
+  }
+  return target;
+}
+
+/**
+ * POST a JSON payload to a webhook
+ * @returns {Promise<{ status: number, body: string }>} rejects on network errors and non-2xx responses
+ */
+function sendWebhook(url, payload, { timeout = WEBHOOK_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = validateWebhookUrl(url);
+    const body = JSON.stringify(payload);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'StatsFetch'
+      }
+    }, (response) => {
+      let data = '';
+      response.on('data', chunk => data += chunk);
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new Error(`Webhook returned HTTP ${response.statusCode}${data ? `: ${data.substring(0, 200)}` : ''}`));
+          return;
+        }
+        resolve({ status: response.statusCode, body: data });
+      });
+    });
+
+    request.on('error', reject);
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error('Webhook timed out'));
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Webhook body for a batch of alerts - `text` is what Slack shows, `content` what Discord shows,
+ * `alerts` is for anything else reading the JSON
+ */
+function formatPayload(alerts) {
+  const heading = alerts.length === 1 ? `Stats Fetch: ${alerts[0].title}` : `Stats Fetch: ${alerts.length} alerts`;
+  let text = [heading, ...alerts.map(alert => `• ${alert.message}`)].join('\n');
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    text = `${text.substring(0, MAX_MESSAGE_LENGTH - 1)}…`;
+  }
+
+  return {
+    text,
+    content: text,
+    alerts: alerts.map(({ type, title, message, programId, programName, createdAt }) => ({
+      type, title, message, programId, programName, createdAt
+    }))
+  };
+}
+
+class AlertManager {
+  /**
+   * @param {Database} db
+   * @param {Object} [options]
+   * @param {Function} [options.notify] - (title, body) desktop notification, if there is a desktop
+   * @param {Function} [options.log] - (message, level) logger
+   * @param {Function} [options.send] - (url, payload) => Promise, defaults to sendWebhook
+   */
+  constructor(db, { notify = null, log = () => {}, send = sendWebhook } = {}) {
+    this.db = db;
+    this.notify = notify;
+    this.log = log;
+    this.send = send;
+  }
+
+  // Stored rules, or the defaults until rules have been saved
+  getRules() {
+    const stored = this.db.getSetting('alertRules');
+    if (!stored) return DEFAULT_RULES.map(rule => ({ ...rule }));
+    try {
+      return JSON.parse(stored);
+    } catch (e) {
+      return DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+  }
+
+  getSettings() {
+    return {
+      rules: this.getRules(),
+      notifications: this.db.getSetting('alertNotifications') !== 'false',
+      webhookUrl: this.db.getSecureSetting('alert_webhook_url') || ''
+    };
+  }
+
+  // Validates everything before saving anything
+  saveSettings({ rules, notifications, webhookUrl }) {
+    const normalized = (rules || []).map(normalizeRule);
+    const url = String(webhookUrl || '').trim();
+    if (url) validateWebhookUrl(url);
+
+    this.db.setSetting('alertRules', JSON.stringify(normalized));
+    this.db.setSetting('alertNotifications', notifications === false ? 'false' : 'true');
+    this.db.setSecureSetting('alert_webhook_url', url);
+    return this.getSettings();
+  }
+
+  /**
+   * Check the rules against every program in a finished sync run and deliver what fires.
+   * Never throws - a broken webhook must not fail a sync.
+   * @returns {Promise<Object[]>} the alerts raised
+   */
+  async checkRun(runId, today = new Date()) {
+    let alerts = [];
+    try {
+      const rules = this.getRules().filter(rule => rule.enabled);
+      if (rules.length === 0) return [];
+
+      const programIds = [...new Set(this.db.getSyncRunItems(runId).map(item => item.program_id).filter(Boolean))];
+      for (const programId of programIds) {
+        const program = this.db.getProgram(programId);
+        if (!program) continue;
+
+        const programRules = rules.filter(rule => !rule.programId || rule.programId === programId);
+        if (programRules.length > 0) alerts.push(...this.checkProgram(program, programRules, today));
+      }
+
+      await this.deliver(alerts);
+    } catch (error) {
+      this.log(`Alert check failed: ${error.message}`, 'warn');
+      alerts = [];
+    }
+    return alerts;
+  }
+
+  // Rules that fire for one program after a sync - also moves its daily FTD/revenue baseline on
+  checkProgram(program, rules, today = new Date()) {
+    const failureThresholds = rules.filter(r => r.type === ALERT_TYPES.SYNC_FAILURES).map(r => r.threshold);
+    const history = this.db.getProgramSyncHistory(program.id, Math.max(2, ...failureThresholds.map(t => t + 1)));
+    const latest = history[0];
+    if (!latest) return [];
+
+    const firstSuccess = history.findIndex(item => item.success);
+    const streak = firstSuccess === -1 ? history.length : firstSuccess;
+    const previous = history[1];
+
+    const day = toDateString(today);
+    const month = day.substring(0, 7);
+    const current = this.db.getMonthlyStats(program.id).find(stats => stats.month === month) || {};
+    const ftds = current.ftds || 0;
+    const revenue = current.revenue || 0;
+
+    const state = this.db.getAlertState(program.id);
+    if (state.day !== day) {
+      // First check today - everything counted so far belongs to earlier days. A new month starts
+      // from 0 on the 1st; later than that there's no telling which of its FTDs came today
+      state.dayStartFtds = state.month === month ? state.ftds : (state.month && today.getDate() === 1 ? 0 : ftds);
+      state.day = day;
+    }
+    state.fired = state.fired || {};
+
+    const alerts = [];
+    const raise = (rule, message) => alerts.push({
+      ruleId: rule.id,
+      type: rule.type,
+      title: ALERT_TITLES[rule.type],
+      message,
+      programId: program.id,
+      programName: program.name,
+      createdAt: new Date().toISOString()
+    });
+
+    for (const rule of rules) {
+      switch (rule.type) {
+        case ALERT_TYPES.SYNC_FAILURES:
+          // Exactly at the threshold, so a program that stays broken alerts once
+          if (!latest.success && streak === rule.threshold) {
+            raise(rule, `${program.name} failed ${streak} sync${streak === 1 ? '' : 's'} in a row: ${latest.error || 'unknown error'}`);
+          }
+          break;
+
+        case ALERT_TYPES.AUTH_FAILURE: {
+          const isAuth = (item) => item && !item.success && item.error_category === ERROR_CATEGORIES.AUTH;
+          if (isAuth(latest) && !isAuth(previous)) {
+            raise(rule, `${program.name} login failed - check the saved credentials (${latest.error || 'login rejected'})`);
+          }
+          break;
+        }
+
+        case ALERT_TYPES.DAILY_FTDS: {
+          const ftdsToday = ftds - (state.dayStartFtds || 0);
+          if (latest.success && ftdsToday >= rule.threshold && state.fired[rule.id] !== day) {
+            state.fired[rule.id] = day;
+            raise(rule, `${program.name} has ${ftdsToday} FTDs today`);
+          }
+          break;
+        }
+
+        case ALERT_TYPES.REVENUE_DROP: {
+          const before = state.month === month ? state.revenue || 0 : 0;
+          const drop = before > 0 ? (before - revenue) / before * 100 : 0;
+          if (latest.success && drop >= rule.threshold) {
+            raise(rule, `${program.name} revenue for ${month} fell ${Math.round(drop)}% since the last sync (${formatMoney(before, program.currency)} → ${formatMoney(revenue, program.currency)})`);
+          }
+          break;
+        }
+      }
+    }
+
+    // A failed sync saved nothing, so the last good numbers stay the baseline
+    if (latest.success || state.month === undefined) {
+      state.month = month;
+      state.ftds = ftds;
+      state.revenue = revenue;
+    }
+    this.db.saveAlertState(program.id, state);
+    return alerts;
+  }
+
+  // Notification and webhook for a batch of alerts - one of each, however many fired
+  async deliver(alerts) {
+    if (alerts.length === 0) return [];
+
+    const { notifications, webhookUrl } = this.getSettings();
+    const delivered = [];
+    alerts.forEach(alert => this.log(`🔔 ${alert.message}`, 'warn'));
+
+    if (notifications && this.notify) {
+      try {
+        const title = alerts.length === 1 ? alerts[0].title : `${alerts.length} alerts`;
+        if (this.notify(title, alerts.map(alert => alert.message).join('\n')) !== false) {
+          delivered.push('notification');
+        }
+      } catch (error) {
+        this.log(`Alert notification failed: ${error.message}`, 'warn');
+      }
+    }
+
+    if (webhookUrl) {
+      try {
+        await this.send(webhookUrl, formatPayload(alerts));
+        delivered.push('webhook');
+      } catch (error) {
+        this.log(`Alert webhook failed: ${error.message}`, 'warn');
+      }
+    }
+
+    this.db.addAlertLog(alerts.map(alert => ({ ...alert, delivered: delivered.join(',') })));
+    return delivered;
+  }
+
+  /**
+   * Send a sample alert through the configured (or given) channels
+   * @returns {Promise<{ notification: boolean, webhook: boolean }>} rejects when the webhook fails
+   */
+  async sendTest(webhookUrl = null) {
+    const settings = this.getSettings();
+    const url = String(webhookUrl ?? settings.webhookUrl).trim();
+    const alert = {
+      ruleId: null,
+      type: 'test',
+      title: 'Test alert',
+      message: 'Alerts from Stats Fetch will show up here',
+      programId: null,
+      programName: null,
+      createdAt: new Date().toISOString()
+    };
+
+    const notification = settings.notifications && this.notify
+      ? this.notify(alert.title, alert.message) !== false
+      : false;
+    if (url) {
+      await this.send(url, formatPayload([alert]));
+    }
+    return { notification, webhook: !!url };
+  }
+
+  getLog(limit = 50) {
+    return this.db.getAlertLog(limit);
+  }
+}
+
+module.exports = AlertManager;
+module.exports.ALERT_TYPES = ALERT_TYPES;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.normalizeRule = normalizeRule;
+module.exports.formatPayload = formatPayload;
+module.exports.sendWebhook = sendWebhook;
@@ -0,0 +1,136 @@
+/**
+ * Stats Anomaly Detection
+ * Sanity-checks freshly synced monthly stats against the program's own history,
+ * so a scraper that silently breaks gets noticed before the numbers are trusted
+ */
+
+const ANOMALY_TYPES = {
+  REVENUE_ZERO: 'revenue_zero',         // Revenue went to 0 on a program that normally earns
+  SHARP_DROP: 'sharp_drop',             // Clicks/FTDs collapsed vs last sync or vs recent months
+  IDENTICAL_VALUES: 'identical_values'  // Same numbers for different months - scraper stuck on one view
+};
+
+// A month-to-date total falling this much (or pacing this far below normal) is flagged
+const DROP_THRESHOLD = 0.95;
+
+// Ignore low-volume programs where a 95% swing is just noise
+const MIN_BASELINE = { clicks: 100, ftds: 3 };
+
+// Pace checks need a few days of the month before they mean anything
+const MIN_DAYS_ELAPSED = 3;
+
+// Number of earlier months averaged for the baseline
+const BASELINE_MONTHS = 3;
+
+const METRICS = ['clicks', 'signups', 'ftds', 'deposits', 'revenue'];
+
+function daysInMonth(month) {
+  const [year, mon] = month.split('-').map(Number);
+  return new Date(year, mon, 0).getDate();
+}
+
+// Days of the month covered so far (the whole month once it's over)
+function daysElapsed(month, today) {
+  const currentMonth = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+  if (month === currentMonth) return today.getDate();
+  return daysInMonth(month);
+}
+
+// Average per-day value of a metric over the baseline months
+function dailyRate(months, metric) {
+  if (months.length === 0) return 0;
+  const total = months.reduce((sum, m) => sum + (m[metric] || 0) / daysInMonth(m.month), 0);
+  return total / months.length;
+}
+
+function sameValues(a, b) {
+  return METRICS.every(metric => (a[metric] || 0) === (b[metric] || 0));
+}
+
+function hasActivity(row) {
+  return METRICS.some(metric => (row[metric] || 0) !== 0);
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Compare the months touched by a sync with what was stored before it
+ *
+ * @param {Object} input
+ * @param {string[]} input.months  - YYYY-MM months written by this sync
+ * @param {Object[]} input.before  - getMonthlyStats() rows from before the sync
+ * @param {Object[]} input.after   - getMonthlyStats() rows after saving/consolidating
+ * @param {Date} [input.today]
+ * @returns {Object} month -> [{ type, severity, message }]
+ */
+function detectAnomalies({ months, before, after, today = new Date() }) {
+  const previousByMonth = new Map(before.map(row => [row.month, row]));
+  const currentByMonth = new Map(after.map(row => [row.month, row]));
+  const results = {};
+
+  const flag = (month, type, severity, message) => {
+    if (!results[month]) results[month] = [];
+    results[month].push({ type, severity, message });
+  };
+
+  for (const month of months) {
+    results[month] = results[month] || [];
+    const current = currentByMonth.get(month);
+    if (!current) continue;
+
+    const previous = previousByMonth.get(month);
+    const baseline = after
+      .filter(row => row.month < month)
+      .sort((a, b) => b.month.localeCompare(a.month))
+      .slice(0, BASELINE_MONTHS);
+    const elapsed = daysElapsed(month, today);
+
+    // Revenue wiped out since the last sync of the same month
+    if ((current.revenue || 0) === 0 && previous && (previous.revenue || 0) !== 0) {
+      flag(month, ANOMALY_TYPES.REVENUE_ZERO, 'critical',
+        `Revenue dropped to 0 (was ${(previous.revenue / 100).toFixed(2)} at the last sync)`);
+    } else if ((current.revenue || 0) === 0 && baseline.length > 0 &&
+      baseline.every(row => (row.revenue || 0) !== 0) &&
+      elapsed >= MIN_DAYS_ELAPSED &&
+      dailyRate(baseline, 'ftds') * elapsed >= MIN_BASELINE.ftds) {
+      flag(month, ANOMALY_TYPES.REVENUE_ZERO, 'critical',
+        `Revenue is 0 but the previous ${baseline.length} month(s) all earned with regular FTDs`);
+    }
+
+    // Month-to-date totals only grow, so a big fall since the last sync means bad data
+    for (const metric of ['clicks', 'ftds']) {
+      const was = previous ? (previous[metric] || 0) : 0;
+      const now = current[metric] || 0;
+      if (was >= MIN_BASELINE[metric] && now <= was * (1 - DROP_THRESHOLD)) {
+        flag(month, ANOMALY_TYPES.SHARP_DROP, 'warning',
+          `${metric === 'ftds' ? 'FTDs' : 'Clicks'} fell ${formatPercent(1 - now / was)} since the last sync (${was.toLocaleString()} → ${now.toLocaleString()})`);
+        break;
+      }
+
+      // Pacing far below the recent daily average
+      if (elapsed < MIN_DAYS_ELAPSED || baseline.length === 0) continue;
+      const expected = dailyRate(baseline, metric) * elapsed;
+      if (expected >= MIN_BASELINE[metric] && now <= expected * (1 - DROP_THRESHOLD)) {
+        flag(month, ANOMALY_TYPES.SHARP_DROP, 'warning',
+          `${metric === 'ftds' ? 'FTDs' : 'Clicks'} are ${formatPercent(1 - now / expected)} below the usual pace (expected ~${Math.round(expected).toLocaleString()}, got ${now.toLocaleString()})`);
+        break;
+      }
+    }
+
+    // The same numbers for two different months - usually the date filter didn't apply
+    if (hasActivity(current)) {
+      const twin = after.find(row => row.month !== month && sameValues(row, current) &&
+        (months.includes(row.month) || row.month === baseline[0]?.month));
+      if (twin) {
+        flag(month, ANOMALY_TYPES.IDENTICAL_VALUES, 'warning',
+          `Identical figures to ${twin.month} - the scraper may be reading the wrong period`);
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = { ANOMALY_TYPES, detectAnomalies };
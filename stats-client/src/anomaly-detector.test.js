@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ANOMALY_TYPES, detectAnomalies } = require('./anomaly-detector');
+
+const TODAY = new Date(2025, 5, 20); // 20 June 2025
+
+// Three steady months before June: 1500 clicks, 15 FTDs, revenue every month
+const history = [
+  { month: '2025-03', clicks: 1500, signups: 60, ftds: 15, deposits: 300000, revenue: 45000 },
+  { month: '2025-04', clicks: 1500, signups: 61, ftds: 15, deposits: 310000, revenue: 46000 },
+  { month: '2025-05', clicks: 1500, signups: 62, ftds: 15, deposits: 320000, revenue: 47000 }
+];
+
+const types = (flags) => (flags || []).map(flag => flag.type);
+
+test('normal month-to-date figures raise nothing', () => {
+  const june = { month: '2025-06', clicks: 980, signups: 40, ftds: 10, deposits: 200000, revenue: 30000 };
+  const result = detectAnomalies({ months: ['2025-06'], before: history, after: [...history, june], today: TODAY });
+  assert.deepEqual(result, { '2025-06': [] });
+});
+
+test('revenue dropping to 0 since the last sync is critical', () => {
+  const before = [...history, { month: '2025-06', clicks: 900, ftds: 9, revenue: 25000 }];
+  const after = [...history, { month: '2025-06', clicks: 950, ftds: 10, revenue: 0 }];
+  const [flag] = detectAnomalies({ months: ['2025-06'], before, after, today: TODAY })['2025-06'];
+  assert.equal(flag.type, ANOMALY_TYPES.REVENUE_ZERO);
+  assert.equal(flag.severity, 'critical');
+});
+
+test('revenue of 0 against a baseline that always earned is flagged on the first sync', () => {
+  const after = [...history, { month: '2025-06', clicks: 950, ftds: 10, revenue: 0 }];
+  const result = detectAnomalies({ months: ['2025-06'], before: history, after, today: TODAY });
+  assert.deepEqual(types(result['2025-06']), [ANOMALY_TYPES.REVENUE_ZERO]);
+});
+
+test('clicks far below the baseline pace are a sharp drop', () => {
+  // ~50 clicks/day over 20 days is ~1000 expected
+  const after = [...history, { month: '2025-06', clicks: 20, signups: 1, ftds: 10, revenue: 30000 }];
+  const [flag] = detectAnomalies({ months: ['2025-06'], before: history, after, today: TODAY })['2025-06'];
+  assert.equal(flag.type, ANOMALY_TYPES.SHARP_DROP);
+  assert.match(flag.message, /below the usual pace/);
+});
+
+test('pace is not checked in the first days of the month', () => {
+  const after = [...history, { month: '2025-06', clicks: 1, ftds: 0, revenue: 100 }];
+  const result = detectAnomalies({ months: ['2025-06'], before: history, after, today: new Date(2025, 5, 2) });
+  assert.deepEqual(result['2025-06'], []);
+});
+
+test('low-volume programs are left alone', () => {
+  const quiet = history.map(row => ({ ...row, clicks: 40, ftds: 1 }));
+  const after = [...quiet, { month: '2025-06', clicks: 0, ftds: 0, revenue: 47000 }];
+  const result = detectAnomalies({ months: ['2025-06'], before: quiet, after, today: TODAY });
+  assert.deepEqual(result['2025-06'], []);
+});
+
+test('the same figures as the previous month are flagged', () => {
+  const june = { ...history[2], month: '2025-06' };
+  const result = detectAnomalies({ months: ['2025-06'], before: history, after: [...history, june], today: TODAY });
+  assert.deepEqual(types(result['2025-06']), [ANOMALY_TYPES.IDENTICAL_VALUES]);
+});
@@ -0,0 +1,282 @@
+/**
+ * Local REST API Server
+ * Read-only access to the client database for spreadsheets and scripts, plus a sync trigger.
+ * Bound to 127.0.0.1 and protected by a generated token - never reachable from other machines.
+ *
+ *   GET  /api/programs                       All programs (no credentials)
+ *   GET  /api/programs/:id                   One program
+ *   GET  /api/stats?programId=&startDate=&endDate=          Daily/monthly rows (all programs if no programId)
+ *   GET  /api/stats/monthly?programId=&startDate=&endDate=  Per-month totals
+ *   GET  /api/stats/channels?programId=&startDate=&endDate= Per-channel breakdown
+ *   GET  /api/payments?monthsBack=6          Payment summary
+ *   GET  /api/payments/:month                Programs with revenue in YYYY-MM and their payment status
+ *   GET  /api/payments/aging                 Unpaid balances by days overdue
+ *   GET  /api/payments/reconciliation?monthsBack=6  Payments where received differs from synced revenue
+ *   GET  /api/sync/runs?limit=50             Sync run history
+ *   POST /api/sync   { programId?, wait? }   Start a sync (all programs unless programId is given)
+ *
+ * Amounts are in the app's default currency, converted at the rate for each row's date.
+ *
+ * Authenticate with "Authorization: Bearer <token>" or ?token=<token>.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { getReceivables, getAgingReport, getReconciliationReport, reportStartDate } = require('./receivables');
+const { convertStats } = require('./exporter');
+
+const DEFAULT_PORT = 17345;
+const HOST = '127.0.0.1';
+const MAX_BODY_SIZE = 64 * 1024;
+
+// /api/stats/<kind> -> Database query
+const STATS_QUERIES = new Map([
+  [undefined, 'getStats'],
+  ['monthly', 'getMonthlyStats'],
+  ['channels', 'getChannelStats']
+]);
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+class ApiServer {
+  /**
+   * @param {Database} db
+   * @param {Object} options
+   * @param {Function} options.runSync - (programId|null) => Promise<result>, supplied by main.js
+   *   so API syncs follow the same license limits as the UI
+   * @param {Function} [options.convert] - (amount, from, to, date) => amount, for stats and payments in another currency
+   * @param {Function} [options.ensureRates] - (startDate, endDate) => Promise, loads the rates a range needs before converting
+   * @param {Function} [options.getCurrency] - () => display currency for stats and aging totals
+   */
+  constructor(db, { runSync, convert = null, ensureRates = async () => {}, getCurrency = () => 'USD' }) {
+    this.db = db;
+    this.runSync = runSync;
+    this.convert = convert;
+    this.ensureRates = ensureRates;
+    this.getCurrency = getCurrency;
+    this.server = null;
+    this.port = null;
+    this.token = null;
+    this.activeSync = null;
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  isRunning() {
+    return !!this.server;
+  }
+
+  start(port = DEFAULT_PORT, token) {
+    if (!token) {
+      return Promise.reject(new Error('API token is required'));
+    }
+
+    return this.stop().then(() => new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => this.handleRequest(req, res));
+
+      server.once('error', (error) => {
+        reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : error);
+      });
+
+      server.listen(port, HOST, () => {
+        this.server = server;
+        this.port = port;
+        this.token = token;
+        console.log(`[API SERVER] Listening on http://${HOST}:${port}`);
+        resolve({ url: `http://${HOST}:${port}` });
+      });
+    }));
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => {
+      server.close(() => {
+        console.log('[API SERVER] Stopped');
+        resolve();
+      });
+      // Don't wait on idle keep-alive connections from spreadsheet clients
+      if (server.closeAllConnections) server.closeAllConnections();
+    });
+  }
+
+  isAuthorized(req, url) {
+    const header = req.headers['authorization'] || '';
+    const supplied = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token');
+    if (!supplied || !this.token) return false;
+
+    const a = Buffer.from(supplied);
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, `http://${HOST}`);
+
+      // Block browser pages from reaching the API through DNS rebinding
+      const host = (req.headers.host || '').split(':')[0];
+      if (host !== HOST && host !== 'localhost') {
+        throw new ApiError(403, 'Invalid host');
+      }
+
+      if (!this.isAuthorized(req, url)) {
+        throw new ApiError(401, 'Missing or invalid API token');
+      }
+
+      const result = await this.route(req, url);
+      this.send(res, result.status || 200, result.body);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) console.error('[API SERVER] Error:', error);
+      this.send(res, status, { error: error.message });
+    }
+  }
+
+  async route(req, url) {
+    const parts = url.pathname.replace(/\/+$/, '').split('/').filter(Boolean);
+    const query = url.searchParams;
+
+    if (parts[0] !== 'api') throw new ApiError(404, 'Not found');
+    const [, resource, sub] = parts;
+
+    if (req.method === 'POST' && resource === 'sync' && !sub) {
+      return this.startSync(await this.readBody(req));
+    }
+    if (req.method !== 'GET') throw new ApiError(405, 'Method not allowed');
+
+    switch (resource) {
+      case 'programs':
+        if (sub) {
+          const program = this.db.getProgram(sub);
+          if (!program) throw new ApiError(404, 'Program not found');
+          return { body: program };
+        }
+        return { body: this.db.getPrograms() };
+
+      case 'stats':
+        return { body: await this.getStats(sub, query) };
+
+      case 'payments':
+        if (sub === 'aging') {
+          await this.ensureRates(reportStartDate(12));
+          return { body: getAgingReport(this.db, { convert: this.convert, currency: this.getCurrency() }) };
+        }
+        if (sub === 'reconciliation') {
+          const monthsBack = parseInt(query.get('monthsBack'), 10) || 6;
+          await this.ensureRates(reportStartDate(monthsBack));
+          return { body: getReconciliationReport(this.db, { convert: this.convert, monthsBack }) };
+        }
+        if (sub) {
+          if (!/^\d{4}-\d{2}$/.test(sub)) throw new ApiError(400, 'Month must be YYYY-MM');
+          await this.ensureRates(`${sub}-01`);
+          return { body: getReceivables(this.db, sub, { convert: this.convert }) };
+        }
+        return { body: this.db.getPaymentSummary(parseInt(query.get('monthsBack'), 10) || 6) };
+
+      case 'sync':
+        if (sub === 'runs') {
+          return { body: this.db.getSyncRuns(parseInt(query.get('limit'), 10) || 50) };
+        }
+        break;
+    }
+
+    throw new ApiError(404, 'Not found');
+  }
+
+  // Same Database queries the stats view uses, across all programs when no programId is given
+  async getStats(kind, query) {
+    const method = STATS_QUERIES.get(kind);
+    if (!method) throw new ApiError(404, 'Not found');
+
+    const startDate = query.get('startDate') || null;
+    const endDate = query.get('endDate') || null;
+    const programId = query.get('programId');
+
+    const programs = programId ? [this.db.getProgram(programId)] : this.db.getPrograms();
+    if (!programs[0] && programId) throw new ApiError(404, 'Program not found');
+
+    const currency = this.getCurrency();
+    if (programs.some(program => program.currency && program.currency !== currency)) {
+      await this.ensureRates(startDate, endDate);
+    }
+
+    return programs.flatMap(program =>
+      convertStats(this.db[method](program.id, startDate, endDate), program, currency, this.convert).map(row => ({
+        ...row,
+        program_id: program.id,
+        program_name: program.name,
+        program_code: program.code
+      }))
+    );
+  }
+
+  async startSync(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ApiError(400, 'Body must be a JSON object');
+    }
+    const { programId = null, wait = false } = body;
+    if (programId !== null && typeof programId !== 'string') {
+      throw new ApiError(400, 'programId must be a string');
+    }
+    if (programId && !this.db.getProgram(programId)) {
+      throw new ApiError(404, 'Program not found');
+    }
+    if (this.activeSync) {
+      throw new ApiError(409, 'A sync started through the API is already running');
+    }
+
+    this.activeSync = this.runSync(programId)
+      .catch(error => ({ success: false, error: error.message }))
+      .finally(() => { this.activeSync = null; });
+
+    if (wait) {
+      return { body: await this.activeSync };
+    }
+    return { status: 202, body: { started: true, programId } };
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > MAX_BODY_SIZE) {
+          reject(new ApiError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!data) return resolve({});
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new ApiError(400, 'Body must be JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = ApiServer;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
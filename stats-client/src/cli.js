@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+/**
+ * Stats Fetch - Headless CLI
+ * Runs syncs and basic management against the desktop app's database without opening a window,
+ * e.g. from cron on a Linux server. The app and the CLI can't have the same database open at
+ * once (see db-lock.js) - the CLI exits with code 2 while the app is running.
+ *
+ *   statsfetch sync [code]                    Sync all active programs, or one program by code
+ *   statsfetch programs                       List programs
+ *   statsfetch credentials <code> <file.json> Save credentials ({ username, password, apiKey, apiSecret, totpSecret, proxy })
+ *   statsfetch export [options]               Export stats as CSV, XLSX or JSON
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('./database');
+const { DatabaseLockedError } = require('./db-lock');
+const SyncEngine = require('./sync-engine');
+const AlertManager = require('./alerts');
+const { EXPORT_TYPES, buildExport, toCSV, toRecords, toXLSX } = require('./exporter');
+
+// Electron's userData folder for the installed app (named after build.productName), so the CLI
+// opens the same stats-data.db
+function getDefaultDataDir() {
+  const pkg = require('../package.json');
+  const appName = pkg.build?.productName || pkg.productName || pkg.name;
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', appName);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+const USAGE = `Usage: statsfetch <command> [options]
+
+Commands:
+  sync [code]                     Sync all active programs, or one program by code
+  programs                        List programs
+  credentials <code> <file.json>  Save credentials from a JSON file
+                                  ({ "username", "password", "apiKey", "apiSecret",
+                                  "totpSecret", "proxy" })
+  export                          Export stats
+      --program <code>            Only this program (default: all)
+      --from <YYYY-MM-DD>         Start date
+      --to <YYYY-MM-DD>           End date
+      --monthly                   Per-month totals instead of stored rows
+      --channels                  Per-channel breakdown
+      --format <csv|xlsx|json>    Output format (default: csv, xlsx needs --out)
+      --out <file>                Write to a file instead of stdout
+
+Options:
+  --data-dir <dir>   Database folder (default: ${getDefaultDataDir()},
+                     or STATSFETCH_DATA_DIR)
+  --verbose          Include internal debug output (on stderr)
+  --help             Show this help
+
+If the app has a master password, sync and credentials read it from
+STATSFETCH_MASTER_PASSWORD.
+
+Exit codes: 0 success, 1 one or more syncs failed, 2 usage or setup error`;
+
+class CliError extends Error {}
+
+// Split argv into positional args and --flags (--flag value / --flag)
+function parseArgs(argv) {
+  const BOOLEAN_FLAGS = ['monthly', 'channels', 'verbose', 'help'];
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split('=');
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else {
+      if (i + 1 >= argv.length) throw new CliError(`--${name} needs a value`);
+      flags[name] = argv[++i];
+    }
+  }
+
+  return { command: args[0], args: args.slice(1), flags };
+}
+
+function findProgram(db, codeOrId) {
+  const wanted = String(codeOrId).toLowerCase();
+  const program = db.getPrograms().find(p => p.code.toLowerCase() === wanted || p.id === codeOrId);
+  if (!program) throw new CliError(`No program with code "${codeOrId}" (see: statsfetch programs)`);
+  return program;
+}
+
+// Demo licenses sync at most 20 programs - use the role the desktop app last cached
+function getMaxPrograms(db) {
+  const role = parseInt(db.getSetting('license_role'), 10);
+  return role > 1 ? Infinity : 20;
+}
+
+// Sync log lines go to stdout (errors to stderr), or all to `stream` when given
+function printLog({ message, type, timestamp }, stream = null) {
+  const time = new Date(timestamp).toLocaleTimeString();
+  const line = `${time} ${type === 'info' ? '' : `[${type.toUpperCase()}] `}${message}\n`;
+  (stream || (type === 'error' ? process.stderr : process.stdout)).write(line);
+}
+
+async function runSync(db, args, debug) {
+  const engine = new SyncEngine(db);
+  engine.setLogCallback(printLog, { echo: debug });
+
+  // Alert rules set up in the app still reach the webhook - there are no desktop notifications here
+  const alerts = new AlertManager(db, { log: (message, type) => engine.log(message, type) });
+  const deliveries = [];
+  engine.setRunCallback(run => deliveries.push(alerts.checkRun(run.id)));
+
+  try {
+    if (args[0]) {
+      const program = findProgram(db, args[0]);
+      const result = await engine.syncProgram(program.id, false, { trigger: 'cli' });
+      if (result.success) {
+        console.info(`✓ ${program.name}: ${result.records} records`);
+        return 0;
+      }
+      console.error(`✗ ${program.name} [${result.category || 'unknown'}]: ${result.error}`);
+      return 1;
+    }
+
+    const result = await engine.syncAll(getMaxPrograms(db), { trigger: 'cli' });
+    console.info(`Synced ${result.synced}, failed ${result.failed}`);
+    return result.failed > 0 ? 1 : 0;
+  } finally {
+    await Promise.all(deliveries);
+    await engine.scraper.close().catch(() => {});
+  }
+}
+
+function listPrograms(db) {
+  const programs = db.getPrograms();
+  if (programs.length === 0) {
+    console.info('No programs');
+    return 0;
+  }
+
+  const rows = programs.map(p => [
+    p.code,
+    p.name,
+    p.provider,
+    p.is_active ? 'yes' : 'no',
+    p.has_credentials ? 'yes' : 'no',
+    p.last_sync ? new Date(p.last_sync).toLocaleString() : 'never',
+    p.last_error ? `[${p.last_error_category || 'unknown'}] ${p.last_error}` : ''
+  ]);
+  const header = ['CODE', 'NAME', 'PROVIDER', 'ACTIVE', 'CREDS', 'LAST SYNC', 'LAST ERROR'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+
+  for (const row of [header, ...rows]) {
+    console.info(row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd());
+  }
+  return 0;
+}
+
+function saveCredentials(db, args) {
+  const [code, file] = args;
+  if (!code || !file) throw new CliError('Usage: statsfetch credentials <code> <file.json>');
+
+  const program = findProgram(db, code);
+  let credentials;
+  try {
+    credentials = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new CliError(`Could not read ${file}: ${e.message}`);
+  }
+
+  const allowed = ['username', 'password', 'apiKey', 'apiSecret', 'totpSecret', 'proxy'];
+  const unknown = Object.keys(credentials).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown credential fields: ${unknown.join(', ')} (expected ${allowed.join(', ')})`);
+  }
+
+  try {
+    db.saveCredentials(program.id, credentials);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  console.info(`Saved credentials for ${program.name}`);
+  return 0;
+}
+
+async function exportStats(db, flags, debug) {
+  const format = flags.format || 'csv';
+  if (!['csv', 'xlsx', 'json'].includes(format)) throw new CliError('--format must be csv, xlsx or json');
+  if (format === 'xlsx' && !flags.out) throw new CliError('--format xlsx needs --out <file>');
+
+  const type = flags.channels ? EXPORT_TYPES.CHANNELS : flags.monthly ? EXPORT_TYPES.MONTHLY : EXPORT_TYPES.STATS;
+  const engine = new SyncEngine(db);
+  // stdout may be the export itself
+  engine.setLogCallback(entry => printLog(entry, process.stderr), { echo: debug });
+  await engine.ensureRates(flags.from, flags.to);
+  const data = buildExport(db, {
+    type,
+    programId: flags.program ? findProgram(db, flags.program).id : null,
+    startDate: flags.from,
+    endDate: flags.to,
+    currency: engine.getDefaultCurrency(),
+    convert: (amount, from, to, date) => engine.convertCurrency(amount, from, to, date)
+  });
+
+  let output;
+  if (format === 'xlsx') {
+    output = await toXLSX(data);
+  } else if (format === 'json') {
+    output = JSON.stringify(toRecords(data), null, 2) + '\n';
+  } else {
+    output = toCSV(data);
+  }
+
+  if (flags.out) {
+    fs.writeFileSync(flags.out, output);
+    console.error(`Exported ${data.rows.length} rows to ${flags.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+function unlockVault(db) {
+  const password = process.env.STATSFETCH_MASTER_PASSWORD;
+  if (!password) {
+    throw new CliError('Credentials are protected by a master password - set STATSFETCH_MASTER_PASSWORD');
+  }
+  try {
+    db.vault.unlock(password);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  db.reencryptSecrets();
+}
+
+async function main() {
+  const { command, args, flags } = parseArgs(process.argv.slice(2));
+
+  if (!command || flags.help) {
+    console.info(USAGE);
+    return command || flags.help ? 0 : 2;
+  }
+
+  // Internal debug output of the database, engine and scraper - only with --verbose, and on
+  // stderr so stdout stays sync logs, results and exports
+  const debug = flags.verbose ? console.error : null;
+
+  const dataDir = flags['data-dir'] || process.env.STATSFETCH_DATA_DIR || getDefaultDataDir();
+  if (!fs.existsSync(path.join(dataDir, 'stats-data.db'))) {
+    throw new CliError(`No database found in ${dataDir} - open the desktop app once or pass --data-dir`);
+  }
+
+  const db = new Database(dataDir, { log: debug || (() => {}) });
+  try {
+    await db.init();
+  } catch (error) {
+    throw error instanceof DatabaseLockedError ? new CliError(error.message) : error;
+  }
+
+  // Same user-installed provider adapters as the desktop app
+  require('./providers').loadDirectory(path.join(dataDir, 'providers'));
+
+  try {
+    // Credentials are only readable with the vault unlocked (see vault.js)
+    if (['sync', 'credentials'].includes(command) && db.vault.hasMasterPassword()) {
+      unlockVault(db);
+    }
+
+    switch (command) {
+      case 'sync':
+        return await runSync(db, args, debug);
+      case 'programs':
+        return listPrograms(db);
+      case 'credentials':
+        return saveCredentials(db, args);
+      case 'export':
+        return await exportStats(db, flags, debug);
+      default:
+        throw new CliError(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error instanceof CliError ? error.message : error);
+    process.exit(2);
+  });
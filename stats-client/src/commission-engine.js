@@ -0,0 +1,202 @@
+/**
+ * Commission Plans
+ * Works out what a program should earn from its synced deposits, withdrawals, chargebacks
+ * and FTDs, so the revenue the platform reports can be checked against the deal
+ *
+ * Plans are stored per program (amounts in cents):
+ *
+ *   {
+ *     type: 'revshare' | 'cpa' | 'hybrid',
+ *     revshare: {
+ *       tiers: [{ from: 0, percent: 25 }, { from: 10, percent: 30 }],
+ *       tierBy: 'ftds',          // 'ftds' (FTDs this month) or 'netRevenue' (net in cents)
+ *       progressive: false       // netRevenue only - each bracket paid at its own rate
+ *     },
+ *     cpa: { amount: 10000, minFtds: 0, minDepositsPerFtd: 0 },
+ *     adminFee: { percent: 0, fixed: 0 },   // Taken off positive net revenue before revshare
+ *     negativeCarryover: true,              // A negative month is deducted from the next ones
+ *     tolerance: { percent: 5, amount: 1000 }
+ *   }
+ *
+ * Net revenue is deposits - withdrawals - chargebacks (the same D-W-C basis RTG uses).
+ */
+
+const PLAN_TYPES = {
+  REVSHARE: 'revshare',
+  CPA: 'cpa',
+  HYBRID: 'hybrid'
+};
+
+// stat_anomalies type for months where reported revenue doesn't match the plan
+const COMMISSION_MISMATCH = 'commission_mismatch';
+
+// Differences within the larger of these are rounding/timing noise
+const DEFAULT_TOLERANCE = { percent: 5, amount: 1000 };
+
+const formatMoney = (cents) => (cents / 100).toFixed(2);
+
+function toNumber(value, name, { min = 0 } = {}) {
+  const number = Number(value ?? 0);
+  if (!Number.isFinite(number) || number < min) {
+    throw new Error(`${name} must be a number${min === 0 ? ' of 0 or more' : ''}`);
+  }
+  return number;
+}
+
+/**
+ * Check a plan and fill in defaults
+ * @returns {Object} normalized plan
+ */
+function normalizePlan(plan) {
+  if (!plan || typeof plan !== 'object') throw new Error('Commission plan is missing');
+  if (!Object.values(PLAN_TYPES).includes(plan.type)) {
+    throw new Error(`Plan type must be ${Object.values(PLAN_TYPES).join(', ')}`);
+  }
+
+  const normalized = {
+    type: plan.type,
+    adminFee: {
+      percent: toNumber(plan.adminFee?.percent, 'Admin fee %'),
+      fixed: toNumber(plan.adminFee?.fixed, 'Fixed admin fee')
+    },
+    negativeCarryover: plan.negativeCarryover !== false,
+    tolerance: {
+      percent: toNumber(plan.tolerance?.percent ?? DEFAULT_TOLERANCE.percent, 'Tolerance %'),
+      amount: toNumber(plan.tolerance?.amount ?? DEFAULT_TOLERANCE.amount, 'Tolerance amount')
+    }
+  };
+
+  if (plan.type !== PLAN_TYPES.CPA) {
+    const tiers = (plan.revshare?.tiers || [])
+      .map(tier => ({ from: toNumber(tier.from, 'Tier start'), percent: toNumber(tier.percent, 'Revshare %') }))
+      .sort((a, b) => a.from - b.from);
+    if (tiers.length === 0) throw new Error('Revshare plans need at least one tier');
+    if (tiers[0].from !== 0) tiers.unshift({ from: 0, percent: 0 });
+
+    const tierBy = plan.revshare.tierBy || 'ftds';
+    if (!['ftds', 'netRevenue'].includes(tierBy)) throw new Error('Tiers must be by ftds or netRevenue');
+
+    normalized.revshare = { tiers, tierBy, progressive: tierBy === 'netRevenue' && !!plan.revshare.progressive };
+  }
+
+  if (plan.type !== PLAN_TYPES.REVSHARE) {
+    normalized.cpa = {
+      amount: toNumber(plan.cpa?.amount, 'CPA amount'),
+      minFtds: toNumber(plan.cpa?.minFtds, 'CPA minimum FTDs'),
+      minDepositsPerFtd: toNumber(plan.cpa?.minDepositsPerFtd, 'CPA minimum deposit')
+    };
+    if (normalized.cpa.amount === 0) throw new Error('CPA plans need a CPA amount');
+  }
+
+  return normalized;
+}
+
+// Revshare on a positive net amount - one rate for all of it, or bracket by bracket
+function calculateRevshare({ tiers, tierBy, progressive }, net, ftds) {
+  if (progressive) {
+    let total = 0;
+    tiers.forEach((tier, i) => {
+      const upper = i + 1 < tiers.length ? tiers[i + 1].from : Infinity;
+      const inBracket = Math.max(0, Math.min(net, upper) - tier.from);
+      total += inBracket * tier.percent / 100;
+    });
+    return { amount: Math.round(total), percent: null };
+  }
+
+  const measure = tierBy === 'ftds' ? ftds : net;
+  const tier = tiers.filter(t => t.from <= measure).pop() || tiers[0];
+  return { amount: Math.round(net * tier.percent / 100), percent: tier.percent };
+}
+
+/**
+ * Expected commission for one month
+ * @param {Object} plan - normalized plan
+ * @param {Object} stats - monthly totals (deposits, withdrawals, chargebacks, ftds in cents/counts)
+ * @param {number} carryIn - negative balance brought forward (0 or less)
+ */
+function calculateMonth(plan, stats, carryIn = 0) {
+  const deposits = stats.deposits || 0;
+  const ftds = stats.ftds || 0;
+  const gross = deposits - (stats.withdrawals || 0) - (stats.chargebacks || 0);
+  const active = deposits !== 0 || ftds !== 0;
+
+  const result = { gross, adminFee: 0, carryIn, net: 0, revshare: 0, revsharePercent: null, cpa: 0, qualifyingFtds: 0, carryOut: 0 };
+
+  if (plan.revshare) {
+    const adminFee = (gross > 0 ? Math.round(gross * plan.adminFee.percent / 100) : 0) + (active ? plan.adminFee.fixed : 0);
+    const net = gross - adminFee + (plan.negativeCarryover ? carryIn : 0);
+    result.adminFee = adminFee;
+    result.net = net;
+
+    if (net > 0) {
+      const revshare = calculateRevshare(plan.revshare, net, ftds);
+      result.revshare = revshare.amount;
+      result.revsharePercent = revshare.percent;
+    } else if (plan.negativeCarryover) {
+      result.carryOut = net;
+    }
+  }
+
+  if (plan.cpa) {
+    const { amount, minFtds, minDepositsPerFtd } = plan.cpa;
+    // Per-player deposits aren't synced - the month's average deposit per FTD stands in for the baseline
+    const meetsBaseline = ftds >= minFtds && (minDepositsPerFtd === 0 || (ftds > 0 && deposits / ftds >= minDepositsPerFtd));
+    result.qualifyingFtds = meetsBaseline ? ftds : 0;
+    result.cpa = result.qualifyingFtds * amount;
+  }
+
+  result.expected = result.revshare + result.cpa;
+  return result;
+}
+
+function describeMonth(row) {
+  const parts = [];
+  if (row.revsharePercent !== null) parts.push(`${row.revsharePercent}% of ${formatMoney(row.net)} net`);
+  else if (row.revshare) parts.push(`tiered revshare on ${formatMoney(row.net)} net`);
+  if (row.qualifyingFtds) parts.push(`${row.qualifyingFtds} × CPA`);
+  if (row.carryIn < 0) parts.push(`${formatMoney(-row.carryIn)} loss carried over`);
+  return parts.join(' + ') || 'nothing due';
+}
+
+/**
+ * Expected vs reported commission for every month of a program
+ *
+ * @param {Object} plan - stored commission plan
+ * @param {Object[]} monthlyStats - getMonthlyStats() rows (any order)
+ * @param {Object} [options]
+ * @param {Date} [options.today] - the month containing today is still open and never flagged
+ * @returns {Object[]} newest first: { month, expected, reported, difference, mismatch, message, ...breakdown }
+ */
+function calculateCommissionReport(plan, monthlyStats, { today = new Date() } = {}) {
+  const normalized = normalizePlan(plan);
+  const currentMonth = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+  const months = [...monthlyStats].sort((a, b) => a.month.localeCompare(b.month));
+
+  let carry = 0;
+  const rows = months.map(stats => {
+    const row = calculateMonth(normalized, stats, carry);
+    carry = row.carryOut;
+
+    const reported = stats.revenue || 0;
+    const difference = reported - row.expected;
+    const allowed = Math.max(normalized.tolerance.amount, Math.abs(row.expected) * normalized.tolerance.percent / 100);
+    const complete = stats.month < currentMonth;
+    const mismatch = complete && Math.abs(difference) > allowed;
+
+    return {
+      month: stats.month,
+      ...row,
+      reported,
+      difference,
+      complete,
+      mismatch,
+      message: mismatch
+        ? `Reported revenue ${formatMoney(reported)} vs expected ${formatMoney(row.expected)} under the commission plan (${describeMonth(row)})`
+        : null
+    };
+  });
+
+  return rows.reverse();
+}
+
+module.exports = { PLAN_TYPES, COMMISSION_MISMATCH, normalizePlan, calculateMonth, calculateCommissionReport };
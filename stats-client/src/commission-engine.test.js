@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PLAN_TYPES, normalizePlan, calculateMonth, calculateCommissionReport } = require('./commission-engine');
+
+const flat25 = { type: PLAN_TYPES.REVSHARE, revshare: { tiers: [{ from: 0, percent: 25 }] } };
+
+test('normalizePlan rejects unknown types and CPA plans without an amount', () => {
+  assert.throws(() => normalizePlan(null), /missing/);
+  assert.throws(() => normalizePlan({ type: 'flat' }), /Plan type must be/);
+  assert.throws(() => normalizePlan({ type: PLAN_TYPES.CPA, cpa: {} }), /need a CPA amount/);
+  assert.throws(() => normalizePlan({ type: PLAN_TYPES.REVSHARE, revshare: { tiers: [] } }), /at least one tier/);
+  assert.throws(() => normalizePlan({ ...flat25, adminFee: { percent: -1 } }), /Admin fee %/);
+});
+
+test('normalizePlan sorts tiers, starts them at 0 and fills in defaults', () => {
+  const plan = normalizePlan({ type: PLAN_TYPES.REVSHARE, revshare: { tiers: [{ from: 10, percent: 30 }, { from: 5, percent: 25 }] } });
+  assert.deepEqual(plan.revshare, {
+    tiers: [{ from: 0, percent: 0 }, { from: 5, percent: 25 }, { from: 10, percent: 30 }],
+    tierBy: 'ftds',
+    progressive: false
+  });
+  assert.equal(plan.negativeCarryover, true);
+  assert.deepEqual(plan.tolerance, { percent: 5, amount: 1000 });
+  assert.equal(plan.cpa, undefined);
+});
+
+test('revshare is paid on deposits - withdrawals - chargebacks at the tier for the month\'s FTDs', () => {
+  const plan = normalizePlan({ type: PLAN_TYPES.REVSHARE, revshare: { tiers: [{ from: 0, percent: 25 }, { from: 10, percent: 30 }] } });
+  const stats = { deposits: 120000, withdrawals: 15000, chargebacks: 5000 };
+
+  assert.equal(calculateMonth(plan, { ...stats, ftds: 9 }).expected, 25000);
+  const row = calculateMonth(plan, { ...stats, ftds: 10 });
+  assert.equal(row.gross, 100000);
+  assert.equal(row.revsharePercent, 30);
+  assert.equal(row.expected, 30000);
+});
+
+test('progressive net revenue tiers pay each bracket at its own rate', () => {
+  const plan = normalizePlan({
+    type: PLAN_TYPES.REVSHARE,
+    revshare: { tiers: [{ from: 0, percent: 20 }, { from: 100000, percent: 30 }], tierBy: 'netRevenue', progressive: true }
+  });
+  const row = calculateMonth(plan, { deposits: 150000, ftds: 3 });
+  assert.equal(row.revshare, 100000 * 0.2 + 50000 * 0.3);
+  assert.equal(row.revsharePercent, null);
+});
+
+test('admin fees come off positive gross revenue before revshare', () => {
+  const plan = normalizePlan({ ...flat25, adminFee: { percent: 10, fixed: 500 } });
+  const row = calculateMonth(plan, { deposits: 100000, ftds: 2 });
+  assert.equal(row.adminFee, 10500);
+  assert.equal(row.net, 89500);
+  assert.equal(row.revshare, 22375);
+
+  // No activity, no fixed fee
+  assert.equal(calculateMonth(plan, {}).adminFee, 0);
+});
+
+test('CPA pays every FTD once the month meets the baseline', () => {
+  const plan = normalizePlan({ type: PLAN_TYPES.CPA, cpa: { amount: 10000, minFtds: 5, minDepositsPerFtd: 2000 } });
+  assert.equal(calculateMonth(plan, { deposits: 20000, ftds: 4 }).cpa, 0);
+  assert.equal(calculateMonth(plan, { deposits: 5000, ftds: 5 }).cpa, 0);
+
+  const row = calculateMonth(plan, { deposits: 15000, ftds: 5 });
+  assert.equal(row.qualifyingFtds, 5);
+  assert.equal(row.expected, 50000);
+});
+
+test('a negative month is carried into the next one', () => {
+  const report = calculateCommissionReport(flat25, [
+    { month: '2025-02', deposits: 80000, ftds: 4, revenue: 7500 },
+    { month: '2025-01', deposits: 10000, withdrawals: 60000, ftds: 1, revenue: 0 }
+  ], { today: new Date(2025, 5, 1) });
+
+  assert.deepEqual(report.map(row => [row.month, row.carryIn, row.net, row.expected]), [
+    ['2025-02', -50000, 30000, 7500],
+    ['2025-01', 0, -50000, 0]
+  ]);
+  assert.equal(calculateCommissionReport({ ...flat25, negativeCarryover: false }, [
+    { month: '2025-01', withdrawals: 50000 },
+    { month: '2025-02', deposits: 80000 }
+  ])[0].expected, 20000);
+});
+
+test('only complete months outside the tolerance are mismatches', () => {
+  const report = calculateCommissionReport(flat25, [
+    { month: '2025-04', deposits: 100000, ftds: 5, revenue: 24000 }, // Within 5% of 25000
+    { month: '2025-05', deposits: 100000, ftds: 5, revenue: 15000 },
+    { month: '2025-06', deposits: 100000, ftds: 5, revenue: 0 } // Still open
+  ], { today: new Date(2025, 5, 20) });
+
+  assert.deepEqual(report.map(row => [row.month, row.complete, row.mismatch]), [
+    ['2025-06', false, false],
+    ['2025-05', true, true],
+    ['2025-04', true, false]
+  ]);
+  assert.equal(report[1].difference, -10000);
+  assert.equal(report[1].message, 'Reported revenue 150.00 vs expected 250.00 under the commission plan (25% of 1000.00 net)');
+});
@@ -1,55 +1,75 @@
 /**
  * Local SQLite Database Manager (using sql.js - pure JavaScript)
- * Stores programs, credentials, and stats locally
+ * Stores programs, credentials, and stats locally. Changes are written to disk through a
+ * journal with periodic snapshots (see storage.js)
  */
 
 const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
+const { Vault, isEncrypted, encryptWithPassword, decryptWithPassword } = require("./vault");
+const { parseTotpSecret } = require("./totp");
+const { checkProxyValue } = require("./proxy");
+const { Storage } = require("./storage");
+const { acquireLock } = require("./db-lock");
+
+// upsertPayment() data keys for the invoice columns on payments
+const PAYMENT_INVOICE_FIELDS = {
+  invoicedAmount: "invoiced_amount",
+  invoiceNumber: "invoice_number",
+  invoiceDate: "invoice_date",
+  dueDate: "due_date",
+  currency: "currency",
+  method: "method",
+};
 
 class Database {
-  constructor(userDataPath) {
+  /**
+   * @param {string} userDataPath - data folder
+   * @param {Object} [options]
+   * @param {Function} [options.log] - debug output (console.log by default)
+   */
+  constructor(userDataPath, { log = console.log } = {}) {
     this.dbPath = path.join(userDataPath, "stats-data.db");
+    this.log = log;
     this.userDataPath = userDataPath;
     this.db = null;
     this.SQL = null;
+    this.storage = new Storage(this.dbPath);
+    this.pending = null; // Statements of the open transaction, journaled on commit
+    this.releaseLock = null; // Set while this process holds the data folder (see db-lock.js)
 
-    // Generate or load encryption key
-    this.encryptionKey = this.getOrCreateEncryptionKey(userDataPath);
+    // Ensure directory exists
+    if (!fs.existsSync(userDataPath)) {
+      fs.mkdirSync(userDataPath, { recursive: true });
+    }
+
+    // Generate or load encryption keys (see vault.js)
+    this.vault = new Vault(userDataPath);
+    this.keyPath = this.vault.keyPath;
   }
 
   async init() {
+    // One process per data folder - throws DatabaseLockedError if the app or CLI has it open
+    this.releaseLock = acquireLock(this.userDataPath);
+
     // Load sql.js
     const initSqlJs = require("sql.js");
     this.SQL = await initSqlJs();
 
-    // Load existing database or create new one
-    if (fs.existsSync(this.dbPath)) {
-      const buffer = fs.readFileSync(this.dbPath);
-      this.db = new this.SQL.Database(buffer);
-    } else {
-      this.db = new this.SQL.Database();
+    // Load the last snapshot plus whatever the journal committed since (or create a new database)
+    const { db, replayed } = this.storage.open(this.SQL);
+    this.db = db;
+    if (replayed > 0) {
+      this.log(`Recovered ${replayed} unsaved change(s) from the database journal`);
     }
 
+    // Migrations aren't journaled - the snapshot written here includes them
     this.createTables();
-    this.save();
-  }
-
-  getOrCreateEncryptionKey(userDataPath) {
-    this.keyPath = path.join(userDataPath, ".encryption-key");
-
-    // Ensure directory exists
-    if (!fs.existsSync(userDataPath)) {
-      fs.mkdirSync(userDataPath, { recursive: true });
-    }
+    this.checkpoint();
 
-    if (fs.existsSync(this.keyPath)) {
-      return fs.readFileSync(this.keyPath, "utf8");
-    }
-
-    const key = crypto.randomBytes(32).toString("hex");
-    fs.writeFileSync(this.keyPath, key, { mode: 0o600 });
-    return key;
+    // Finish moving secrets off legacy/rotated keys (runs again on unlock if locked now)
+    this.reencryptSecrets();
   }
 
   createTables() {
@@ -142,6 +162,13 @@ class Database {
       // Column may already exist
     }
 
+    // Add last_error_category column (auth, timeout, captcha, layout, outage...)
+    try {
+      this.db.run("ALTER TABLE programs ADD COLUMN last_error_category TEXT");
+    } catch (e) {
+      // Column may already exist
+    }
+
     // Add withdrawals and chargebacks columns to stats table
     try {
       this.db.run("ALTER TABLE stats ADD COLUMN withdrawals INTEGER DEFAULT 0");
@@ -154,6 +181,14 @@ class Database {
       // Column may already exist
     }
 
+    // Older databases have a channel column on stats; consolidateMonthlyStats filters on it,
+    // so fresh databases need it too (always NULL - channel rows live in channel_stats)
+    try {
+      this.db.run("ALTER TABLE stats ADD COLUMN channel TEXT");
+    } catch (e) {
+      // Column may already exist
+    }
+
     // Migration: Clean up duplicate stats records (keep the one with highest values)
     // This fixes databases where UNIQUE constraint wasn't enforced
     try {
@@ -235,6 +270,45 @@ class Database {
       // Index may already exist
     }
 
+    // Invoice details on payments (amounts in cents, in the payment currency; dates YYYY-MM-DD)
+    for (const column of [
+      "invoiced_amount INTEGER",
+      "invoice_number TEXT",
+      "invoice_date TEXT",
+      "due_date TEXT",
+      "currency TEXT",
+      "method TEXT",
+    ]) {
+      try {
+        this.db.run(`ALTER TABLE payments ADD COLUMN ${column}`);
+      } catch (e) {
+        // Column may already exist
+      }
+    }
+
+    // Money received against a payment - one row per transfer, so partial payments add up
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS payment_receipts (
+        id TEXT PRIMARY KEY,
+        payment_id TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        received_date TEXT NOT NULL,
+        method TEXT,
+        reference TEXT,
+        notes TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE
+      )
+    `);
+
+    try {
+      this.db.run(
+        "CREATE INDEX IF NOT EXISTS idx_payment_receipts_payment ON payment_receipts(payment_id)"
+      );
+    } catch (e) {
+      // Index may already exist
+    }
+
     // Scheduled syncs table
     this.db.run(`
       CREATE TABLE IF NOT EXISTS schedules (
@@ -245,50 +319,239 @@ class Database {
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
+
+    // Richer schedules (see schedules.js) - rows from before these columns are daily at `time`
+    for (const column of [
+      "type TEXT DEFAULT 'daily'",
+      "cron TEXT",
+      "interval_minutes INTEGER",
+      "weekdays TEXT",
+      "program_ids TEXT",
+      "providers TEXT",
+      "catch_up INTEGER DEFAULT 1",
+      "next_run TEXT",
+    ]) {
+      try {
+        this.db.run(`ALTER TABLE schedules ADD COLUMN ${column}`);
+      } catch (e) {
+        // Column may already exist
+      }
+    }
+
+    // Sync run history - one row per syncAll/syncProgram invocation
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS sync_runs (
+        id TEXT PRIMARY KEY,
+        trigger TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        status TEXT DEFAULT 'running',
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        total INTEGER DEFAULT 0,
+        synced INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        records INTEGER DEFAULT 0
+      )
+    `);
+
+    // Per-program outcome within a sync run
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS sync_run_items (
+        id TEXT PRIMARY KEY,
+        run_id TEXT NOT NULL,
+        program_id TEXT,
+        program_name TEXT,
+        provider TEXT,
+        started_at TEXT,
+        duration_ms INTEGER DEFAULT 0,
+        success INTEGER DEFAULT 0,
+        records INTEGER DEFAULT 0,
+        attempts INTEGER DEFAULT 1,
+        error TEXT,
+        error_category TEXT,
+        FOREIGN KEY (run_id) REFERENCES sync_runs(id) ON DELETE CASCADE
+      )
+    `);
+
+    try {
+      this.db.run("CREATE INDEX IF NOT EXISTS idx_sync_run_items_run ON sync_run_items(run_id)");
+      this.db.run("CREATE INDEX IF NOT EXISTS idx_sync_run_items_program ON sync_run_items(program_id, started_at)");
+    } catch (e) {
+      // Index may already exist
+    }
+
+    // Suspicious sync results flagged by anomaly-detector.js (one row per program/month/type)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS stat_anomalies (
+        id TEXT PRIMARY KEY,
+        program_id TEXT NOT NULL,
+        month TEXT NOT NULL,
+        type TEXT NOT NULL,
+        severity TEXT DEFAULT 'warning',
+        message TEXT,
+        detected_at TEXT NOT NULL,
+        dismissed INTEGER DEFAULT 0,
+        FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE,
+        UNIQUE(program_id, month, type)
+      )
+    `);
+
+    // Per-program commission plans (see commission-engine.js), stored as JSON
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS commission_plans (
+        program_id TEXT PRIMARY KEY,
+        plan TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Daily exchange rates (units per 1 USD) - see exchange-rates.js. source is "ecb" for
+    // downloaded reference rates, "manual" for rates entered in Settings
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        date TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        rate REAL NOT NULL,
+        source TEXT NOT NULL DEFAULT 'ecb',
+        PRIMARY KEY (date, currency, source)
+      )
+    `);
+
+    // Alerts (see alerts.js): per-program baselines the rules compare against, and what fired
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS alert_state (
+        program_id TEXT PRIMARY KEY,
+        state TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (program_id) REFERENCES programs(id) ON DELETE CASCADE
+      )
+    `);
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS alert_log (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        rule_id TEXT,
+        type TEXT NOT NULL,
+        program_id TEXT,
+        program_name TEXT,
+        message TEXT NOT NULL,
+        delivered TEXT
+      )
+    `);
+    this.db.run("CREATE INDEX IF NOT EXISTS idx_alert_log_created ON alert_log(created_at)");
+
+    // Runs still marked running were cut off by a crash or quit
+    this.db.run("UPDATE sync_runs SET status = 'interrupted' WHERE status = 'running'");
   }
 
-  save() {
+  // Write a full snapshot of the database and empty the journal
+  checkpoint() {
     try {
-      const data = this.db.export();
-      const buffer = Buffer.from(data);
-      fs.writeFileSync(this.dbPath, buffer);
+      this.storage.checkpoint(this.db);
     } catch (error) {
       console.error("Failed to save database:", error);
       throw error;
     }
   }
 
+  /**
+   * Run `fn` as one transaction: its writes reach the disk together as one journal entry, or
+   * not at all if it throws. Nested calls join the outer transaction. `fn` must be synchronous -
+   * writes after an await would run outside the transaction.
+   */
+  transaction(fn) {
+    if (this.pending) return fn();
+
+    this.pending = [];
+    this.db.run("BEGIN");
+    try {
+      const result = fn();
+      if (result && typeof result.then === "function") {
+        throw new Error("Database transactions can't be async");
+      }
+      this.storage.append(this.pending);
+      this.db.run("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.run("ROLLBACK");
+      throw error;
+    } finally {
+      this.pending = null;
+      if (this.storage.needsCheckpoint()) this.checkpoint();
+    }
+  }
+
   // Generate unique ID
   generateId() {
     return crypto.randomBytes(16).toString("hex");
   }
 
-  // Encrypt data
+  // Encrypt data (secure settings - credentials use the vault key)
   encrypt(data) {
-    const iv = crypto.randomBytes(16);
-    const key = Buffer.from(this.encryptionKey.slice(0, 32).padEnd(32, "0"));
-    const cipher = crypto.createCipheriv("aes-256-cbc", key, iv);
-    let encrypted = cipher.update(JSON.stringify(data), "utf8", "hex");
-    encrypted += cipher.final("hex");
-    return iv.toString("hex") + ":" + encrypted;
+    return this.vault.encrypt(data, "device");
   }
 
   // Decrypt data
   decrypt(encryptedData) {
     try {
-      const [ivHex, encrypted] = encryptedData.split(":");
-      const iv = Buffer.from(ivHex, "hex");
-      const key = Buffer.from(this.encryptionKey.slice(0, 32).padEnd(32, "0"));
-      const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);
-      let decrypted = decipher.update(encrypted, "hex", "utf8");
-      decrypted += decipher.final("utf8");
-      return JSON.parse(decrypted);
+      const decrypted = this.vault.decrypt(encryptedData, "device");
+      if (decrypted === null) console.error("Decryption failed: no key opens this value");
+      return decrypted;
     } catch (error) {
       console.error("Decryption failed:", error);
       return null;
     }
   }
 
+  /**
+   * Re-encrypt every credential and secure setting with the current keys, then drop the
+   * legacy/previous ones. Needs the vault unlocked; does nothing when no old keys are left.
+   * @returns {number} values re-encrypted
+   */
+  reencryptSecrets() {
+    if (!this.vault.hasOldKeys() || this.vault.isLocked()) return 0;
+
+    let count = 0;
+    this.transaction(() => {
+      for (const row of this.query("SELECT id, encrypted_data FROM credentials")) {
+        const data = this.vault.decrypt(row.encrypted_data, "vault");
+        if (data === null) continue;
+        this.run("UPDATE credentials SET encrypted_data = ? WHERE id = ?", [this.vault.encrypt(data, "vault"), row.id]);
+        count++;
+      }
+
+      for (const row of this.query("SELECT key, value FROM settings")) {
+        if (!isEncrypted(row.value)) continue;
+        const value = this.vault.decrypt(row.value, "device");
+        if (value === null) continue;
+        this.run("UPDATE settings SET value = ? WHERE key = ?", [this.vault.encrypt(value, "device"), row.key]);
+        count++;
+      }
+    });
+
+    // Old keys are only dropped once the re-encrypted rows are on disk - in a fresh snapshot,
+    // so no journal entry encrypted with them is left behind either
+    this.checkpoint();
+    this.vault.forgetOldKeys();
+    return count;
+  }
+
+  // New random keys for everything stored encrypted
+  rotateEncryptionKeys() {
+    this.vault.rotate();
+    return this.reencryptSecrets();
+  }
+
+  // Protect credentials with a master password (also rotates the keys, so copies of the old
+  // unprotected key file or older backups can't read anything saved from now on)
+  setMasterPassword(password) {
+    this.vault.setMasterPassword(password);
+    return this.rotateEncryptionKeys();
+  }
+
   // Helper to run queries and return results
   query(sql, params = []) {
     const stmt = this.db.prepare(sql);
@@ -307,11 +570,16 @@ class Database {
     return results.length > 0 ? results[0] : null;
   }
 
-  // Helper to run statements
+  // Helper to run statements - journaled right away, or with the open transaction
   run(sql, params = []) {
     try {
       this.db.run(sql, params);
-      this.save();
+      if (this.pending) {
+        this.pending.push([sql, params]);
+      } else {
+        this.storage.append([[sql, params]]);
+        if (this.storage.needsCheckpoint()) this.checkpoint();
+      }
     } catch (error) {
       console.error("Database error:", error.message);
       console.error("SQL:", sql);
@@ -433,6 +701,10 @@ class Database {
       fields.push("last_error = ?");
       values.push(updates.lastError);
     }
+    if (updates.lastErrorCategory !== undefined) {
+      fields.push("last_error_category = ?");
+      values.push(updates.lastErrorCategory);
+    }
     if (updates.useDwcCalculation !== undefined) {
       fields.push("use_dwc_calculation = ?");
       values.push(updates.useDwcCalculation ? 1 : 0);
@@ -457,7 +729,7 @@ class Database {
   }
 
   deleteProgram(id) {
-    console.log("Database: Deleting program with id:", id);
+    this.log("Database: Deleting program with id:", id);
 
     // Handle null ID by using code instead
     if (!id || id === null) {
@@ -474,16 +746,26 @@ class Database {
       throw new Error("Program not found");
     }
 
-    console.log("Database: Found program to delete:", program.name);
+    this.log("Database: Found program to delete:", program.name);
 
     this.run("DELETE FROM credentials WHERE program_id = ?", [id]);
-    console.log("Database: Deleted credentials");
+    this.log("Database: Deleted credentials");
 
     this.run("DELETE FROM stats WHERE program_id = ?", [id]);
-    console.log("Database: Deleted stats");
+    this.log("Database: Deleted stats");
+
+    this.run("DELETE FROM stat_anomalies WHERE program_id = ?", [id]);
+    this.run("DELETE FROM commission_plans WHERE program_id = ?", [id]);
+    this.run("DELETE FROM alert_state WHERE program_id = ?", [id]);
+
+    this.run(
+      "DELETE FROM payment_receipts WHERE payment_id IN (SELECT id FROM payments WHERE program_id = ?)",
+      [id]
+    );
+    this.run("DELETE FROM payments WHERE program_id = ?", [id]);
 
     this.run("DELETE FROM programs WHERE id = ?", [id]);
-    console.log("Database: Deleted program record");
+    this.log("Database: Deleted program record");
 
     // Verify deletion
     const check = this.queryOne("SELECT * FROM programs WHERE id = ?", [id]);
@@ -492,23 +774,23 @@ class Database {
       throw new Error("Failed to delete program");
     }
 
-    console.log("Database: Program successfully deleted and verified");
+    this.log("Database: Program successfully deleted and verified");
     return true;
   }
 
   // Clean up programs with null IDs (from old buggy clone code)
   cleanupNullIdPrograms() {
-    console.log("Database: Cleaning up programs with null IDs");
+    this.log("Database: Cleaning up programs with null IDs");
     const nullIdPrograms = this.query(
       "SELECT * FROM programs WHERE id IS NULL"
     );
 
     if (nullIdPrograms.length === 0) {
-      console.log("Database: No null ID programs found");
+      this.log("Database: No null ID programs found");
       return { cleaned: 0 };
     }
 
-    console.log(
+    this.log(
       "Database: Found programs with null IDs:",
       nullIdPrograms.map((p) => p.name)
     );
@@ -522,7 +804,7 @@ class Database {
     // Delete the programs themselves
     this.run("DELETE FROM programs WHERE id IS NULL");
 
-    console.log(
+    this.log(
       "Database: Cleaned up",
       nullIdPrograms.length,
       "programs with null IDs"
@@ -532,7 +814,7 @@ class Database {
 
   // Clone program (duplicate with new name)
   cloneProgram(id) {
-    console.log("Database: Cloning program with id:", id);
+    this.log("Database: Cloning program with id:", id);
 
     // Get the original program
     const original = this.queryOne("SELECT * FROM programs WHERE id = ?", [id]);
@@ -541,7 +823,7 @@ class Database {
       return { success: false, error: "Program not found" };
     }
 
-    console.log("Database: Original program found:", original.name);
+    this.log("Database: Original program found:", original.name);
 
     // Find a unique name and code
     const baseName = original.name;
@@ -561,14 +843,14 @@ class Database {
       counter++;
     }
 
-    console.log("Database: Generated unique name and code:", {
+    this.log("Database: Generated unique name and code:", {
       newName,
       newCode,
     });
 
     // Generate a new ID for the cloned program
     const newId = this.generateId();
-    console.log("Database: Generated new ID:", newId);
+    this.log("Database: Generated new ID:", newId);
 
     // Create the cloned program (inactive by default, no credentials copied)
     this.run(
@@ -587,13 +869,13 @@ class Database {
       ]
     );
 
-    console.log("Database: Cloned program inserted");
+    this.log("Database: Cloned program inserted");
 
     // Verify the clone was created
     const cloned = this.queryOne("SELECT * FROM programs WHERE id = ?", [
       newId,
     ]);
-    console.log(
+    this.log(
       "Database: Verifying cloned program:",
       cloned
         ? {
@@ -627,7 +909,7 @@ class Database {
       return { success: false, error: "Program with this code already exists" };
     }
 
-    console.log(
+    this.log(
       "Importing template with data:",
       JSON.stringify(template, null, 2)
     );
@@ -667,7 +949,15 @@ class Database {
 
   // Credentials management
   saveCredentials(programId, credentials) {
-    const encrypted = this.encrypt(credentials);
+    // A mistyped 2FA secret or proxy fails here rather than at the next sync
+    if (credentials.totpSecret) {
+      parseTotpSecret(credentials.totpSecret);
+    }
+    if (credentials.proxy) {
+      checkProxyValue(credentials.proxy);
+    }
+
+    const encrypted = this.vault.encrypt(credentials, "vault");
     const id = this.generateId();
 
     // Delete existing credentials first
@@ -691,7 +981,8 @@ class Database {
       [programId]
     );
     if (!row) return null;
-    return this.decrypt(row.encrypted_data);
+    // Throws VaultLockedError while the vault is locked
+    return this.vault.decrypt(row.encrypted_data, "vault");
   }
 
   // Stats management
@@ -797,6 +1088,10 @@ class Database {
       programId,
       `${yearMonth}%`,
     ]);
+    this.run("DELETE FROM stat_anomalies WHERE program_id = ? AND month = ?", [
+      programId,
+      yearMonth,
+    ]);
     return true;
   }
 
@@ -811,6 +1106,8 @@ class Database {
         SUM(signups) as signups,
         SUM(ftds) as ftds,
         SUM(deposits) as deposits,
+        SUM(withdrawals) as withdrawals,
+        SUM(chargebacks) as chargebacks,
         SUM(revenue) as revenue,
         MAX(date) as latest_date,
         COUNT(*) as record_count
@@ -900,61 +1197,69 @@ class Database {
       [programId]
     );
 
+    // A month's rows are replaced by the consolidated one in the same transaction
     let consolidated = 0;
-    for (const dup of duplicates) {
-      // Use MAX for all values - cumulative totals should take highest value, not sum
-      // This prevents doubling when syncing the same month multiple times
-      const totals = this.queryOne(
-        `
-        SELECT
-          MAX(clicks) as clicks,
-          MAX(impressions) as impressions,
-          MAX(signups) as signups,
-          MAX(ftds) as ftds,
-          MAX(deposits) as deposits,
-          MAX(withdrawals) as withdrawals,
-          MAX(chargebacks) as chargebacks,
-          MAX(revenue) as revenue
-        FROM stats
-        WHERE program_id = ? AND date LIKE ? AND channel IS NULL
-      `,
-        [programId, `${dup.month}%`]
-      );
-
-      // Delete all records for this month (only non-channel records)
-      this.run("DELETE FROM stats WHERE program_id = ? AND date LIKE ? AND channel IS NULL", [
-        programId,
-        `${dup.month}%`,
-      ]);
-
-      // Insert single consolidated record (use first day of month)
-      const id = this.generateId();
-      this.run(
-        `
-        INSERT INTO stats (id, program_id, date, clicks, impressions, signups, ftds, deposits, withdrawals, chargebacks, revenue)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-        [
-          id,
+    this.transaction(() => {
+      for (const dup of duplicates) {
+        // Use MAX for all values - cumulative totals should take highest value, not sum
+        // This prevents doubling when syncing the same month multiple times
+        const totals = this.queryOne(
+          `
+          SELECT
+            MAX(clicks) as clicks,
+            MAX(impressions) as impressions,
+            MAX(signups) as signups,
+            MAX(ftds) as ftds,
+            MAX(deposits) as deposits,
+            MAX(withdrawals) as withdrawals,
+            MAX(chargebacks) as chargebacks,
+            MAX(revenue) as revenue
+          FROM stats
+          WHERE program_id = ? AND date LIKE ? AND channel IS NULL
+        `,
+          [programId, `${dup.month}%`]
+        );
+
+        // Delete all records for this month (only non-channel records)
+        this.run("DELETE FROM stats WHERE program_id = ? AND date LIKE ? AND channel IS NULL", [
           programId,
-          `${dup.month}-01`,
-          totals.clicks || 0,
-          totals.impressions || 0,
-          totals.signups || 0,
-          totals.ftds || 0,
-          totals.deposits || 0,
-          totals.withdrawals || 0,
-          totals.chargebacks || 0,
-          totals.revenue || 0,
-        ]
-      );
-
-      consolidated++;
-    }
+          `${dup.month}%`,
+        ]);
+
+        // Insert single consolidated record (use first day of month)
+        const id = this.generateId();
+        this.run(
+          `
+          INSERT INTO stats (id, program_id, date, clicks, impressions, signups, ftds, deposits, withdrawals, chargebacks, revenue)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+          [
+            id,
+            programId,
+            `${dup.month}-01`,
+            totals.clicks || 0,
+            totals.impressions || 0,
+            totals.signups || 0,
+            totals.ftds || 0,
+            totals.deposits || 0,
+            totals.withdrawals || 0,
+            totals.chargebacks || 0,
+            totals.revenue || 0,
+          ]
+        );
+
+        consolidated++;
+      }
+    });
 
     return { consolidated, months: duplicates.length };
   }
 
+  // Date of the oldest stored stat (null when there are none)
+  getFirstStatDate() {
+    return this.queryOne("SELECT MIN(date) as first FROM stats")?.first || null;
+  }
+
   getStatsSummary() {
     const programs = this.queryOne("SELECT COUNT(*) as count FROM programs");
     const activePrograms = this.queryOne(
@@ -976,12 +1281,14 @@ class Database {
   // Clear all stats
   clearAllStats() {
     this.run("DELETE FROM stats");
+    this.run("DELETE FROM stat_anomalies");
     return true;
   }
 
   // Clear stats for a specific program
   clearProgramStats(programId) {
     this.run("DELETE FROM stats WHERE program_id = ?", [programId]);
+    this.run("DELETE FROM stat_anomalies WHERE program_id = ?", [programId]);
     return true;
   }
 
@@ -1001,6 +1308,11 @@ class Database {
     return true;
   }
 
+  deleteSetting(key) {
+    this.run("DELETE FROM settings WHERE key = ?", [key]);
+    return true;
+  }
+
   // Sensitive settings that need encryption (API keys, tokens, etc.)
   SENSITIVE_KEYS = ['api_key', 'installation_id', 'license_data'];
 
@@ -1109,9 +1421,16 @@ class Database {
       [`${month}%`]
     );
 
-    // Get existing payment records for this month
+    // Get existing payment records for this month, with what has been received so far
     const existingPayments = this.query(
-      "SELECT * FROM payments WHERE month = ?",
+      `SELECT p.*,
+         COALESCE(SUM(r.amount), 0) as received_amount,
+         COUNT(r.id) as receipt_count,
+         MAX(r.received_date) as last_received_date
+       FROM payments p
+       LEFT JOIN payment_receipts r ON r.payment_id = p.id
+       WHERE p.month = ?
+       GROUP BY p.id`,
       [month]
     );
     const paymentMap = {};
@@ -1152,6 +1471,12 @@ class Database {
         fields.push("notes = ?");
         values.push(data.notes);
       }
+      Object.entries(PAYMENT_INVOICE_FIELDS).forEach(([key, column]) => {
+        if (data[key] !== undefined) {
+          fields.push(`${column} = ?`);
+          values.push(data[key] === "" ? null : data[key]);
+        }
+      });
 
       fields.push("updated_at = CURRENT_TIMESTAMP");
       values.push(existing.id);
@@ -1165,9 +1490,10 @@ class Database {
     } else {
       // Create
       const id = this.generateId();
+      const invoice = Object.entries(PAYMENT_INVOICE_FIELDS).filter(([key]) => data[key] !== undefined);
       this.run(
-        `INSERT INTO payments (id, program_id, month, amount, is_paid, paid_date, notes)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO payments (id, program_id, month, amount, is_paid, paid_date, notes${invoice.map(([, column]) => `, ${column}`).join("")})
+         VALUES (?, ?, ?, ?, ?, ?, ?${", ?".repeat(invoice.length)})`,
         [
           id,
           programId,
@@ -1175,7 +1501,8 @@ class Database {
           data.amount || 0,
           data.isPaid ? 1 : 0,
           data.isPaid ? new Date().toISOString() : null,
-          data.notes || null
+          data.notes || null,
+          ...invoice.map(([key]) => (data[key] === "" ? null : data[key]))
         ]
       );
 
@@ -1224,12 +1551,14 @@ class Database {
       const programs = this.getProgramsWithRevenueForMonth(month);
       const totalRevenue = programs.reduce((sum, p) => sum + (p.total_revenue || 0), 0);
       const paidCount = programs.filter(p => p.payment?.is_paid).length;
+      const partialCount = programs.filter(p => !p.payment?.is_paid && p.payment?.received_amount > 0).length;
 
       months.push({
         month,
         label: d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
         totalPrograms: programs.length,
         paidCount,
+        partialCount,
         unpaidCount: programs.length - paidCount,
         totalRevenue
       });
@@ -1238,29 +1567,120 @@ class Database {
     return months;
   }
 
+  // Receipts recorded against a program's payment for a month, oldest first
+  getPaymentReceipts(programId, month) {
+    return this.query(
+      `SELECT r.*
+       FROM payment_receipts r
+       JOIN payments p ON r.payment_id = p.id
+       WHERE p.program_id = ? AND p.month = ?
+       ORDER BY r.received_date, r.created_at`,
+      [programId, month]
+    );
+  }
+
+  // Record money received (amount in cents, in the payment currency) - creates the payment record if needed
+  addPaymentReceipt(programId, month, receipt) {
+    const amount = Math.round(Number(receipt.amount));
+    if (!Number.isFinite(amount) || amount === 0) {
+      throw new Error("Receipt amount is required");
+    }
+
+    const payment = this.upsertPayment(programId, month, {});
+    const id = this.generateId();
+    this.run(
+      `INSERT INTO payment_receipts (id, payment_id, amount, received_date, method, reference, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        payment.id,
+        amount,
+        receipt.receivedDate || new Date().toISOString().split("T")[0],
+        receipt.method || payment.method || null,
+        receipt.reference || null,
+        receipt.notes || null
+      ]
+    );
+
+    return this.queryOne("SELECT * FROM payment_receipts WHERE id = ?", [id]);
+  }
+
+  deletePaymentReceipt(receiptId) {
+    this.run("DELETE FROM payment_receipts WHERE id = ?", [receiptId]);
+  }
+
+  // Set the paid flag directly (receivables.js settles payments once receipts cover them)
+  setPaymentPaid(programId, month, isPaid, paidDate = null) {
+    const payment = this.upsertPayment(programId, month, {});
+    this.run(
+      "UPDATE payments SET is_paid = ?, paid_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [isPaid ? 1 : 0, isPaid ? paidDate || new Date().toISOString() : null, payment.id]
+    );
+    return this.queryOne("SELECT * FROM payments WHERE id = ?", [payment.id]);
+  }
+
   // =====================
   // Schedule Management
   // =====================
 
+  // Schedule rows with weekdays and targets parsed
+  parseSchedule(row) {
+    return {
+      ...row,
+      type: row.type || "daily",
+      weekdays: row.weekdays ? row.weekdays.split(",").map(Number) : null,
+      program_ids: row.program_ids ? JSON.parse(row.program_ids) : [],
+      providers: row.providers ? JSON.parse(row.providers) : [],
+      catch_up: row.catch_up !== 0,
+    };
+  }
+
   // Get all schedules
   getSchedules() {
-    return this.query("SELECT * FROM schedules ORDER BY time ASC");
+    return this.query("SELECT * FROM schedules ORDER BY type ASC, time ASC, created_at ASC").map(
+      (row) => this.parseSchedule(row)
+    );
   }
 
-  // Add a new schedule
-  addSchedule(time) {
-    // Check if time already exists
-    const existing = this.queryOne("SELECT id FROM schedules WHERE time = ?", [time]);
+  // Add a new schedule (fields from schedules.normalizeSchedule)
+  addSchedule(schedule, nextRun = null) {
+    const weekdays = schedule.weekdays ? schedule.weekdays.join(",") : null;
+    const programIds = schedule.programIds.length > 0 ? JSON.stringify(schedule.programIds) : null;
+    const providers = schedule.providers.length > 0 ? JSON.stringify(schedule.providers) : null;
+
+    // Check if the same schedule already exists
+    const existing = this.queryOne(
+      `
+      SELECT id FROM schedules
+      WHERE COALESCE(type, 'daily') = ? AND time = ? AND COALESCE(cron, '') = ? AND COALESCE(interval_minutes, 0) = ?
+        AND COALESCE(weekdays, '') = ? AND COALESCE(program_ids, '') = ? AND COALESCE(providers, '') = ?
+    `,
+      [schedule.type, schedule.time, schedule.cron || "", schedule.intervalMinutes || 0, weekdays || "", programIds || "", providers || ""]
+    );
     if (existing) {
-      return { success: false, error: "This time is already scheduled" };
+      return { success: false, error: "This schedule already exists" };
     }
 
     const id = this.generateId();
     this.run(
-      "INSERT INTO schedules (id, time, enabled) VALUES (?, ?, 1)",
-      [id, time]
+      `
+      INSERT INTO schedules (id, time, enabled, type, cron, interval_minutes, weekdays, program_ids, providers, catch_up, next_run)
+      VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        id,
+        schedule.time,
+        schedule.type,
+        schedule.cron,
+        schedule.intervalMinutes,
+        weekdays,
+        programIds,
+        providers,
+        schedule.catchUp ? 1 : 0,
+        nextRun,
+      ]
     );
-    return { success: true, id, time };
+    return { success: true, id, time: schedule.time };
   }
 
   // Remove a schedule
@@ -1281,71 +1701,433 @@ class Database {
     return { success: true, enabled: !!newEnabled };
   }
 
-  // Update last run time for a schedule
-  updateScheduleLastRun(id, lastRun) {
-    this.run("UPDATE schedules SET last_run = ? WHERE id = ?", [lastRun, id]);
+  // Update last run time for a schedule, and when it's due next
+  updateScheduleLastRun(id, lastRun, nextRun = null) {
+    this.run("UPDATE schedules SET last_run = ?, next_run = ? WHERE id = ?", [lastRun, nextRun, id]);
+  }
+
+  setScheduleNextRun(id, nextRun) {
+    this.run("UPDATE schedules SET next_run = ? WHERE id = ?", [nextRun, id]);
   }
 
   // Get enabled schedules only
   getEnabledSchedules() {
-    return this.query("SELECT * FROM schedules WHERE enabled = 1 ORDER BY time ASC");
+    return this.query("SELECT * FROM schedules WHERE enabled = 1 ORDER BY time ASC").map(
+      (row) => this.parseSchedule(row)
+    );
+  }
+
+  // Sync run history
+
+  // Start a sync run - trigger is manual, scheduled or sidebar; scope is all, selection (some programs), program or backfill
+  startSyncRun(trigger, scope, total = 0) {
+    const id = this.generateId();
+    this.run(
+      "INSERT INTO sync_runs (id, trigger, scope, status, started_at, total) VALUES (?, ?, ?, 'running', ?, ?)",
+      [id, trigger || "manual", scope, new Date().toISOString(), total]
+    );
+    return id;
+  }
+
+  // Record one program's outcome within a run
+  addSyncRunItem(runId, item) {
+    const id = this.generateId();
+    this.run(
+      `
+      INSERT INTO sync_run_items (id, run_id, program_id, program_name, provider, started_at, duration_ms, success, records, attempts, error, error_category)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        id,
+        runId,
+        item.programId || null,
+        item.programName || null,
+        item.provider || null,
+        item.startedAt || new Date().toISOString(),
+        item.durationMs || 0,
+        item.success ? 1 : 0,
+        item.records || 0,
+        item.attempts || 1,
+        item.error || null,
+        item.category || null,
+      ]
+    );
+    return id;
+  }
+
+  // Close a run and total up its items
+  finishSyncRun(runId, status = null) {
+    const run = this.queryOne("SELECT * FROM sync_runs WHERE id = ?", [runId]);
+    if (!run) return null;
+
+    const totals = this.queryOne(
+      `
+      SELECT COUNT(*) as total,
+        COALESCE(SUM(success), 0) as synced,
+        COALESCE(SUM(records), 0) as records
+      FROM sync_run_items WHERE run_id = ?
+    `,
+      [runId]
+    );
+    const failed = totals.total - totals.synced;
+    const finishedAt = new Date();
+
+    this.run(
+      `
+      UPDATE sync_runs
+      SET status = ?, finished_at = ?, duration_ms = ?, total = ?, synced = ?, failed = ?, records = ?
+      WHERE id = ?
+    `,
+      [
+        status || (failed === 0 ? "success" : totals.synced > 0 ? "partial" : "failed"),
+        finishedAt.toISOString(),
+        finishedAt - new Date(run.started_at),
+        Math.max(run.total || 0, totals.total),
+        totals.synced,
+        failed,
+        totals.records,
+        runId,
+      ]
+    );
+
+    this.pruneSyncRuns();
+    return this.queryOne("SELECT * FROM sync_runs WHERE id = ?", [runId]);
+  }
+
+  // Most recent runs first
+  getSyncRuns(limit = 50) {
+    return this.query("SELECT * FROM sync_runs ORDER BY started_at DESC LIMIT ?", [limit]);
+  }
+
+  getSyncRunItems(runId) {
+    return this.query(
+      "SELECT * FROM sync_run_items WHERE run_id = ? ORDER BY success ASC, program_name ASC",
+      [runId]
+    );
+  }
+
+  // A program's sync attempts across runs, with the run's trigger
+  getProgramSyncHistory(programId, limit = 50) {
+    return this.query(
+      `
+      SELECT i.*, r.trigger, r.scope
+      FROM sync_run_items i
+      JOIN sync_runs r ON i.run_id = r.id
+      WHERE i.program_id = ?
+      ORDER BY i.started_at DESC
+      LIMIT ?
+    `,
+      [programId, limit]
+    );
+  }
+
+  // Keep history bounded - drop everything past the newest `keep` runs
+  pruneSyncRuns(keep = 500) {
+    const cutoff = this.queryOne(
+      "SELECT started_at FROM sync_runs ORDER BY started_at DESC LIMIT 1 OFFSET ?",
+      [keep]
+    );
+    if (!cutoff) return;
+
+    this.run(
+      "DELETE FROM sync_run_items WHERE run_id IN (SELECT id FROM sync_runs WHERE started_at <= ?)",
+      [cutoff.started_at]
+    );
+    this.run("DELETE FROM sync_runs WHERE started_at <= ?", [cutoff.started_at]);
+  }
+
+  // Stat anomalies
+  getStatAnomalies(programId = null, includeDismissed = false) {
+    let sql = "SELECT * FROM stat_anomalies WHERE 1 = 1";
+    const params = [];
+
+    if (programId) {
+      sql += " AND program_id = ?";
+      params.push(programId);
+    }
+    if (!includeDismissed) {
+      sql += " AND dismissed = 0";
+    }
+
+    sql += " ORDER BY month DESC, detected_at DESC";
+
+    return this.query(sql, params);
+  }
+
+  // Replace a month's open flags with the latest findings - flags that no longer
+  // apply are cleared, dismissed ones stay dismissed. managedTypes limits the
+  // clearing to the checker's own flag types, so checks don't wipe each other's flags
+  saveStatAnomalies(programId, month, anomalies, managedTypes = null) {
+    const types = anomalies.map((a) => a.type);
+    const placeholders = types.map(() => "?").join(", ");
+    const managed = managedTypes || [];
+    this.run(
+      `DELETE FROM stat_anomalies WHERE program_id = ? AND month = ?${
+        types.length > 0 ? ` AND type NOT IN (${placeholders})` : ""
+      }${
+        managed.length > 0 ? ` AND type IN (${managed.map(() => "?").join(", ")})` : ""
+      }`,
+      [programId, month, ...types, ...managed]
+    );
+
+    const now = new Date().toISOString();
+    for (const anomaly of anomalies) {
+      this.run(
+        `
+        INSERT INTO stat_anomalies (id, program_id, month, type, severity, message, detected_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(program_id, month, type) DO UPDATE SET
+          severity = excluded.severity,
+          message = excluded.message,
+          detected_at = excluded.detected_at
+      `,
+        [
+          this.generateId(),
+          programId,
+          month,
+          anomaly.type,
+          anomaly.severity || "warning",
+          anomaly.message,
+          now,
+        ]
+      );
+    }
+  }
+
+  dismissStatAnomaly(id) {
+    this.run("UPDATE stat_anomalies SET dismissed = 1 WHERE id = ?", [id]);
+    return true;
+  }
+
+  // Remove a program's flags of one type, except for the months listed
+  clearStatAnomalies(programId, type, keepMonths = []) {
+    const placeholders = keepMonths.map(() => "?").join(", ");
+    this.run(
+      `DELETE FROM stat_anomalies WHERE program_id = ? AND type = ?${
+        keepMonths.length > 0 ? ` AND month NOT IN (${placeholders})` : ""
+      }`,
+      [programId, type, ...keepMonths]
+    );
+  }
+
+  // Commission plans
+  getCommissionPlan(programId) {
+    const row = this.queryOne(
+      "SELECT plan FROM commission_plans WHERE program_id = ?",
+      [programId]
+    );
+    if (!row) return null;
+    try {
+      return JSON.parse(row.plan);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  saveCommissionPlan(programId, plan) {
+    this.run(
+      `
+      INSERT INTO commission_plans (program_id, plan, updated_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(program_id) DO UPDATE SET
+        plan = excluded.plan,
+        updated_at = excluded.updated_at
+    `,
+      [programId, JSON.stringify(plan), new Date().toISOString()]
+    );
+    return true;
+  }
+
+  deleteCommissionPlan(programId) {
+    this.run("DELETE FROM commission_plans WHERE program_id = ?", [programId]);
+    return true;
+  }
+
+  // Exchange rates
+
+  // Store daily rates [{ date, currency, rate }] in one transaction
+  saveExchangeRates(rates, source = "ecb") {
+    this.transaction(() => {
+      for (const { date, currency, rate } of rates) {
+        this.run(
+          "INSERT OR REPLACE INTO exchange_rates (date, currency, rate, source) VALUES (?, ?, ?, ?)",
+          [date, currency, rate, source]
+        );
+      }
+    });
+    return rates.length;
+  }
+
+  // Rates in effect on a date: each currency's latest rate on or before it (a manual rate wins
+  // over a downloaded one for the same day)
+  getExchangeRatesOn(date) {
+    const rows = this.query(
+      `SELECT r.currency, r.rate, r.source
+       FROM exchange_rates r
+       JOIN (SELECT currency, MAX(date) AS date FROM exchange_rates WHERE date <= ? GROUP BY currency) latest
+         ON r.currency = latest.currency AND r.date = latest.date`,
+      [date]
+    );
+
+    const rates = {};
+    rows
+      .sort((a, b) => (a.source === "manual") - (b.source === "manual"))
+      .forEach((row) => (rates[row.currency] = row.rate));
+    return rates;
+  }
+
+  // First and last day with downloaded rates (downloads keep this range gap-free)
+  getExchangeRateCoverage() {
+    const row = this.queryOne(
+      "SELECT MIN(date) as first, MAX(date) as last, COUNT(DISTINCT date) as days FROM exchange_rates WHERE source = 'ecb'"
+    );
+    return { first: row?.first || null, last: row?.last || null, days: row?.days || 0 };
+  }
+
+  getManualExchangeRates() {
+    return this.query(
+      "SELECT date, currency, rate FROM exchange_rates WHERE source = 'manual' ORDER BY date DESC, currency"
+    );
+  }
+
+  deleteManualExchangeRate(date, currency) {
+    this.run(
+      "DELETE FROM exchange_rates WHERE source = 'manual' AND date = ? AND currency = ?",
+      [date, currency]
+    );
+    return true;
   }
 
-  // Export database and encryption key as a backup package (JSON)
-  exportBackup() {
-    // Save current state first
-    this.save();
+  // Alerts
+
+  getAlertState(programId) {
+    const row = this.queryOne("SELECT state FROM alert_state WHERE program_id = ?", [programId]);
+    if (!row) return {};
+    try {
+      return JSON.parse(row.state);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  saveAlertState(programId, state) {
+    this.run(
+      "INSERT OR REPLACE INTO alert_state (program_id, state, updated_at) VALUES (?, ?, ?)",
+      [programId, JSON.stringify(state), new Date().toISOString()]
+    );
+    return true;
+  }
+
+  // Record fired alerts in one transaction, keeping the newest `keep`
+  addAlertLog(alerts, keep = 500) {
+    this.transaction(() => {
+      for (const alert of alerts) {
+        this.run(
+          "INSERT INTO alert_log (id, created_at, rule_id, type, program_id, program_name, message, delivered) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          [
+            this.generateId(),
+            alert.createdAt || new Date().toISOString(),
+            alert.ruleId || null,
+            alert.type,
+            alert.programId || null,
+            alert.programName || null,
+            alert.message,
+            alert.delivered || null,
+          ]
+        );
+      }
+
+      this.run(
+        "DELETE FROM alert_log WHERE id NOT IN (SELECT id FROM alert_log ORDER BY created_at DESC LIMIT ?)",
+        [keep]
+      );
+    });
+    return true;
+  }
+
+  // Most recent first
+  getAlertLog(limit = 50) {
+    return this.query("SELECT * FROM alert_log ORDER BY created_at DESC LIMIT ?", [limit]);
+  }
+
+  /**
+   * Export database and encryption keys as a backup package (JSON). Both are encrypted with
+   * the backup password - the file alone gives away nothing.
+   */
+  exportBackup(password) {
+    // Snapshot the current state first, so the file has everything
+    this.checkpoint();
 
     // Read the database file
     const dbData = fs.existsSync(this.dbPath)
       ? fs.readFileSync(this.dbPath).toString('base64')
       : null;
 
-    // Read the encryption key
-    const keyData = fs.existsSync(this.keyPath)
-      ? fs.readFileSync(this.keyPath, 'utf8')
-      : null;
+    const { kdf, data } = encryptWithPassword(
+      JSON.stringify({ database: dbData, keyFile: this.vault.exportKeyFile() }),
+      password
+    );
 
     // Create backup package
     const backup = {
-      version: 1,
+      version: 2,
       createdAt: new Date().toISOString(),
-      database: dbData,
-      encryptionKey: keyData,
+      encrypted: true,
+      kdf,
+      data,
     };
 
     return JSON.stringify(backup, null, 2);
   }
 
-  // Import database and encryption key from a backup package
-  importBackup(backupJson) {
+  /**
+   * Import database and encryption keys from a backup package. Version 1 backups (key stored
+   * in plain text) still import; their secrets are re-encrypted with new keys right away.
+   */
+  importBackup(backupJson, password = null) {
     const backup = JSON.parse(backupJson);
 
-    if (!backup.database || !backup.encryptionKey) {
+    let content = backup;
+    if (backup.encrypted) {
+      if (!password) {
+        throw new Error('This backup is password protected - enter its password');
+      }
+      try {
+        content = JSON.parse(decryptWithPassword(backup, password));
+      } catch (error) {
+        throw new Error(error.message === 'Wrong password' ? 'Wrong backup password' : error.message);
+      }
+    }
+
+    const keyFile = content.keyFile || content.encryptionKey;
+    if (!content.database || !keyFile) {
       throw new Error('Invalid backup file: missing database or encryption key');
     }
 
-    // Close current database
+    // Close current database (snapshotted first - its journal is emptied below)
     if (this.db) {
+      this.checkpoint();
       this.db.close();
       this.db = null;
     }
 
-    // Restore encryption key first
-    fs.writeFileSync(this.keyPath, backup.encryptionKey, { mode: 0o600 });
-    this.encryptionKey = backup.encryptionKey;
+    // Restore encryption keys first
+    this.vault.restoreKeyFile(keyFile);
 
-    // Restore database file
-    const dbBuffer = Buffer.from(backup.database, 'base64');
-    fs.writeFileSync(this.dbPath, dbBuffer);
+    // Restore database file and reload it
+    const dbBuffer = Buffer.from(content.database, 'base64');
+    this.db = this.storage.replace(this.SQL, dbBuffer);
 
-    // Reload the database
-    this.db = new this.SQL.Database(dbBuffer);
+    // Backups from older versions are missing newer tables/columns - migrate like init() does
+    this.createTables();
+    this.checkpoint();
+    this.reencryptSecrets();
 
     return {
       success: true,
       createdAt: backup.createdAt,
-      version: backup.version
+      version: backup.version,
+      locked: this.vault.isLocked()
     };
   }
 
@@ -1360,8 +2142,14 @@ class Database {
 
   close() {
     if (this.db) {
-      this.save();
+      this.checkpoint();
+      this.storage.closeJournal();
       this.db.close();
+      this.db = null;
+    }
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
     }
   }
 }
@@ -0,0 +1,73 @@
+/**
+ * Database Lock
+ * The desktop app and the CLI both keep the whole database in memory and write it back, so only
+ * one process at a time may open a data folder. The holder keeps stats-data.db.lock there with
+ * its PID; a lock left behind by a process that's no longer running is taken over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_FILE = 'stats-data.db.lock';
+
+class DatabaseLockedError extends Error {
+  constructor(pid, lockPath) {
+    super(`The database is in use by another Stats Fetch process (PID ${pid}) - close it first, or delete ${lockPath} if nothing else is running`);
+    this.name = 'DatabaseLockedError';
+    this.pid = pid;
+    this.lockPath = lockPath;
+  }
+}
+
+function readPid(lockPath) {
+  try {
+    return parseInt(fs.readFileSync(lockPath, 'utf8'), 10) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM'; // Exists, owned by another user
+  }
+}
+
+/**
+ * Take the lock on a data folder
+ * @param {string} dataDir
+ * @returns {Function} release - also runs when the process exits
+ * @throws {DatabaseLockedError} while another running process holds it
+ */
+function acquireLock(dataDir) {
+  const lockPath = path.join(dataDir, LOCK_FILE);
+
+  // Second try after removing a stale lock - a process that got in between wins
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const pid = readPid(lockPath);
+      if (pid && pid !== process.pid && isRunning(pid)) {
+        throw new DatabaseLockedError(pid, lockPath);
+      }
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+
+    const release = () => {
+      process.removeListener('exit', release);
+      if (readPid(lockPath) === process.pid) fs.rmSync(lockPath, { force: true });
+    };
+    process.on('exit', release);
+    return release;
+  }
+
+  throw new DatabaseLockedError(readPid(lockPath), lockPath);
+}
+
+module.exports = { LOCK_FILE, DatabaseLockedError, acquireLock };
@@ -0,0 +1,226 @@
+/**
+ * Exchange Rates
+ * Daily rates kept in the local exchange_rates table, so each stat is converted at the rate for
+ * its own date instead of today's. History comes from frankfurter.app (ECB reference rates, no
+ * API key) and is downloaded the first time a date range needs it. Manually entered rates cover
+ * offline use and currencies the ECB doesn't publish.
+ *
+ * Rates are stored as units of the currency per 1 USD.
+ */
+
+const https = require('https');
+
+const API_URL = 'https://api.frankfurter.app';
+
+// Latest rates are downloaded at most once a day
+const LATEST_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// The ECB publishes on working days - a few days past the last stored rate still counts as covered
+const MAX_GAP_DAYS = 4;
+
+// Longest range requested from the API at once
+const MAX_RANGE_DAYS = 366;
+
+// Views load the rates they need on every refresh - after a failed download (offline) they
+// don't try again for a while
+const RETRY_AFTER_FAILURE = 10 * 60 * 1000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// [from, to] pieces of at most MAX_RANGE_DAYS
+function chunkRange(from, to) {
+  const chunks = [];
+  for (let chunkStart = from; chunkStart <= to; chunkStart = addDays(chunkStart, MAX_RANGE_DAYS)) {
+    chunks.push([chunkStart, [addDays(chunkStart, MAX_RANGE_DAYS - 1), to].sort()[0]]);
+  }
+  return chunks;
+}
+
+function getJson(url) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, (response) => {
+      // frankfurter redirects some paths to its current host
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        resolve(getJson(new URL(response.headers.location, url).toString()));
+        return;
+      }
+
+      let data = '';
+      response.on('data', chunk => data += chunk);
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          reject(new Error(`HTTP ${response.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error('Invalid response'));
+        }
+      });
+    });
+
+    request.on('error', reject);
+    request.setTimeout(15000, () => {
+      request.destroy(new Error('Timed out'));
+    });
+  });
+}
+
+class ExchangeRates {
+  /**
+   * @param {Database} db
+   * @param {Object} [options]
+   * @param {Function} [options.log] - (message, level) logger
+   * @param {Function} [options.fetchJson] - url => Promise<Object>, replaceable for offline use
+   */
+  constructor(db, { log = () => {}, fetchJson = getJson } = {}) {
+    this.db = db;
+    this.log = log;
+    this.fetchJson = fetchJson;
+    this.cache = new Map(); // date -> rates
+    this.failedAt = 0; // Last failed range download
+  }
+
+  // Rates per 1 USD in effect on a date (YYYY-MM-DD, default today). A day before the first
+  // stored rate takes one published within MAX_GAP_DAYS after it (dates the ECB skipped).
+  getRates(date = null) {
+    const day = String(date || today()).substring(0, 10);
+    if (!this.cache.has(day)) {
+      this.cache.set(day, { ...this.db.getExchangeRatesOn(addDays(day, MAX_GAP_DAYS)), ...this.db.getExchangeRatesOn(day), USD: 1 });
+    }
+    return this.cache.get(day);
+  }
+
+  // Convert cents between currencies at the rate for `date` (today when omitted). Throws when
+  // no rate is stored for that date - run ensureRange() for the dates first.
+  convert(amount, fromCurrency, toCurrency, date = null) {
+    if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) {
+      return amount;
+    }
+
+    const rates = this.getRates(date);
+    const missing = [fromCurrency, toCurrency].find(currency => !rates[currency]);
+    if (missing) {
+      const day = String(date || today()).substring(0, 10);
+      throw new Error(`No ${missing} exchange rate stored for ${day} - download rates or enter one under Settings → Exchange Rates`);
+    }
+    return Math.round(amount * rates[toCurrency] / rates[fromCurrency]);
+  }
+
+  // Save { date: { CUR: rate } } from the API
+  store(ratesByDate, source = 'ecb') {
+    const rows = [];
+    for (const [date, rates] of Object.entries(ratesByDate)) {
+      for (const [currency, rate] of Object.entries(rates)) {
+        rows.push({ date, currency, rate });
+      }
+    }
+    if (rows.length > 0) {
+      this.db.saveExchangeRates(rows, source);
+      this.cache.clear();
+    }
+    return rows.length;
+  }
+
+  // Download today's rates unless that was done within the last day
+  async refreshLatest(force = false) {
+    const fetchedAt = parseInt(this.db.getSetting('exchangeRatesTime'), 10);
+    if (!force && fetchedAt && Date.now() - fetchedAt < LATEST_MAX_AGE) {
+      this.log(`Using stored exchange rates (${Math.round((Date.now() - fetchedAt) / 3600000)}h old)`);
+      return false;
+    }
+
+    try {
+      const result = await this.fetchJson(`${API_URL}/latest?from=USD`);
+      if (!result.rates || !result.date) throw new Error('Invalid response');
+
+      this.store({ [result.date]: result.rates });
+      this.db.setSetting('exchangeRatesTime', String(Date.now()));
+      this.log(`Exchange rates updated: 1 USD = ${result.rates.EUR?.toFixed(4)} EUR, ${result.rates.GBP?.toFixed(4)} GBP`);
+      return true;
+    } catch (error) {
+      this.log(`Failed to fetch exchange rates: ${error.message} - using stored rates`, 'warn');
+      return false;
+    }
+  }
+
+  /**
+   * Make sure daily rates exist for a date range, downloading only what's missing.
+   * Downloads extend the stored range at either end, so it never has holes.
+   * @param {boolean} [force] - try again even if a download just failed
+   * @returns {Promise<number>} rates stored
+   */
+  async ensureRange(startDate, endDate = null, force = false) {
+    const start = String(startDate).substring(0, 10);
+    const end = [String(endDate || today()).substring(0, 10), today()].sort()[0];
+    if (start > end) return 0;
+
+    const { first, last } = this.db.getExchangeRateCoverage();
+    const missing = [];
+    if (!first) {
+      missing.push(...chunkRange(start, end));
+    } else {
+      // Older history is fetched newest chunk first, so a failed download leaves no hole
+      if (addDays(start, MAX_GAP_DAYS) < first) missing.push(...chunkRange(start, addDays(first, -1)).reverse());
+      if (end > addDays(last, MAX_GAP_DAYS)) missing.push(...chunkRange(addDays(last, 1), end));
+    }
+
+    if (missing.length > 0 && !force && Date.now() - this.failedAt < RETRY_AFTER_FAILURE) {
+      return 0;
+    }
+
+    let stored = 0;
+    for (const [from, to] of missing) {
+      try {
+        const result = await this.fetchJson(`${API_URL}/${from}..${to}?from=USD`);
+        stored += this.store(result.rates || {});
+        this.log(`Downloaded exchange rates for ${from} to ${to}`);
+      } catch (error) {
+        this.log(`Failed to download exchange rates for ${from} to ${to}: ${error.message}`, 'warn');
+        this.failedAt = Date.now();
+        break;
+      }
+    }
+    return stored;
+  }
+
+  // Manually entered rate, used from `date` until a newer rate exists
+  setManualRate(date, currency, rate) {
+    const code = String(currency || '').trim().toUpperCase();
+    const value = Number(rate);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error('Date must be YYYY-MM-DD');
+    if (!/^[A-Z]{3}$/.test(code)) throw new Error('Currency must be a 3-letter code like EUR');
+    if (code === 'USD') throw new Error('Rates are per 1 USD - USD is always 1');
+    if (!Number.isFinite(value) || value <= 0) throw new Error('Rate must be a positive number');
+
+    this.db.saveExchangeRates([{ date, currency: code, rate: value }], 'manual');
+    this.cache.clear();
+    return { date, currency: code, rate: value };
+  }
+
+  deleteManualRate(date, currency) {
+    this.db.deleteManualExchangeRate(date, currency);
+    this.cache.clear();
+  }
+
+  // What's stored, for the settings screen
+  getStatus() {
+    const fetchedAt = parseInt(this.db.getSetting('exchangeRatesTime'), 10);
+    return {
+      ...this.db.getExchangeRateCoverage(),
+      fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+      latest: this.getRates(),
+      manual: this.db.getManualExchangeRates()
+    };
+  }
+}
+
+module.exports = ExchangeRates;
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExchangeRates = require('./exchange-rates');
+
+// exchange_rates table stand-in with the Database lookups ExchangeRates uses
+function fakeDb(rows = []) {
+  return {
+    rows,
+    getExchangeRatesOn(date) {
+      const rates = {};
+      [...this.rows].sort((a, b) => a.date.localeCompare(b.date))
+        .filter(row => row.date <= date)
+        .forEach(row => { rates[row.currency] = row.rate; });
+      return rates;
+    },
+    getExchangeRateCoverage() {
+      const dates = this.rows.map(row => row.date).sort();
+      return { first: dates[0] || null, last: dates[dates.length - 1] || null };
+    },
+    saveExchangeRates(newRows) {
+      this.rows.push(...newRows);
+    }
+  };
+}
+
+const stored = () => fakeDb([
+  { date: '2025-01-02', currency: 'EUR', rate: 0.9 },
+  { date: '2025-01-02', currency: 'GBP', rate: 0.8 },
+  { date: '2025-02-03', currency: 'EUR', rate: 0.95 },
+  { date: '2025-03-31', currency: 'EUR', rate: 0.92 }
+]);
+
+test('amounts are converted at the rate in effect on their date', () => {
+  const rates = new ExchangeRates(stored());
+  assert.equal(rates.convert(1000, 'USD', 'EUR', '2025-01-15'), 900);
+  assert.equal(rates.convert(1000, 'USD', 'EUR', '2025-02-10'), 950);
+  assert.equal(rates.convert(900, 'EUR', 'USD', '2025-01-15T10:00:00'), 1000);
+  assert.equal(rates.convert(900, 'EUR', 'GBP', '2025-01-15'), 800);
+  assert.equal(rates.convert(123, 'EUR', 'EUR', '1990-01-01'), 123);
+});
+
+test('days just before the first stored rate use the next published one', () => {
+  const rates = new ExchangeRates(stored());
+  assert.equal(rates.convert(1000, 'USD', 'EUR', '2024-12-31'), 900);
+});
+
+test('a missing rate throws instead of guessing', () => {
+  const rates = new ExchangeRates(stored());
+  assert.throws(() => rates.convert(1000, 'USD', 'EUR', '2024-12-01'), /No EUR exchange rate stored for 2024-12-01/);
+  assert.throws(() => rates.convert(1000, 'USD', 'SEK', '2025-02-10'), /No SEK exchange rate/);
+});
+
+test('ensureRange downloads only the dates before and after the stored rates', async () => {
+  const urls = [];
+  const db = stored();
+  const rates = new ExchangeRates(db, {
+    fetchJson: async (url) => {
+      urls.push(url);
+      const from = url.match(/(\d{4}-\d{2}-\d{2})\.\./)[1];
+      return { rates: { [from]: { EUR: 0.91 } } };
+    }
+  });
+
+  assert.equal(await rates.ensureRange('2025-01-05', '2025-04-03'), 0);
+  assert.deepEqual(urls, []);
+
+  assert.equal(await rates.ensureRange('2024-12-01', '2025-05-10'), 2);
+  assert.deepEqual(urls, [
+    'https://api.frankfurter.app/2024-12-01..2025-01-01?from=USD',
+    'https://api.frankfurter.app/2025-04-01..2025-05-10?from=USD'
+  ]);
+  assert.equal(rates.convert(1000, 'USD', 'EUR', '2024-12-01'), 910);
+});
+
+test('ensureRange splits long ranges into yearly requests', async () => {
+  const urls = [];
+  const rates = new ExchangeRates(fakeDb(), { fetchJson: async (url) => { urls.push(url); return { rates: {} }; } });
+  await rates.ensureRange('2023-01-01', '2024-12-31');
+  assert.deepEqual(urls, [
+    'https://api.frankfurter.app/2023-01-01..2024-01-01?from=USD',
+    'https://api.frankfurter.app/2024-01-02..2024-12-31?from=USD'
+  ]);
+});
+
+test('after a failed download ensureRange waits before trying again unless forced', async () => {
+  let calls = 0;
+  const rates = new ExchangeRates(fakeDb(), {
+    fetchJson: async () => {
+      calls++;
+      throw new Error('offline');
+    }
+  });
+
+  // The first failed chunk stops the rest
+  assert.equal(await rates.ensureRange('2023-01-01', '2024-12-31'), 0);
+  assert.equal(calls, 1);
+  await rates.ensureRange('2023-01-01', '2024-12-31');
+  assert.equal(calls, 1);
+  await rates.ensureRange('2023-01-01', '2024-12-31', true);
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,199 @@
+/**
+ * Stats Exporter
+ * Builds CSV/XLSX files from the same Database queries the stats view uses
+ */
+
+const ExcelJS = require('exceljs');
+
+const EXPORT_TYPES = {
+  STATS: 'stats',       // Stored rows, as listed in the stats view
+  MONTHLY: 'monthly',   // getMonthlyStats() per-month totals
+  CHANNELS: 'channels'  // getChannelStats() per-channel breakdown
+};
+
+const PROGRAM_COLUMNS = [
+  { key: 'program', header: 'Program' },
+  { key: 'provider', header: 'Provider' },
+  { key: 'currency', header: 'Currency' }
+];
+
+const COLUMNS = {
+  [EXPORT_TYPES.STATS]: [
+    ...PROGRAM_COLUMNS,
+    { key: 'date', header: 'Date' },
+    { key: 'clicks', header: 'Clicks', type: 'int' },
+    { key: 'impressions', header: 'Impressions', type: 'int' },
+    { key: 'signups', header: 'Signups', type: 'int' },
+    { key: 'ftds', header: 'FTDs', type: 'int' },
+    { key: 'deposits', header: 'Deposits', type: 'money' },
+    { key: 'withdrawals', header: 'Withdrawals', type: 'money' },
+    { key: 'chargebacks', header: 'Chargebacks', type: 'money' },
+    { key: 'revenue', header: 'Revenue', type: 'money' }
+  ],
+  [EXPORT_TYPES.MONTHLY]: [
+    ...PROGRAM_COLUMNS,
+    { key: 'month', header: 'Month' },
+    { key: 'clicks', header: 'Clicks', type: 'int' },
+    { key: 'impressions', header: 'Impressions', type: 'int' },
+    { key: 'signups', header: 'Signups', type: 'int' },
+    { key: 'ftds', header: 'FTDs', type: 'int' },
+    { key: 'deposits', header: 'Deposits', type: 'money' },
+    { key: 'revenue', header: 'Revenue', type: 'money' }
+  ],
+  [EXPORT_TYPES.CHANNELS]: [
+    ...PROGRAM_COLUMNS,
+    { key: 'channel', header: 'Channel' },
+    { key: 'month', header: 'Month' },
+    { key: 'clicks', header: 'Clicks', type: 'int' },
+    { key: 'impressions', header: 'Impressions', type: 'int' },
+    { key: 'signups', header: 'Signups', type: 'int' },
+    { key: 'ftds', header: 'FTDs', type: 'int' },
+    { key: 'deposits', header: 'Deposits', type: 'money' },
+    { key: 'withdrawals', header: 'Withdrawals', type: 'money' },
+    { key: 'chargebacks', header: 'Chargebacks', type: 'money' },
+    { key: 'revenue', header: 'Revenue', type: 'money' }
+  ]
+};
+
+const SHEET_NAMES = {
+  [EXPORT_TYPES.STATS]: 'Stats',
+  [EXPORT_TYPES.MONTHLY]: 'Monthly',
+  [EXPORT_TYPES.CHANNELS]: 'Channels'
+};
+
+const QUERIES = {
+  [EXPORT_TYPES.STATS]: 'getStats',
+  [EXPORT_TYPES.MONTHLY]: 'getMonthlyStats',
+  [EXPORT_TYPES.CHANNELS]: 'getChannelStats'
+};
+
+// Money fields of stats, monthly and channel rows (cents)
+const MONEY_FIELDS = ['deposits', 'withdrawals', 'chargebacks', 'revenue'];
+
+/**
+ * Stats rows of one program in another currency, each tagged with the currency it's in
+ *
+ * Stats are stored in the program's currency - every sync, import and manual entry keeps the
+ * amounts as the platform reports them. They're converted at the rate for the row's date (the
+ * 1st for monthly rows); load the rates for the range first (SyncEngine.ensureRates).
+ *
+ * @param {Object[]} rows - getStats / getMonthlyStats / getChannelStats rows
+ * @param {Object} program
+ * @param {string} currency - target currency
+ * @param {Function|null} convert - (amount, from, to, date) => amount; rows stay as stored without it
+ * @returns {Object[]}
+ */
+function convertStats(rows, program, currency, convert) {
+  const source = program.currency || currency;
+  if (source === currency || !convert) {
+    return rows.map(row => ({ ...row, currency: source }));
+  }
+
+  return rows.map(row => {
+    const converted = { ...row, currency };
+    const date = row.date || `${row.month}-01`;
+    for (const key of MONEY_FIELDS) {
+      if (row[key] !== undefined) converted[key] = convert(row[key] || 0, source, currency, date);
+    }
+    return converted;
+  });
+}
+
+/**
+ * Collect export rows for one or all programs
+ *
+ * Amounts are converted to `currency` (the display currency) with convertStats(); without
+ * `convert` they're exported as stored and the Currency column names the program's currency.
+ *
+ * @param {Database} db
+ * @param {Object} options - { type, programId, startDate, endDate, currency, convert(amount, from, to, date) }
+ * @returns {{ type, sheetName, columns, rows }} rows hold money in cents
+ */
+function buildExport(db, { type = EXPORT_TYPES.STATS, programId = null, startDate = null, endDate = null, currency = 'USD', convert = null }) {
+  const query = QUERIES[type];
+  if (!query) throw new Error(`Unknown export type: ${type}`);
+
+  const programs = programId && programId !== 'all'
+    ? [db.getProgram(programId)].filter(Boolean)
+    : db.getPrograms();
+  const columns = COLUMNS[type];
+
+  const rows = [];
+  for (const program of programs) {
+    const stats = convertStats(db[query](program.id, startDate || null, endDate || null), program, currency, convert);
+    for (const stat of stats) {
+      rows.push({ ...stat, program: program.name, provider: program.provider });
+    }
+  }
+
+  // Newest first, like the stats view
+  const dateKey = type === EXPORT_TYPES.STATS ? 'date' : 'month';
+  rows.sort((a, b) => String(b[dateKey]).localeCompare(String(a[dateKey])) || a.program.localeCompare(b.program));
+
+  return { type, sheetName: SHEET_NAMES[type], columns, rows };
+}
+
+function formatValue(column, value) {
+  if (column.type === 'money') return ((value || 0) / 100).toFixed(2);
+  if (column.type === 'int') return String(value || 0);
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function csvEscape(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV({ columns, rows }) {
+  const lines = [columns.map(c => csvEscape(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvEscape(formatValue(c, row[c.key]))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Plain objects with formatted values, for JSON output
+function toRecords({ columns, rows }) {
+  return rows.map(row => {
+    const record = {};
+    for (const column of columns) {
+      record[column.key] = column.type ? Number(formatValue(column, row[column.key])) : formatValue(column, row[column.key]);
+    }
+    return record;
+  });
+}
+
+async function toXLSX({ sheetName, columns, rows }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Stats Fetch';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(c => ({
+    header: c.header,
+    key: c.key,
+    width: c.type ? 14 : Math.max(12, c.header.length + 2),
+    style: c.type === 'money' ? { numFmt: '#,##0.00' } : c.type === 'int' ? { numFmt: '#,##0' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    const values = {};
+    for (const column of columns) {
+      values[column.key] = column.type === 'money'
+        ? (row[column.key] || 0) / 100
+        : column.type === 'int' ? (row[column.key] || 0) : formatValue(column, row[column.key]);
+    }
+    sheet.addRow(values);
+  }
+
+  // Widen text columns to fit (program names can be long)
+  sheet.columns.forEach((col, i) => {
+    if (columns[i].type) return;
+    const longest = rows.reduce((max, row) => Math.max(max, formatValue(columns[i], row[columns[i].key]).length), 0);
+    col.width = Math.min(40, Math.max(col.width, longest + 2));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = { EXPORT_TYPES, convertStats, buildExport, toCSV, toRecords, toXLSX };
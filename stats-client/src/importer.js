@@ -0,0 +1,307 @@
+/**
+ * Stats Importer
+ * Reads CSV/XLSX reports downloaded from affiliate dashboards and maps their columns to our stats fields
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// Fields a report column can be mapped to (date is required)
+const IMPORT_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'channel', label: 'Channel / Campaign' },
+  { key: 'clicks', label: 'Clicks', type: 'int' },
+  { key: 'impressions', label: 'Impressions', type: 'int' },
+  { key: 'signups', label: 'Signups', type: 'int' },
+  { key: 'ftds', label: 'FTDs', type: 'int' },
+  { key: 'deposits', label: 'Deposits', type: 'money' },
+  { key: 'withdrawals', label: 'Withdrawals', type: 'money' },
+  { key: 'chargebacks', label: 'Chargebacks', type: 'money' },
+  { key: 'revenue', label: 'Revenue / Commission', type: 'money' }
+];
+
+// Header names commonly used by affiliate platforms, for the suggested mapping
+const HEADER_HINTS = {
+  date: /^(date|day|period|month|report date)$/i,
+  channel: /channel|campaign|tracker|media|sub ?id|tag/i,
+  clicks: /clicks|visits|hits/i,
+  impressions: /impressions|views|impr/i,
+  signups: /sign ?ups|registrations|regs?\b/i,
+  ftds: /ftds?|first (time )?deposit(or)?s?(?! amount)|new depositors|acquisitions|cpa count/i,
+  deposits: /^(total )?deposits?( amount)?$|deposit amount|net deposits/i,
+  withdrawals: /withdraw/i,
+  chargebacks: /chargebacks?/i,
+  revenue: /commission|revenue|earnings|income|payout|net ?gaming|ngr/i
+};
+
+// Report numbers in most formats: 1,234.56 / 1.234,56 / (12.00) / €12
+// decimal: '.' or ',' when known for the whole report (see detectDecimalSeparator), else guessed per value
+function parseNumber(value, decimal = null) {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return value;
+
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+  if (!text) return 0;
+
+  if (!decimal) {
+    const hasComma = text.includes(',');
+    const hasDot = text.includes('.');
+    if (hasComma && hasDot) {
+      // Whichever separator comes last is the decimal point
+      decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    } else if (hasComma) {
+      decimal = /^\d{1,3}(,\d{3})+$/.test(text) ? '.' : ',';
+    } else {
+      decimal = /^\d{1,3}(\.\d{3}){2,}$/.test(text) ? ',' : '.';
+    }
+  }
+
+  text = decimal === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  const number = parseFloat(text);
+  if (isNaN(number)) return 0;
+  return negative ? -number : number;
+}
+
+// European exports use a comma for decimals - decide once per report so "1.200" means 1200 there
+function detectDecimalSeparator(rows) {
+  let comma = 0;
+  let dot = 0;
+  for (const row of rows) {
+    for (const cell of row) {
+      if (typeof cell !== 'string') continue;
+      if (/\d,\d{1,2}\s*$/.test(cell) || /\d\.\d{3},\d/.test(cell)) comma++;
+      else if (/\d\.\d{1,2}\s*$/.test(cell) || /\d,\d{3}\.\d/.test(cell)) dot++;
+    }
+  }
+  if (comma > dot) return ',';
+  if (dot > comma) return '.';
+  return null;
+}
+
+/**
+ * Turn a report date into YYYY-MM-DD
+ * dateFormat: 'auto' | 'DMY' | 'MDY' - only needed for ambiguous dates like 03/04/2025
+ */
+function parseDate(value, dateFormat = 'auto') {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date && !isNaN(value)) {
+    return `${value.getUTCFullYear()}-${String(value.getUTCMonth() + 1).padStart(2, '0')}-${String(value.getUTCDate()).padStart(2, '0')}`;
+  }
+
+  // Excel serial day numbers
+  if (typeof value === 'number' && value > 20000 && value < 80000) {
+    return parseDate(new Date(Math.round((value - 25569) * 86400000)));
+  }
+
+  const text = String(value).trim();
+  const pad = (n) => String(n).padStart(2, '0');
+  let match;
+
+  // 2025-03-14, 2025/03/14, 2025-03
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?/))) {
+    return `${match[1]}-${pad(match[2])}-${pad(match[3] || 1)}`;
+  }
+
+  // 14/03/2025, 03/14/2025, 14.03.25
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+    let [, a, b, year] = match.map(Number);
+    if (year < 100) year += 2000;
+    let day = a;
+    let month = b;
+    if (dateFormat === 'MDY' || (dateFormat === 'auto' && b > 12)) {
+      day = b;
+      month = a;
+    }
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  // "March 2025", "Mar 14, 2025", "14 Mar 2025"
+  const parsed = new Date(/^\D+\s+\d{4}$/.test(text) ? `1 ${text}` : text);
+  if (!isNaN(parsed)) {
+    return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+  }
+
+  return null;
+}
+
+// Minimal RFC 4180 parser - handles quoted fields, escaped quotes and newlines inside quotes
+function parseCSV(text) {
+  text = text.replace(/^\uFEFF/, '');
+
+  // Pick the delimiter that appears most in the header line (, ; or tab)
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      // Quotes only start a quoted field at its beginning - Brand "A" stays as-is
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => String(cell).trim() !== ''));
+}
+
+async function parseXLSX(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      let value = cell.value;
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        // Formula results, hyperlinks and rich text
+        value = value.result !== undefined ? value.result : value.text || (value.richText || []).map(r => r.text).join('');
+      }
+      values[col - 1] = value === null || value === undefined ? '' : value;
+    });
+    rows.push(Array.from(values, v => (v === undefined ? '' : v)));
+  });
+  return rows;
+}
+
+/**
+ * Read a report file
+ * @returns {Promise<{ headers: string[], rows: Array[], decimal: string|null }>}
+ */
+async function readReport(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  let table;
+  if (ext === '.xlsx') {
+    table = await parseXLSX(filePath);
+  } else if (ext === '.csv' || ext === '.txt' || ext === '.tsv') {
+    table = parseCSV(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    throw new Error('Unsupported file type - use .csv or .xlsx');
+  }
+
+  if (table.length < 2) {
+    throw new Error('The report has no data rows');
+  }
+
+  const headers = table[0].map((h, i) => String(h).trim() || `Column ${i + 1}`);
+  const rows = table.slice(1);
+  return { headers, rows, decimal: detectDecimalSeparator(rows) };
+}
+
+// Best-guess mapping { field: headerName } from header names
+function suggestMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  for (const field of IMPORT_FIELDS) {
+    const header = headers.find(h => !used.has(h) && HEADER_HINTS[field.key].test(h));
+    if (header) {
+      mapping[field.key] = header;
+      used.add(header);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Convert report rows into stats records (one per month, plus one per month and channel when mapped)
+ *
+ * Rows are summed into monthly totals dated the 1st, matching how synced stats are stored
+ * (consolidateMonthlyStats keeps one row per month). Money is returned in cents.
+ *
+ * @returns {{ stats: Object[], imported: number, skipped: Array<{ row: number, reason: string }> }}
+ */
+function mapRows({ headers, rows, decimal = null }, mapping, { dateFormat = 'auto' } = {}) {
+  if (!mapping.date) throw new Error('Map a column to Date');
+
+  const index = {};
+  for (const field of IMPORT_FIELDS) {
+    if (!mapping[field.key]) continue;
+    const col = headers.indexOf(mapping[field.key]);
+    if (col === -1) throw new Error(`Column "${mapping[field.key]}" is not in this report`);
+    index[field.key] = col;
+  }
+
+  const totals = new Map();
+  const skipped = [];
+  let imported = 0;
+
+  rows.forEach((row, i) => {
+    const rawDate = row[index.date];
+    const date = parseDate(rawDate, dateFormat);
+    if (!date) {
+      // Totals/summary rows at the bottom of reports have no date - skip quietly
+      if (!/total|sum/i.test(String(rawDate))) {
+        skipped.push({ row: i + 2, reason: `Unrecognised date "${rawDate}"` });
+      }
+      return;
+    }
+
+    const month = date.substring(0, 7);
+    const channel = index.channel !== undefined ? String(row[index.channel] || '').trim() || null : null;
+
+    // Program totals always; per-channel rows too when a channel column is mapped
+    for (const target of channel ? [null, channel] : [null]) {
+      const key = `${month}|${target || ''}`;
+      if (!totals.has(key)) {
+        const stat = { date: `${month}-01` };
+        if (target) stat.channel = target;
+        for (const field of IMPORT_FIELDS) {
+          if (field.type) stat[field.key] = 0;
+        }
+        totals.set(key, stat);
+      }
+
+      const stat = totals.get(key);
+      for (const field of IMPORT_FIELDS) {
+        if (!field.type || index[field.key] === undefined) continue;
+        const value = parseNumber(row[index[field.key]], decimal);
+        stat[field.key] += field.type === 'money' ? Math.round(value * 100) : Math.round(value);
+      }
+    }
+    imported++;
+  });
+
+  return { stats: Array.from(totals.values()), imported, skipped };
+}
+
+module.exports = { IMPORT_FIELDS, readReport, suggestMapping, mapRows, parseNumber, parseDate };
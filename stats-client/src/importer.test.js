@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumber, parseDate, suggestMapping, mapRows } = require('./importer');
+
+test('parseNumber reads both decimal conventions', () => {
+  assert.equal(parseNumber('1,234.56'), 1234.56);
+  assert.equal(parseNumber('1.234,56'), 1234.56);
+  assert.equal(parseNumber('12,5'), 12.5);
+  assert.equal(parseNumber('1,234'), 1234);
+  assert.equal(parseNumber('1.234.567'), 1234567);
+});
+
+test('parseNumber reads accounting negatives and currency symbols', () => {
+  assert.equal(parseNumber('(12.00)'), -12);
+  assert.equal(parseNumber('-€3,50'), -3.5);
+  assert.equal(parseNumber('12.40-'), -12.4);
+  assert.equal(parseNumber('$ 99'), 99);
+});
+
+test('parseNumber uses the report-wide decimal separator when given', () => {
+  assert.equal(parseNumber('1,234', ','), 1.234);
+  assert.equal(parseNumber('1.234', '.'), 1.234);
+  assert.equal(parseNumber('', ','), 0);
+  assert.equal(parseNumber('n/a'), 0);
+});
+
+test('parseDate reads ISO dates and months', () => {
+  assert.equal(parseDate('2025-03-14'), '2025-03-14');
+  assert.equal(parseDate('2025/3/4'), '2025-03-04');
+  assert.equal(parseDate('2025-03'), '2025-03-01');
+});
+
+test('parseDate picks day and month order', () => {
+  assert.equal(parseDate('04/03/2025', 'DMY'), '2025-03-04');
+  assert.equal(parseDate('04/03/2025', 'MDY'), '2025-04-03');
+  // auto: day first unless the second number can't be a month
+  assert.equal(parseDate('04/03/2025'), '2025-03-04');
+  assert.equal(parseDate('03/14/2025'), '2025-03-14');
+  assert.equal(parseDate('14.03.25'), '2025-03-14');
+  assert.equal(parseDate('14/13/2025', 'DMY'), null);
+});
+
+test('parseDate reads month names and Excel serial days', () => {
+  assert.equal(parseDate('March 2025'), '2025-03-01');
+  assert.equal(parseDate(45730), '2025-03-14');
+  assert.equal(parseDate('Total'), null);
+});
+
+test('mapRows sums rows into monthly totals in cents and skips bad dates', () => {
+  const headers = ['Date', 'Clicks', 'FTDs', 'Commission'];
+  const rows = [
+    ['01/03/2025', '100', '2', '10,50'],
+    ['15/03/2025', '50', '1', '(2,25)'],
+    ['02/04/2025', '10', '0', '0'],
+    ['not a date', '1', '1', '1'],
+    ['Total', '160', '3', '8,25']
+  ];
+  const mapping = suggestMapping(headers);
+  assert.deepEqual(mapping, { date: 'Date', clicks: 'Clicks', ftds: 'FTDs', revenue: 'Commission' });
+
+  const { stats, imported, skipped } = mapRows({ headers, rows, decimal: ',' }, mapping, { dateFormat: 'DMY' });
+  assert.equal(imported, 3);
+  assert.deepEqual(skipped, [{ row: 5, reason: 'Unrecognised date "not a date"' }]);
+  assert.deepEqual(stats.map(s => [s.date, s.clicks, s.ftds, s.revenue]), [
+    ['2025-03-01', 150, 3, 825],
+    ['2025-04-01', 10, 0, 0]
+  ]);
+});
@@ -3,16 +3,25 @@
  * Handles window creation, IPC, and database operations
  */
 
-const { app, BrowserWindow, ipcMain, net, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, net, dialog, Notification, powerMonitor } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
 const Database = require('./database');
+const { DatabaseLockedError } = require('./db-lock');
 const SyncEngine = require('./sync-engine');
+const ApiServer = require('./api-server');
+const { convertStats } = require('./exporter');
+const AlertManager = require('./alerts');
+const { getNextRun, normalizeSchedule, selectPrograms, describeSchedule, getDueSchedules } = require('./schedules');
+const { DIRECT, getProxySettings, saveProxySettings, resolveProxy, parseProxyUrl, testProxy } = require('./proxy');
+const { OUTCOMES: HANDOFF_OUTCOMES, RESOLUTIONS: HANDOFF_RESOLUTIONS, provisionSignups } = require('./signup-handoff');
 const packageJson = require('../package.json');
 
 let mainWindow;
 let db;
 let syncEngine;
+let apiServer;
+let alerts;
 
 // Server URL for fetching templates and API validation
 const API_URL = 'https://www.statsfetch.com';
@@ -83,6 +92,15 @@ let licenseInfo = {
 const LICENSE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
 let licenseCheckTimer = null;
 let schedulerInterval = null;
+let schedulerBusy = false;
+let schedulerResumeListening = false;
+// Scheduled runs that came due before this (app closed, machine asleep) count as missed
+let schedulerAwakeSince = new Date();
+
+// Vault auto-lock (see vault.js) - minutes without activity before credentials are locked again
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+let vaultLastActivity = Date.now();
+let vaultLockTimer = null;
 
 // Configure auto-updater - explicitly set GitHub repo to ensure correct update source
 autoUpdater.setFeedURL({
@@ -246,6 +264,7 @@ async function checkLicenseOnStartup() {
 
   if (result.valid) {
     console.log(`[LICENSE] Valid - Role: ${result.roleLabel}, Max programs: ${result.maxPrograms}`);
+    pullApprovedSignups('startup');
   } else {
     console.log('[LICENSE] Invalid:', result.error);
     // Disable all programs if license is invalid
@@ -290,6 +309,9 @@ function startLicenseCheckTimer() {
       if (!result.valid && !result.cached) {
         disableAllPrograms();
       }
+      if (result.valid) {
+        pullApprovedSignups('scheduled');
+      }
       sendLicenseStatus(result);
     }
   }, LICENSE_CHECK_INTERVAL);
@@ -303,24 +325,88 @@ function startLicenseCheckTimer() {
 function getNextScheduledSync() {
   if (!db) return null;
 
-  const schedules = db.getEnabledSchedules();
-  if (schedules.length === 0) return null;
+  const upcoming = db.getEnabledSchedules()
+    .map(schedule => schedule.next_run || getNextRun(schedule)?.toISOString())
+    .filter(Boolean)
+    .sort();
+  if (upcoming.length === 0) return null;
+
+  const next = new Date(upcoming[0]);
+  const now = new Date();
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return {
+    at: next.toISOString(),
+    time: `${String(next.getHours()).padStart(2, '0')}:${String(next.getMinutes()).padStart(2, '0')}`,
+    isToday: next.toDateString() === now.toDateString(),
+    isTomorrow: next.toDateString() === tomorrow.toDateString()
+  };
+}
+
+// Run the schedules that are due - several due at once (e.g. after waking up) share one sync
+async function checkSchedules() {
+  if (!db || !syncEngine || schedulerBusy) return;
+
+  // Due runs wait for the vault - once unlocked they count as missed (caught up if the schedule says so)
+  if (db.vault.isLocked()) return;
 
   const now = new Date();
   const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  const schedules = db.getEnabledSchedules();
+
+  // Schedules from before next_run existed start counting from now
+  for (const schedule of schedules.filter(s => !s.next_run)) {
+    schedule.next_run = getNextRun(schedule, now)?.toISOString() || null;
+    db.setScheduleNextRun(schedule.id, schedule.next_run);
+  }
 
-  // Find the next scheduled time
-  for (const schedule of schedules) {
-    if (schedule.time > currentTime) {
-      return { time: schedule.time, isToday: true };
+  const due = [];
+  for (const { schedule, missed, nextRun } of getDueSchedules(schedules, now, schedulerAwakeSince)) {
+    if (missed && !schedule.catch_up) {
+      console.log(`[SCHEDULER] Skipping missed run of ${describeSchedule(schedule)} (was due ${schedule.next_run})`);
+      db.setScheduleNextRun(schedule.id, nextRun?.toISOString() || null);
+      continue;
     }
+    if (missed) {
+      console.log(`[SCHEDULER] Catching up missed run of ${describeSchedule(schedule)} (was due ${schedule.next_run})`);
+    }
+    db.updateScheduleLastRun(schedule.id, now.toISOString(), nextRun?.toISOString() || null);
+    due.push(schedule);
+  }
+  if (due.length === 0) return;
+
+  // null = every active program
+  const programs = db.getPrograms();
+  const selections = due.map(schedule => selectPrograms(schedule, programs));
+  const programIds = selections.includes(null) ? null : [...new Set(selections.flat())];
+
+  console.log(`[SCHEDULER] Triggering scheduled sync at ${currentTime}: ${due.map(describeSchedule).join('; ')}`);
+  schedulerBusy = true;
+
+  // Notify renderer
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send('scheduled-sync-started', { time: currentTime, programs: programIds ? programIds.length : null });
   }
 
-  // All scheduled times are earlier today, so next is tomorrow's first schedule
-  return { time: schedules[0].time, isToday: false };
+  // Run sync
+  try {
+    if (programIds && programIds.length === 0) {
+      console.log('[SCHEDULER] No programs match the due schedules');
+    } else {
+      await syncEngine.syncAll(Infinity, { trigger: 'scheduled', programIds });
+    }
+  } catch (err) {
+    console.error('[SCHEDULER] Sync failed:', err);
+  } finally {
+    schedulerBusy = false;
+  }
+
+  // Notify renderer sync completed
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send('scheduled-sync-completed', { time: currentTime });
+  }
 }
 
-// Start the scheduler - checks every minute
+// Start the scheduler - checks every minute, and straight after the machine wakes up
 function startScheduler() {
   if (schedulerInterval) {
     clearInterval(schedulerInterval);
@@ -329,50 +415,124 @@ function startScheduler() {
   console.log('[SCHEDULER] Starting scheduler...');
 
   // Check every 60 seconds
-  schedulerInterval = setInterval(async () => {
-    if (!db) return;
+  schedulerInterval = setInterval(checkSchedules, 60000);
+
+  if (!schedulerResumeListening) {
+    schedulerResumeListening = true;
+    powerMonitor.on('resume', () => {
+      schedulerAwakeSince = new Date();
+      console.log('[SCHEDULER] System resumed - checking for missed schedules');
+      // Give the network a moment to reconnect
+      setTimeout(checkSchedules, 30000);
+    });
+  }
 
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  console.log('[SCHEDULER] Scheduler started');
+}
 
-    const schedules = db.getEnabledSchedules();
+// =====================
+// Vault Lock
+// =====================
 
-    for (const schedule of schedules) {
-      if (schedule.time === currentTime) {
-        // Check if already ran this minute
-        const lastRun = schedule.last_run ? new Date(schedule.last_run) : null;
-        if (lastRun && (now - lastRun) < 60000) {
-          continue; // Skip if ran within last minute
-        }
+function getAutoLockMinutes() {
+  const minutes = parseInt(db.getSetting('vaultAutoLockMinutes'), 10);
+  return Number.isNaN(minutes) ? DEFAULT_AUTO_LOCK_MINUTES : minutes;
+}
 
-        console.log(`[SCHEDULER] Triggering scheduled sync at ${currentTime}`);
-        db.updateScheduleLastRun(schedule.id, now.toISOString());
+function getVaultStatus() {
+  return { ...db.vault.getStatus(), autoLockMinutes: getAutoLockMinutes() };
+}
 
-        // Notify renderer
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('scheduled-sync-started', { time: currentTime });
-        }
+// User input and sync logs both count as activity
+function touchVault() {
+  vaultLastActivity = Date.now();
+}
 
-        // Run sync
-        try {
-          if (syncEngine) {
-            await syncEngine.syncAll();
-          }
-        } catch (err) {
-          console.error('[SCHEDULER] Sync failed:', err);
-        }
+function lockVault(reason) {
+  if (!db.vault.lock()) return false;
+  console.log(`[VAULT] Locked (${reason})`);
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('vault-locked', { reason });
+  }
+  return true;
+}
 
-        // Notify renderer sync completed
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('scheduled-sync-completed', { time: currentTime });
-        }
+function unlockVault(password) {
+  db.vault.unlock(password);
+  touchVault();
 
-        break; // Only run once per minute even if multiple schedules match
-      }
+  // Finish a key rotation or migration that needed the vault key
+  const reencrypted = db.reencryptSecrets();
+  if (reencrypted > 0) {
+    console.log(`[VAULT] Re-encrypted ${reencrypted} stored secrets`);
+  }
+
+  // Schedules that came due while locked are handled like runs missed while asleep
+  schedulerAwakeSince = new Date();
+  setTimeout(checkSchedules, 1000);
+
+  // Signup logins can only be stored while the vault is open
+  setTimeout(() => pullApprovedSignups('unlock'), 2000);
+}
+
+// Lock after the configured minutes without activity
+function startVaultAutoLock() {
+  if (vaultLockTimer) {
+    clearInterval(vaultLockTimer);
+  }
+
+  vaultLockTimer = setInterval(() => {
+    const minutes = getAutoLockMinutes();
+    if (minutes > 0 && !db.vault.isLocked() && Date.now() - vaultLastActivity > minutes * 60000) {
+      lockVault('inactivity');
     }
-  }, 60000); // Every minute
+  }, 30000);
+}
 
-  console.log('[SCHEDULER] Scheduler started');
+// =====================
+// Local API Server
+// =====================
+
+// Token for the local API - generated on first use, stored encrypted
+function getApiServerToken() {
+  let token = db.getSecureSetting('api_server_token');
+  if (!token) {
+    token = ApiServer.generateToken();
+    db.setSecureSetting('api_server_token', token);
+  }
+  return token;
+}
+
+function getApiServerPort() {
+  return parseInt(db.getSetting('apiServerPort'), 10) || ApiServer.DEFAULT_PORT;
+}
+
+function getApiServerStatus(error = null) {
+  const port = apiServer.port || getApiServerPort();
+  return {
+    enabled: db.getSetting('apiServerEnabled') === 'true',
+    running: apiServer.isRunning(),
+    port,
+    url: `http://127.0.0.1:${port}/api`,
+    token: getApiServerToken(),
+    error
+  };
+}
+
+// Start or stop the API server to match settings
+async function applyApiServerSettings() {
+  if (db.getSetting('apiServerEnabled') !== 'true') {
+    await apiServer.stop();
+    return getApiServerStatus();
+  }
+
+  try {
+    await apiServer.start(getApiServerPort(), getApiServerToken());
+    return getApiServerStatus();
+  } catch (error) {
+    console.error('[API SERVER] Failed to start:', error.message);
+    return getApiServerStatus(error.message);
+  }
 }
 
 // Check if can add more programs (based on role)
@@ -393,6 +553,22 @@ function getProgramLimitInfo() {
   };
 }
 
+// Native OS notification - clicking it brings the window back. Returns false where unsupported
+function showNotification(title, body) {
+  if (!Notification.isSupported()) return false;
+
+  const notification = new Notification({ title, body });
+  notification.on('click', () => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      if (mainWindow.isMinimized()) mainWindow.restore();
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+  notification.show();
+  return true;
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
@@ -519,6 +695,35 @@ async function syncProgramToServer(apiKey, programCode, programName, action = 'a
   });
 }
 
+// Map a statsfetch.com template to the format expected by the client
+function toClientTemplate(t) {
+  return {
+    name: t.name,
+    code: t.name.toLowerCase().replace(/[^a-z0-9]/g, '-'),
+    provider: SOFTWARE_TO_PROVIDER[t.softwareType?.toLowerCase()] || t.softwareType?.toUpperCase().replace(/-/g, '_') || 'CUSTOM',
+    authType: t.authType,
+    loginUrl: t.loginUrl || '',
+    apiUrl: t.baseUrl || '',
+    config: {
+      loginUrl: t.loginUrl || '',
+      apiUrl: t.baseUrl || '',
+      baseUrl: t.baseUrl || ''
+    },
+    description: t.description,
+    icon: t.icon,
+    referralUrl: t.referralUrl || '',
+    isSelected: t.isSelected || false,
+    // OAuth and label settings
+    supportsOAuth: t.supportsOAuth || false,
+    apiKeyLabel: t.apiKeyLabel,
+    apiSecretLabel: t.apiSecretLabel,
+    usernameLabel: t.usernameLabel,
+    passwordLabel: t.passwordLabel,
+    baseUrlLabel: t.baseUrlLabel,
+    requiresBaseUrl: t.requiresBaseUrl || false
+  };
+}
+
 // Fetch templates from statsfetch.com API (authenticated with API key for user selections)
 async function fetchTemplates() {
   const apiKey = db.getSecureSetting('api_key');
@@ -554,31 +759,7 @@ async function fetchTemplates() {
           console.log('Fetched templates from statsfetch.com:', json);
 
           // Map API templates to the format expected by the client
-          const templates = (json.templates || []).map(t => ({
-            name: t.name,
-            code: t.name.toLowerCase().replace(/[^a-z0-9]/g, '-'),
-            provider: SOFTWARE_TO_PROVIDER[t.softwareType?.toLowerCase()] || t.softwareType?.toUpperCase().replace(/-/g, '_') || 'CUSTOM',
-            authType: t.authType,
-            loginUrl: t.loginUrl || '',
-            apiUrl: t.baseUrl || '',
-            config: {
-              loginUrl: t.loginUrl || '',
-              apiUrl: t.baseUrl || '',
-              baseUrl: t.baseUrl || ''
-            },
-            description: t.description,
-            icon: t.icon,
-            referralUrl: t.referralUrl || '',
-            isSelected: t.isSelected || false,
-            // OAuth and label settings
-            supportsOAuth: t.supportsOAuth || false,
-            apiKeyLabel: t.apiKeyLabel,
-            apiSecretLabel: t.apiSecretLabel,
-            usernameLabel: t.usernameLabel,
-            passwordLabel: t.passwordLabel,
-            baseUrlLabel: t.baseUrlLabel,
-            requiresBaseUrl: t.requiresBaseUrl || false
-          }));
+          const templates = (json.templates || []).map(toClientTemplate);
 
           resolve(templates);
         } catch (e) {
@@ -595,6 +776,169 @@ async function fetchTemplates() {
   });
 }
 
+// =====================
+// Currency
+// =====================
+
+// Amounts between currencies at the stored rate for their date (exchange-rates.js)
+const convertAmount = (amount, from, to, date) => syncEngine.convertCurrency(amount, from, to, date);
+
+// Stats rows in the display currency - stored in the program's (see exporter.js convertStats)
+async function getDisplayStats(method, programId, startDate, endDate) {
+  const program = db.getProgram(programId);
+  if (!program) return [];
+
+  const currency = syncEngine.getDefaultCurrency();
+  if (program.currency && program.currency !== currency) {
+    await syncEngine.ensureRates(startDate, endDate);
+  }
+  return convertStats(db[method](programId, startDate, endDate), program, currency, convertAmount);
+}
+
+// =====================
+// Signup Hand-off
+// =====================
+
+let signupPullInProgress = false;
+const notifiedSignupConflicts = new Set(); // Signup IDs already notified this session
+
+// Approved signups waiting for this account - includes passwords, so never log the response
+async function fetchApprovedSignups(apiKey) {
+  return new Promise((resolve, reject) => {
+    const request = net.request(`${API_URL}/api/client/signups`);
+    request.setHeader('X-API-Key', apiKey);
+
+    let data = '';
+
+    request.on('response', (response) => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+        return;
+      }
+
+      response.on('data', (chunk) => {
+        data += chunk.toString();
+      });
+
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(data).signups || []);
+        } catch (e) {
+          reject(new Error('Failed to parse response'));
+        }
+      });
+    });
+
+    request.on('error', (error) => {
+      reject(error);
+    });
+
+    request.end();
+  });
+}
+
+// Tell the server these logins are stored here, so it can forget the passwords
+async function confirmSignupHandoff(apiKey, programIds) {
+  return new Promise((resolve) => {
+    const request = net.request({
+      method: 'POST',
+      url: `${API_URL}/api/client/signups`,
+    });
+
+    request.setHeader('Content-Type', 'application/json');
+    request.setHeader('X-API-Key', apiKey);
+
+    let responseData = '';
+
+    request.on('response', (response) => {
+      response.on('data', (chunk) => {
+        responseData += chunk.toString();
+      });
+
+      response.on('end', () => {
+        try {
+          resolve(JSON.parse(responseData));
+        } catch (e) {
+          resolve({ success: false, error: 'Failed to parse response' });
+        }
+      });
+    });
+
+    request.on('error', (error) => {
+      resolve({ success: false, error: error.message });
+    });
+
+    request.write(JSON.stringify({ programIds }));
+    request.end();
+  });
+}
+
+// Add approved signups as programs with their logins (see signup-handoff.js). `resolutions`
+// carries the user's choice for signups whose program already had a different login.
+async function pullApprovedSignups(trigger = 'manual', resolutions = {}) {
+  const apiKey = db.getSecureSetting('api_key');
+  if (!apiKey) {
+    return { success: false, error: 'API key not configured' };
+  }
+  if (db.vault.isLocked()) {
+    return { success: false, error: 'Unlock the vault first - signup logins are stored encrypted' };
+  }
+  if (signupPullInProgress) {
+    return { success: false, error: 'Already checking for signups' };
+  }
+
+  signupPullInProgress = true;
+  try {
+    const signups = await fetchApprovedSignups(apiKey);
+    if (signups.length === 0) {
+      return { success: true, results: [] };
+    }
+
+    console.log(`[SIGNUPS] ${signups.length} approved signup(s) to add (${trigger})`);
+    const { results, confirmIds } = provisionSignups(db, signups, {
+      mapTemplate: toClientTemplate,
+      canAddProgram,
+      resolutions
+    });
+
+    // Unconfirmed logins come back next time - stored ones are recognised, conflicts wait for the user
+    if (confirmIds.length > 0) {
+      const confirmation = await confirmSignupHandoff(apiKey, confirmIds);
+      if (!confirmation.success) {
+        console.error('[SIGNUPS] Hand-off not confirmed:', confirmation.error);
+      }
+    }
+
+    for (const result of results) {
+      console.log(`[SIGNUPS] ${result.name}: ${result.outcome}${result.error ? ` (${result.error})` : ''}`);
+    }
+
+    const added = results.filter(result => result.outcome === HANDOFF_OUTCOMES.CREATED || result.outcome === HANDOFF_OUTCOMES.UPDATED);
+    const conflicts = results.filter(result => result.outcome === HANDOFF_OUTCOMES.CONFLICT);
+    if (added.length > 0) {
+      showNotification('Approved signups added', added.map(result => result.name).join(', '));
+    }
+    // Conflicts come back with every check until resolved - notify once per session
+    const newConflicts = conflicts.filter(result => !notifiedSignupConflicts.has(result.id));
+    if (newConflicts.length > 0) {
+      newConflicts.forEach(result => notifiedSignupConflicts.add(result.id));
+      showNotification('Signup login needs a decision', `${newConflicts.map(result => result.name).join(', ')} already had a different login - choose which to keep in Settings`);
+    }
+    if (added.length > 0 || newConflicts.length > 0) {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('signups-provisioned', { results });
+      }
+    }
+
+    return { success: true, results };
+  } catch (error) {
+    console.error('[SIGNUPS] Failed to pull approved signups:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    signupPullInProgress = false;
+  }
+}
+
 // Initialize database and sync engine
 async function initialize() {
   const userDataPath = app.getPath('userData');
@@ -627,8 +971,15 @@ async function initialize() {
 
   syncEngine = new SyncEngine(db, showSecurityCodeDialog);
 
-  // Send sync logs to renderer
+  // Load extra provider adapters dropped into <userData>/providers
+  const userProviders = syncEngine.providers.loadDirectory(path.join(userDataPath, 'providers'));
+  if (userProviders.length > 0) {
+    console.log(`[PROVIDERS] Loaded user adapters: ${userProviders.join(', ')}`);
+  }
+
+  // Send sync logs to renderer (a running sync keeps the vault from locking)
   syncEngine.setLogCallback((log) => {
+    touchVault();
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('sync-log', log);
     }
@@ -641,6 +992,15 @@ async function initialize() {
     }
   });
 
+  // Check alert rules after every sync run (scheduled ones included) - see alerts.js
+  alerts = new AlertManager(db, {
+    notify: showNotification,
+    log: (message, type) => syncEngine.log(message, type)
+  });
+  syncEngine.setRunCallback((run) => {
+    alerts.checkRun(run.id);
+  });
+
   console.log('Database initialized at:', userDataPath);
 
   // Load cached license info from settings
@@ -660,6 +1020,20 @@ async function initialize() {
 
   // Start the sync scheduler
   startScheduler();
+
+  // With a master password the app starts locked
+  startVaultAutoLock();
+
+  // Optional local REST API - syncs it triggers follow the same license limit as the UI
+  apiServer = new ApiServer(db, {
+    runSync: (programId) => programId
+      ? syncEngine.syncProgram(programId, false, { trigger: 'api' })
+      : syncEngine.syncAll(licenseInfo.maxPrograms, { trigger: 'api' }),
+    convert: convertAmount,
+    ensureRates: (startDate, endDate) => syncEngine.ensureRates(startDate, endDate),
+    getCurrency: () => syncEngine.getDefaultCurrency()
+  });
+  await applyApiServerSettings();
 }
 
 // IPC Handlers
@@ -767,6 +1141,19 @@ function setupIpcHandlers() {
     return result;
   });
 
+  // Approved signups from statsfetch.com -> programs with their logins
+  ipcMain.handle('pull-approved-signups', async () => {
+    return pullApprovedSignups('manual');
+  });
+
+  // Settle a signup whose program already had a different login (RESOLUTIONS in signup-handoff.js)
+  ipcMain.handle('resolve-signup-conflict', async (event, signupId, resolution) => {
+    if (!Object.values(HANDOFF_RESOLUTIONS).includes(resolution)) {
+      return { success: false, error: 'Unknown resolution' };
+    }
+    return pullApprovedSignups('manual', { [signupId]: resolution });
+  });
+
   // Sync all existing programs to web (mark as "installed" on web)
   ipcMain.handle('sync-all-programs-to-web', async () => {
     const apiKey = db.getSecureSetting('api_key');
@@ -806,9 +1193,9 @@ function setupIpcHandlers() {
     };
   });
 
-  // Get stats for a program
+  // Get stats for a program, in the display currency
   ipcMain.handle('get-stats', async (event, programId, startDate, endDate) => {
-    return db.getStats(programId, startDate, endDate);
+    return getDisplayStats('getStats', programId, startDate, endDate);
   });
 
   // Save stats
@@ -826,14 +1213,61 @@ function setupIpcHandlers() {
     return db.deleteStatsForMonth(programId, yearMonth);
   });
 
-  // Get monthly aggregated stats
+  // Get monthly aggregated stats, in the display currency
   ipcMain.handle('get-monthly-stats', async (event, programId, startDate, endDate) => {
-    return db.getMonthlyStats(programId, startDate, endDate);
+    return getDisplayStats('getMonthlyStats', programId, startDate, endDate);
+  });
+
+  // Get flagged (suspicious) sync results
+  ipcMain.handle('get-stat-anomalies', async (event, programId, includeDismissed) => {
+    return db.getStatAnomalies(programId, includeDismissed);
+  });
+
+  // Dismiss a flag the user has checked
+  ipcMain.handle('dismiss-stat-anomaly', async (event, id) => {
+    return db.dismissStatAnomaly(id);
+  });
+
+  // Commission plans (see commission-engine.js)
+  ipcMain.handle('get-commission-plan', async (event, programId) => {
+    return db.getCommissionPlan(programId);
   });
 
-  // Get per-channel stats breakdown
+  // Save a plan and recheck every month against it right away
+  ipcMain.handle('save-commission-plan', async (event, programId, plan) => {
+    try {
+      const { normalizePlan } = require('./commission-engine');
+      const program = db.getProgram(programId);
+      if (!program) throw new Error('Program not found');
+
+      db.saveCommissionPlan(programId, normalizePlan(plan));
+      syncEngine.checkCommission(program);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('delete-commission-plan', async (event, programId) => {
+    const program = db.getProgram(programId);
+    db.deleteCommissionPlan(programId);
+    if (program) syncEngine.checkCommission(program);
+    return { success: true };
+  });
+
+  // Expected vs reported per month for a draft plan, without saving it
+  ipcMain.handle('preview-commission', async (event, programId, plan) => {
+    try {
+      const { calculateCommissionReport } = require('./commission-engine');
+      return { success: true, months: calculateCommissionReport(plan, db.getMonthlyStats(programId)) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get per-channel stats breakdown, in the display currency
   ipcMain.handle('get-channel-stats', async (event, programId, startDate, endDate) => {
-    return db.getChannelStats(programId, startDate, endDate);
+    return getDisplayStats('getChannelStats', programId, startDate, endDate);
   });
 
   // Get list of channels for a program
@@ -851,10 +1285,119 @@ function setupIpcHandlers() {
     return db.getStatsSummary();
   });
 
-  // Export backup (database + encryption key)
-  ipcMain.handle('export-backup', async () => {
+  // Export stats, monthly totals or channel breakdown to CSV/XLSX
+  ipcMain.handle('export-stats', async (event, options) => {
     try {
-      const backupData = db.exportBackup();
+      const { buildExport, toCSV, toXLSX } = require('./exporter');
+      const format = options.format === 'xlsx' ? 'xlsx' : 'csv';
+      await syncEngine.ensureRates(options.startDate, options.endDate);
+      const data = buildExport(db, {
+        ...options,
+        currency: syncEngine.getDefaultCurrency(),
+        convert: convertAmount
+      });
+
+      const range = [options.startDate, options.endDate].filter(Boolean).join('_to_');
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Stats',
+        defaultPath: `stats-fetch-${data.type}${range ? `-${range}` : ''}.${format}`,
+        filters: format === 'xlsx'
+          ? [{ name: 'Excel Workbook', extensions: ['xlsx'] }]
+          : [{ name: 'CSV Files', extensions: ['csv'] }]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, cancelled: true };
+      }
+
+      const fs = require('fs');
+      fs.writeFileSync(result.filePath, format === 'xlsx' ? await toXLSX(data) : toCSV(data));
+      return { success: true, path: result.filePath, rows: data.rows.length };
+    } catch (error) {
+      console.error('Export stats error:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pick a CSV/XLSX report to import and suggest a column mapping (the program's saved one if it fits)
+  ipcMain.handle('choose-import-file', async (event, programId) => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Stats Report',
+        filters: [{ name: 'Reports', extensions: ['csv', 'xlsx', 'tsv', 'txt'] }],
+        properties: ['openFile']
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, cancelled: true };
+      }
+
+      const { IMPORT_FIELDS, readReport, suggestMapping } = require('./importer');
+      const filePath = result.filePaths[0];
+      const report = await readReport(filePath);
+
+      const saved = JSON.parse(db.getSetting(`import_mapping_${programId}`) || 'null');
+      const savedFits = saved && Object.values(saved.mapping).every(header => report.headers.includes(header));
+
+      return {
+        success: true,
+        filePath,
+        fileName: path.basename(filePath),
+        fields: IMPORT_FIELDS,
+        headers: report.headers,
+        preview: report.rows.slice(0, 5),
+        rowCount: report.rows.length,
+        mapping: savedFits ? saved.mapping : suggestMapping(report.headers),
+        dateFormat: savedFits ? saved.dateFormat : 'auto',
+        usingSavedMapping: !!savedFits
+      };
+    } catch (error) {
+      console.error('Import file error:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Import a report with the chosen column mapping
+  ipcMain.handle('import-stats', async (event, programId, filePath, mapping, options = {}) => {
+    try {
+      const { readReport, mapRows } = require('./importer');
+      const report = await readReport(filePath);
+      const { stats, imported, skipped } = mapRows(report, mapping, { dateFormat: options.dateFormat });
+
+      if (stats.length === 0) {
+        return { success: false, error: 'No rows with a recognisable date', skipped };
+      }
+
+      // Reuse this mapping next time for the same program
+      if (options.saveMapping) {
+        db.setSetting(`import_mapping_${programId}`, JSON.stringify({ mapping, dateFormat: options.dateFormat || 'auto' }));
+      }
+
+      const result = syncEngine.importStats(programId, stats, path.basename(filePath));
+      return { ...result, imported, skipped: skipped.slice(0, 20), skippedCount: skipped.length };
+    } catch (error) {
+      console.error('Import stats error:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Try a Custom HTTP config from the program modal on the current month - nothing is saved
+  ipcMain.handle('test-custom-http', async (event, { config, credentials, apiUrl }) => {
+    try {
+      const adapter = syncEngine.getProviderAdapter('CUSTOM');
+      const context = { engine: syncEngine, credentials: credentials || {}, config, apiUrl };
+      const range = syncEngine.getCurrentMonthRange();
+      const session = await adapter.login(context);
+      const rows = await adapter.fetchRange(context, range, session);
+      return { success: true, rows: rows.length, sample: rows[0] || null, stats: adapter.normalize(rows, range, context) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Export backup (database + encryption keys, encrypted with the backup password)
+  ipcMain.handle('export-backup', async (event, password) => {
+    try {
+      const backupData = db.exportBackup(password);
       // Show save dialog
       const { dialog } = require('electron');
       const result = await dialog.showSaveDialog(mainWindow, {
@@ -875,8 +1418,8 @@ function setupIpcHandlers() {
     }
   });
 
-  // Import backup (database + encryption key)
-  ipcMain.handle('import-backup', async () => {
+  // Import backup (database + encryption keys) - password is needed for encrypted backups
+  ipcMain.handle('import-backup', async (event, password = null) => {
     try {
       const { dialog } = require('electron');
       const result = await dialog.showOpenDialog(mainWindow, {
@@ -888,7 +1431,8 @@ function setupIpcHandlers() {
       if (!result.canceled && result.filePaths.length > 0) {
         const fs = require('fs');
         const backupData = fs.readFileSync(result.filePaths[0], 'utf8');
-        const importResult = db.importBackup(backupData);
+        const importResult = db.importBackup(backupData, password);
+        touchVault();
         return { success: true, ...importResult };
       }
       return { success: false, cancelled: true };
@@ -903,40 +1447,86 @@ function setupIpcHandlers() {
     return db.getDataPaths();
   });
 
+  // Vault (master password, lock, key rotation) - see vault.js
+  ipcMain.handle('get-vault-status', async () => {
+    return getVaultStatus();
+  });
+
+  ipcMain.handle('unlock-vault', async (event, password) => {
+    try {
+      unlockVault(password);
+      return { success: true, ...getVaultStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('lock-vault', async () => {
+    lockVault('manual');
+    return getVaultStatus();
+  });
+
+  ipcMain.handle('set-master-password', async (event, password) => {
+    try {
+      db.setMasterPassword(password);
+      touchVault();
+      return { success: true, ...getVaultStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('change-master-password', async (event, currentPassword, newPassword) => {
+    try {
+      db.vault.changeMasterPassword(currentPassword, newPassword);
+      return { success: true, ...getVaultStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('remove-master-password', async (event, currentPassword) => {
+    try {
+      db.vault.removeMasterPassword(currentPassword);
+      return { success: true, ...getVaultStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('rotate-encryption-keys', async () => {
+    try {
+      const reencrypted = db.rotateEncryptionKeys();
+      console.log(`[VAULT] Rotated keys, re-encrypted ${reencrypted} stored secrets`);
+      return { success: true, reencrypted, ...getVaultStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('set-auto-lock-minutes', async (event, minutes) => {
+    const value = Math.max(0, parseInt(minutes, 10) || 0);
+    db.setSetting('vaultAutoLockMinutes', String(value));
+    touchVault();
+    return getVaultStatus();
+  });
+
+  ipcMain.on('vault-activity', () => {
+    touchVault();
+  });
+
   // Get available provider/software types for the dropdown
   // These are the SOFTWARE TYPES (RTG, CellXpert, etc.), not individual program templates
   ipcMain.handle('get-providers', async () => {
-    // Software types - these are the scraper/sync engine types
-    const providers = [
-      { code: 'CELLXPERT', name: 'CellXpert', authType: 'BOTH', icon: '📊', supportsAPI: true, apiKeyLabel: 'API Key', apiIdLabel: 'Affiliate ID (in Username field)' },
-      { code: 'MYAFFILIATES', name: 'MyAffiliates', authType: 'BOTH', icon: '🤝', supportsOAuth: true, apiKeyLabel: 'Client ID', apiSecretLabel: 'Client Secret' },
-      { code: 'INCOME_ACCESS', name: 'Income Access', authType: 'CREDENTIALS', icon: '💰' },
-      { code: 'NETREFER', name: 'NetRefer', authType: 'CREDENTIALS', icon: '🌐', description: 'Login and scrape MonthlyFigures report' },
-      { code: 'EGO', name: 'EGO', authType: 'CREDENTIALS', icon: '🎭', description: 'Login and scrape stats with datepicker' },
-      { code: 'MEXOS', name: 'Mexos', authType: 'CREDENTIALS', icon: '📊', description: 'Angular SPA - Login and scrape Traffic Stats' },
-      { code: 'WYNTA', name: 'Wynta', authType: 'CREDENTIALS', icon: '🎲' },
-      { code: 'AFFILKA', name: 'Affilka', authType: 'BOTH', icon: '🔗', requiresBaseUrl: true, baseUrlLabel: 'Affiliate Dashboard URL', apiKeyLabel: 'Statistic Token' },
-      { code: 'ALANBASE', name: 'Alanbase', authType: 'API_KEY', icon: '📊', requiresBaseUrl: true, baseUrlLabel: 'API Domain (e.g., https://api.domain.com)', apiKeyLabel: 'API Key' },
-      { code: 'DECKMEDIA', name: 'DeckMedia', authType: 'CREDENTIALS', icon: '🃏' },
-      { code: 'RTG', name: 'RTG (New)', authType: 'CREDENTIALS', icon: '🎮', description: 'RTG new dashboard - scrapes stats panels' },
-      { code: 'RTG_ORIGINAL', name: 'RTG Original', authType: 'CREDENTIALS', icon: '🕹️', description: 'Supports D-W-C revenue calculation' },
-      { code: 'RIVAL', name: 'Rival (CasinoController)', authType: 'CREDENTIALS', icon: '🎯', description: 'Syncs sequentially to avoid rate limits' },
-      { code: 'CASINO_REWARDS', name: 'Casino Rewards', authType: 'CREDENTIALS', icon: '🏆' },
-      { code: 'NUMBER1AFFILIATES', name: 'Number 1 Affiliates', authType: 'CREDENTIALS', icon: '🔢', description: 'Custom scraper for monthly reports' },
-      { code: 'PARTNERMATRIX', name: 'PartnerMatrix', authType: 'CREDENTIALS', icon: '📈' },
-      { code: 'SCALEO', name: 'Scaleo', authType: 'API_KEY', icon: '⚡', apiKeyLabel: 'API Key' },
-      { code: 'MAP', name: 'MAP', authType: 'CREDENTIALS', icon: '🗺️', description: 'MAP affiliate platform' },
-      { code: 'CUSTOM', name: 'Custom / Other', authType: 'CREDENTIALS', icon: '⚙️' }
-    ];
-
-    return providers;
+    // Software types - one per adapter in src/providers (plus any user-installed adapters)
+    return syncEngine.providers.list();
   });
 
   // Sync all programs
-  ipcMain.handle('sync-all', async () => {
+  ipcMain.handle('sync-all', async (event, trigger = 'manual') => {
     try {
       // Pass program limit for demo accounts
-      const result = await syncEngine.syncAll(licenseInfo.maxPrograms);
+      const result = await syncEngine.syncAll(licenseInfo.maxPrograms, { trigger });
 
       // If stats upload is enabled and we have pending data, upload it
       if (result.pendingStatsUpload && result.pendingStatsUpload.length > 0) {
@@ -972,7 +1562,7 @@ function setupIpcHandlers() {
   // Sync single program
   ipcMain.handle('sync-program', async (event, programId) => {
     try {
-      const result = await syncEngine.syncProgram(programId);
+      const result = await syncEngine.syncProgram(programId, false, { trigger: 'manual' });
       return result;
     } catch (error) {
       console.error('Sync error:', error);
@@ -980,6 +1570,33 @@ function setupIpcHandlers() {
     }
   });
 
+  // Backfill historical stats for a program (resumes an interrupted run for the same range)
+  ipcMain.handle('backfill-program', async (event, programId, startDate, endDate) => {
+    try {
+      return await syncEngine.backfillProgram(programId, startDate, endDate);
+    } catch (error) {
+      console.error('Backfill error:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('get-backfill-state', async (event, programId) => {
+    return syncEngine.getBackfillState(programId);
+  });
+
+  // Sync run history
+  ipcMain.handle('get-sync-runs', async (event, limit = 50) => {
+    return db.getSyncRuns(limit);
+  });
+
+  ipcMain.handle('get-sync-run-items', async (event, runId) => {
+    return db.getSyncRunItems(runId);
+  });
+
+  ipcMain.handle('get-program-sync-history', async (event, programId, limit = 50) => {
+    return db.getProgramSyncHistory(programId, limit);
+  });
+
   // Clear all stats
   ipcMain.handle('clear-all-stats', async () => {
     db.clearAllStats();
@@ -1002,6 +1619,102 @@ function setupIpcHandlers() {
     return { success: true };
   });
 
+  // Exchange rates (see exchange-rates.js)
+  ipcMain.handle('get-exchange-rates', async () => {
+    return syncEngine.exchangeRates.getStatus();
+  });
+
+  ipcMain.handle('refresh-exchange-rates', async () => {
+    const updated = await syncEngine.exchangeRates.refreshLatest(true);
+    return { success: updated, status: syncEngine.exchangeRates.getStatus() };
+  });
+
+  ipcMain.handle('backfill-exchange-rates', async (event, startDate) => {
+    const stored = await syncEngine.exchangeRates.ensureRange(startDate, null, true);
+    return { success: true, stored, status: syncEngine.exchangeRates.getStatus() };
+  });
+
+  ipcMain.handle('save-manual-exchange-rate', async (event, date, currency, rate) => {
+    try {
+      syncEngine.exchangeRates.setManualRate(date, currency, rate);
+      return { success: true, status: syncEngine.exchangeRates.getStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('delete-manual-exchange-rate', async (event, date, currency) => {
+    syncEngine.exchangeRates.deleteManualRate(date, currency);
+    return { success: true, status: syncEngine.exchangeRates.getStatus() };
+  });
+
+  // Alerts (see alerts.js)
+  ipcMain.handle('get-alert-settings', async () => {
+    return alerts.getSettings();
+  });
+
+  ipcMain.handle('save-alert-settings', async (event, settings) => {
+    try {
+      return { success: true, settings: alerts.saveSettings(settings) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('send-test-alert', async (event, webhookUrl) => {
+    try {
+      return { success: true, ...(await alerts.sendTest(webhookUrl)) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('get-alert-log', async (event, limit) => {
+    return alerts.getLog(limit);
+  });
+
+  // Proxies (see proxy.js)
+  ipcMain.handle('get-proxy-settings', async () => {
+    return getProxySettings(db);
+  });
+
+  ipcMain.handle('save-proxy-settings', async (event, settings) => {
+    try {
+      return { success: true, settings: saveProxySettings(db, settings) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Request a program's login page through the proxy from the modal (empty = what a sync would use)
+  ipcMain.handle('test-proxy', async (event, { proxy, loginUrl, provider }) => {
+    try {
+      const value = String(proxy || '').trim();
+      const resolved = !value
+        ? resolveProxy(getProxySettings(db), provider)
+        : value.toLowerCase() === DIRECT ? null : parseProxyUrl(value);
+      return await testProxy(resolved, loginUrl);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Local API server
+  ipcMain.handle('get-api-server-status', async () => {
+    return getApiServerStatus();
+  });
+
+  ipcMain.handle('set-api-server-settings', async (event, enabled, port) => {
+    db.setSetting('apiServerEnabled', enabled ? 'true' : 'false');
+    if (port) db.setSetting('apiServerPort', String(port));
+    return await applyApiServerSettings();
+  });
+
+  ipcMain.handle('regenerate-api-server-token', async () => {
+    db.setSecureSetting('api_server_token', ApiServer.generateToken());
+    return await applyApiServerSettings();
+  });
+
   ipcMain.handle('get-app-version', async () => {
     return packageJson.version;
   });
@@ -1048,12 +1761,19 @@ function setupIpcHandlers() {
   });
 
   // Payment tracking handlers
+
+  // Payments can be invoiced in another currency than the program reports in
+  const receivableOptions = () => ({ convert: convertAmount });
+
   ipcMain.handle('get-payment-summary', async (event, monthsBack = 6) => {
     return db.getPaymentSummary(monthsBack);
   });
 
+  // Programs with revenue in a month plus what's due/received (see receivables.js)
   ipcMain.handle('get-programs-with-revenue', async (event, month) => {
-    return db.getProgramsWithRevenueForMonth(month);
+    const { getReceivables } = require('./receivables');
+    await syncEngine.ensureRates(`${month}-01`);
+    return getReceivables(db, month, receivableOptions());
   });
 
   ipcMain.handle('toggle-payment-status', async (event, programId, month) => {
@@ -1061,7 +1781,47 @@ function setupIpcHandlers() {
   });
 
   ipcMain.handle('update-payment', async (event, programId, month, data) => {
-    return db.upsertPayment(programId, month, data);
+    const { settlePayment } = require('./receivables');
+    const payment = db.upsertPayment(programId, month, data);
+    await syncEngine.ensureRates(`${month}-01`);
+    // A new invoiced amount or currency can change whether the receipts cover it
+    return settlePayment(db, programId, month, receivableOptions()) || payment;
+  });
+
+  ipcMain.handle('get-payment-receipts', async (event, programId, month) => {
+    return db.getPaymentReceipts(programId, month);
+  });
+
+  ipcMain.handle('add-payment-receipt', async (event, programId, month, receipt) => {
+    try {
+      const { settlePayment } = require('./receivables');
+      const saved = db.addPaymentReceipt(programId, month, receipt);
+      await syncEngine.ensureRates(`${month}-01`);
+      settlePayment(db, programId, month, receivableOptions());
+      return { success: true, receipt: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('delete-payment-receipt', async (event, programId, month, receiptId) => {
+    const { settlePayment } = require('./receivables');
+    db.deletePaymentReceipt(receiptId);
+    await syncEngine.ensureRates(`${month}-01`);
+    settlePayment(db, programId, month, receivableOptions());
+    return { success: true };
+  });
+
+  ipcMain.handle('get-payment-aging', async (event, monthsBack = 12) => {
+    const { getAgingReport, reportStartDate } = require('./receivables');
+    await syncEngine.ensureRates(reportStartDate(monthsBack));
+    return getAgingReport(db, { ...receivableOptions(), monthsBack, currency: syncEngine.getDefaultCurrency() });
+  });
+
+  ipcMain.handle('get-payment-reconciliation', async (event, monthsBack = 6) => {
+    const { getReconciliationReport, reportStartDate } = require('./receivables');
+    await syncEngine.ensureRates(reportStartDate(monthsBack));
+    return getReconciliationReport(db, { ...receivableOptions(), monthsBack });
   });
 
   // Schedule handlers
@@ -1069,8 +1829,20 @@ function setupIpcHandlers() {
     return db.getSchedules();
   });
 
-  ipcMain.handle('add-schedule', async (event, time) => {
-    const result = db.addSchedule(time);
+  ipcMain.handle('add-schedule', async (event, input) => {
+    let schedule;
+    try {
+      schedule = normalizeSchedule(input);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    // normalizeSchedule() checks this too, but the time has moved on since
+    const nextRun = getNextRun({ ...schedule, interval_minutes: schedule.intervalMinutes });
+    if (!nextRun) {
+      return { success: false, error: 'This schedule never runs' };
+    }
+    const result = db.addSchedule(schedule, nextRun.toISOString());
     if (result.success) {
       // Restart scheduler to pick up new schedule
       startScheduler();
@@ -1086,6 +1858,11 @@ function setupIpcHandlers() {
 
   ipcMain.handle('toggle-schedule', async (event, id) => {
     const result = db.toggleSchedule(id);
+    if (result.enabled) {
+      // Runs missed while it was off don't count
+      const schedule = db.getSchedules().find(s => s.id === id);
+      db.setScheduleNextRun(id, getNextRun(schedule)?.toISOString() || null);
+    }
     startScheduler(); // Restart scheduler
     return result;
   });
@@ -1134,7 +1911,18 @@ function setupIpcHandlers() {
 
 // App lifecycle
 app.whenReady().then(async () => {
-  await initialize();
+  try {
+    await initialize();
+  } catch (error) {
+    // The CLI (or another copy of the app) has the database open
+    if (error instanceof DatabaseLockedError) {
+      dialog.showErrorBox('Stats Fetch is already running', error.message);
+      db = null;
+      app.exit(2);
+      return;
+    }
+    throw error;
+  }
   setupIpcHandlers();
   createWindow();
 
@@ -1174,6 +1962,11 @@ app.on('before-quit', async () => {
     }
   }
 
+  // Stop the local API server
+  if (apiServer) {
+    await apiServer.stop();
+  }
+
   // Close database
   if (db) {
     console.log('[CLEANUP] Closing database...');
@@ -23,6 +23,13 @@ contextBridge.exposeInMainWorld('api', {
   importTemplate: (template) => ipcRenderer.invoke('import-template', template),
   syncAllProgramsToWeb: () => ipcRenderer.invoke('sync-all-programs-to-web'),
 
+  // Approved signups handed off from statsfetch.com (results carry no passwords)
+  pullApprovedSignups: () => ipcRenderer.invoke('pull-approved-signups'),
+  resolveSignupConflict: (signupId, resolution) => ipcRenderer.invoke('resolve-signup-conflict', signupId, resolution),
+  onSignupsProvisioned: (callback) => {
+    ipcRenderer.on('signups-provisioned', (event, data) => callback(data));
+  },
+
   // Stats
   getStats: (programId, startDate, endDate) => ipcRenderer.invoke('get-stats', programId, startDate, endDate),
   saveStats: (programId, stats) => ipcRenderer.invoke('save-stats', programId, stats),
@@ -30,21 +37,52 @@ contextBridge.exposeInMainWorld('api', {
   deleteStat: (statId) => ipcRenderer.invoke('delete-stat', statId),
   deleteStatsMonth: (programId, yearMonth) => ipcRenderer.invoke('delete-stats-month', programId, yearMonth),
   getMonthlyStats: (programId, startDate, endDate) => ipcRenderer.invoke('get-monthly-stats', programId, startDate, endDate),
+  exportStats: (options) => ipcRenderer.invoke('export-stats', options),
+  chooseImportFile: (programId) => ipcRenderer.invoke('choose-import-file', programId),
+  importStats: (programId, filePath, mapping, options) => ipcRenderer.invoke('import-stats', programId, filePath, mapping, options),
+  testCustomHttp: (options) => ipcRenderer.invoke('test-custom-http', options),
+  getStatAnomalies: (programId, includeDismissed) => ipcRenderer.invoke('get-stat-anomalies', programId, includeDismissed),
+  dismissStatAnomaly: (id) => ipcRenderer.invoke('dismiss-stat-anomaly', id),
+  getCommissionPlan: (programId) => ipcRenderer.invoke('get-commission-plan', programId),
+  saveCommissionPlan: (programId, plan) => ipcRenderer.invoke('save-commission-plan', programId, plan),
+  deleteCommissionPlan: (programId) => ipcRenderer.invoke('delete-commission-plan', programId),
+  previewCommission: (programId, plan) => ipcRenderer.invoke('preview-commission', programId, plan),
   getChannelStats: (programId, startDate, endDate) => ipcRenderer.invoke('get-channel-stats', programId, startDate, endDate),
   getChannelsForProgram: (programId) => ipcRenderer.invoke('get-channels-for-program', programId),
   consolidateStats: (programId) => ipcRenderer.invoke('consolidate-stats', programId),
 
   // Backup/restore
-  exportBackup: () => ipcRenderer.invoke('export-backup'),
-  importBackup: () => ipcRenderer.invoke('import-backup'),
+  exportBackup: (password) => ipcRenderer.invoke('export-backup', password),
+  importBackup: (password) => ipcRenderer.invoke('import-backup', password),
   getDataPaths: () => ipcRenderer.invoke('get-data-paths'),
 
+  // Vault (master password, lock, key rotation)
+  getVaultStatus: () => ipcRenderer.invoke('get-vault-status'),
+  unlockVault: (password) => ipcRenderer.invoke('unlock-vault', password),
+  lockVault: () => ipcRenderer.invoke('lock-vault'),
+  setMasterPassword: (password) => ipcRenderer.invoke('set-master-password', password),
+  changeMasterPassword: (currentPassword, newPassword) => ipcRenderer.invoke('change-master-password', currentPassword, newPassword),
+  removeMasterPassword: (currentPassword) => ipcRenderer.invoke('remove-master-password', currentPassword),
+  rotateEncryptionKeys: () => ipcRenderer.invoke('rotate-encryption-keys'),
+  setAutoLockMinutes: (minutes) => ipcRenderer.invoke('set-auto-lock-minutes', minutes),
+  reportActivity: () => ipcRenderer.send('vault-activity'),
+  onVaultLocked: (callback) => {
+    ipcRenderer.on('vault-locked', (event, data) => callback(data));
+  },
+
   // Providers
   getProviders: () => ipcRenderer.invoke('get-providers'),
 
   // Sync
-  syncAll: () => ipcRenderer.invoke('sync-all'),
+  syncAll: (trigger) => ipcRenderer.invoke('sync-all', trigger),
   syncProgram: (programId) => ipcRenderer.invoke('sync-program', programId),
+  backfillProgram: (programId, startDate, endDate) => ipcRenderer.invoke('backfill-program', programId, startDate, endDate),
+  getBackfillState: (programId) => ipcRenderer.invoke('get-backfill-state', programId),
+
+  // Sync history
+  getSyncRuns: (limit) => ipcRenderer.invoke('get-sync-runs', limit),
+  getSyncRunItems: (runId) => ipcRenderer.invoke('get-sync-run-items', runId),
+  getProgramSyncHistory: (programId, limit) => ipcRenderer.invoke('get-program-sync-history', programId, limit),
 
   // Sync event listeners
   onSyncProgress: (callback) => {
@@ -73,6 +111,29 @@ contextBridge.exposeInMainWorld('api', {
   getSetting: (key) => ipcRenderer.invoke('get-setting', key),
   setSetting: (key, value) => ipcRenderer.invoke('set-setting', key, value),
 
+  // Exchange rates
+  getExchangeRates: () => ipcRenderer.invoke('get-exchange-rates'),
+  refreshExchangeRates: () => ipcRenderer.invoke('refresh-exchange-rates'),
+  backfillExchangeRates: (startDate) => ipcRenderer.invoke('backfill-exchange-rates', startDate),
+  saveManualExchangeRate: (date, currency, rate) => ipcRenderer.invoke('save-manual-exchange-rate', date, currency, rate),
+  deleteManualExchangeRate: (date, currency) => ipcRenderer.invoke('delete-manual-exchange-rate', date, currency),
+
+  // Alerts
+  getAlertSettings: () => ipcRenderer.invoke('get-alert-settings'),
+  saveAlertSettings: (settings) => ipcRenderer.invoke('save-alert-settings', settings),
+  sendTestAlert: (webhookUrl) => ipcRenderer.invoke('send-test-alert', webhookUrl),
+  getAlertLog: (limit) => ipcRenderer.invoke('get-alert-log', limit),
+
+  // Proxies
+  getProxySettings: () => ipcRenderer.invoke('get-proxy-settings'),
+  saveProxySettings: (settings) => ipcRenderer.invoke('save-proxy-settings', settings),
+  testProxy: (options) => ipcRenderer.invoke('test-proxy', options),
+
+  // Local API server
+  getApiServerStatus: () => ipcRenderer.invoke('get-api-server-status'),
+  setApiServerSettings: (enabled, port) => ipcRenderer.invoke('set-api-server-settings', enabled, port),
+  regenerateApiServerToken: () => ipcRenderer.invoke('regenerate-api-server-token'),
+
   // App version
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
 
@@ -102,10 +163,15 @@ contextBridge.exposeInMainWorld('api', {
   getProgramsWithRevenue: (month) => ipcRenderer.invoke('get-programs-with-revenue', month),
   togglePaymentStatus: (programId, month) => ipcRenderer.invoke('toggle-payment-status', programId, month),
   updatePayment: (programId, month, data) => ipcRenderer.invoke('update-payment', programId, month, data),
+  getPaymentReceipts: (programId, month) => ipcRenderer.invoke('get-payment-receipts', programId, month),
+  addPaymentReceipt: (programId, month, receipt) => ipcRenderer.invoke('add-payment-receipt', programId, month, receipt),
+  deletePaymentReceipt: (programId, month, receiptId) => ipcRenderer.invoke('delete-payment-receipt', programId, month, receiptId),
+  getPaymentAging: (monthsBack) => ipcRenderer.invoke('get-payment-aging', monthsBack),
+  getPaymentReconciliation: (monthsBack) => ipcRenderer.invoke('get-payment-reconciliation', monthsBack),
 
   // Scheduler
   getSchedules: () => ipcRenderer.invoke('get-schedules'),
-  addSchedule: (time) => ipcRenderer.invoke('add-schedule', time),
+  addSchedule: (schedule) => ipcRenderer.invoke('add-schedule', schedule),
   removeSchedule: (id) => ipcRenderer.invoke('remove-schedule', id),
   toggleSchedule: (id) => ipcRenderer.invoke('toggle-schedule', id),
   getNextScheduledSync: () => ipcRenderer.invoke('get-next-scheduled-sync'),
@@ -0,0 +1,75 @@
+/**
+ * Affise Provider
+ * Partner API: {apiUrl}/3.0/partner/stats/custom with an API-Key header
+ */
+
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+module.exports = {
+  code: 'AFFISE',
+  name: 'Affise',
+  authType: 'API_KEY',
+  icon: '🧭',
+  apiKeyLabel: 'Partner API Key',
+  requiresBaseUrl: true,
+  baseUrlLabel: 'API Domain (e.g., https://api-brand.affise.com)',
+  description: 'Conversions count as FTDs unless ftdGoal/signupGoal are set in the program config',
+
+  async login({ credentials, apiUrl, config }) {
+    const baseUrl = apiUrl || config?.apiUrl;
+    if (!baseUrl) {
+      throw new Error('Affise requires an API domain');
+    }
+    if (!credentials.apiKey) {
+      throw new Error('Affise requires a Partner API Key');
+    }
+    return { baseUrl: baseUrl.replace(/\/+$/, '').replace(/\/3\.\d$/, ''), apiKey: credentials.apiKey };
+  },
+
+  async fetchRange({ engine, config }, { startDate, endDate }, session) {
+    const params = new URLSearchParams();
+    params.append('slice[]', 'goal');
+    params.append('filter[date_from]', startDate);
+    params.append('filter[date_to]', endDate);
+
+    const statsPath = config?.statsPath || '/3.0/partner/stats/custom';
+    engine.log(`Fetching Affise stats: ${startDate} to ${endDate}`);
+
+    const response = await engine.httpRequest(`${session.baseUrl}${statsPath}?${params}`, {
+      headers: { 'API-Key': session.apiKey }
+    });
+    return response.data;
+  },
+
+  normalize(data, { startDate }, { config }) {
+    const rows = Array.isArray(data?.stats) ? data.stats : [];
+    const signupGoal = config?.signupGoal ? String(config.signupGoal) : null;
+    const ftdGoal = config?.ftdGoal ? String(config.ftdGoal) : null;
+
+    const totals = { clicks: 0, signups: 0, ftds: 0, revenue: 0 };
+    for (const row of rows) {
+      const goal = String(row.slice?.goal ?? '');
+      const confirmed = row.actions?.confirmed || {};
+
+      // Traffic is repeated on every goal row of the same slice
+      totals.clicks = Math.max(totals.clicks, toNumber(row.traffic?.raw));
+      totals.revenue += toNumber(confirmed.charge ?? confirmed.revenue);
+
+      if (signupGoal && goal === signupGoal) {
+        totals.signups += toNumber(confirmed.count);
+      } else if (!ftdGoal || goal === ftdGoal) {
+        totals.ftds += toNumber(confirmed.count);
+      }
+    }
+
+    return {
+      date: startDate,
+      clicks: Math.round(totals.clicks),
+      impressions: 0,
+      signups: Math.round(totals.signups),
+      ftds: Math.round(totals.ftds),
+      deposits: 0,
+      revenue: Math.round(totals.revenue * 100)
+    };
+  }
+};
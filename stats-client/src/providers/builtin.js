@@ -0,0 +1,52 @@
+/**
+ * Built-in Providers
+ * Adapters for the platforms implemented directly in SyncEngine
+ */
+
+module.exports = [
+  // Backfill through the API only - syncCellxpert refuses ranges without an API key
+  { code: 'CELLXPERT', name: 'CellXpert', authType: 'BOTH', icon: '📊', supportsAPI: true, apiKeyLabel: 'API Key', apiIdLabel: 'Affiliate ID (in Username field)', supportsBackfill: true,
+    sync: (ctx) => ctx.engine.syncCellxpert(ctx) },
+  { code: 'CELLXPERT_API', name: 'CellXpert (API)', hidden: true, supportsBackfill: true,
+    sync: (ctx) => ctx.engine.syncCellxpertAPI(ctx) },
+  { code: 'CELLXPERT_SCRAPE', name: 'CellXpert (Scrape)', hidden: true,
+    sync: (ctx) => ctx.engine.syncCellxpertScrape(ctx) },
+  { code: 'MYAFFILIATES', name: 'MyAffiliates', authType: 'BOTH', icon: '🤝', supportsOAuth: true, apiKeyLabel: 'Client ID', apiSecretLabel: 'Client Secret',
+    sync: (ctx) => ctx.engine.syncMyAffiliates(ctx) },
+  { code: 'MYAFFILIATES_SCRAPE', name: 'MyAffiliates (Scrape)', hidden: true,
+    sync: (ctx) => ctx.engine.syncMyAffiliatesScrape(ctx) },
+  { code: 'INCOME_ACCESS', name: 'Income Access', authType: 'CREDENTIALS', icon: '💰',
+    sync: (ctx) => ctx.engine.syncIncomeAccess(ctx) },
+  { code: 'NETREFER', name: 'NetRefer', authType: 'CREDENTIALS', icon: '🌐', description: 'Login and scrape MonthlyFigures report',
+    sync: (ctx) => ctx.engine.syncNetrefer(ctx) },
+  { code: 'EGO', name: 'EGO', authType: 'CREDENTIALS', icon: '🎭', description: 'Login and scrape stats with datepicker',
+    sync: (ctx) => ctx.engine.syncEgo(ctx) },
+  { code: 'MEXOS', name: 'Mexos', authType: 'CREDENTIALS', icon: '📊', description: 'Angular SPA - Login and scrape Traffic Stats',
+    sync: (ctx) => ctx.engine.syncMexos(ctx) },
+  { code: 'WYNTA', name: 'Wynta', authType: 'CREDENTIALS', icon: '🎲',
+    sync: (ctx) => ctx.engine.syncWynta(ctx) },
+  { code: 'WYNTA_SCRAPE', name: 'Wynta (Scrape)', hidden: true, supportsBackfill: true,
+    sync: (ctx) => ctx.engine.syncWyntaScrape(ctx) },
+  { code: 'AFFILKA', name: 'Affilka', authType: 'BOTH', icon: '🔗', requiresBaseUrl: true, baseUrlLabel: 'Affiliate Dashboard URL', apiKeyLabel: 'Statistic Token',
+    sync: (ctx) => ctx.engine.syncAffilka(ctx) },
+  { code: 'AFFILKA_API', name: 'Affilka (API)', hidden: true,
+    sync: (ctx) => ctx.engine.syncAffilkaAPI(ctx) },
+  { code: 'AFFILKA_SCRAPE', name: 'Affilka (Scrape)', hidden: true,
+    sync: (ctx) => ctx.engine.syncAffilkaScrape(ctx) },
+  { code: 'ALANBASE', name: 'Alanbase', authType: 'API_KEY', icon: '📊', requiresBaseUrl: true, baseUrlLabel: 'API Domain (e.g., https://api.domain.com)', apiKeyLabel: 'API Key', supportsBackfill: true,
+    sync: (ctx) => ctx.engine.syncAlanbase(ctx) },
+  { code: 'DECKMEDIA', name: 'DeckMedia', authType: 'CREDENTIALS', icon: '🃏',
+    sync: (ctx) => ctx.engine.syncDeckMedia(ctx) },
+  { code: 'RTG', name: 'RTG (New)', authType: 'CREDENTIALS', icon: '🎮', description: 'RTG new dashboard - scrapes stats panels',
+    sync: (ctx) => ctx.engine.syncRTGNew(ctx) },
+  { code: 'RTG_ORIGINAL', name: 'RTG Original', authType: 'CREDENTIALS', icon: '🕹️', description: 'Supports D-W-C revenue calculation',
+    sync: (ctx) => ctx.engine.syncRTG(ctx) },
+  { code: 'RIVAL', name: 'Rival (CasinoController)', authType: 'CREDENTIALS', icon: '🎯', description: 'Syncs sequentially to avoid rate limits',
+    sync: (ctx) => ctx.engine.syncRival(ctx) },
+  { code: 'CASINO_REWARDS', name: 'Casino Rewards', authType: 'CREDENTIALS', icon: '🏆',
+    sync: (ctx) => ctx.engine.syncCasinoRewards(ctx) },
+  { code: 'NUMBER1AFFILIATES', name: 'Number 1 Affiliates', authType: 'CREDENTIALS', icon: '🔢', description: 'Custom scraper for monthly reports',
+    sync: (ctx) => ctx.engine.syncNumber1Affiliates(ctx) },
+  { code: 'MAP', name: 'MAP', authType: 'CREDENTIALS', icon: '🗺️', description: 'MAP affiliate platform',
+    sync: (ctx) => ctx.engine.syncMAP(ctx) }
+];
@@ -0,0 +1,345 @@
+/**
+ * Custom HTTP Provider
+ * Declarative JSON API provider driven by program.config.http, so a new platform can be added
+ * from the program modal without a client release:
+ *
+ *   {
+ *     "http": {
+ *       "url": "{{baseUrl}}/api/stats?from={{startDate}}&to={{endDate|DD/MM/YYYY}}",
+ *       "method": "GET",                               // GET | POST
+ *       "headers": { "X-Partner": "{{username}}" },    // Optional, placeholders allowed
+ *       "body": { "from": "{{startDate}}" },           // Optional (POST), placeholders allowed
+ *       "auth": { "type": "header", "name": "X-Api-Key", "value": "{{apiKey}}" },
+ *       "pagination": { "type": "page", "param": "page", "sizeParam": "per_page", "size": 100 },
+ *       "rowsPath": "$.data.rows",
+ *       "fields": { "clicks": "$.clicks", "ftds": "$.ftd", "revenue": "$.commission" },
+ *       "moneyInCents": false
+ *     }
+ *   }
+ *
+ * Placeholders: {{startDate}} {{endDate}} {{month}} {{baseUrl}} {{username}} {{password}}
+ * {{apiKey}} {{apiSecret}}. Dates are YYYY-MM-DD unless formatted: {{startDate|DD.MM.YYYY}},
+ * {{startDate|unix}} or {{endDate|unixms}} (endDate timestamps are the end of that day, UTC).
+ *
+ * auth.type:        none | header (name, value) | query (name, value) | bearer | basic
+ * pagination.type:  none | page (param, start, sizeParam, size) | offset (param, sizeParam, size)
+ *                   | cursor (param, nextPath) | link (nextPath holds the next page's URL);
+ *                   maxPages caps the requests per month (default 20)
+ * fields:           date, channel, clicks, impressions, signups, ftds, deposits, withdrawals,
+ *                   chargebacks, revenue - each a path into one row, e.g. $.stats.ftd, $.goals[0].count,
+ *                   $.goals[*].payout (matches are summed) or $..commission (any depth)
+ *
+ * Rows are summed per month (by the date field when mapped, else into the requested month),
+ * plus per channel when a channel field is mapped - the same shape Import produces.
+ */
+
+const { SyncError, ERROR_CATEGORIES } = require('../sync-errors');
+const { IMPORT_FIELDS, mapRows, parseNumber } = require('../importer');
+
+const AUTH_TYPES = ['none', 'header', 'query', 'bearer', 'basic'];
+const PAGINATION_TYPES = ['none', 'page', 'offset', 'cursor', 'link'];
+const DEFAULT_MAX_PAGES = 20;
+const NUMERIC_FIELDS = IMPORT_FIELDS.filter(f => f.type).map(f => f.key);
+const DATE_PLACEHOLDERS = ['startDate', 'endDate'];
+
+const configError = (message) => new SyncError(message, ERROR_CATEGORIES.CONFIG);
+
+// Split "$.data.rows[0]['net revenue']" into [{ key }, ...] - ".." marks a recursive step
+function parsePath(path) {
+  let text = String(path || '').trim().replace(/^\$/, '');
+  const tokens = [];
+
+  while (text) {
+    let match;
+    if ((match = text.match(/^\.\.([\w$-]+|\*)/))) {
+      tokens.push({ key: match[1], recursive: true });
+    } else if ((match = text.match(/^\.?([\w$-]+|\*)/))) {
+      tokens.push({ key: match[1] });
+    } else if ((match = text.match(/^\[(\d+|\*)\]/))) {
+      tokens.push({ key: match[1] === '*' ? '*' : Number(match[1]) });
+    } else if ((match = text.match(/^\[\s*(['"])(.*?)\1\s*\]/))) {
+      tokens.push({ key: match[2] });
+    } else {
+      throw configError(`Invalid path "${path}" near "${text}"`);
+    }
+    text = text.slice(match[0].length);
+  }
+
+  return tokens;
+}
+
+function descendants(node) {
+  const nodes = [node];
+  if (node && typeof node === 'object') {
+    for (const value of Object.values(node)) nodes.push(...descendants(value));
+  }
+  return nodes;
+}
+
+// Every value matched by a JSONPath-style expression ("$" alone is the data itself)
+function queryPath(data, path) {
+  let nodes = [data];
+  for (const { key, recursive } of parsePath(path)) {
+    const next = [];
+    for (const node of recursive ? nodes.flatMap(descendants) : nodes) {
+      if (node === null || typeof node !== 'object') continue;
+      if (key === '*') {
+        next.push(...Object.values(node));
+      } else if (node[key] !== undefined) {
+        next.push(node[key]);
+      }
+    }
+    nodes = next;
+  }
+  return nodes;
+}
+
+// YYYY-MM-DD in another layout: YYYY, YY, MM, DD tokens, or unix / unixms timestamps
+function formatDate(date, format, endOfDay = false) {
+  const [year, month, day] = date.split('-');
+  if (format === 'unix' || format === 'unixms') {
+    const ms = Date.UTC(Number(year), Number(month) - 1, Number(day)) + (endOfDay ? 86399999 : 0);
+    return String(format === 'unix' ? Math.floor(ms / 1000) : ms);
+  }
+  return format
+    .replace(/YYYY/g, year)
+    .replace(/YY/g, year.slice(2))
+    .replace(/MM/g, month)
+    .replace(/DD/g, day);
+}
+
+// Fill {{placeholders}} - values are URL-encoded in URLs, except baseUrl
+function renderTemplate(template, vars, { encode = false } = {}) {
+  return String(template).replace(/\{\{\s*(\w+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g, (match, name, format) => {
+    if (!(name in vars)) {
+      throw configError(`Unknown placeholder ${match} in the custom HTTP config`);
+    }
+    let value = vars[name] ?? '';
+    if (format) {
+      if (!DATE_PLACEHOLDERS.includes(name)) {
+        throw configError(`Only startDate and endDate take a format (${match})`);
+      }
+      value = formatDate(value, format, name === 'endDate');
+    }
+    return encode && name !== 'baseUrl' ? encodeURIComponent(value) : String(value);
+  });
+}
+
+// Apply renderTemplate to every string inside a headers/body object
+function renderValue(value, vars) {
+  if (typeof value === 'string') return renderTemplate(value, vars);
+  if (Array.isArray(value)) return value.map(item => renderValue(item, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, vars)]));
+  }
+  return value;
+}
+
+// Parse and check program.config.http, with defaults filled in
+function getHttpConfig(config) {
+  let http = config?.http;
+  if (typeof http === 'string') {
+    try {
+      http = JSON.parse(http);
+    } catch (e) {
+      throw configError(`Custom HTTP config is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!http || !http.url) {
+    throw configError('Custom providers require manual configuration - add an HTTP config in Edit Program, or use Import to load a CSV/XLSX report instead');
+  }
+
+  const auth = { type: 'none', ...http.auth };
+  if (!AUTH_TYPES.includes(auth.type)) {
+    throw configError(`Unknown auth type "${auth.type}" (use ${AUTH_TYPES.join(', ')})`);
+  }
+  if ((auth.type === 'header' || auth.type === 'query') && !auth.name) {
+    throw configError(`auth.name is required for ${auth.type} auth`);
+  }
+
+  const pagination = { type: 'none', maxPages: DEFAULT_MAX_PAGES, ...http.pagination };
+  if (!PAGINATION_TYPES.includes(pagination.type)) {
+    throw configError(`Unknown pagination type "${pagination.type}" (use ${PAGINATION_TYPES.join(', ')})`);
+  }
+  if ((pagination.type === 'cursor' || pagination.type === 'link') && !pagination.nextPath) {
+    throw configError(`pagination.nextPath is required for ${pagination.type} pagination`);
+  }
+
+  const fields = http.fields || {};
+  const unknown = Object.keys(fields).filter(key => !IMPORT_FIELDS.some(f => f.key === key));
+  if (unknown.length > 0) {
+    throw configError(`Unknown fields: ${unknown.join(', ')} (use ${IMPORT_FIELDS.map(f => f.key).join(', ')})`);
+  }
+  if (!NUMERIC_FIELDS.some(key => fields[key])) {
+    throw configError('Custom HTTP config requires at least one stat field mapping (e.g. "revenue": "$.commission")');
+  }
+  // Surface bad paths when the config is loaded, not halfway through a sync
+  Object.values(fields).forEach(parsePath);
+  if (http.rowsPath) parsePath(http.rowsPath);
+
+  return {
+    method: 'GET',
+    headers: {},
+    moneyInCents: false,
+    ...http,
+    method: String(http.method || 'GET').toUpperCase(),
+    auth,
+    pagination,
+    fields
+  };
+}
+
+// Add one query parameter to a URL (replacing any value already there)
+function withParam(url, name, value) {
+  const parsed = new URL(url);
+  parsed.searchParams.set(name, value);
+  return parsed.toString();
+}
+
+// Build the first request of a month from the templates
+function buildRequest(http, vars) {
+  let url = renderTemplate(http.url, vars, { encode: true });
+  const headers = renderValue(http.headers || {}, vars);
+  const { auth } = http;
+
+  if (auth.type === 'header') {
+    headers[auth.name] = renderTemplate(auth.value ?? '{{apiKey}}', vars);
+  } else if (auth.type === 'query') {
+    url = withParam(url, auth.name, renderTemplate(auth.value ?? '{{apiKey}}', vars));
+  } else if (auth.type === 'bearer') {
+    headers['Authorization'] = `Bearer ${renderTemplate(auth.value ?? '{{apiKey}}', vars)}`;
+  } else if (auth.type === 'basic') {
+    headers['Authorization'] = `Basic ${Buffer.from(`${vars.username}:${vars.password}`).toString('base64')}`;
+  }
+
+  let body;
+  if (http.body !== undefined && http.body !== null && http.method !== 'GET') {
+    body = renderValue(http.body, vars);
+    if (typeof body !== 'string' && !Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  return { url, method: http.method, headers, body };
+}
+
+// Rows of one response page
+function extractRows(data, rowsPath) {
+  if (typeof data === 'string') {
+    throw new SyncError(`Expected a JSON response but got: ${data.substring(0, 100)}`, ERROR_CATEGORIES.LAYOUT);
+  }
+  if (!rowsPath) {
+    return Array.isArray(data) ? data : [data];
+  }
+  const matches = queryPath(data, rowsPath);
+  // "$.data" pointing at an array gives its rows; "$.data[*]" already gives rows
+  return matches.length === 1 && Array.isArray(matches[0]) ? matches[0] : matches;
+}
+
+/**
+ * Fetch every page of one month
+ * @returns {Promise<Object[]>} raw rows
+ */
+async function fetchPages(engine, http, request) {
+  const { pagination } = http;
+  const rows = [];
+  const start = pagination.start ?? (pagination.type === 'page' ? 1 : 0);
+  let url = request.url;
+
+  for (let page = 0; page < pagination.maxPages; page++) {
+    if (pagination.type === 'page' || pagination.type === 'offset') {
+      const position = pagination.type === 'page' ? start + page : start + rows.length;
+      url = withParam(request.url, pagination.param || pagination.type, position);
+      if (pagination.sizeParam && pagination.size) {
+        url = withParam(url, pagination.sizeParam, pagination.size);
+      }
+    }
+
+    const response = await engine.httpRequest(url, request);
+    const pageRows = extractRows(response.data, http.rowsPath);
+    rows.push(...pageRows);
+
+    if (pagination.type === 'none' || pageRows.length === 0) break;
+    if ((pagination.type === 'page' || pagination.type === 'offset') &&
+      pagination.size && pageRows.length < pagination.size) break;
+
+    if (pagination.type === 'cursor' || pagination.type === 'link') {
+      const next = queryPath(response.data, pagination.nextPath)[0];
+      if (next === undefined || next === null || next === '' || next === false) break;
+      const nextUrl = pagination.type === 'link'
+        ? new URL(String(next), url).toString()
+        : withParam(request.url, pagination.param || 'cursor', next);
+      // Some APIs keep returning the last page's own cursor/link
+      if (nextUrl === url) break;
+      url = nextUrl;
+    }
+
+    if (page === pagination.maxPages - 1) {
+      engine.log(`Stopped after ${pagination.maxPages} pages - raise pagination.maxPages if rows are missing`, 'warn');
+    }
+  }
+
+  return rows;
+}
+
+module.exports = {
+  code: 'CUSTOM',
+  name: 'Custom / Other',
+  authType: 'BOTH',
+  icon: '⚙️',
+  apiKeyLabel: 'API Key / Token',
+  baseUrlLabel: 'Base URL (used as {{baseUrl}})',
+  description: 'Any JSON API - describe the request and field mappings under Custom HTTP Config',
+
+  // Nothing to log into - validate the config once and collect the placeholder values
+  async login({ credentials, config, apiUrl }) {
+    const http = getHttpConfig(config);
+    return {
+      http,
+      vars: {
+        baseUrl: (apiUrl || config?.apiUrl || '').replace(/\/+$/, ''),
+        username: credentials.username || '',
+        password: credentials.password || '',
+        apiKey: credentials.apiKey || '',
+        apiSecret: credentials.apiSecret || ''
+      }
+    };
+  },
+
+  async fetchRange({ engine }, { startDate, endDate }, { http, vars }) {
+    const request = buildRequest(http, { ...vars, startDate, endDate, month: startDate.substring(0, 7) });
+    engine.log(`Fetching custom HTTP stats: ${startDate} to ${endDate}`);
+    return fetchPages(engine, http, request);
+  },
+
+  normalize(rows, { startDate }, { engine, config }) {
+    const http = getHttpConfig(config);
+    const keys = Object.keys(http.fields);
+
+    // Table of extracted values for the importer's monthly/channel summing
+    const table = rows.map(row => keys.map(key => {
+      const matches = queryPath(row, http.fields[key]);
+      if (!NUMERIC_FIELDS.includes(key)) {
+        return matches.length > 0 ? matches[0] : '';
+      }
+      const total = matches.reduce((sum, value) => sum + parseNumber(value), 0);
+      const isMoney = IMPORT_FIELDS.find(f => f.key === key).type === 'money';
+      return isMoney && http.moneyInCents ? total / 100 : total;
+    }));
+
+    const headers = http.fields.date ? keys : [...keys, 'date'];
+    if (!http.fields.date) table.forEach(values => values.push(startDate));
+
+    const mapping = Object.fromEntries(headers.map(key => [key, key]));
+    const { stats, skipped } = mapRows({ headers, rows: table }, mapping, { dateFormat: http.dateFormat || 'auto' });
+    if (skipped.length > 0) {
+      engine.log(`Skipped ${skipped.length} row(s): ${skipped[0].reason}`, 'warn');
+    }
+
+    // An empty month still records zeros, like the other API providers
+    if (stats.length === 0) {
+      stats.push({ date: startDate, clicks: 0, impressions: 0, signups: 0, ftds: 0, deposits: 0, withdrawals: 0, chargebacks: 0, revenue: 0 });
+    }
+    return stats;
+  }
+};
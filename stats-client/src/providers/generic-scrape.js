@@ -0,0 +1,58 @@
+/**
+ * Generic Scrape Providers
+ * Platforms without an API that work with the generic login + reports scraper
+ */
+
+// Log in with the shared form heuristics and read this/last month (or the backfill ranges) from the reports page
+function genericScrape(platform, defaultLoginUrl = null) {
+  return async (ctx) => {
+    const { credentials, config, loginUrl, scraper, engine, ranges, onRange } = ctx;
+    const login = loginUrl || config?.loginUrl || defaultLoginUrl;
+
+    if (!login) {
+      throw new Error(`${platform} requires a Login URL`);
+    }
+    if (!credentials.username || !credentials.password) {
+      throw new Error(`Username and password required for ${platform}`);
+    }
+
+    const { startDate, endDate } = engine.getDateRange(7);
+    engine.log(`Starting ${platform} web scrape for ${login}...`);
+
+    try {
+      // Backfill - set each month on the report's date picker
+      if (ranges) {
+        return await scraper.scrapeGenericRange({
+          loginUrl: login,
+          username: credentials.username,
+          password: credentials.password,
+          ranges,
+          onRange,
+          platform
+        });
+      }
+
+      return await scraper.scrapeGeneric({
+        loginUrl: login,
+        username: credentials.username,
+        password: credentials.password,
+        startDate,
+        endDate,
+        platform
+      });
+    } finally {
+      if (!engine.inBatchMode) {
+        await scraper.closePages();
+      }
+    }
+  };
+}
+
+module.exports = [
+  { code: 'RAVENTRACK', name: 'RavenTrack', supportsBackfill: true, authType: 'CREDENTIALS', icon: '🐦', description: 'Login and scrape the reports page',
+    sync: genericScrape('RavenTrack') },
+  { code: 'REFERON', name: 'ReferOn', supportsBackfill: true, authType: 'CREDENTIALS', icon: '🔁', description: 'Login and scrape the reports page',
+    sync: genericScrape('ReferOn') },
+  { code: 'PARTNERMATRIX', name: 'PartnerMatrix', supportsBackfill: true, authType: 'CREDENTIALS', icon: '📈',
+    sync: genericScrape('PartnerMatrix') }
+];
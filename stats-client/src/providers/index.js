@@ -0,0 +1,140 @@
+/**
+ * Provider Adapter Registry
+ * Discovers provider adapters from this directory (and an optional user directory)
+ *
+ * An adapter module exports one adapter object or an array of them:
+ *
+ *   {
+ *     code: 'SCALEO',              // Stored in programs.provider
+ *     name: 'Scaleo',              // Shown in the provider dropdown
+ *     authType: 'API_KEY',         // CREDENTIALS | API_KEY | BOTH
+ *     icon, description,           // Optional display fields
+ *     apiKeyLabel, apiSecretLabel, supportsOAuth, requiresBaseUrl, baseUrlLabel,
+ *     hidden: true,                // Optional - routable but not listed (aliases)
+ *     supportsBackfill: true,      // Optional - sync() honours ctx.ranges (implied by fetchRange)
+ *
+ *     // Either a full sync:
+ *     sync: async (ctx) => [stat, ...],
+ *
+ *     // Or the three steps, run once per month range by SyncEngine.runAdapter():
+ *     login: async (ctx) => session,
+ *     fetchRange: async (ctx, { startDate, endDate }, session) => raw,
+ *     normalize: (raw, { startDate, endDate }, ctx) => stat | [stat, ...]
+ *   }
+ *
+ * ctx holds program, credentials, config, loginUrl, apiUrl, statsUrl, scraper,
+ * the SyncEngine as ctx.engine (httpRequest, log, formatDate, delay...) and,
+ * during a backfill, ranges: [{ startDate, endDate, label }] to fetch instead
+ * of the default last month + current month, and onRange(range, stats) for sync()
+ * adapters to call as each range is read - that range is saved straight away, so a
+ * failure later in the backfill doesn't lose it (fetchRange adapters get this for free).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUTH_TYPES = ['CREDENTIALS', 'API_KEY', 'BOTH'];
+
+// Display fields passed to the renderer by get-providers
+const LISTED_FIELDS = [
+  'code', 'name', 'authType', 'icon', 'description',
+  'supportsAPI', 'supportsOAuth', 'apiKeyLabel', 'apiIdLabel', 'apiSecretLabel',
+  'requiresBaseUrl', 'baseUrlLabel'
+];
+
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  // Check an adapter has what the engine and the UI need
+  validate(adapter, source) {
+    if (!adapter || typeof adapter !== 'object') {
+      throw new Error(`Provider adapter in ${source} must export an object`);
+    }
+    if (!adapter.code || !adapter.name) {
+      throw new Error(`Provider adapter in ${source} is missing code or name`);
+    }
+    if (adapter.authType && !AUTH_TYPES.includes(adapter.authType)) {
+      throw new Error(`Provider ${adapter.code} has unknown authType "${adapter.authType}"`);
+    }
+    const hasSync = typeof adapter.sync === 'function';
+    const hasSteps = typeof adapter.fetchRange === 'function';
+    if (!hasSync && !hasSteps) {
+      throw new Error(`Provider ${adapter.code} must implement sync() or fetchRange()`);
+    }
+  }
+
+  register(adapter, source = 'inline') {
+    this.validate(adapter, source);
+    const code = adapter.code.toUpperCase();
+    this.adapters.set(code, { authType: 'CREDENTIALS', ...adapter, code, source });
+  }
+
+  // Load every adapter module in a directory (later loads override earlier codes)
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const loaded = [];
+    const files = fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js') && file !== 'index.js')
+      .sort();
+
+    for (const file of files) {
+      const fullPath = path.join(dir, file);
+      try {
+        const exported = require(fullPath);
+        const adapters = Array.isArray(exported) ? exported : [exported];
+        for (const adapter of adapters) {
+          this.register(adapter, fullPath);
+          loaded.push(adapter.code);
+        }
+      } catch (e) {
+        // A broken third-party adapter shouldn't take the whole app down
+        console.error(`[PROVIDERS] Failed to load ${fullPath}: ${e.message}`);
+      }
+    }
+
+    return loaded;
+  }
+
+  get(code) {
+    if (!code) return null;
+    return this.adapters.get(String(code).toUpperCase()) || null;
+  }
+
+  has(code) {
+    return !!this.get(code);
+  }
+
+  // Whether the adapter can fetch arbitrary month ranges (historical backfill)
+  canBackfill(adapter) {
+    return !!adapter && (typeof adapter.fetchRange === 'function' || !!adapter.supportsBackfill);
+  }
+
+  // Providers for the program modal - CUSTOM stays at the end of the list
+  list() {
+    return Array.from(this.adapters.values())
+      .filter(adapter => !adapter.hidden)
+      .sort((a, b) => {
+        if (a.code === 'CUSTOM') return 1;
+        if (b.code === 'CUSTOM') return -1;
+        return a.name.localeCompare(b.name);
+      })
+      .map(adapter => {
+        const info = {};
+        for (const field of LISTED_FIELDS) {
+          if (adapter[field] !== undefined) info[field] = adapter[field];
+        }
+        info.supportsBackfill = this.canBackfill(adapter);
+        return info;
+      });
+  }
+}
+
+// Shared registry with the bundled adapters preloaded
+const registry = new ProviderRegistry();
+registry.loadDirectory(__dirname);
+
+module.exports = registry;
+module.exports.ProviderRegistry = ProviderRegistry;
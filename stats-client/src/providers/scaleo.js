@@ -0,0 +1,65 @@
+/**
+ * Scaleo Provider
+ * Affiliate API: {baseUrl}/api/v2/affiliate/reports/stats?api-key=...
+ */
+
+const toNumber = (value) => parseFloat(value || 0) || 0;
+
+module.exports = {
+  code: 'SCALEO',
+  name: 'Scaleo',
+  authType: 'API_KEY',
+  icon: '⚡',
+  apiKeyLabel: 'API Key',
+  requiresBaseUrl: true,
+  baseUrlLabel: 'Affiliate Dashboard URL (e.g., https://partners.brand.com)',
+
+  async login({ credentials, apiUrl, config }) {
+    const baseUrl = apiUrl || config?.apiUrl;
+    if (!baseUrl) {
+      throw new Error('Scaleo requires the affiliate dashboard URL');
+    }
+    if (!credentials.apiKey) {
+      throw new Error('Scaleo requires an API Key');
+    }
+    // API key auth - nothing to log into, just hand the cleaned base URL on
+    return { baseUrl: baseUrl.replace(/\/+$/, '').replace(/\/api(\/v\d+)?$/, ''), apiKey: credentials.apiKey };
+  },
+
+  async fetchRange({ engine }, { startDate, endDate }, session) {
+    const params = new URLSearchParams({
+      'api-key': session.apiKey,
+      rangeFrom: startDate,
+      rangeTo: endDate,
+      breakdown: 'month'
+    });
+
+    engine.log(`Fetching Scaleo stats: ${startDate} to ${endDate}`);
+    const response = await engine.httpRequest(`${session.baseUrl}/api/v2/affiliate/reports/stats?${params}`);
+    return response.data;
+  },
+
+  normalize(data, { startDate }) {
+    const info = data?.info || data || {};
+    const rows = info.rows || info.stats || data?.data || [];
+
+    const totals = { clicks: 0, signups: 0, ftds: 0, deposits: 0, revenue: 0 };
+    for (const row of Array.isArray(rows) ? rows : []) {
+      totals.clicks += toNumber(row.clicks || row.unique_clicks);
+      totals.signups += toNumber(row.registrations || row.cv_registration || row.leads);
+      totals.ftds += toNumber(row.ftd || row.ftds || row.cv_ftd);
+      totals.deposits += toNumber(row.deposits_sum || row.deposits);
+      totals.revenue += toNumber(row.payout || row.commission || row.revenue);
+    }
+
+    return {
+      date: startDate,
+      clicks: Math.round(totals.clicks),
+      impressions: 0,
+      signups: Math.round(totals.signups),
+      ftds: Math.round(totals.ftds),
+      deposits: Math.round(totals.deposits * 100),
+      revenue: Math.round(totals.revenue * 100)
+    };
+  }
+};
@@ -0,0 +1,215 @@
+/**
+ * Receivables
+ * What each program owes for a month, what has come in, how overdue the rest is, and where
+ * the money received doesn't match the synced revenue. Built on the payments table and
+ * Database.getProgramsWithRevenueForMonth / getPaymentSummary.
+ *
+ * Amounts are in cents. A payment can be invoiced/received in another currency than the program
+ * reports in (payments.currency) - expected revenue is converted with `convert(amount, from, to, date)`.
+ */
+
+// Days after the month ends (or after the invoice date) before an unpaid balance is overdue
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Not due yet', minDays: 0 },
+  { key: '1-30', label: '1-30 days overdue', minDays: 1 },
+  { key: '31-60', label: '31-60 days overdue', minDays: 31 },
+  { key: '61-90', label: '61-90 days overdue', minDays: 61 },
+  { key: '90+', label: '90+ days overdue', minDays: 91 }
+];
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  INVOICED: 'invoiced',
+  PARTIAL: 'partial',
+  PAID: 'paid'
+};
+
+// Received vs synced revenue differences within the larger of these are rounding/fees
+const RECONCILE_TOLERANCE = { percent: 1, amount: 100 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString.substring(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function monthEnd(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex, 0)).toISOString().split('T')[0];
+}
+
+// First day of the oldest month db.getPaymentSummary(monthsBack) covers - where a report's rates start
+function reportStartDate(monthsBack, today = new Date()) {
+  return toDateString(new Date(today.getFullYear(), today.getMonth() - monthsBack, 1));
+}
+
+/**
+ * Receivable state of one getProgramsWithRevenueForMonth() row
+ * @returns {Object} { currency, expected, invoiced, due, received, outstanding, status, dueDate, daysOverdue, agingBucket }
+ */
+function describeReceivable(program, month, { convert = null, today = new Date() } = {}) {
+  const payment = program.payment || {};
+  const programCurrency = program.currency || 'USD';
+  const currency = payment.currency || programCurrency;
+
+  const revenue = program.total_revenue || 0;
+  // Converted at the rate on the last day of the month the revenue was earned
+  const expected = currency !== programCurrency && convert ? convert(revenue, programCurrency, currency, monthEnd(month)) : revenue;
+  const invoiced = payment.invoiced_amount ?? null;
+  const due = invoiced ?? expected;
+  const received = payment.received_amount || 0;
+  const outstanding = payment.is_paid ? 0 : Math.max(0, due - received);
+
+  let status = PAYMENT_STATUS.PENDING;
+  if (payment.is_paid) status = PAYMENT_STATUS.PAID;
+  else if (received > 0) status = PAYMENT_STATUS.PARTIAL;
+  else if (invoiced !== null) status = PAYMENT_STATUS.INVOICED;
+
+  const dueDate = payment.due_date || addDays(payment.invoice_date || monthEnd(month), DEFAULT_PAYMENT_TERMS_DAYS);
+  const daysOverdue = outstanding > 0
+    ? Math.max(0, Math.round((Date.parse(`${toDateString(today)}T00:00:00Z`) - Date.parse(`${dueDate}T00:00:00Z`)) / DAY_MS))
+    : 0;
+  const agingBucket = outstanding > 0
+    ? AGING_BUCKETS.filter(bucket => daysOverdue >= bucket.minDays).pop().key
+    : null;
+
+  return { currency, expected, invoiced, due, received, outstanding, status, dueDate, daysOverdue, agingBucket };
+}
+
+/**
+ * Programs with revenue in a month, each with its `receivable`
+ * @param {Database} db
+ * @param {string} month - YYYY-MM
+ * @param {Object} [options] - { convert, today }
+ */
+function getReceivables(db, month, options = {}) {
+  return db.getProgramsWithRevenueForMonth(month).map(program => ({
+    ...program,
+    receivable: describeReceivable(program, month, options)
+  }));
+}
+
+/**
+ * Mark a payment paid once its receipts cover what's due, and unpaid again when removing a
+ * receipt leaves a balance. Ticking a payment as paid by hand (togglePaymentStatus) still works
+ * for short payments that were accepted.
+ */
+function settlePayment(db, programId, month, options = {}) {
+  const program = getReceivables(db, month, options).find(p => p.id === programId);
+  if (!program?.payment) return null;
+
+  const { due, received } = program.receivable;
+  const covered = received > 0 && received >= due;
+  if (covered && !program.payment.is_paid) {
+    return db.setPaymentPaid(programId, month, true, program.payment.last_received_date);
+  }
+  if (!covered && program.payment.is_paid && program.payment.receipt_count > 0) {
+    return db.setPaymentPaid(programId, month, false);
+  }
+  return program.payment;
+}
+
+/**
+ * Unpaid balances over the past months, grouped into 30/60/90-day overdue buckets
+ * @param {Database} db
+ * @param {Object} [options] - { monthsBack, currency, convert, today } - totals are in `currency`
+ * @returns {{ currency: string, totalOutstanding: number, buckets: Object[] }}
+ */
+function getAgingReport(db, { monthsBack = 12, currency = 'USD', convert = null, today = new Date() } = {}) {
+  const buckets = AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label, total: 0, items: [] }));
+  let totalOutstanding = 0;
+
+  for (const { month } of db.getPaymentSummary(monthsBack)) {
+    for (const program of getReceivables(db, month, { convert, today })) {
+      const { receivable } = program;
+      if (receivable.outstanding <= 0) continue;
+
+      const amount = convert && receivable.currency !== currency
+        ? convert(receivable.outstanding, receivable.currency, currency)
+        : receivable.outstanding;
+      const bucket = buckets.find(b => b.key === receivable.agingBucket);
+      bucket.total += amount;
+      bucket.items.push({
+        programId: program.id,
+        name: program.name,
+        month,
+        currency: receivable.currency,
+        outstanding: receivable.outstanding,
+        dueDate: receivable.dueDate,
+        daysOverdue: receivable.daysOverdue,
+        status: receivable.status
+      });
+      totalOutstanding += amount;
+    }
+  }
+
+  buckets.forEach(bucket => bucket.items.sort((a, b) => b.daysOverdue - a.daysOverdue));
+  return { currency, totalOutstanding, buckets };
+}
+
+/**
+ * Programs where the money received differs from the synced revenue (or the invoice does)
+ *
+ * Only payments with receipts are compared - a payment ticked as paid without an amount has
+ * nothing to reconcile.
+ *
+ * @param {Database} db
+ * @param {Object} [options] - { monthsBack, convert, today, tolerance: { percent, amount } }
+ * @returns {{ months: Object[], rows: Object[] }} months from getPaymentSummary with reconciled totals
+ */
+function getReconciliationReport(db, { monthsBack = 6, convert = null, today = new Date(), tolerance = RECONCILE_TOLERANCE } = {}) {
+  const rows = [];
+  const months = db.getPaymentSummary(monthsBack).map(summary => {
+    let checked = 0;
+    let differing = 0;
+
+    for (const program of getReceivables(db, summary.month, { convert, today })) {
+      const { receivable } = program;
+      if (receivable.received === 0) continue;
+      checked++;
+
+      const allowed = Math.max(tolerance.amount, Math.abs(receivable.expected) * tolerance.percent / 100);
+      const difference = receivable.received - receivable.expected;
+      const invoiceDifference = receivable.invoiced === null ? 0 : receivable.invoiced - receivable.expected;
+      if (Math.abs(difference) <= allowed && Math.abs(invoiceDifference) <= allowed) continue;
+
+      differing++;
+      rows.push({
+        month: summary.month,
+        programId: program.id,
+        name: program.name,
+        provider: program.provider,
+        currency: receivable.currency,
+        expected: receivable.expected,
+        invoiced: receivable.invoiced,
+        received: receivable.received,
+        difference,
+        invoiceDifference,
+        status: receivable.status
+      });
+    }
+
+    return { ...summary, checked, differing };
+  });
+
+  return { months, rows };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  PAYMENT_STATUS,
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  describeReceivable,
+  getReceivables,
+  settlePayment,
+  getAgingReport,
+  getReconciliationReport,
+  reportStartDate
+};
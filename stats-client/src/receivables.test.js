@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PAYMENT_STATUS, describeReceivable, getAgingReport, getReconciliationReport, reportStartDate } = require('./receivables');
+
+const at = (date) => new Date(`${date}T12:00:00`);
+
+test('an unpaid month is due 30 days after it ends', () => {
+  const program = { currency: 'EUR', total_revenue: 50000 };
+  const receivable = describeReceivable(program, '2025-03', { today: at('2025-04-30') });
+  assert.deepEqual(receivable, {
+    currency: 'EUR',
+    expected: 50000,
+    invoiced: null,
+    due: 50000,
+    received: 0,
+    outstanding: 50000,
+    status: PAYMENT_STATUS.PENDING,
+    dueDate: '2025-04-30',
+    daysOverdue: 0,
+    agingBucket: 'current'
+  });
+});
+
+test('overdue balances fall into 30/60/90-day buckets', () => {
+  const program = { total_revenue: 1000 };
+  const bucketOn = (date) => describeReceivable(program, '2025-03', { today: at(date) }).agingBucket;
+  assert.equal(bucketOn('2025-05-01'), '1-30');
+  assert.equal(bucketOn('2025-05-30'), '1-30');
+  assert.equal(bucketOn('2025-05-31'), '31-60');
+  assert.equal(bucketOn('2025-06-30'), '61-90');
+  assert.equal(bucketOn('2025-07-30'), '90+');
+});
+
+test('invoices and receipts set the amount due, the status and the due date', () => {
+  const program = {
+    total_revenue: 50000,
+    payment: { invoiced_amount: 48000, invoice_date: '2025-04-10', received_amount: 20000 }
+  };
+  const receivable = describeReceivable(program, '2025-03', { today: at('2025-05-20') });
+  assert.equal(receivable.due, 48000);
+  assert.equal(receivable.outstanding, 28000);
+  assert.equal(receivable.status, PAYMENT_STATUS.PARTIAL);
+  assert.equal(receivable.dueDate, '2025-05-10');
+  assert.equal(receivable.daysOverdue, 10);
+
+  const paid = describeReceivable({ ...program, payment: { ...program.payment, is_paid: 1 } }, '2025-03', { today: at('2025-09-01') });
+  assert.equal(paid.status, PAYMENT_STATUS.PAID);
+  assert.equal(paid.outstanding, 0);
+  assert.equal(paid.agingBucket, null);
+});
+
+test('revenue is converted to the payment currency at the rate on the last day of the month', () => {
+  const calls = [];
+  const convert = (amount, from, to, date) => {
+    calls.push([from, to, date]);
+    return amount * 2;
+  };
+  const program = { currency: 'EUR', total_revenue: 1000, payment: { currency: 'USD' } };
+  assert.equal(describeReceivable(program, '2025-02', { convert, today: at('2025-03-01') }).expected, 2000);
+  assert.deepEqual(calls, [['EUR', 'USD', '2025-02-28']]);
+});
+
+// getPaymentSummary / getProgramsWithRevenueForMonth stand-ins
+function fakeDb(programsByMonth) {
+  return {
+    getPaymentSummary: () => Object.keys(programsByMonth).map(month => ({ month })),
+    getProgramsWithRevenueForMonth: (month) => programsByMonth[month]
+  };
+}
+
+test('the aging report totals outstanding balances per bucket', () => {
+  const db = fakeDb({
+    '2025-05': [{ id: 1, name: 'A', total_revenue: 3000 }],
+    '2025-03': [
+      { id: 1, name: 'A', total_revenue: 10000 },
+      { id: 2, name: 'B', total_revenue: 5000, payment: { is_paid: 1 } }
+    ],
+    '2025-02': [{ id: 3, name: 'C', total_revenue: 2000, payment: { received_amount: 500 } }]
+  });
+  const report = getAgingReport(db, { today: at('2025-06-15') });
+
+  assert.equal(report.totalOutstanding, 3000 + 10000 + 1500);
+  const totals = Object.fromEntries(report.buckets.map(bucket => [bucket.key, bucket.total]));
+  assert.deepEqual(totals, { current: 3000, '1-30': 0, '31-60': 10000, '61-90': 1500, '90+': 0 });
+  assert.deepEqual(report.buckets[3].items.map(item => [item.name, item.daysOverdue]), [['C', 77]]);
+});
+
+test('reconciliation lists received amounts outside the tolerance', () => {
+  const db = fakeDb({
+    '2025-04': [
+      { id: 1, name: 'Close', total_revenue: 100000, payment: { received_amount: 99500 } },
+      { id: 2, name: 'Short', total_revenue: 100000, payment: { received_amount: 90000 } },
+      { id: 3, name: 'Ticked', total_revenue: 100000, payment: { is_paid: 1 } }
+    ]
+  });
+  const { months, rows } = getReconciliationReport(db, { today: at('2025-06-01') });
+  assert.deepEqual(months, [{ month: '2025-04', checked: 2, differing: 1 }]);
+  assert.deepEqual(rows.map(row => [row.name, row.difference]), [['Short', -10000]]);
+});
+
+test('reportStartDate is the first day of the oldest month a report covers', () => {
+  assert.equal(reportStartDate(12, at('2025-06-20')), '2024-06-01');
+  assert.equal(reportStartDate(6, at('2025-01-31')), '2024-07-01');
+  assert.equal(reportStartDate(0, at('2025-03-15')), '2025-03-01');
+});
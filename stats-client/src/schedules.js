@@ -0,0 +1,302 @@
+/**
+ * Sync Schedules
+ * When each scheduled sync is due and which programs it covers. All times are local.
+ *
+ *   daily     time 'HH:MM', optionally only on some weekdays
+ *   interval  every N minutes - intervals that divide a day line up with midnight (every 6 hours
+ *             runs at 00:00, 06:00, 12:00, 18:00), optionally only on some weekdays
+ *   cron      standard 5-field expression: minute hour day-of-month month day-of-week
+ *             (*, lists, ranges, steps, JAN-DEC / SUN-SAT names, @hourly / @daily / @weekly / @monthly)
+ *
+ * A schedule targets every active program unless it lists program IDs and/or provider codes.
+ * Runs that came due while the machine was asleep or the app was closed are "missed" - schedules
+ * with catch_up run once when the scheduler is back, the others wait for their next time.
+ */
+
+const SCHEDULE_TYPES = {
+  DAILY: 'daily',
+  INTERVAL: 'interval',
+  CRON: 'cron'
+};
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MIN_INTERVAL_MINUTES = 5;
+const DAY_MINUTES = 24 * 60;
+
+// Long enough for Feb 29 expressions - anything later is treated as never
+const MAX_LOOKAHEAD_YEARS = 5;
+
+// One cron field ("*/15", "1-5", "MON,WED") -> set of allowed values
+function parseCronField(text, { name, min, max, names = [] }) {
+  const values = new Set();
+  const toNumber = (token) => {
+    const index = names.indexOf(token.toUpperCase());
+    const number = index !== -1 ? index + (name === 'month' ? 1 : 0) : Number(token);
+    if (!/^\w+$/.test(token) || !Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`Invalid ${name} "${token}" in cron expression (${min}-${max})`);
+    }
+    return number;
+  };
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" for ${name} in cron expression`);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = toNumber(start);
+      // "5/10" means from 5 to the end in steps of 10
+      to = end !== undefined ? toNumber(end) : (stepText === undefined ? from : max);
+      if (from > to) throw new Error(`Invalid ${name} range "${range}" in cron expression`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  // Sunday can be written as 0 or 7
+  if (name === 'day of week' && values.delete(7)) values.add(0);
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } sets, plus whether the two day fields are restricted
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    dayOfMonthRestricted: fields[2] !== '*',
+    dayOfWeekRestricted: fields[4] !== '*'
+  };
+}
+
+// Daily schedules are the cron expression "M H * * days"
+function toCron(schedule) {
+  if (schedule.type === SCHEDULE_TYPES.CRON) return parseCron(schedule.cron);
+
+  const [hour, minute] = schedule.time.split(':').map(Number);
+  const weekdays = schedule.weekdays?.length ? schedule.weekdays : null;
+  return {
+    minute: new Set([minute]),
+    hour: new Set([hour]),
+    dayOfMonth: new Set(Array.from({ length: 31 }, (_, i) => i + 1)),
+    month: new Set(Array.from({ length: 12 }, (_, i) => i + 1)),
+    dayOfWeek: new Set(weekdays || [0, 1, 2, 3, 4, 5, 6]),
+    dayOfMonthRestricted: false,
+    dayOfWeekRestricted: !!weekdays
+  };
+}
+
+// With both day fields restricted cron runs on either ("1 * * 1,15 MON" = the 1st, 15th and Mondays)
+function cronDayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  return dom && dow;
+}
+
+// First minute after `after` the cron fields match, skipping whole months/days/hours that can't
+function nextCronTime(cron, after) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (date <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+function nextIntervalTime(schedule, after) {
+  const interval = schedule.interval_minutes;
+  const weekdays = schedule.weekdays?.length ? schedule.weekdays : null;
+
+  let next;
+  if (DAY_MINUTES % interval === 0) {
+    const midnight = new Date(after.getFullYear(), after.getMonth(), after.getDate());
+    const minutesToday = (after - midnight) / 60000;
+    next = new Date(midnight.getTime());
+    next.setMinutes(Math.floor(minutesToday / interval + 1) * interval);
+  } else {
+    next = new Date(after.getTime() + interval * 60000);
+    next.setSeconds(0, 0);
+  }
+
+  // At most a week of steps to reach an allowed day
+  for (let i = 0; weekdays && !weekdays.includes(next.getDay()); i++) {
+    if (i > 7 * DAY_MINUTES / interval) return null;
+    next = new Date(next.getTime() + interval * 60000);
+  }
+  return next;
+}
+
+/**
+ * When a schedule next runs after a point in time
+ * @param {Object} schedule - schedules row (see Database.getSchedules)
+ * @param {Date} after
+ * @returns {Date|null} null if the schedule can never run
+ */
+function getNextRun(schedule, after = new Date()) {
+  if (schedule.type === SCHEDULE_TYPES.INTERVAL) return nextIntervalTime(schedule, after);
+  return nextCronTime(toCron(schedule), after);
+}
+
+function parseWeekdays(weekdays) {
+  if (weekdays === null || weekdays === undefined || weekdays === '') return null;
+  const days = [...new Set((Array.isArray(weekdays) ? weekdays : String(weekdays).split(',')).map(Number))].sort((a, b) => a - b);
+  if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+  // Every day is the same as no restriction
+  return days.length === 0 || days.length === 7 ? null : days;
+}
+
+/**
+ * Check a schedule from the settings form and fill in defaults
+ * @param {Object|string} input - { type, time, cron, intervalMinutes, weekdays, programIds, providers, catchUp }, or a plain 'HH:MM'
+ * @returns {Object} fields for Database.addSchedule
+ */
+function normalizeSchedule(input) {
+  const schedule = typeof input === 'string' ? { type: SCHEDULE_TYPES.DAILY, time: input } : { ...input };
+  const type = schedule.type || SCHEDULE_TYPES.DAILY;
+  if (!Object.values(SCHEDULE_TYPES).includes(type)) {
+    throw new Error(`Schedule type must be ${Object.values(SCHEDULE_TYPES).join(', ')}`);
+  }
+
+  const normalized = {
+    type,
+    time: '',
+    cron: null,
+    intervalMinutes: null,
+    weekdays: type === SCHEDULE_TYPES.CRON ? null : parseWeekdays(schedule.weekdays),
+    programIds: [...new Set(schedule.programIds || [])],
+    providers: [...new Set(schedule.providers || [])],
+    catchUp: schedule.catchUp !== false
+  };
+
+  if (type === SCHEDULE_TYPES.DAILY) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(schedule.time || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new Error('Time must be HH:MM');
+    normalized.time = `${match[1].padStart(2, '0')}:${match[2]}`;
+  } else if (type === SCHEDULE_TYPES.INTERVAL) {
+    const minutes = Math.round(Number(schedule.intervalMinutes));
+    if (!Number.isFinite(minutes) || minutes < MIN_INTERVAL_MINUTES) {
+      throw new Error(`Interval must be at least ${MIN_INTERVAL_MINUTES} minutes`);
+    }
+    normalized.intervalMinutes = minutes;
+  } else {
+    parseCron(schedule.cron);
+    normalized.cron = String(schedule.cron).trim().replace(/\s+/g, ' ');
+  }
+
+  if (getNextRun({ ...normalized, interval_minutes: normalized.intervalMinutes }) === null) {
+    throw new Error('This schedule never runs');
+  }
+  return normalized;
+}
+
+/**
+ * IDs of the programs a schedule covers, or null for all of them
+ * @param {Object} schedule - schedules row
+ * @param {Object[]} programs - db.getPrograms()
+ */
+function selectPrograms(schedule, programs) {
+  const programIds = schedule.program_ids || [];
+  const providers = schedule.providers || [];
+  if (programIds.length === 0 && providers.length === 0) return null;
+
+  return programs
+    .filter(program => programIds.includes(program.id) || providers.includes(program.provider))
+    .map(program => program.id);
+}
+
+// Short text for logs, e.g. "every 60 min Mon-Fri (CELLXPERT)"
+function describeSchedule(schedule) {
+  let when;
+  if (schedule.type === SCHEDULE_TYPES.INTERVAL) when = `every ${schedule.interval_minutes} min`;
+  else if (schedule.type === SCHEDULE_TYPES.CRON) when = `cron "${schedule.cron}"`;
+  else when = `daily ${schedule.time}`;
+
+  if (schedule.weekdays?.length) when += ` ${schedule.weekdays.map(day => WEEKDAY_NAMES[day]).join(',')}`;
+
+  const targets = [...(schedule.providers || [])];
+  if (schedule.program_ids?.length) targets.push(`${schedule.program_ids.length} program${schedule.program_ids.length === 1 ? '' : 's'}`);
+  return targets.length > 0 ? `${when} (${targets.join(', ')})` : when;
+}
+
+/**
+ * Schedules whose next_run has come
+ * @param {Object[]} schedules - enabled schedules rows
+ * @param {Date} now
+ * @param {Date} awakeSince - when the scheduler last started or the machine woke up; runs due
+ *   before then were missed
+ * @returns {Object[]} { schedule, missed, nextRun }
+ */
+function getDueSchedules(schedules, now, awakeSince) {
+  return schedules
+    .filter(schedule => schedule.next_run && new Date(schedule.next_run) <= now)
+    .map(schedule => ({
+      schedule,
+      missed: new Date(schedule.next_run) < awakeSince,
+      nextRun: getNextRun(schedule, now)
+    }));
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  WEEKDAY_NAMES,
+  parseCron,
+  getNextRun,
+  normalizeSchedule,
+  selectPrograms,
+  describeSchedule,
+  getDueSchedules
+};
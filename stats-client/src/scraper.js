@@ -8,6 +8,9 @@ const puppeteerCore = require('puppeteer-core');
 const { addExtra } = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const path = require('path');
+const { generateTotp } = require('./totp');
+const { describeProxy, startRelay } = require('./proxy');
+const { ERROR_CATEGORIES, SyncError } = require('./sync-errors');
 
 // Wrap puppeteer-core with puppeteer-extra and add stealth plugin
 const puppeteer = addExtra(puppeteerCore);
@@ -17,10 +20,14 @@ class Scraper {
   constructor(db = null, showDialogCallback = null) {
     this.browser = null;
     this.onLog = null;
+    this.echo = console.log; // Debug copy of each log line (see setLogCallback)
     this.db = db; // Database instance for reading settings
     this.showDialog = showDialogCallback; // Dialog callback for security codes
     this.headless = true; // Default to headless, updated in launch()
     this.launchPromise = null; // Track ongoing launch to prevent concurrent launches
+    this.totpSecret = null; // Program's 2FA secret (credentials.totpSecret), set by the sync engine
+    this.proxy = null; // Program's proxy (proxy.js), set by the sync engine
+    this.proxyRelay = null; // Local relay for proxies with a username
   }
 
   // Helper to wait/delay
@@ -60,12 +67,14 @@ class Scraper {
     }
   }
 
-  setLogCallback(callback) {
+  // Same options as SyncEngine.setLogCallback
+  setLogCallback(callback, { echo = console.log } = {}) {
     this.onLog = callback;
+    this.echo = echo;
   }
 
   log(message, type = 'info') {
-    console.log(`[SCRAPER] ${message}`);
+    if (this.echo) this.echo(`[SCRAPER] ${message}`);
     if (this.onLog) {
       this.onLog({ message, type, timestamp: new Date().toISOString() });
     }
@@ -76,6 +85,11 @@ class Scraper {
     // In packaged app, use Electron's Chromium
     let executablePath;
 
+    // Explicit override (headless servers running the CLI often only have Chromium)
+    if (process.env.CHROME_PATH) {
+      return process.env.CHROME_PATH;
+    }
+
     if (process.platform === 'win32') {
       // Try to find Chrome/Chromium on Windows
       const possiblePaths = [
@@ -95,7 +109,13 @@ class Scraper {
     } else if (process.platform === 'darwin') {
       executablePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
     } else {
-      executablePath = '/usr/bin/google-chrome';
+      const fs = require('fs');
+      const possiblePaths = [
+        '/usr/bin/google-chrome',
+        '/usr/bin/chromium',
+        '/usr/bin/chromium-browser'
+      ];
+      executablePath = possiblePaths.find(p => fs.existsSync(p)) || possiblePaths[0];
     }
 
     return executablePath;
@@ -142,9 +162,12 @@ class Scraper {
 
     // Create a persistent user data directory for cookies/sessions
     // Use programId for isolation if provided (prevents cookie conflicts during parallel sync)
-    const { app } = require('electron');
+    // Same folder as the database (Electron's userData, or the CLI's --data-dir)
     const fs = require('fs');
-    const baseBrowserDir = path.join(app.getPath('userData'), 'browser-data');
+    const userDataPath = this.db && this.db.userDataPath
+      ? this.db.userDataPath
+      : require('electron').app.getPath('userData');
+    const baseBrowserDir = path.join(userDataPath, 'browser-data');
 
     let userDataDir;
     if (this.programId) {
@@ -223,6 +246,17 @@ class Scraper {
       ignoreDefaultArgs: ['--enable-automation']
     };
 
+    // Chromium can't log in to a proxy itself - ones with a username go through a local relay
+    if (this.proxy) {
+      let proxyServer = `${this.proxy.protocol}://${this.proxy.host}:${this.proxy.port}`;
+      if (this.proxy.username) {
+        this.proxyRelay = this.proxyRelay || await startRelay(this.proxy);
+        proxyServer = this.proxyRelay.url;
+      }
+      launchOptions.args.push(`--proxy-server=${proxyServer}`);
+      this.log(`Browser traffic goes through proxy ${describeProxy(this.proxy)}`);
+    }
+
     try {
       this.browser = await puppeteer.launch(launchOptions);
       this.log('✓ Browser launched successfully');
@@ -567,6 +601,100 @@ class Scraper {
     return result;
   }
 
+  // Find a one-time-code input in a frame - one field, or one box per digit.
+  // Matching inputs are tagged with data-statsfetch-otp so they can be typed into.
+  async findOtpInputs(frame) {
+    return frame.evaluate(() => {
+      const OTP_PATTERN = /otp|2fa|two.?factor|totp|mfa|one.?time|verif|authenticat|security.?code|auth.?code|access.?code|\bcode\b/i;
+      const visible = (el) => el.offsetParent !== null && !el.disabled && !el.readOnly;
+      const describe = (el) => [el.name, el.id, el.placeholder, el.getAttribute('aria-label'), el.className]
+        .filter(Boolean)
+        .join(' ');
+
+      document.querySelectorAll('[data-statsfetch-otp]').forEach(el => el.removeAttribute('data-statsfetch-otp'));
+      const inputs = Array.from(document.querySelectorAll('input'))
+        .filter(el => ['text', 'tel', 'number', 'password', ''].includes(el.type) && visible(el));
+
+      // Split code: 4-8 single-character boxes
+      const boxes = inputs.filter(el => el.maxLength === 1);
+      if (boxes.length >= 4 && boxes.length <= 8) {
+        boxes.forEach((el, i) => el.setAttribute('data-statsfetch-otp', String(i)));
+        return boxes.length;
+      }
+
+      // Masked code fields count, the login form's own password field doesn't
+      const single = inputs.find(el => el.autocomplete === 'one-time-code') ||
+        inputs.find(el => OTP_PATTERN.test(describe(el)) && !(el.type === 'password' && /pass/i.test(describe(el)))) ||
+        inputs.find(el => el.inputMode === 'numeric' && el.maxLength >= 4 && el.maxLength <= 8);
+      if (!single) return 0;
+
+      single.setAttribute('data-statsfetch-otp', '0');
+      return 1;
+    }).catch(() => 0);
+  }
+
+  /**
+   * Fill the two-factor step after a login when the program has a TOTP secret. Looks for a code
+   * input on the page and its frames for up to `timeout` ms, types the current code and submits.
+   * Does nothing when there is no secret or no 2FA step, so login flows can always call it.
+   * @returns {Promise<boolean>} whether a code was entered
+   */
+  async fillTotpIfPresent(page, { timeout = 5000 } = {}) {
+    if (!this.totpSecret) return false;
+
+    let frame = null;
+    let boxes = 0;
+    const deadline = Date.now() + timeout;
+    while (!frame && Date.now() < deadline) {
+      for (const candidate of page.frames()) {
+        boxes = await this.findOtpInputs(candidate);
+        if (boxes > 0) {
+          frame = candidate;
+          break;
+        }
+      }
+      if (!frame) await this.delay(500);
+    }
+    if (!frame) return false;
+
+    // A code about to expire may be rejected by the time it arrives - wait for the next one
+    let totp = generateTotp(this.totpSecret);
+    if (totp.remaining < 3) {
+      await this.delay(totp.remaining * 1000 + 500);
+      totp = generateTotp(this.totpSecret);
+    }
+
+    this.log(`Two-factor code requested - entering code from the stored TOTP secret`);
+    if (boxes > 1) {
+      for (let i = 0; i < boxes; i++) {
+        await frame.type(`[data-statsfetch-otp="${i}"]`, totp.code[i] || '', { delay: 80 });
+      }
+    } else {
+      const selector = '[data-statsfetch-otp="0"]';
+      await frame.click(selector, { clickCount: 3 });
+      await frame.type(selector, totp.code, { delay: 80 });
+    }
+    await this.delay(500);
+
+    // Many forms submit by themselves once every digit is in
+    const submitted = await frame.evaluate(() => {
+      const buttons = Array.from(document.querySelectorAll('button, input[type="submit"]'))
+        .filter(el => el.offsetParent !== null && !el.disabled);
+      const button = buttons.find(el => /verify|confirm|submit|continue|log ?in|sign ?in|next|send/i.test(el.textContent || el.value || '')) ||
+        buttons.find(el => el.type === 'submit');
+      if (button) button.click();
+      return !!button;
+    }).catch(() => false);
+    if (!submitted) {
+      await page.keyboard.press('Enter');
+    }
+
+    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 }).catch(() => {});
+    await this.delay(1500);
+    this.log('✓ Two-factor code submitted');
+    return true;
+  }
+
   async close() {
     if (this.browser) {
       const browserProcess = this.browser.process();
@@ -622,6 +750,11 @@ class Scraper {
         this.launchPromise = null; // Reset launch promise
       }
     }
+
+    if (this.proxyRelay) {
+      this.proxyRelay.close();
+      this.proxyRelay = null;
+    }
   }
 
   // Close all pages but keep browser running (for batch operations)
@@ -879,6 +1012,9 @@ class Scraper {
       // Wait for navigation after login
       await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }).catch(() => {});
 
+      // Two-factor step, when the program has a TOTP secret
+      await this.fillTotpIfPresent(page);
+
       // Check for reCAPTCHA/CAPTCHA challenge
       const captchaResult = await this.handleRecaptcha(page, 'CellXpert');
       if (captchaResult.wasPresent && !captchaResult.solved) {
@@ -1587,6 +1723,9 @@ class Scraper {
         // Wait for page to settle
         await this.delay(2000);
 
+        // Two-factor step, when the program has a TOTP secret
+        await this.fillTotpIfPresent(page);
+
         // Check login success by looking for password field (if still present, login failed)
         const stillOnLogin = await page.$('input[type="password"]');
         if (stillOnLogin) {
@@ -1947,6 +2086,9 @@ class Scraper {
       this.log('Waiting for login to complete...');
       await this.delay(1000); // RTG login is instant to dashboard
 
+      // Two-factor step, when the program has a TOTP secret
+      await this.fillTotpIfPresent(page);
+
       // Navigate to reports/statistics
       const reportsUrls = [
         'https://dashboard.7bitpartners.com/partner/reports',
@@ -2072,200 +2214,250 @@ class Scraper {
       await page.close();
     }
   }
-  // Generic scraper for various platforms (Wynta, etc.)
-  // Now fetches both current month and last month
-  async scrapeGeneric({ loginUrl, username, password, startDate, endDate, platform }) {
-    await this.launch();
-    const page = await this.browser.newPage();
-
-    try {
-      this.log(`Navigating to ${platform} login: ${loginUrl}`);
-      await page.goto(loginUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      await this.delay(2000);
+  // Log in with common form selectors and open the reports/statistics page
+  async openGenericReports(page, { loginUrl, username, password, platform }) {
+    this.log(`Navigating to ${platform} login: ${loginUrl}`);
+    await page.goto(loginUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    await this.delay(2000);
+
+    // Check if already logged in (redirected to dashboard or already authenticated)
+    const currentUrl = page.url();
+    const urlPath = new URL(currentUrl).pathname.toLowerCase();
+    const isAlreadyLoggedIn = !urlPath.includes('/login') &&
+                              (urlPath.includes('/dashboard') ||
+                               urlPath.includes('/affiliate') ||
+                               urlPath.includes('/partner') ||
+                               urlPath.includes('/reports'));
 
-      // Check if already logged in (redirected to dashboard or already authenticated)
-      const currentUrl = page.url();
-      const urlPath = new URL(currentUrl).pathname.toLowerCase();
-      const isAlreadyLoggedIn = !urlPath.includes('/login') &&
-                                (urlPath.includes('/dashboard') ||
-                                 urlPath.includes('/affiliate') ||
-                                 urlPath.includes('/partner') ||
-                                 urlPath.includes('/reports'));
+    if (isAlreadyLoggedIn) {
+      this.log(`✓ Already logged in (redirected to ${currentUrl}), skipping login form`);
+    } else {
+      // Fill login form - try common selectors (with retry logic)
+      this.log('Filling login credentials...');
 
-      if (isAlreadyLoggedIn) {
-        this.log(`✓ Already logged in (redirected to ${currentUrl}), skipping login form`);
-      } else {
-        // Fill login form - try common selectors (with retry logic)
-        this.log('Filling login credentials...');
+      const emailSelectors = ['input[name="email"]', 'input[type="email"]', '#email', 'input[name="login"]', 'input[name="username"]'];
+      const passwordSelectors = ['input[name="password"]', 'input[type="password"]', '#password'];
 
-        const emailSelectors = ['input[name="email"]', 'input[type="email"]', '#email', 'input[name="login"]', 'input[name="username"]'];
-        const passwordSelectors = ['input[name="password"]', 'input[type="password"]', '#password'];
+      let emailInput = null;
+      let passwordInput = null;
+      let attempts = 0;
+      const maxAttempts = 3;
 
-        let emailInput = null;
-        let passwordInput = null;
-        let attempts = 0;
-        const maxAttempts = 3;
+      while (attempts < maxAttempts && (!emailInput || !passwordInput)) {
+        if (attempts > 0) {
+          this.log(`Retry attempt ${attempts}/${maxAttempts} to find form fields...`);
+          await this.delay(2000);
+        }
 
-        while (attempts < maxAttempts && (!emailInput || !passwordInput)) {
-          if (attempts > 0) {
-            this.log(`Retry attempt ${attempts}/${maxAttempts} to find form fields...`);
-            await this.delay(2000);
-          }
+        // Try to find email input
+        if (!emailInput) {
+          for (const sel of emailSelectors) {
+            try {
+              emailInput = await page.$(sel);
+              if (emailInput) {
+                const isVisible = await page.evaluate(el => {
+                  const style = window.getComputedStyle(el);
+                  return style.display !== 'none' && style.visibility !== 'hidden';
+                }, emailInput);
 
-          // Try to find email input
-          if (!emailInput) {
-            for (const sel of emailSelectors) {
-              try {
-                emailInput = await page.$(sel);
-                if (emailInput) {
-                  const isVisible = await page.evaluate(el => {
-                    const style = window.getComputedStyle(el);
-                    return style.display !== 'none' && style.visibility !== 'hidden';
-                  }, emailInput);
-
-                  if (isVisible) {
-                    this.log(`Found email input: ${sel}`);
-                    break;
-                  } else {
-                    emailInput = null;
-                  }
+                if (isVisible) {
+                  this.log(`Found email input: ${sel}`);
+                  break;
+                } else {
+                  emailInput = null;
                 }
-              } catch (e) {
-                // Selector failed, try next
               }
+            } catch (e) {
+              // Selector failed, try next
             }
           }
+        }
 
-          // Try to find password input
-          if (!passwordInput) {
-            for (const sel of passwordSelectors) {
-              try {
-                passwordInput = await page.$(sel);
-                if (passwordInput) {
-                  const isVisible = await page.evaluate(el => {
-                    const style = window.getComputedStyle(el);
-                    return style.display !== 'none' && style.visibility !== 'hidden';
-                  }, passwordInput);
-
-                  if (isVisible) {
-                    this.log(`Found password input: ${sel}`);
-                    break;
-                  } else {
-                    passwordInput = null;
-                  }
+        // Try to find password input
+        if (!passwordInput) {
+          for (const sel of passwordSelectors) {
+            try {
+              passwordInput = await page.$(sel);
+              if (passwordInput) {
+                const isVisible = await page.evaluate(el => {
+                  const style = window.getComputedStyle(el);
+                  return style.display !== 'none' && style.visibility !== 'hidden';
+                }, passwordInput);
+
+                if (isVisible) {
+                  this.log(`Found password input: ${sel}`);
+                  break;
+                } else {
+                  passwordInput = null;
                 }
-              } catch (e) {
-                // Selector failed, try next
               }
+            } catch (e) {
+              // Selector failed, try next
             }
           }
-
-          attempts++;
         }
 
-        if (!emailInput || !passwordInput) {
-          // Get debug info
-          const pageInfo = await page.evaluate(() => {
-            const inputs = Array.from(document.querySelectorAll('input'));
-            return {
-              inputCount: inputs.length,
-              inputTypes: inputs.map(i => ({ type: i.type, name: i.name, id: i.id, placeholder: i.placeholder })),
-              url: window.location.href
-            };
-          });
+        attempts++;
+      }
 
-          this.log(`DEBUG - Page has ${pageInfo.inputCount} inputs: ${JSON.stringify(pageInfo.inputTypes)}`, 'warn');
-          throw new Error(`Could not find login form fields on ${pageInfo.url}. Found ${pageInfo.inputCount} inputs.`);
-        }
+      if (!emailInput || !passwordInput) {
+        // Get debug info
+        const pageInfo = await page.evaluate(() => {
+          const inputs = Array.from(document.querySelectorAll('input'));
+          return {
+            inputCount: inputs.length,
+            inputTypes: inputs.map(i => ({ type: i.type, name: i.name, id: i.id, placeholder: i.placeholder })),
+            url: window.location.href
+          };
+        });
 
-        await emailInput.type(username, { delay: 50 });
-        await passwordInput.type(password, { delay: 50 });
+        this.log(`DEBUG - Page has ${pageInfo.inputCount} inputs: ${JSON.stringify(pageInfo.inputTypes)}`, 'warn');
+        throw new Error(`Could not find login form fields on ${pageInfo.url}. Found ${pageInfo.inputCount} inputs.`);
+      }
 
-        // Click login button and wait for navigation
-        const loginButton = await page.$('button[type="submit"], input[type="submit"], .login-btn, .btn-login, .btn-primary, button.submit');
+      await emailInput.type(username, { delay: 50 });
+      await passwordInput.type(password, { delay: 50 });
 
-        try {
-          if (loginButton) {
-            await Promise.all([
-              page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => {}),
-              loginButton.click()
-            ]);
-          } else {
-            // Try to find any button with login-related text
-            const buttons = await page.$$('button, input[type="submit"]');
-            let clicked = false;
-            for (const btn of buttons) {
-              const text = await page.evaluate(el => el.textContent || el.value || '', btn);
-              if (text.toLowerCase().includes('login') || text.toLowerCase().includes('sign in') || text.toLowerCase().includes('submit')) {
-                await Promise.all([
-                  page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => {}),
-                  btn.click()
-                ]);
-                clicked = true;
-                break;
-              }
-            }
-            if (!clicked) {
+      // Click login button and wait for navigation
+      const loginButton = await page.$('button[type="submit"], input[type="submit"], .login-btn, .btn-login, .btn-primary, button.submit');
+
+      try {
+        if (loginButton) {
+          await Promise.all([
+            page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => {}),
+            loginButton.click()
+          ]);
+        } else {
+          // Try to find any button with login-related text
+          const buttons = await page.$$('button, input[type="submit"]');
+          let clicked = false;
+          for (const btn of buttons) {
+            const text = await page.evaluate(el => el.textContent || el.value || '', btn);
+            if (text.toLowerCase().includes('login') || text.toLowerCase().includes('sign in') || text.toLowerCase().includes('submit')) {
               await Promise.all([
                 page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => {}),
-                page.keyboard.press('Enter')
+                btn.click()
               ]);
+              clicked = true;
+              break;
             }
           }
-        } catch (e) {
-          this.log('Navigation after login: ' + e.message, 'warn');
+          if (!clicked) {
+            await Promise.all([
+              page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => {}),
+              page.keyboard.press('Enter')
+            ]);
+          }
         }
+      } catch (e) {
+        this.log('Navigation after login: ' + e.message, 'warn');
+      }
 
-        this.log('Waiting for login to complete...');
-        await this.delay(3000);
+      this.log('Waiting for login to complete...');
+      await this.delay(3000);
 
-        // Wait for page to fully load after login
-        await page.waitForSelector('body', { timeout: 10000 }).catch(() => {});
-      } // End of login block
+      // Two-factor step, when the program has a TOTP secret
+      await this.fillTotpIfPresent(page);
+
+      // Wait for page to fully load after login
+      await page.waitForSelector('body', { timeout: 10000 }).catch(() => {});
+    } // End of login block
 
-      // Try to find reports/statistics page
-      const reportsSelectors = ['a[href*="report"]', 'a[href*="statistic"]', 'a[href*="dashboard"]'];
+    // Try to find reports/statistics page
+    const reportsSelectors = ['a[href*="report"]', 'a[href*="statistic"]', 'a[href*="dashboard"]'];
 
-      let foundReportsLink = false;
-      for (const sel of reportsSelectors) {
-        try {
-          const link = await page.$(sel);
-          if (link) {
+    let foundReportsLink = false;
+    for (const sel of reportsSelectors) {
+      try {
+        const link = await page.$(sel);
+        if (link) {
+          await Promise.all([
+            page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 10000 }).catch(() => {}),
+            link.click()
+          ]);
+          await this.delay(2000);
+          foundReportsLink = true;
+          break;
+        }
+      } catch (e) {}
+    }
+
+    // If no link found by href, search by text content
+    if (!foundReportsLink) {
+      try {
+        const allLinks = await page.$$('a');
+        for (const link of allLinks) {
+          const text = await page.evaluate(el => el.textContent || '', link);
+          if (text.toLowerCase().includes('report') || text.toLowerCase().includes('statistic') || text.toLowerCase().includes('dashboard')) {
             await Promise.all([
               page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 10000 }).catch(() => {}),
               link.click()
             ]);
             await this.delay(2000);
-            foundReportsLink = true;
             break;
           }
-        } catch (e) {}
+        }
+      } catch (e) {
+        this.log('Error finding reports link: ' + e.message, 'warn');
       }
+    }
 
-      // If no link found by href, search by text content
-      if (!foundReportsLink) {
-        try {
-          const allLinks = await page.$$('a');
-          for (const link of allLinks) {
-            const text = await page.evaluate(el => el.textContent || '', link);
-            if (text.toLowerCase().includes('report') || text.toLowerCase().includes('statistic') || text.toLowerCase().includes('dashboard')) {
-              await Promise.all([
-                page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 10000 }).catch(() => {}),
-                link.click()
-              ]);
-              await this.delay(2000);
-              break;
-            }
-          }
-        } catch (e) {
-          this.log('Error finding reports link: ' + e.message, 'warn');
+    // Wait for page to stabilize
+    await this.delay(2000);
+    await page.waitForSelector('body', { timeout: 10000 }).catch(() => {});
+  }
+
+  // Generic scraper for arbitrary month ranges (historical backfill)
+  // Sets each range with trySetDateRange and reads the totals. A range whose date picker
+  // can't be set stops the scrape (rather than saving the wrong range) so a resumed
+  // backfill retries it; onRange(range, stats) gets each range as soon as it's read
+  async scrapeGenericRange({ loginUrl, username, password, ranges, onRange, platform }) {
+    await this.launch();
+    const page = await this.browser.newPage();
+
+    try {
+      await this.openGenericReports(page, { loginUrl, username, password, platform });
+
+      const allStats = [];
+      for (const range of ranges) {
+        const rangeSet = await this.trySetDateRange(page, new Date(`${range.startDate}T00:00:00`), new Date(`${range.endDate}T00:00:00`));
+        if (!rangeSet) {
+          throw new SyncError(`Could not set the report date range to ${range.startDate} - ${range.endDate}`, ERROR_CATEGORIES.LAYOUT);
         }
+
+        await this.delay(3000);
+        const pageStats = await this.extractPageStats(page);
+        this.log(`${range.startDate} to ${range.endDate}: clicks=${pageStats.clicks}, signups=${pageStats.signups}, ftds=${pageStats.ftds}, deposits=${pageStats.deposits}, commission=${pageStats.revenue}`);
+
+        const stat = {
+          date: range.startDate,
+          clicks: Math.round(pageStats.clicks || 0),
+          impressions: 0,
+          signups: Math.round(pageStats.signups || 0),
+          ftds: Math.round(pageStats.ftds || 0),
+          deposits: Math.round((pageStats.deposits || 0) * 100),
+          revenue: Math.round((pageStats.revenue || 0) * 100)
+        };
+        if (onRange) onRange(range, [stat]);
+        allStats.push(stat);
       }
 
-      // Wait for page to stabilize
-      await this.delay(2000);
-      await page.waitForSelector('body', { timeout: 10000 }).catch(() => {});
+      return allStats;
+
+    } finally {
+      await page.close();
+    }
+  }
+
+  // Generic scraper for various platforms (Wynta, etc.)
+  // Now fetches both current month and last month
+  async scrapeGeneric({ loginUrl, username, password, startDate, endDate, platform }) {
+    await this.launch();
+    const page = await this.browser.newPage();
+
+    try {
+      await this.openGenericReports(page, { loginUrl, username, password, platform });
 
       // Get current month date (first day)
       const now = new Date();
@@ -2798,23 +2990,51 @@ class Scraper {
         await dateRangePickers[0].click();
         await this.delay(500);
 
-        // Look for "This Month" or "Last Month" preset buttons
-        const monthLabel = startDate.getMonth() === new Date().getMonth() ? 'this month' : 'last month';
-        const presetButtons = await page.$$('.ranges li, .daterangepicker .ranges button, [class*="preset"], [class*="quick-select"] button');
+        // Look for "This Month" or "Last Month" preset buttons (only valid for the two most recent months)
+        const now = new Date();
+        const monthsAgo = (now.getFullYear() - startDate.getFullYear()) * 12 + now.getMonth() - startDate.getMonth();
+        const monthLabel = monthsAgo === 0 ? 'this month' : monthsAgo === 1 ? 'last month' : null;
 
-        for (const btn of presetButtons) {
-          const text = await page.evaluate(el => el.textContent.toLowerCase(), btn);
-          if (text.includes(monthLabel)) {
-            await btn.click();
-            await this.delay(1000);
-            return true;
+        if (monthLabel) {
+          const presetButtons = await page.$$('.ranges li, .daterangepicker .ranges button, [class*="preset"], [class*="quick-select"] button');
+
+          for (const btn of presetButtons) {
+            const text = await page.evaluate(el => el.textContent.toLowerCase(), btn);
+            if (text.includes(monthLabel)) {
+              await btn.click();
+              await this.delay(1000);
+              return true;
+            }
+          }
+        } else {
+          // Older months - type into the daterangepicker's custom range inputs
+          const pickerStart = await page.$('.daterangepicker input[name="daterangepicker_start"], .daterangepicker .drp-calendar.left input');
+          const pickerEnd = await page.$('.daterangepicker input[name="daterangepicker_end"], .daterangepicker .drp-calendar.right input');
+          if (pickerStart && pickerEnd) {
+            await pickerStart.click({ clickCount: 3 });
+            await pickerStart.type(startStr);
+            await pickerEnd.click({ clickCount: 3 });
+            await pickerEnd.type(endStr);
+            const applyBtn = await page.$('.daterangepicker .applyBtn, .daterangepicker button.btn-primary');
+            if (applyBtn) {
+              await applyBtn.click();
+              await this.delay(1000);
+              return true;
+            }
           }
         }
       }
 
-      // Pattern 3: Dropdown/select for month
+      // Pattern 3: Dropdown/select for month (plus year when the page has one)
       const monthSelects = await page.$$('select[name*="month"], select[id*="month"], select[class*="month"]');
       if (monthSelects.length > 0) {
+        const yearSelects = await page.$$('select[name*="year"], select[id*="year"], select[class*="year"]');
+        if (yearSelects.length > 0) {
+          await yearSelects[0].select(String(startDate.getFullYear()));
+        } else if (startDate.getFullYear() !== new Date().getFullYear()) {
+          this.log('Month dropdown has no year selector - cannot pick a previous year', 'warn');
+          return false;
+        }
         const monthValue = String(startDate.getMonth() + 1);
         await monthSelects[0].select(monthValue);
         await this.delay(1000);
@@ -3375,6 +3595,9 @@ class Scraper {
 
       // Give extra time for any JavaScript to load
       await this.delay(2000);
+
+      // Authenticator-app 2FA, when the program has a TOTP secret (emailed codes still use the popup below)
+      await this.fillTotpIfPresent(page);
       } // End of login block
 
       // Check what page we're on: dashboard, security code, or other (needs to run whether we just logged in or were already logged in)
@@ -4084,6 +4307,9 @@ class Scraper {
         await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }).catch(() => {});
         await this.delay(3000);
 
+        // Two-factor step, when the program has a TOTP secret
+        await this.fillTotpIfPresent(page);
+
         const afterLoginUrl = page.url();
         this.log(`After login URL: ${afterLoginUrl}`);
 
@@ -4474,6 +4700,9 @@ class Scraper {
         this.delay(2000) // If no navigation in 2 seconds, continue anyway
       ]);
 
+      // Two-factor step, when the program has a TOTP secret (looks in the iframes too)
+      await this.fillTotpIfPresent(page);
+
       this.log('✓ Logged in successfully, on dashboard');
 
       // RTG sites often have the main content in an iframe after login too
@@ -5296,6 +5525,9 @@ class Scraper {
         this.delay(30000) // Wait at least 30 seconds for slow first-time logins
       ]);
 
+      // Two-factor step, when the program has a TOTP secret
+      await this.fillTotpIfPresent(page);
+
       const currentUrl = page.url();
       this.log(`✓ Login successful! Current URL: ${currentUrl}`);
 
@@ -6077,6 +6309,9 @@ class Scraper {
         this.delay(3000)
       ]);
 
+      // Two-factor step, when the program has a TOTP secret
+      await this.fillTotpIfPresent(page);
+
       this.log('✓ Login successful!');
 
       // Navigate to Dashboard first
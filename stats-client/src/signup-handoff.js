@@ -0,0 +1,113 @@
+/**
+ * Signup Hand-off
+ * Programs StatsFetch signed up to for this account (StatsDrone auto-signup) arrive from
+ * /api/client/signups once approved, with their login. Each becomes a local program from its
+ * template, and the login goes into the encrypted credentials like one typed in by hand.
+ *
+ * The password only ever travels in that response: it isn't logged, returned to the renderer
+ * or sent anywhere - the confirmation back to the server carries program IDs only.
+ *
+ * Confirming makes the server delete its copy of the password, so a signup is only confirmed
+ * once its login is stored here or the user chose to drop it. A signup for a program that
+ * already has a different login stays on the server until the user picks one (RESOLUTIONS).
+ */
+
+const OUTCOMES = {
+  CREATED: 'created', // New program from the template
+  UPDATED: 'updated', // Existing program that had no login yet
+  UNCHANGED: 'unchanged', // Already stored (an earlier confirmation didn't reach the server)
+  CONFLICT: 'conflict', // Existing program with a different login - waits for the user to pick one
+  KEPT: 'kept', // Conflict resolved by keeping the stored login - signup login dropped
+  FAILED: 'failed',
+};
+
+// What the user chose for a conflicting signup
+const RESOLUTIONS = {
+  USE_SIGNUP: 'use_signup', // Replace the stored login with the signup's
+  KEEP_EXISTING: 'keep_existing', // Keep the stored login and let the server drop the signup's
+};
+
+// Whether the server can forget this login - it's stored here or the user doesn't want it
+const CONFIRMED = new Set([OUTCOMES.CREATED, OUTCOMES.UPDATED, OUTCOMES.UNCHANGED, OUTCOMES.KEPT]);
+
+/**
+ * Add one signup as a program with its login. Program and credentials are written together.
+ * @param {Object} db - Database (vault unlocked)
+ * @param {Object} signup - { id, name, username, email, password }
+ * @param {Object} template - client template (as importTemplate takes it)
+ * @param {Function} canAddProgram - license limit check
+ * @param {string} [resolution] - RESOLUTIONS value when the user settled a conflict
+ * @returns {{ outcome: string, programId?: string, error?: string }}
+ */
+function provisionSignup(db, signup, template, canAddProgram, resolution) {
+  const login = {
+    username: signup.username || signup.email || '',
+    password: signup.password,
+  };
+
+  return db.transaction(() => {
+    const existing = db.queryOne('SELECT id FROM programs WHERE code = ?', [template.code]);
+
+    if (existing) {
+      const current = db.getCredentials(existing.id);
+      if (current && (current.username || current.password)) {
+        if (current.username === login.username && current.password === login.password) {
+          return { outcome: OUTCOMES.UNCHANGED, programId: existing.id };
+        }
+        if (resolution === RESOLUTIONS.KEEP_EXISTING) {
+          return { outcome: OUTCOMES.KEPT, programId: existing.id };
+        }
+        if (resolution !== RESOLUTIONS.USE_SIGNUP) {
+          return { outcome: OUTCOMES.CONFLICT, programId: existing.id };
+        }
+      }
+      db.saveCredentials(existing.id, { ...(current || {}), ...login });
+      return { outcome: OUTCOMES.UPDATED, programId: existing.id };
+    }
+
+    if (!canAddProgram()) {
+      return { outcome: OUTCOMES.FAILED, error: 'Program limit reached' };
+    }
+
+    const created = db.importTemplate(template);
+    if (!created || !created.id) {
+      return { outcome: OUTCOMES.FAILED, error: created?.error || 'Could not create the program' };
+    }
+    db.saveCredentials(created.id, login);
+    return { outcome: OUTCOMES.CREATED, programId: created.id };
+  });
+}
+
+/**
+ * Provision every signup from one hand-off response
+ * @param {Object} db
+ * @param {Array} signups - /api/client/signups response
+ * @param {Object} options
+ * @param {Function} options.mapTemplate - server template -> client template
+ * @param {Function} options.canAddProgram
+ * @param {Object} [options.resolutions] - { signupId: RESOLUTIONS value } for conflicts the user settled
+ * @returns {{ results: Array<{ id, name, outcome, programId?, error? }>, confirmIds: string[] }}
+ *   results never include the password
+ */
+function provisionSignups(db, signups, { mapTemplate, canAddProgram, resolutions = {} }) {
+  const results = [];
+
+  for (const signup of signups) {
+    let result;
+    try {
+      if (!signup.template) throw new Error('No template');
+      if (!signup.password) throw new Error('No password');
+      result = provisionSignup(db, signup, mapTemplate(signup.template), canAddProgram, resolutions[signup.id]);
+    } catch (error) {
+      result = { outcome: OUTCOMES.FAILED, error: error.message };
+    }
+    results.push({ id: signup.id, name: signup.name, ...result });
+  }
+
+  return {
+    results,
+    confirmIds: results.filter(result => CONFIRMED.has(result.outcome)).map(result => result.id),
+  };
+}
+
+module.exports = { OUTCOMES, RESOLUTIONS, provisionSignups };
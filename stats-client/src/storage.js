@@ -0,0 +1,178 @@
+/**
+ * Durable Storage
+ * sql.js keeps the whole database in memory; this keeps it safe on disk without rewriting the
+ * file on every change.
+ *
+ * - stats-data.db is a snapshot, only ever replaced whole: written to a temporary file, flushed
+ *   and renamed over the old one, so a crash leaves either the old or the new copy.
+ * - stats-data.db-journal gets one line per committed transaction (its statements and
+ *   parameters), flushed before the write returns. Opening the database replays the lines the
+ *   snapshot doesn't include yet; a line cut off by a crash was never committed and is ignored.
+ * - A checkpoint writes a new snapshot and empties the journal - when the journal passes
+ *   CHECKPOINT_BYTES, on open and on close. The snapshot records the last journal line it
+ *   includes (storage_checkpoint), so a crash between the rename and emptying the journal
+ *   doesn't apply anything twice.
+ *
+ * Replayed statements run again as written, so CURRENT_TIMESTAMP defaults in them get the time
+ * of the replay - everything else (IDs, dates passed as parameters) comes out the same.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Journal size that triggers a checkpoint
+const CHECKPOINT_BYTES = 4 * 1024 * 1024;
+
+class Storage {
+  /**
+   * @param {string} dbPath - snapshot file; the journal sits next to it
+   */
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.journalPath = `${dbPath}-journal`;
+    this.journalFd = null;
+    this.journalBytes = 0;
+    this.seq = 0; // Last journal line written (or replayed)
+  }
+
+  /**
+   * Open the database: the snapshot plus committed transactions from the journal.
+   * A database file from before the journal existed opens as a snapshot with no journal.
+   * @param {Object} SQL - initialised sql.js module
+   * @returns {{ db: Object, replayed: number }}
+   */
+  open(SQL) {
+    const db = fs.existsSync(this.dbPath) ? new SQL.Database(fs.readFileSync(this.dbPath)) : new SQL.Database();
+    db.run('CREATE TABLE IF NOT EXISTS storage_checkpoint (id INTEGER PRIMARY KEY CHECK (id = 1), journal_seq INTEGER NOT NULL)');
+    const row = db.exec('SELECT journal_seq FROM storage_checkpoint WHERE id = 1')[0];
+    this.seq = row ? row.values[0][0] : 0;
+
+    let replayed = 0;
+    for (const entry of this.readJournal()) {
+      if (entry.seq <= this.seq) continue;
+      try {
+        db.run('BEGIN');
+        for (const [sql, params] of entry.statements) {
+          db.run(sql, params);
+        }
+        db.run('COMMIT');
+        replayed++;
+      } catch (error) {
+        db.run('ROLLBACK');
+        console.error(`Journal entry ${entry.seq} could not be replayed:`, error.message);
+      }
+      this.seq = entry.seq;
+    }
+
+    this.openJournal();
+    return { db, replayed };
+  }
+
+  // Complete journal lines in order - stops at a line cut off by a crash
+  readJournal() {
+    if (!fs.existsSync(this.journalPath)) return [];
+
+    const entries = [];
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+    lines.pop(); // Text after the last newline never finished writing
+    for (const line of lines) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        console.error('Journal ends in a damaged entry - ignoring the rest');
+        break;
+      }
+    }
+    return entries;
+  }
+
+  openJournal() {
+    if (this.journalFd !== null) return;
+    this.journalFd = fs.openSync(this.journalPath, 'a');
+    this.journalBytes = fs.fstatSync(this.journalFd).size;
+  }
+
+  /**
+   * Make a committed transaction durable
+   * @param {Array<[string, Array]>} statements - [sql, params] in the order they ran
+   */
+  append(statements) {
+    if (statements.length === 0) return;
+    this.openJournal();
+
+    const line = `${JSON.stringify({ seq: this.seq + 1, at: new Date().toISOString(), statements })}\n`;
+    fs.writeSync(this.journalFd, line);
+    fs.fsyncSync(this.journalFd);
+    this.seq++;
+    this.journalBytes += Buffer.byteLength(line);
+  }
+
+  needsCheckpoint() {
+    return this.journalBytes >= CHECKPOINT_BYTES;
+  }
+
+  /**
+   * Write a full snapshot of `db` and empty the journal. Not inside a transaction - sql.js
+   * export() closes and reopens the connection.
+   */
+  checkpoint(db) {
+    db.run('INSERT OR REPLACE INTO storage_checkpoint (id, journal_seq) VALUES (1, ?)', [this.seq]);
+    this.writeSnapshot(Buffer.from(db.export()));
+
+    this.openJournal();
+    fs.ftruncateSync(this.journalFd, 0);
+    fs.fsyncSync(this.journalFd);
+    this.journalBytes = 0;
+  }
+
+  // Replace the snapshot atomically (temporary file, flush, rename)
+  writeSnapshot(buffer) {
+    const tempPath = `${this.dbPath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, buffer);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.dbPath);
+    this.syncDirectory();
+  }
+
+  // Flush the rename itself (not possible on Windows, where rename is already durable enough)
+  syncDirectory() {
+    let fd = null;
+    try {
+      fd = fs.openSync(path.dirname(this.dbPath), 'r');
+      fs.fsyncSync(fd);
+    } catch (e) {
+      // Directories can't be opened for fsync on every platform
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Start over from a complete database file (backup import): the journal belongs to the
+   * database being replaced, so it is emptied first
+   * @returns {Object} sql.js database
+   */
+  replace(SQL, buffer) {
+    this.openJournal();
+    fs.ftruncateSync(this.journalFd, 0);
+    fs.fsyncSync(this.journalFd);
+    this.journalBytes = 0;
+
+    this.writeSnapshot(buffer);
+    this.closeJournal();
+    return this.open(SQL).db;
+  }
+
+  closeJournal() {
+    if (this.journalFd === null) return;
+    fs.closeSync(this.journalFd);
+    this.journalFd = null;
+  }
+}
+
+module.exports = { Storage, CHECKPOINT_BYTES };
@@ -5,10 +5,20 @@
 
 const https = require('https');
 const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
 const Scraper = require('./scraper');
-
-// Exchange rate cache duration (24 hours)
-const EXCHANGE_RATE_CACHE_DURATION = 24 * 60 * 60 * 1000;
+const providers = require('./providers');
+const { ERROR_CATEGORIES, SyncError, classifyError, isRetryable } = require('./sync-errors');
+const { ANOMALY_TYPES, detectAnomalies } = require('./anomaly-detector');
+const { COMMISSION_MISMATCH, calculateCommissionReport } = require('./commission-engine');
+const ExchangeRates = require('./exchange-rates');
+const { VaultLockedError } = require('./vault');
+const { getProxySettings, resolveProxy, describeProxy, connectThrough } = require('./proxy');
+
+// Retry defaults for transient sync failures (overridable in settings)
+const DEFAULT_SYNC_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY = 10 * 60 * 1000;
 
 class SyncEngine {
   constructor(db, showDialogCallback = null) {
@@ -16,96 +26,37 @@ class SyncEngine {
     this.scraper = new Scraper(db, showDialogCallback); // Pass db and dialog callback to scraper
     this.onProgress = null;
     this.onLog = null;
+    this.echo = console.log; // Debug copy of each log line (see setLogCallback)
     this.inBatchMode = false; // Track if we're in batch sync mode (don't close pages between syncs)
-    this.exchangeRates = null; // Cached exchange rates
+    this.exchangeRates = new ExchangeRates(db, { log: (message, level) => this.log(message, level) }); // Daily rates (exchange-rates.js)
+    this.providers = providers; // Provider adapter registry
+    this.proxyContext = new AsyncLocalStorage(); // Proxy of the program being synced, for httpRequest (proxy.js)
   }
 
-  // Fetch exchange rates from free API (frankfurter.app - no API key needed)
+  // Download today's exchange rates (at most once a day - older days come from the local table)
   async fetchExchangeRates() {
-    const cachedRates = this.db.getSetting('exchangeRates');
-    const cachedTime = this.db.getSetting('exchangeRatesTime');
-
-    // Check if cache is still valid (less than 24 hours old)
-    if (cachedRates && cachedTime) {
-      const cacheAge = Date.now() - parseInt(cachedTime);
-      if (cacheAge < EXCHANGE_RATE_CACHE_DURATION) {
-        this.exchangeRates = JSON.parse(cachedRates);
-        this.log(`Using cached exchange rates (${Math.round(cacheAge / 3600000)}h old)`);
-        return this.exchangeRates;
-      }
-    }
-
-    this.log('Fetching fresh exchange rates...');
-
-    return new Promise((resolve) => {
-      // Fetch rates with USD as base (we'll calculate cross-rates)
-      const request = https.get('https://api.frankfurter.app/latest?from=USD', (response) => {
-        let data = '';
-        response.on('data', chunk => data += chunk);
-        response.on('end', () => {
-          try {
-            const result = JSON.parse(data);
-            if (result.rates) {
-              // Build rate matrix for easy conversion
-              const rates = {
-                USD: { USD: 1, EUR: result.rates.EUR, GBP: result.rates.GBP },
-                EUR: { USD: 1 / result.rates.EUR, EUR: 1, GBP: result.rates.GBP / result.rates.EUR },
-                GBP: { USD: 1 / result.rates.GBP, EUR: result.rates.EUR / result.rates.GBP, GBP: 1 }
-              };
-
-              // Cache the rates
-              this.db.setSetting('exchangeRates', JSON.stringify(rates));
-              this.db.setSetting('exchangeRatesTime', String(Date.now()));
-              this.exchangeRates = rates;
-
-              this.log(`Exchange rates updated: 1 USD = ${result.rates.EUR.toFixed(4)} EUR, ${result.rates.GBP.toFixed(4)} GBP`);
-              resolve(rates);
-            } else {
-              throw new Error('Invalid response');
-            }
-          } catch (e) {
-            this.log(`Failed to parse exchange rates: ${e.message}`, 'warn');
-            // Use fallback rates
-            this.exchangeRates = this.getFallbackRates();
-            resolve(this.exchangeRates);
-          }
-        });
-      });
-
-      request.on('error', (e) => {
-        this.log(`Failed to fetch exchange rates: ${e.message}`, 'warn');
-        // Use fallback rates
-        this.exchangeRates = this.getFallbackRates();
-        resolve(this.exchangeRates);
-      });
-
-      request.setTimeout(10000, () => {
-        request.destroy();
-        this.log('Exchange rate fetch timed out', 'warn');
-        this.exchangeRates = this.getFallbackRates();
-        resolve(this.exchangeRates);
-      });
-    });
+    await this.exchangeRates.refreshLatest();
+    return this.exchangeRates.getRates();
   }
 
-  // Fallback rates if API fails
-  getFallbackRates() {
-    return {
-      USD: { USD: 1, EUR: 0.92, GBP: 0.79 },
-      EUR: { USD: 1.09, EUR: 1, GBP: 0.86 },
-      GBP: { USD: 1.27, EUR: 1.16, GBP: 1 }
-    };
+  // Syncs need the credentials, so nothing runs while the vault is locked (see vault.js)
+  checkUnlocked() {
+    if (!this.db.vault.isLocked()) return null;
+    const error = new VaultLockedError();
+    this.log(`🔒 ${error.message}`, 'warn');
+    return { success: false, error: error.message, locked: true, category: ERROR_CATEGORIES.CONFIG };
   }
 
-  // Convert amount from one currency to another
-  convertCurrency(amount, fromCurrency, toCurrency) {
-    if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) {
-      return amount;
-    }
+  // Convert amount from one currency to another, at the rate for `date` (YYYY-MM-DD) when given
+  convertCurrency(amount, fromCurrency, toCurrency, date = null) {
+    return this.exchangeRates.convert(amount, fromCurrency, toCurrency, date);
+  }
 
-    const rates = this.exchangeRates || this.getFallbackRates();
-    const rate = rates[fromCurrency]?.[toCurrency] || 1;
-    return Math.round(amount * rate);
+  // Download the daily rates a date range needs before its amounts are converted (export, stats
+  // view, API, reports). No start date means from the oldest stored stat.
+  async ensureRates(startDate = null, endDate = null) {
+    const start = startDate || this.db.getFirstStatDate();
+    if (start) await this.exchangeRates.ensureRange(start, endDate);
   }
 
   // Get the user's default currency
@@ -118,14 +69,21 @@ class SyncEngine {
     this.onProgress = callback;
   }
 
-  // Set log callback
-  setLogCallback(callback) {
+  // Set run callback - called with the sync_runs row whenever a run finishes (alerts)
+  setRunCallback(callback) {
+    this.onRunFinished = callback;
+  }
+
+  // Set log callback. `echo` also gets each line for debugging - console.log by default, null
+  // for none (the CLI prints the lines itself)
+  setLogCallback(callback, { echo = console.log } = {}) {
     this.onLog = callback;
-    this.scraper.setLogCallback(callback);
+    this.echo = echo;
+    this.scraper.setLogCallback(callback, { echo });
   }
 
   log(message, type = 'info') {
-    console.log(`[SYNC] ${message}`);
+    if (this.echo) this.echo(`[SYNC] ${message}`);
     if (this.onLog) {
       this.onLog({ message, type, timestamp: new Date().toISOString() });
     }
@@ -133,8 +91,16 @@ class SyncEngine {
 
   // Sync all active programs
   // maxPrograms: limit how many programs to sync (for demo accounts)
-  async syncAll(maxPrograms = Infinity) {
+  // options.trigger: what started the sync (manual, scheduled, sidebar) - recorded in sync history
+  // options.programIds: only sync these programs (schedules that target some programs/providers)
+  async syncAll(maxPrograms = Infinity, options = {}) {
+    const locked = this.checkUnlocked();
+    if (locked) return locked;
+
     let programs = this.db.getPrograms().filter(p => p.is_active);
+    if (options.programIds) {
+      programs = programs.filter(p => options.programIds.includes(p.id));
+    }
 
     if (programs.length === 0) {
       this.log('No active programs to sync', 'warn');
@@ -152,6 +118,9 @@ class SyncEngine {
       this.log(`Skipping ${totalActive - maxPrograms} newer programs. Upgrade to sync all.`, 'warn');
     }
 
+    // Record this run in sync history
+    const runId = this.db.startSyncRun(options.trigger || 'manual', options.programIds ? 'selection' : 'all', programs.length);
+
     // Fetch exchange rates before syncing (cached for 24h)
     await this.fetchExchangeRates();
 
@@ -195,7 +164,7 @@ class SyncEngine {
           const startTime = new Date().toLocaleTimeString();
           this.log(`🚀 STARTING at ${startTime}: ${program.name} (slot ${batchIndex + 1}/${batch.length})`);
 
-          return this.syncProgram(program.id)
+          return this.syncProgramForRun(runId, program)
             .then(result => {
               processedCount++;
               this.log(`✅ COMPLETED: ${program.name}`);
@@ -212,7 +181,9 @@ class SyncEngine {
             .catch(error => {
               processedCount++;
               this.log(`❌ FAILED: ${program.name} - ${error.message}`);
-              return { program: program.name, success: false, error: error.message };
+              const result = { success: false, error: error.message, category: classifyError(error) };
+              this.recordRunItem(runId, program, new Date(), result);
+              return { program: program.name, ...result };
             });
         });
 
@@ -229,7 +200,7 @@ class SyncEngine {
         this.log(`Syncing Rival program: ${program.name}`);
 
         try {
-          const result = await this.syncProgram(program.id);
+          const result = await this.syncProgramForRun(runId, program);
           processedCount++;
 
           if (this.onProgress) {
@@ -251,7 +222,9 @@ class SyncEngine {
           }
         } catch (error) {
           processedCount++;
-          results.push({ program: program.name, success: false, error: error.message });
+          const result = { success: false, error: error.message, category: classifyError(error) };
+          this.recordRunItem(runId, program, new Date(), result);
+          results.push({ program: program.name, ...result });
         }
       }
     }
@@ -264,11 +237,12 @@ class SyncEngine {
       if (result.success) {
         this.log(`✓ Synced ${result.program}: ${result.records} records`, 'success');
       } else {
-        this.log(`✗ Failed ${result.program}: ${result.error}`, 'error');
+        this.log(`✗ Failed ${result.program} [${result.category || ERROR_CATEGORIES.UNKNOWN}]: ${result.error}`, 'error');
       }
     });
 
     this.log(`Sync complete: ${synced} succeeded, ${failed} failed`);
+    this.finishRun(runId);
 
     // Exit batch mode
     this.inBatchMode = false;
@@ -332,11 +306,26 @@ class SyncEngine {
       this.log(`📊 Prepared ${statsToUpload.length} programs for stats upload`);
     }
 
-    return { success: true, synced, failed, results, pendingStatsUpload: this.pendingStatsUpload };
+    return { success: true, synced, failed, results, runId, pendingStatsUpload: this.pendingStatsUpload };
   }
 
   // Sync a single program
-  async syncProgram(programId, useDedicatedScraper = false) {
+  // options.ranges limits the sync to specific month ranges (used by backfillProgram) - each
+  // range is saved as soon as the adapter has it, then passed to options.onRange(range, saved)
+  // options.trigger marks a top-level call (from the UI) that gets its own sync history entry
+  async syncProgram(programId, useDedicatedScraper = false, options = {}) {
+    const locked = this.checkUnlocked();
+    if (locked) return locked;
+
+    if (options.trigger) {
+      const runId = this.db.startSyncRun(options.trigger, 'program', 1);
+      const startedAt = new Date();
+      const result = await this.syncProgram(programId, useDedicatedScraper, { ...options, trigger: null });
+      this.recordRunItem(runId, this.db.getProgram(programId) || { id: programId }, startedAt, result);
+      this.finishRun(runId);
+      return { ...result, runId };
+    }
+
     const program = this.db.getProgram(programId);
     if (!program) {
       return { success: false, error: 'Program not found' };
@@ -344,7 +333,7 @@ class SyncEngine {
 
     const credentials = this.db.getCredentials(programId);
     if (!credentials) {
-      return { success: false, error: 'No credentials configured' };
+      return { success: false, error: 'No credentials configured', category: ERROR_CATEGORIES.CONFIG };
     }
 
     // Parse config if it's a string
@@ -362,127 +351,449 @@ class SyncEngine {
     // Each parallel sync gets its own scraper - no shared state!
     const Scraper = require('./scraper');
     const dedicatedScraper = new Scraper(this.db, this.scraper.showDialog);
-    dedicatedScraper.setLogCallback(this.onLog);
+    dedicatedScraper.setLogCallback(this.onLog, { echo: this.echo });
     dedicatedScraper.programId = programId; // Set isolated program ID
+    dedicatedScraper.totpSecret = credentials.totpSecret || null; // Fills 2FA steps in scraper logins
+
+    // Program proxy, else its provider's, else the default from settings
+    let proxy;
+    try {
+      proxy = resolveProxy(getProxySettings(this.db), program.provider, credentials.proxy);
+    } catch (error) {
+      await dedicatedScraper.close().catch(() => {});
+      return { success: false, error: error.message, category: ERROR_CATEGORIES.CONFIG };
+    }
+    dedicatedScraper.proxy = proxy;
+    if (proxy) {
+      this.log(`Connecting through proxy ${describeProxy(proxy)} for ${program.name}`);
+    }
     this.log(`Using isolated scraper for ${program.name} (program ${programId})`);
 
-    // Get the appropriate provider handler
-    const handler = this.getProviderHandler(program.provider);
-    if (!handler) {
+    // Get the adapter for this provider
+    const adapter = this.getProviderAdapter(program.provider);
+    if (!adapter) {
       await dedicatedScraper.close().catch(() => {});
-      return { success: false, error: `Unsupported provider: ${program.provider}` };
+      return { success: false, error: `Unsupported provider: ${program.provider}`, category: ERROR_CATEGORIES.CONFIG };
     }
 
-    // Create a context object with the dedicated scraper for this sync
-    // This avoids race conditions when running multiple syncs in parallel
-    const syncContext = {
-      scraper: dedicatedScraper,
-      db: this.db,
-      log: this.log.bind(this),
-      onLog: this.onLog
+    if (options.ranges && !this.providers.canBackfill(adapter)) {
+      await dedicatedScraper.close().catch(() => {});
+      return { success: false, error: `${adapter.name} does not support custom date ranges`, category: ERROR_CATEGORIES.CONFIG };
+    }
+
+    // Ranges are saved one at a time, so months fetched before a failure are kept
+    let recordsSaved = 0;
+    let anomalies = 0;
+    const rangesSaved = new Set();
+    const saveRange = (range, rangeStats) => {
+      const saved = this.saveSyncedStats(program, rangeStats || []);
+      recordsSaved += saved.recordsSaved;
+      anomalies += saved.anomalies;
+      rangesSaved.add(range.startDate);
+      if (options.onRange) options.onRange(range, saved);
     };
 
     try {
-      // Fetch stats from provider - pass dedicated scraper in options
-      const stats = await handler.call(this, {
+      // Fetch stats from provider - pass dedicated scraper for parallel safety
+      // (httpRequest calls made inside pick up the program's proxy from proxyContext)
+      const stats = await this.proxyContext.run(proxy, () => this.runAdapter(adapter, {
+        engine: this,
         program,
         credentials,
         config,
         loginUrl: program.login_url,
         apiUrl: program.api_url,
         statsUrl: program.stats_url,
-        scraper: dedicatedScraper  // Pass dedicated scraper for parallel safety
+        scraper: dedicatedScraper,
+        ranges: options.ranges,
+        onRange: options.ranges ? saveRange : undefined
+      }));
+
+      if (options.ranges) {
+        // Ranges the adapter returned without reporting them one by one
+        for (const range of options.ranges) {
+          if (rangesSaved.has(range.startDate)) continue;
+          const month = range.startDate.substring(0, 7);
+          saveRange(range, stats.filter(stat => stat.date && stat.date.substring(0, 7) === month));
+        }
+      } else {
+        ({ recordsSaved, anomalies } = this.saveSyncedStats(program, stats));
+      }
+
+      // Always close dedicated scraper (we always use isolated scrapers now)
+      if (dedicatedScraper) {
+        try {
+          await dedicatedScraper.close();
+          this.log(`Closed isolated browser for ${program.name}`);
+        } catch (error) {
+          this.log(`Browser close error: ${error.message}`, 'warn');
+        }
+      }
+
+      return { success: true, records: recordsSaved, anomalies };
+    } catch (error) {
+      // Update with error and its category (auth, timeout, captcha...)
+      const category = classifyError(error);
+      this.db.updateProgram(programId, {
+        lastError: error.message,
+        lastErrorCategory: category
       });
 
+      // Always close dedicated scraper (we always use isolated scrapers now)
+      if (dedicatedScraper) {
+        try {
+          await dedicatedScraper.close();
+          this.log(`Closed isolated browser for ${program.name} (after error)`);
+        } catch (closeError) {
+          this.log(`Browser close error: ${closeError.message}`, 'warn');
+        }
+      }
+
+      return { success: false, error: error.message, category, records: recordsSaved };
+    }
+  }
+
+  // Save the stats of a sync and mark the program synced
+  // Everything goes to disk as one transaction - all of it or none
+  saveSyncedStats(program, stats) {
+    return this.db.transaction(() => {
+      // Snapshot of the monthly totals before saving, for anomaly checks
+      const statsBefore = this.db.getMonthlyStats(program.id);
+
       // Save stats to database
       // Channel records go to channel_stats table (with UPSERT)
       // Aggregated records go to stats table (with UPSERT)
       let recordsSaved = 0;
       for (const stat of stats) {
         this.log(`Saving stat: ${JSON.stringify(stat)}`);
-        this.db.saveStats(programId, stat);
+        this.db.saveStats(program.id, stat);
         recordsSaved++;
       }
 
       this.log(`Saved ${recordsSaved} stats records for ${program.name}`);
 
       // Auto-consolidate to prevent duplicate monthly records
-      const consolidateResult = this.db.consolidateMonthlyStats(programId);
+      const consolidateResult = this.db.consolidateMonthlyStats(program.id);
       if (consolidateResult.consolidated > 0) {
         this.log(`Auto-consolidated ${consolidateResult.consolidated} duplicate months for ${program.name}`);
       }
 
+      const anomalies = this.checkForAnomalies(program, stats, statsBefore) + this.checkCommission(program);
+
       // Update last sync time
-      this.db.updateProgram(programId, {
+      this.db.updateProgram(program.id, {
         lastSync: new Date().toISOString(),
-        lastError: null
+        lastError: null,
+        lastErrorCategory: null
       });
 
-      // Always close dedicated scraper (we always use isolated scrapers now)
-      if (dedicatedScraper) {
-        try {
-          await dedicatedScraper.close();
-          this.log(`Closed isolated browser for ${program.name}`);
-        } catch (error) {
-          this.log(`Browser close error: ${error.message}`, 'warn');
-        }
+      return { recordsSaved, anomalies };
+    });
+  }
+
+  // Retry settings for syncAll - number of retries and the first delay (doubles each attempt)
+  getRetrySettings() {
+    const retries = parseInt(this.db.getSetting('syncRetryCount'), 10);
+    const delaySeconds = parseInt(this.db.getSetting('syncRetryDelay'), 10);
+
+    return {
+      maxRetries: retries >= 0 && retries <= 10 ? retries : DEFAULT_SYNC_RETRIES,
+      baseDelay: (delaySeconds > 0 ? delaySeconds : DEFAULT_RETRY_DELAY_SECONDS) * 1000
+    };
+  }
+
+  // Sync a program as part of a run and record its outcome (duration includes retries)
+  async syncProgramForRun(runId, program) {
+    const startedAt = new Date();
+    const result = await this.syncProgramWithRetry(program);
+    this.recordRunItem(runId, program, startedAt, result);
+    return result;
+  }
+
+  // Save stats from an imported report the way a sync would: consolidate, check for
+  // anomalies, mark the program synced and record it in sync history
+  importStats(programId, stats, source) {
+    const program = this.db.getProgram(programId);
+    if (!program) {
+      return { success: false, error: 'Program not found' };
+    }
+
+    const runId = this.db.startSyncRun('import', 'program', 1);
+    const startedAt = new Date();
+
+    const anomalies = this.db.transaction(() => {
+      const statsBefore = this.db.getMonthlyStats(programId);
+
+      for (const stat of stats) {
+        this.db.saveStats(programId, stat);
       }
+      this.db.consolidateMonthlyStats(programId);
 
-      return { success: true, records: recordsSaved };
-    } catch (error) {
-      // Update with error
+      const anomalies = this.checkForAnomalies(program, stats, statsBefore) + this.checkCommission(program);
       this.db.updateProgram(programId, {
-        lastError: error.message
+        lastSync: new Date().toISOString(),
+        lastError: null,
+        lastErrorCategory: null
       });
+      return anomalies;
+    });
 
-      // Always close dedicated scraper (we always use isolated scrapers now)
-      if (dedicatedScraper) {
-        try {
-          await dedicatedScraper.close();
-          this.log(`Closed isolated browser for ${program.name} (after error)`);
-        } catch (closeError) {
-          this.log(`Browser close error: ${closeError.message}`, 'warn');
-        }
+    const result = { success: true, records: stats.length, anomalies };
+    this.recordRunItem(runId, program, startedAt, result, source);
+    this.finishRun(runId);
+    this.log(`✓ Imported ${stats.length} records for ${program.name} from ${source}`, 'success');
+
+    return { ...result, runId };
+  }
+
+  // Close a sync history run and pass it to the run callback
+  finishRun(runId) {
+    const run = this.db.finishSyncRun(runId);
+    if (run && this.onRunFinished) {
+      try {
+        this.onRunFinished(run);
+      } catch (error) {
+        this.log(`Run callback failed: ${error.message}`, 'warn');
       }
+    }
+    return run;
+  }
 
-      return { success: false, error: error.message };
+  // Write one program's outcome to sync history - never let bookkeeping fail a sync
+  recordRunItem(runId, program, startedAt, result, label = null) {
+    try {
+      this.db.addSyncRunItem(runId, {
+        programId: program.id,
+        programName: label ? `${program.name} (${label})` : program.name,
+        provider: program.provider,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        success: result.success,
+        records: result.records,
+        attempts: result.attempts,
+        error: result.error,
+        category: result.category
+      });
+    } catch (e) {
+      this.log(`Could not record sync history: ${e.message}`, 'warn');
     }
   }
 
-  // Get handler for provider type
-  getProviderHandler(provider) {
-    const handlers = {
-      'CELLXPERT': this.syncCellxpert,
-      'CELLXPERT_API': this.syncCellxpertAPI,
-      'CELLXPERT_SCRAPE': this.syncCellxpertScrape,
-      'MYAFFILIATES': this.syncMyAffiliates,
-      'MYAFFILIATES_SCRAPE': this.syncMyAffiliatesScrape,
-      'INCOME_ACCESS': this.syncIncomeAccess,
-      'NETREFER': this.syncNetrefer,
-      'EGO': this.syncEgo,
-      'MEXOS': this.syncMexos,
-      'WYNTA': this.syncWynta,
-      'AFFILKA': this.syncAffilka, // Generic Affilka handler
-      'AFFILKA_API': this.syncAffilkaAPI,
-      'AFFILKA_SCRAPE': this.syncAffilkaScrape,
-      'ALANBASE': this.syncAlanbase,
-      'WYNTA_SCRAPE': this.syncWyntaScrape,
-      'DECKMEDIA': this.syncDeckMedia,
-      'RTG': this.syncRTGNew,
-      'RTG_ORIGINAL': this.syncRTG,
-      'RIVAL': this.syncRival,
-      'CASINO_REWARDS': this.syncCasinoRewards,
-      'NUMBER1AFFILIATES': this.syncNumber1Affiliates,
-      'MAP': this.syncMAP,
-      'CUSTOM': this.syncCustom
+  // Sync a program, retrying transient failures (timeouts, outages) with exponential backoff
+  // Auth, CAPTCHA, layout, config and unrecognised failures are returned straight away -
+  // retrying a bad password is how accounts get locked
+  async syncProgramWithRetry(program) {
+    const { maxRetries, baseDelay } = this.getRetrySettings();
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await this.syncProgram(program.id);
+
+      if (result.success || attempt >= maxRetries || !isRetryable(result.category)) {
+        return { ...result, attempts: attempt + 1 };
+      }
+
+      const wait = Math.min(baseDelay * Math.pow(2, attempt), MAX_RETRY_DELAY);
+      this.log(`↻ ${program.name} failed (${result.category}): ${result.error} - retry ${attempt + 1}/${maxRetries} in ${Math.round(wait / 1000)}s`, 'warn');
+      await this.delay(wait);
+    }
+  }
+
+  // Backfill historical stats for a program between two dates (YYYY-MM-DD)
+  // All remaining months go to one adapter call (one login); each month is saved and marked
+  // completed in settings as it arrives, so an interrupted backfill resumes where it stopped
+  async backfillProgram(programId, startDate, endDate, trigger = 'manual') {
+    const locked = this.checkUnlocked();
+    if (locked) return locked;
+
+    const program = this.db.getProgram(programId);
+    if (!program) {
+      return { success: false, error: 'Program not found' };
+    }
+
+    const adapter = this.getProviderAdapter(program.provider);
+    if (!adapter || !this.providers.canBackfill(adapter)) {
+      return { success: false, error: `${adapter ? adapter.name : program.provider} does not support historical backfill` };
+    }
+
+    const months = this.getMonthRanges(startDate, endDate);
+    if (months.length === 0) {
+      return { success: false, error: 'Invalid backfill date range' };
+    }
+
+    let state = this.getBackfillState(programId);
+    if (state && state.startDate === startDate && state.endDate === endDate) {
+      this.log(`↻ Resuming backfill for ${program.name}: ${state.completed.length}/${months.length} months already done`);
+    } else {
+      state = { startDate, endDate, completed: [] };
+    }
+
+    this.log(`📚 Backfilling ${program.name}: ${months.length} months (${startDate} to ${endDate})`);
+    const runId = this.db.startSyncRun(trigger, 'backfill', months.length - state.completed.length);
+
+    const remaining = months.filter(month => !state.completed.includes(month.label));
+    const reportProgress = () => {
+      if (this.onProgress) {
+        const next = remaining.find(month => !state.completed.includes(month.label));
+        this.onProgress({
+          current: state.completed.length + 1,
+          total: months.length,
+          program: `${program.name} (${next ? next.label : 'finishing'})`,
+          percent: Math.round((state.completed.length / months.length) * 100),
+          backfill: true
+        });
+      }
     };
-    return handlers[provider];
+
+    let records = 0;
+    let monthStartedAt = new Date();
+    reportProgress();
+
+    const result = await this.syncProgram(programId, false, {
+      ranges: remaining,
+      onRange: (month, saved) => {
+        this.recordRunItem(runId, program, monthStartedAt, { success: true, records: saved.recordsSaved }, month.label);
+        records += saved.recordsSaved;
+        if (!state.completed.includes(month.label)) state.completed.push(month.label);
+        this.db.setSetting(`backfill_${programId}`, JSON.stringify(state));
+        monthStartedAt = new Date();
+        reportProgress();
+      }
+    });
+
+    if (!result.success) {
+      const failedMonth = remaining.find(month => !state.completed.includes(month.label));
+      const label = failedMonth ? failedMonth.label : 'backfill';
+      this.recordRunItem(runId, program, monthStartedAt, { ...result, records: 0 }, label);
+      this.finishRun(runId);
+      this.db.setSetting(`backfill_${programId}`, JSON.stringify(state));
+      this.log(`✗ Backfill stopped at ${label}: ${result.error}`, 'error');
+      return {
+        success: false,
+        error: `${label}: ${result.error}`,
+        completed: state.completed.length,
+        total: months.length,
+        records
+      };
+    }
+
+    if (this.onProgress) {
+      this.onProgress({ current: months.length, total: months.length, program: program.name, percent: 100, backfill: true });
+    }
+
+    this.finishRun(runId);
+    this.db.deleteSetting(`backfill_${programId}`);
+    this.log(`✓ Backfill complete for ${program.name}: ${records} records over ${months.length} months`, 'success');
+    return { success: true, completed: months.length, total: months.length, records };
+  }
+
+  // Compare the months a sync just wrote with the program's history and store any flags.
+  // Never fails the sync - a broken check shouldn't block good data
+  checkForAnomalies(program, stats, statsBefore) {
+    try {
+      const months = [...new Set(
+        stats.filter(stat => !stat.channel && stat.date).map(stat => stat.date.substring(0, 7))
+      )];
+      if (months.length === 0) return 0;
+
+      const results = detectAnomalies({
+        months,
+        before: statsBefore,
+        after: this.db.getMonthlyStats(program.id)
+      });
+
+      let flagged = 0;
+      for (const [month, anomalies] of Object.entries(results)) {
+        this.db.saveStatAnomalies(program.id, month, anomalies, Object.values(ANOMALY_TYPES));
+        for (const anomaly of anomalies) {
+          this.log(`⚠ ${program.name} ${month}: ${anomaly.message}`, 'warn');
+          flagged++;
+        }
+      }
+      return flagged;
+    } catch (error) {
+      this.log(`Anomaly check failed for ${program.name}: ${error.message}`, 'warn');
+      return 0;
+    }
+  }
+
+  // Compare reported revenue with the program's commission plan - returns the number of newly flagged months
+  checkCommission(program) {
+    try {
+      const plan = this.db.getCommissionPlan(program.id);
+      const report = plan ? calculateCommissionReport(plan, this.db.getMonthlyStats(program.id)) : [];
+      const alreadyFlagged = new Set(this.db.getStatAnomalies(program.id, true)
+        .filter(a => a.type === COMMISSION_MISMATCH)
+        .map(a => a.month));
+
+      const flaggedMonths = [];
+      let newFlags = 0;
+      for (const row of report.filter(r => r.mismatch)) {
+        this.db.saveStatAnomalies(program.id, row.month, [
+          { type: COMMISSION_MISMATCH, severity: 'warning', message: row.message }
+        ], [COMMISSION_MISMATCH]);
+        flaggedMonths.push(row.month);
+
+        // Every past month is rechecked on each sync - only report the new ones
+        if (!alreadyFlagged.has(row.month)) {
+          this.log(`⚠ ${program.name} ${row.month}: ${row.message}`, 'warn');
+          newFlags++;
+        }
+      }
+
+      // Months that add up now (or every month, once the plan is removed)
+      this.db.clearStatAnomalies(program.id, COMMISSION_MISMATCH, flaggedMonths);
+      return newFlags;
+    } catch (error) {
+      this.log(`Commission check failed for ${program.name}: ${error.message}`, 'warn');
+      return 0;
+    }
+  }
+
+  // Saved progress of an unfinished backfill (or null)
+  getBackfillState(programId) {
+    const saved = this.db.getSetting(`backfill_${programId}`);
+    if (!saved) return null;
+    try {
+      return JSON.parse(saved);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Get adapter for provider type (see providers/index.js)
+  getProviderAdapter(provider) {
+    return this.providers.get(provider);
+  }
+
+  // Run a provider adapter - its own sync(), or login once then fetchRange/normalize per month
+  async runAdapter(adapter, context) {
+    if (typeof adapter.sync === 'function') {
+      return adapter.sync(context);
+    }
+
+    const ranges = context.ranges || [this.getLastMonthRange(), this.getCurrentMonthRange()];
+    const session = typeof adapter.login === 'function' ? await adapter.login(context) : null;
+
+    const stats = [];
+    for (const range of ranges) {
+      const raw = await adapter.fetchRange(context, range, session);
+      const normalized = [].concat((typeof adapter.normalize === 'function' ? adapter.normalize(raw, range, context) : raw) || []);
+      if (context.onRange) context.onRange(range, normalized);
+      stats.push(...normalized);
+    }
+
+    this.log(`✓ ${adapter.name} sync complete: ${stats.length} record(s) fetched`);
+    return stats;
   }
 
   // Helper to make HTTP requests
+  // options.proxy overrides the proxy of the program being synced (null = direct)
   async httpRequest(url, options = {}) {
+    const urlObj = new URL(url);
+    const proxy = options.proxy !== undefined ? options.proxy : this.proxyContext.getStore();
+    const socket = proxy ? await connectThrough(proxy, urlObj) : null;
+
     return new Promise((resolve, reject) => {
-      const urlObj = new URL(url);
       const protocol = urlObj.protocol === 'https:' ? https : http;
 
       const reqOptions = {
@@ -496,6 +807,9 @@ class SyncEngine {
           ...options.headers
         }
       };
+      if (socket) {
+        reqOptions.createConnection = () => socket;
+      }
 
       const req = protocol.request(reqOptions, (res) => {
         let data = '';
@@ -575,10 +889,38 @@ class SyncEngine {
     };
   }
 
+  // Split a date range into whole calendar months (stats are stored per month), capped at today
+  // Built from strings rather than toISOString() so local midnight can't shift a day
+  getMonthRanges(startDate, endDate) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const toStr = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+    const start = new Date(`${startDate}T00:00:00`);
+    const today = new Date();
+    let end = new Date(`${endDate}T00:00:00`);
+    if (isNaN(start) || isNaN(end)) return [];
+    if (end > today) end = today;
+
+    const ranges = [];
+    let cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+    while (cursor <= end) {
+      const monthEnd = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+      const chunkEnd = monthEnd > today ? today : monthEnd;
+      ranges.push({
+        startDate: toStr(cursor),
+        endDate: toStr(chunkEnd),
+        label: `${cursor.getFullYear()}-${pad(cursor.getMonth() + 1)}`
+      });
+      cursor = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+    }
+
+    return ranges;
+  }
+
   // ============= PROVIDER HANDLERS =============
 
   // Cellxpert API - login flow then fetch stats
-  async syncCellxpert({ program, credentials, config, apiUrl, loginUrl, statsUrl, scraper }) {
+  async syncCellxpert({ program, credentials, config, apiUrl, loginUrl, statsUrl, scraper, ranges, onRange }) {
     const scr = scraper || this.scraper; // Use dedicated scraper for parallel safety
     const baseUrl = apiUrl || config?.apiUrl || config?.custom?.apiUrl || config?.baseUrl;
     const loginPath = loginUrl || config?.loginUrl;
@@ -602,7 +944,12 @@ class SyncEngine {
         throw new Error('CellXpert API requires your Affiliate ID number in the Username field (find it in your CellXpert dashboard)');
       }
       this.log('Using CellXpert official API (affiliateid + x-api-key) - preferred method');
-      return this.syncCellxpertAPI({ program, credentials, config, apiUrl: baseUrl || loginPath });
+      return this.syncCellxpertAPI({ program, credentials, config, apiUrl: baseUrl || loginPath, ranges, onRange });
+    }
+
+    // The web scrape and login flows below only read recent stats
+    if (ranges) {
+      throw new SyncError('CellXpert historical backfill needs the API key (Affiliate ID in the Username field)', ERROR_CATEGORIES.CONFIG);
     }
 
     // Fallback to web scraping if no API key
@@ -632,20 +979,11 @@ class SyncEngine {
           program.currency = stats.detectedCurrency; // Update local reference too
         }
 
-        // Convert currency if needed
-        const sourceCurrency = program.currency || stats.detectedCurrency || 'EUR'; // Use detected or default to EUR
-        const targetCurrency = this.getDefaultCurrency();
-
-        if (sourceCurrency !== targetCurrency && stats && stats.length > 0) {
-          this.log(`Converting ${sourceCurrency} to ${targetCurrency}`);
-          for (const stat of stats) {
-            if (stat.revenue) {
-              stat.revenue = this.convertCurrency(stat.revenue, sourceCurrency, targetCurrency);
-            }
-            if (stat.deposits) {
-              stat.deposits = this.convertCurrency(stat.deposits, sourceCurrency, targetCurrency);
-            }
-          }
+        // Stored as reported, in the program's currency - converted for display/export (see exporter.js)
+        if (!program.currency) {
+          this.log('No currency detected - assuming EUR, change it in Edit Program if that\'s wrong', 'warn');
+          this.db.updateProgram(program.id, { currency: 'EUR' });
+          program.currency = 'EUR';
         }
 
         return stats;
@@ -802,7 +1140,7 @@ class SyncEngine {
 
   // CellXpert API - uses affiliateid + x-api-key headers
   // Docs: https://cx-new-ui.cellxpert.com/api/?command=mediareport
-  async syncCellxpertAPI({ program, credentials, config, apiUrl }) {
+  async syncCellxpertAPI({ program, credentials, config, apiUrl, ranges, onRange }) {
     const baseUrl = apiUrl || config?.apiUrl || config?.baseUrl;
     const affiliateId = credentials.username; // Affiliate ID goes in username field
     const apiKey = credentials.apiKey;
@@ -908,6 +1246,19 @@ class SyncEngine {
       };
     };
 
+    // Backfill - fetch each requested month and stop on the first failure
+    // (midday dates so formatDate's UTC conversion can't move them to another day)
+    if (ranges) {
+      const stats = [];
+      for (const range of ranges) {
+        const monthStats = await fetchCellxpertStats(new Date(`${range.startDate}T12:00:00`), new Date(`${range.endDate}T12:00:00`), range.label);
+        const stat = { ...monthStats, date: range.startDate };
+        if (onRange) onRange(range, [stat]);
+        stats.push(stat);
+      }
+      return stats;
+    }
+
     // Fetch both months
     const stats = [];
 
@@ -966,20 +1317,11 @@ class SyncEngine {
         program.currency = stats.detectedCurrency;
       }
 
-      // Convert currency if needed
-      const sourceCurrency = program.currency || stats.detectedCurrency || 'EUR';
-      const targetCurrency = this.getDefaultCurrency();
-
-      if (sourceCurrency !== targetCurrency && stats && stats.length > 0) {
-        this.log(`Converting ${sourceCurrency} to ${targetCurrency}`);
-        for (const stat of stats) {
-          if (stat.revenue) {
-            stat.revenue = this.convertCurrency(stat.revenue, sourceCurrency, targetCurrency);
-          }
-          if (stat.deposits) {
-            stat.deposits = this.convertCurrency(stat.deposits, sourceCurrency, targetCurrency);
-          }
-        }
+      // Stored as reported, in the program's currency - converted for display/export (see exporter.js)
+      if (!program.currency) {
+        this.log('No currency detected - assuming EUR, change it in Edit Program if that\'s wrong', 'warn');
+        this.db.updateProgram(program.id, { currency: 'EUR' });
+        program.currency = 'EUR';
       }
 
       return stats;
@@ -2158,7 +2500,7 @@ class SyncEngine {
   }
 
   // Wynta Scrape - web login
-  async syncWyntaScrape({ program, credentials, config, loginUrl, scraper }) {
+  async syncWyntaScrape({ program, credentials, config, loginUrl, scraper, ranges, onRange }) {
     const scr = scraper || this.scraper; // Use dedicated scraper for parallel safety
     const login = loginUrl || config?.loginUrl || 'https://wynta.io/affiliate/login';
     const username = credentials.username;
@@ -2173,14 +2515,17 @@ class SyncEngine {
     this.log('Starting Wynta web scrape...');
 
     try {
-      const stats = await scr.scrapeGeneric({
-        loginUrl: login,
-        username,
-        password,
-        startDate,
-        endDate,
-        platform: 'wynta'
-      });
+      // Backfill uses the date picker for each requested month
+      const stats = ranges
+        ? await scr.scrapeGenericRange({ loginUrl: login, username, password, ranges, onRange, platform: 'wynta' })
+        : await scr.scrapeGeneric({
+          loginUrl: login,
+          username,
+          password,
+          startDate,
+          endDate,
+          platform: 'wynta'
+        });
 
       // Only close pages if not in batch mode
       if (!this.inBatchMode) {
@@ -2395,7 +2740,7 @@ class SyncEngine {
   }
 
   // Alanbase API sync
-  async syncAlanbase({ program, credentials, config, apiUrl }) {
+  async syncAlanbase({ program, credentials, config, apiUrl, ranges, onRange }) {
     const baseUrl = apiUrl || config?.apiUrl;
     const apiKey = credentials.apiKey;
 
@@ -2493,6 +2838,18 @@ class SyncEngine {
       };
     };
 
+    // Backfill - fetch each requested month and stop on the first failure
+    if (ranges) {
+      const stats = [];
+      for (const range of ranges) {
+        const monthStats = await fetchAlanbaseStats(new Date(`${range.startDate}T00:00:00`), new Date(`${range.endDate}T00:00:00`), range.label);
+        const stat = { ...monthStats, date: range.startDate };
+        if (onRange) onRange(range, [stat]);
+        stats.push(stat);
+      }
+      return stats;
+    }
+
     // Fetch both months
     const stats = [];
 
@@ -3088,9 +3445,12 @@ class SyncEngine {
         }
       }
 
-      // Get exchange rates for currency conversion
-      const exchangeRates = await this.getExchangeRates();
-      this.log(`Loaded exchange rates: GBP=${exchangeRates.GBP}, EUR=${exchangeRates.EUR}`);
+      // Daily exchange rates for this month and last month (each period is converted at its own date)
+      const today = new Date();
+      const lastMonthStart = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+      await this.exchangeRates.ensureRange(
+        `${lastMonthStart.getFullYear()}-${String(lastMonthStart.getMonth() + 1).padStart(2, '0')}-01`
+      );
 
       const allStats = [];
 
@@ -3201,22 +3561,6 @@ class SyncEngine {
         }
 
         if (periodData && periodData.currencyData.length > 0) {
-          // Convert all amounts to USD
-          let totalDepositsUSD = 0;
-          let totalRevenueUSD = 0;
-
-          for (const item of periodData.currencyData) {
-            const rate = exchangeRates[item.currency] || 1;
-            // Exchange rates are typically X per 1 USD, so we divide
-            const depositsUSD = item.deposits / rate;
-            const revenueUSD = item.revenue / rate;
-
-            this.log(`  ${item.brand}: clicks=${item.clicks}, ftds=${item.ftds}, ${item.currency} deposits=${item.deposits} -> USD ${depositsUSD.toFixed(2)}, revenue=${item.revenue} -> USD ${revenueUSD.toFixed(2)}`);
-
-            totalDepositsUSD += depositsUSD;
-            totalRevenueUSD += revenueUSD;
-          }
-
           // Calculate date for this period
           const now = new Date();
           let statDate;
@@ -3227,17 +3571,32 @@ class SyncEngine {
             statDate = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}-15`;
           }
 
+          // Brands report in different currencies - totalled in the program's currency at this date's rate
+          const currency = program.currency || 'USD';
+          let totalDeposits = 0;
+          let totalRevenue = 0;
+
+          for (const item of periodData.currencyData) {
+            const deposits = this.convertCurrency(Math.round(item.deposits * 100), item.currency, currency, statDate);
+            const revenue = this.convertCurrency(Math.round(item.revenue * 100), item.currency, currency, statDate);
+
+            this.log(`  ${item.brand}: clicks=${item.clicks}, ftds=${item.ftds}, ${item.currency} deposits=${item.deposits} -> ${currency} ${(deposits / 100).toFixed(2)}, revenue=${item.revenue} -> ${currency} ${(revenue / 100).toFixed(2)}`);
+
+            totalDeposits += deposits;
+            totalRevenue += revenue;
+          }
+
           allStats.push({
             date: statDate,
             impressions: periodData.impressions,
             clicks: periodData.clicks,
             signups: periodData.signups,
             ftds: periodData.ftds,
-            deposits: Math.round(totalDepositsUSD * 100), // Convert to cents
-            revenue: Math.round(totalRevenueUSD * 100)
+            deposits: totalDeposits,
+            revenue: totalRevenue
           });
 
-          this.log(`${period}: clicks=${periodData.clicks}, signups=${periodData.signups}, ftds=${periodData.ftds}, deposits=$${totalDepositsUSD.toFixed(2)}, revenue=$${totalRevenueUSD.toFixed(2)}`);
+          this.log(`${period}: clicks=${periodData.clicks}, signups=${periodData.signups}, ftds=${periodData.ftds}, deposits=${(totalDeposits / 100).toFixed(2)}, revenue=${(totalRevenue / 100).toFixed(2)} ${currency}`);
         } else {
           this.log(`No data found for ${period}`);
         }
@@ -3254,49 +3613,6 @@ class SyncEngine {
       throw error;
     }
   }
-
-  // Get exchange rates from API (cached for 1 hour)
-  async getExchangeRates() {
-    // Check cache
-    if (this._exchangeRates && this._exchangeRatesTime && (Date.now() - this._exchangeRatesTime) < 3600000) {
-      return this._exchangeRates;
-    }
-
-    try {
-      // Use frankfurter.app - free, no API key required
-      const response = await this.httpRequest('https://api.frankfurter.app/latest?from=USD');
-      if (response.data && response.data.rates) {
-        this._exchangeRates = response.data.rates;
-        // Add USD as 1
-        this._exchangeRates.USD = 1;
-        this._exchangeRatesTime = Date.now();
-        this.log(`Fetched exchange rates from API`);
-        return this._exchangeRates;
-      }
-    } catch (error) {
-      this.log(`Exchange rate API error: ${error.message}, using fallback rates`);
-    }
-
-    // Fallback rates (approximate)
-    this._exchangeRates = {
-      USD: 1,
-      EUR: 0.92,
-      GBP: 0.79,
-      CAD: 1.36,
-      AUD: 1.53,
-      CHF: 0.88,
-      SEK: 10.5,
-      NOK: 10.8,
-      DKK: 6.9,
-      NZD: 1.65
-    };
-    this._exchangeRatesTime = Date.now();
-    return this._exchangeRates;
-  }
-
-  async syncCustom({ program, credentials, config }) {
-    throw new Error('Custom providers require manual configuration');
-  }
 }
 
 module.exports = SyncEngine;
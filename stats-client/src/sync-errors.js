@@ -0,0 +1,59 @@
+/**
+ * Sync Error Classification
+ * Sorts sync failures into categories so syncAll knows what is worth retrying
+ */
+
+const ERROR_CATEGORIES = {
+  AUTH: 'auth',         // Bad password / API key - never retried (avoids account lockouts)
+  TIMEOUT: 'timeout',   // Slow site or network
+  CAPTCHA: 'captcha',   // CAPTCHA or security code needs a human
+  LAYOUT: 'layout',     // Login form or stats table not found - site probably changed
+  OUTAGE: 'outage',     // Site down, 5xx, DNS or connection errors
+  CONFIG: 'config',     // Missing URL/credentials or unsupported provider
+  UNKNOWN: 'unknown'
+};
+
+// Categories that are likely to succeed if we simply try again later
+// Unknown errors aren't retried: an auth failure worded in a way we don't recognise
+// would otherwise be retried into an account lockout
+const RETRYABLE_CATEGORIES = [ERROR_CATEGORIES.TIMEOUT, ERROR_CATEGORIES.OUTAGE];
+
+// Checked in order - the first match wins
+const CLASSIFIERS = [
+  [ERROR_CATEGORIES.CAPTCHA, /captcha|security code/i],
+  [ERROR_CATEGORIES.CONFIG, /\brequired?\b|\brequires\b|not configured|\bno [\w ]+ configured\b|custom providers|unsupported provider|chromium not found/i],
+  [ERROR_CATEGORIES.AUTH, /(HTTP|status) 40[13]\b|unauthori[sz]ed|forbidden|session (has )?expired|invalid (api key|token|credentials|password|username|login)|login failed|incorrect (password|username|credentials)|wrong password|authentication failed|oauth failed|token may be invalid|account (locked|disabled|suspended)/i],
+  [ERROR_CATEGORIES.LAYOUT, /waiting for selector|could not (find|extract)|failed to extract|not found|picker gone|did not open|no node found/i],
+  [ERROR_CATEGORIES.TIMEOUT, /timeout|timed out|ETIMEDOUT|ESOCKETTIMEDOUT|exceeded/i],
+  [ERROR_CATEGORIES.OUTAGE, /(HTTP|status) 5\d\d\b|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ERR_NAME_NOT_RESOLVED|ERR_CONNECTION|ERR_INTERNET_DISCONNECTED|socket hang up|bad gateway|service unavailable|maintenance/i]
+];
+
+// Error with an explicit category, for handlers that know exactly what went wrong
+class SyncError extends Error {
+  constructor(message, category = ERROR_CATEGORIES.UNKNOWN) {
+    super(message);
+    this.name = 'SyncError';
+    this.category = category;
+  }
+}
+
+// Work out the category of an error (or error message)
+function classifyError(error) {
+  if (!error) return ERROR_CATEGORIES.UNKNOWN;
+  if (error.category && Object.values(ERROR_CATEGORIES).includes(error.category)) {
+    return error.category;
+  }
+  if (error.name === 'TimeoutError') return ERROR_CATEGORIES.TIMEOUT;
+
+  const message = typeof error === 'string' ? error : (error.message || String(error));
+  for (const [category, pattern] of CLASSIFIERS) {
+    if (pattern.test(message)) return category;
+  }
+  return ERROR_CATEGORIES.UNKNOWN;
+}
+
+function isRetryable(category) {
+  return RETRYABLE_CATEGORIES.includes(category);
+}
+
+module.exports = { ERROR_CATEGORIES, SyncError, classifyError, isRetryable };
@@ -0,0 +1,82 @@
+/**
+ * TOTP (RFC 6238)
+ * Generates the 6-digit codes authenticator apps show, from the secret a dashboard gives out when
+ * 2FA is turned on (base32 text, or the otpauth:// link behind its QR code). Stored per program
+ * as credentials.totpSecret, so scraper logins can get past the 2FA step on their own.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+const DEFAULTS = { digits: 6, period: 30, algorithm: 'SHA1' };
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid character "${char}" in TOTP secret`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Secret and settings from what the user pasted: a base32 secret ("JBSW Y3DP ...") or an
+ * otpauth://totp/... URI
+ * @returns {{ secret: string, digits: number, period: number, algorithm: string }}
+ */
+function parseTotpSecret(input) {
+  const value = String(input || '').trim();
+  if (!value) throw new Error('TOTP secret is empty');
+
+  let options = { ...DEFAULTS, secret: value };
+  if (/^otpauth:\/\//i.test(value)) {
+    const url = new URL(value);
+    if (url.host.toLowerCase() !== 'totp') {
+      throw new Error('Only time-based (TOTP) codes are supported, not counter-based (HOTP)');
+    }
+    options = {
+      secret: url.searchParams.get('secret') || '',
+      digits: parseInt(url.searchParams.get('digits'), 10) || DEFAULTS.digits,
+      period: parseInt(url.searchParams.get('period'), 10) || DEFAULTS.period,
+      algorithm: (url.searchParams.get('algorithm') || DEFAULTS.algorithm).toUpperCase()
+    };
+  }
+
+  options.secret = options.secret.toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  if (base32Decode(options.secret).length < 10) throw new Error('TOTP secret is too short');
+  if (!ALGORITHMS[options.algorithm]) throw new Error(`Unsupported TOTP algorithm: ${options.algorithm}`);
+  if (![6, 7, 8].includes(options.digits)) throw new Error('TOTP codes must have 6-8 digits');
+  return options;
+}
+
+/**
+ * Code for a stored secret (base32 or otpauth URI)
+ * @param {string} secret
+ * @param {number} [time] - ms timestamp, default now
+ * @returns {{ code: string, remaining: number }} remaining = seconds the code stays valid
+ */
+function generateTotp(secret, time = Date.now()) {
+  const { secret: base32, digits, period, algorithm } = parseTotpSecret(secret);
+  const seconds = Math.floor(time / 1000);
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(seconds / period)));
+
+  const hmac = crypto.createHmac(ALGORITHMS[algorithm], base32Decode(base32)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return {
+    code: String(binary % 10 ** digits).padStart(digits, '0'),
+    remaining: period - (seconds % period)
+  };
+}
+
+module.exports = { parseTotpSecret, generateTotp };
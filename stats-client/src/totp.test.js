@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTotpSecret, generateTotp } = require('./totp');
+
+// RFC 6238 appendix B test secrets ("1234567890" repeated to the hash's key size), base32
+const SECRETS = {
+  SHA1: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+  SHA256: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+  SHA512: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+};
+
+// RFC 6238 appendix B: seconds -> 8-digit codes per algorithm
+const VECTORS = [
+  [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+  [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+  [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+  [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+  [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+  [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+];
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const algorithm of Object.keys(SECRETS)) {
+    const uri = `otpauth://totp/RFC?secret=${SECRETS[algorithm]}&digits=8&algorithm=${algorithm}`;
+    for (const [seconds, codes] of VECTORS) {
+      assert.equal(generateTotp(uri, seconds * 1000).code, codes[algorithm], `${algorithm} at ${seconds}`);
+    }
+  }
+});
+
+test('a plain base32 secret gives 6-digit SHA1 codes that last 30 seconds', () => {
+  assert.deepEqual(generateTotp(SECRETS.SHA1, 59 * 1000), { code: '287082', remaining: 1 });
+  assert.deepEqual(generateTotp(SECRETS.SHA1.toLowerCase().match(/.{4}/g).join(' '), 1111111109 * 1000), { code: '081804', remaining: 1 });
+  assert.equal(generateTotp(SECRETS.SHA1, 60 * 1000).remaining, 30);
+});
+
+test('parseTotpSecret reads otpauth links and rejects what it can\'t generate', () => {
+  assert.deepEqual(parseTotpSecret(`otpauth://totp/Dash:me?secret=${SECRETS.SHA1}&period=60&digits=7`), {
+    secret: SECRETS.SHA1,
+    digits: 7,
+    period: 60,
+    algorithm: 'SHA1'
+  });
+  assert.throws(() => parseTotpSecret(''), /empty/);
+  assert.throws(() => parseTotpSecret('JBSWY3DP'), /too short/);
+  assert.throws(() => parseTotpSecret(`${SECRETS.SHA1}1`), /Invalid character "1"/);
+  assert.throws(() => parseTotpSecret(`otpauth://hotp/Dash?secret=${SECRETS.SHA1}`), /HOTP/);
+  assert.throws(() => parseTotpSecret(`otpauth://totp/Dash?secret=${SECRETS.SHA1}&algorithm=MD5`), /Unsupported/);
+  assert.throws(() => parseTotpSecret(`otpauth://totp/Dash?secret=${SECRETS.SHA1}&digits=9`), /6-8 digits/);
+});
@@ -0,0 +1,340 @@
+/**
+ * Credential Vault
+ * Keys for everything the database stores encrypted, kept in `.encryption-key` next to it.
+ *
+ * Two keys, both AES-256-GCM:
+ * - the vault key encrypts program credentials. With a master password it is stored wrapped
+ *   (encrypted with a key derived from the password by scrypt) and only held in memory while
+ *   the vault is unlocked.
+ * - the device key encrypts secure settings (license key, API token, webhook URL), which the
+ *   app needs while locked too, so it is always stored as is.
+ *
+ * Older installs used one key for AES-256-CBC. That key stays readable as `legacyKey` until
+ * Database.reencryptSecrets() has moved every row to the current keys; key rotation keeps the
+ * previous keys the same way, so a crash halfway never leaves rows nothing can decrypt.
+ *
+ * Ciphertext format: v2:<iv>:<auth tag>:<data> (hex). Legacy rows are <iv>:<data>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_FILE = '.encryption-key';
+const FORMAT_PREFIX = 'v2:';
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt cost - about 100ms per unlock, 32 MB of memory
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+
+class VaultLockedError extends Error {
+  constructor(message = 'The vault is locked - unlock it with your master password first') {
+    super(message);
+    this.name = 'VaultLockedError';
+    this.locked = true;
+  }
+}
+
+function deriveKey(password, kdf) {
+  return crypto.scryptSync(String(password), Buffer.from(kdf.salt, 'hex'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 128 * kdf.N * kdf.r * 2
+  });
+}
+
+function newKdf() {
+  return { algorithm: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), ...KDF_PARAMS };
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// AES-256-GCM, returns v2:iv:tag:data
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return `${FORMAT_PREFIX}${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${data.toString('hex')}`;
+}
+
+// Plaintext, or null when the key is wrong or the data was tampered with
+function open(key, sealed) {
+  try {
+    const [ivHex, tagHex, dataHex] = sealed.slice(FORMAT_PREFIX.length).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Pre-vault AES-256-CBC rows
+function openLegacy(legacyKey, encrypted) {
+  try {
+    const [ivHex, data] = encrypted.split(':');
+    const key = Buffer.from(legacyKey.slice(0, 32).padEnd(32, '0'));
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+    return decipher.update(data, 'hex', 'utf8') + decipher.final('utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Whether a stored value is ciphertext in either format
+function isEncrypted(value) {
+  return typeof value === 'string' && (value.startsWith(FORMAT_PREFIX) || /^[0-9a-f]{32}:[0-9a-f]+$/.test(value));
+}
+
+/**
+ * Encrypt text with a password (for backups). The salt and scrypt parameters are returned
+ * alongside, so the password alone opens it again.
+ * @returns {{ kdf: Object, data: string }}
+ */
+function encryptWithPassword(plaintext, password) {
+  checkPassword(password);
+  const kdf = newKdf();
+  return { kdf, data: seal(deriveKey(password, kdf), plaintext) };
+}
+
+function decryptWithPassword({ kdf, data }, password) {
+  if (!kdf || !data) throw new Error('Not a password-protected file');
+  const plaintext = open(deriveKey(password, kdf), data);
+  if (plaintext === null) throw new Error('Wrong password');
+  return plaintext;
+}
+
+class Vault {
+  /**
+   * @param {string} userDataPath - directory holding the database
+   */
+  constructor(userDataPath) {
+    this.keyPath = path.join(userDataPath, KEY_FILE);
+    this.load();
+  }
+
+  // Read the key file, creating one on first run and upgrading a pre-vault key
+  load() {
+    this.kek = null;
+    this.vaultKey = null;
+
+    if (!fs.existsSync(this.keyPath)) {
+      this.file = {
+        version: 2,
+        deviceKey: crypto.randomBytes(32).toString('hex'),
+        vault: { key: crypto.randomBytes(32).toString('hex') }
+      };
+      this.write();
+    } else {
+      const content = fs.readFileSync(this.keyPath, 'utf8').trim();
+      if (content.startsWith('{')) {
+        this.file = JSON.parse(content);
+      } else {
+        // Pre-vault key file - the old key is kept until its rows are re-encrypted
+        this.file = {
+          version: 2,
+          deviceKey: crypto.randomBytes(32).toString('hex'),
+          vault: { key: crypto.randomBytes(32).toString('hex') },
+          legacyKey: content
+        };
+        this.write();
+      }
+    }
+
+    if (!this.hasMasterPassword()) {
+      this.vaultKey = Buffer.from(this.file.vault.key, 'hex');
+    }
+  }
+
+  // Key file written to a temporary file and renamed, so it is never half written
+  write() {
+    const tempPath = `${this.keyPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.file, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.keyPath);
+  }
+
+  hasMasterPassword() {
+    return !!this.file.vault.kdf;
+  }
+
+  isLocked() {
+    return this.vaultKey === null;
+  }
+
+  // Legacy or pre-rotation keys still waiting for Database.reencryptSecrets()
+  hasOldKeys() {
+    return !!(this.file.legacyKey || this.file.previousDeviceKey || this.file.vault.previousKey);
+  }
+
+  getStatus() {
+    return {
+      hasMasterPassword: this.hasMasterPassword(),
+      locked: this.isLocked(),
+      rotatedAt: this.file.rotatedAt || null
+    };
+  }
+
+  unlock(password) {
+    if (!this.hasMasterPassword() || !this.isLocked()) return true;
+    this.verifyPassword(password);
+    return true;
+  }
+
+  // Forget the vault key (only possible with a master password)
+  lock() {
+    if (!this.hasMasterPassword()) return false;
+    this.kek = null;
+    this.vaultKey = null;
+    return true;
+  }
+
+  setMasterPassword(password) {
+    if (this.hasMasterPassword()) throw new Error('A master password is already set');
+    checkPassword(password);
+
+    const kdf = newKdf();
+    this.kek = deriveKey(password, kdf);
+    this.file.vault = this.wrapVault(this.file.vault, kdf);
+    this.write();
+  }
+
+  changeMasterPassword(currentPassword, newPassword) {
+    this.verifyPassword(currentPassword);
+    checkPassword(newPassword);
+
+    const kdf = newKdf();
+    const plain = this.unwrapVault();
+    this.kek = deriveKey(newPassword, kdf);
+    this.file.vault = this.wrapVault(plain, kdf);
+    this.write();
+  }
+
+  removeMasterPassword(currentPassword) {
+    this.verifyPassword(currentPassword);
+    this.file.vault = this.unwrapVault();
+    this.kek = null;
+    this.write();
+  }
+
+  // Check the master password - a correct one also unlocks
+  verifyPassword(password) {
+    if (!this.hasMasterPassword()) throw new Error('No master password is set');
+
+    const kek = deriveKey(password, this.file.vault.kdf);
+    const key = open(kek, this.file.vault.key);
+    if (key === null) throw new Error('Wrong master password');
+
+    this.kek = kek;
+    this.vaultKey = Buffer.from(key, 'hex');
+  }
+
+  // { key, previousKey } in plain hex -> wrapped with the current KEK
+  wrapVault(plain, kdf) {
+    const wrapped = { kdf, key: seal(this.kek, plain.key) };
+    if (plain.previousKey) wrapped.previousKey = seal(this.kek, plain.previousKey);
+    return wrapped;
+  }
+
+  unwrapVault() {
+    if (this.isLocked()) throw new VaultLockedError();
+    if (!this.hasMasterPassword()) return { ...this.file.vault };
+
+    const plain = { key: open(this.kek, this.file.vault.key) };
+    if (this.file.vault.previousKey) plain.previousKey = open(this.kek, this.file.vault.previousKey);
+    return plain;
+  }
+
+  /**
+   * Switch to new random keys. The old ones stay readable until Database.reencryptSecrets()
+   * has re-encrypted every row and calls forgetOldKeys().
+   */
+  rotate() {
+    if (this.isLocked()) throw new VaultLockedError();
+    if (this.file.previousDeviceKey || this.file.vault.previousKey) {
+      throw new Error('The previous key rotation has not finished yet');
+    }
+
+    const plain = this.unwrapVault();
+    const vault = { key: crypto.randomBytes(32).toString('hex'), previousKey: plain.key };
+
+    this.file.previousDeviceKey = this.file.deviceKey;
+    this.file.deviceKey = crypto.randomBytes(32).toString('hex');
+    this.file.vault = this.hasMasterPassword() ? this.wrapVault(vault, this.file.vault.kdf) : vault;
+    this.file.rotatedAt = new Date().toISOString();
+    this.vaultKey = Buffer.from(vault.key, 'hex');
+    this.write();
+  }
+
+  forgetOldKeys() {
+    delete this.file.legacyKey;
+    delete this.file.previousDeviceKey;
+    delete this.file.vault.previousKey;
+    this.write();
+  }
+
+  // Keys to try for a scope, current first
+  keysFor(scope) {
+    if (scope === 'device') {
+      return [this.file.deviceKey, this.file.previousDeviceKey]
+        .filter(Boolean)
+        .map(key => Buffer.from(key, 'hex'));
+    }
+
+    if (this.isLocked()) throw new VaultLockedError();
+    const keys = [this.vaultKey];
+    const previousKey = this.hasMasterPassword()
+      ? this.file.vault.previousKey && open(this.kek, this.file.vault.previousKey)
+      : this.file.vault.previousKey;
+    if (previousKey) keys.push(Buffer.from(previousKey, 'hex'));
+    return keys;
+  }
+
+  /**
+   * Encrypt a JSON-serialisable value
+   * @param {*} data
+   * @param {string} [scope] - 'vault' for credentials, 'device' for settings
+   */
+  encrypt(data, scope = 'device') {
+    return seal(this.keysFor(scope)[0], JSON.stringify(data));
+  }
+
+  // Decrypted value, or null if no key opens it. Throws VaultLockedError for vault rows while locked.
+  decrypt(encrypted, scope = 'device') {
+    if (!encrypted.startsWith(FORMAT_PREFIX)) {
+      const plaintext = this.file.legacyKey ? openLegacy(this.file.legacyKey, encrypted) : null;
+      return plaintext === null ? null : JSON.parse(plaintext);
+    }
+
+    for (const key of this.keysFor(scope)) {
+      const plaintext = open(key, encrypted);
+      if (plaintext !== null) return JSON.parse(plaintext);
+    }
+    return null;
+  }
+
+  // Key file contents, for backups (the vault key stays wrapped when a master password is set)
+  exportKeyFile() {
+    return JSON.stringify(this.file, null, 2);
+  }
+
+  // Replace the key file (backup import) - locks the vault again if the restored one has a password
+  restoreKeyFile(content) {
+    fs.writeFileSync(`${this.keyPath}.tmp`, content, { mode: 0o600 });
+    fs.renameSync(`${this.keyPath}.tmp`, this.keyPath);
+    this.load();
+  }
+}
+
+module.exports = {
+  Vault,
+  VaultLockedError,
+  MIN_PASSWORD_LENGTH,
+  isEncrypted,
+  encryptWithPassword,
+  decryptWithPassword
+};